@@ -0,0 +1,68 @@
+/**
+ * Channel-level views of client data for the dashboard
+ */
+
+import { CHANNELS } from './constants';
+import type { ClientData, DailyMetric, SetupStatus } from './types';
+
+/** How far a platform counts towards its channel's setup */
+const SETUP_PROGRESS: Partial<Record<SetupStatus, number>> = {
+  granted: 0.5,
+  verified: 1,
+};
+
+/**
+ * Setup completeness of a channel in percent: verified platforms count fully,
+ * granted ones (awaiting verification) half. `null` for channels that need no
+ * platform access, such as mailing.
+ */
+export function channelCompleteness(setupState: ClientData['setupState'], channelId: string): number | null {
+  const platformIds = CHANNELS.find(channel => channel.id === channelId)?.platformIds || [];
+  if (platformIds.length === 0) return null;
+
+  const progress = platformIds.reduce((sum, id) => sum + (SETUP_PROGRESS[setupState[id]?.status] || 0), 0);
+  return Math.round((progress / platformIds.length) * 100);
+}
+
+export interface TrendPoint {
+  /** First day of the bucket, `YYYY-MM-DD` */
+  from: string;
+  spend: number;
+  revenue: number;
+  conversions: number;
+  clicks: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isoDate = (date: Date) => date.toISOString().slice(0, 10);
+
+/** `YYYY-MM-DD` of `days` days before `date` */
+export function daysBefore(date: string, days: number): string {
+  return isoDate(new Date(Date.parse(`${date}T00:00:00Z`) - days * DAY_MS));
+}
+
+/** Whole days from `from` to `to`, both `YYYY-MM-DD` */
+export function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Sum daily metrics into `weeks` consecutive 7-day buckets ending on `to`,
+ * oldest first. Days without data count as zero.
+ */
+export function weeklyTrend(metrics: DailyMetric[], to: string, weeks: number): TrendPoint[] {
+  return Array.from({ length: weeks }, (_, index) => {
+    const from = daysBefore(to, (weeks - index) * 7 - 1);
+    const until = daysBefore(to, (weeks - 1 - index) * 7);
+    return metrics
+      .filter(day => day.date >= from && day.date <= until)
+      .reduce<TrendPoint>((point, day) => ({
+        from,
+        spend: point.spend + day.spend,
+        revenue: point.revenue + day.revenue,
+        conversions: point.conversions + day.conversions,
+        clicks: point.clicks + day.clicks,
+      }), { from, spend: 0, revenue: 0, conversions: 0, clicks: 0 });
+  });
+}
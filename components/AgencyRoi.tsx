@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, FileDown, TrendingDown } from 'lucide-react';
+import { AgencyRoiReport, ClientRoi, DateRange } from '../types';
+import { PERIOD_OPTIONS, formatChange, formatMoney, formatRoas, periodEnding, roas } from '../metrics';
+import { isoDate } from '../channels';
+import { agencyRoiCsvUrl, fetchAgencyRoi } from '../services/reports';
+import { useLanguage } from '../i18n/LanguageContext';
+
+type SortKey = 'name' | 'spend' | 'revenue' | 'roas' | 'roasChange' | 'retainer' | 'resultsPerFee';
+
+const COLUMNS: SortKey[] = ['name', 'spend', 'revenue', 'roas', 'roasChange', 'retainer', 'resultsPerFee'];
+
+/** Missing values (no spend, no retainer) sort last in both directions */
+function compareRows(a: ClientRoi, b: ClientRoi, key: SortKey): number {
+  if (key === 'name') return a.name.localeCompare(b.name);
+  if (a[key] === null || b[key] === null) return a[key] === null ? (b[key] === null ? 0 : 1) : -1;
+  return (a[key] as number) - (b[key] as number);
+}
+
+/**
+ * Agency ROI across the portfolio: what the clients spend and earn through
+ * the agency, the ROAS distribution, retainers against results and the
+ * clients whose results are slipping.
+ */
+const AgencyRoi = () => {
+  const { language, t } = useLanguage();
+  const [range, setRange] = useState<DateRange>(() => periodEnding(isoDate(new Date())));
+  const [report, setReport] = useState<AgencyRoiReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [sort, setSort] = useState<{ key: SortKey, descending: boolean }>({ key: 'revenue', descending: true });
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) return;
+    setError(null);
+    fetchAgencyRoi(range).then(setReport).catch((err) => setError((err as Error).message));
+  }, [range.from, range.to]);
+
+  const handleSort = (key: SortKey) =>
+    setSort((current) => ({ key, descending: current.key === key ? !current.descending : key !== 'name' }));
+
+  const rows = [...(report?.clients || [])].sort((a, b) => {
+    const order = compareRows(a, b, sort.key);
+    // Keep missing values last when the order flips
+    return sort.descending && a[sort.key] !== null && b[sort.key] !== null ? -order : order;
+  });
+  const trendingDown = rows.filter((row) => row.trendingDown);
+  const largestBucket = Math.max(1, report?.withoutSpend || 0, ...(report?.roasDistribution || []).map((bucket) => bucket.clients));
+  const money = (value: number, currency: string) => formatMoney(value, currency, language);
+  const bucketLabel = (min: number, max: number | null) =>
+    max === null ? `${formatRoas(min, language)}+` : `${formatRoas(min, language)} – ${formatRoas(max, language)}`;
+
+  const cell = (row: ClientRoi, key: SortKey) => {
+    switch (key) {
+      case 'name': return <><p className="font-black text-white">{row.name}</p><p className="text-xs text-slate-500">{row.domain}</p></>;
+      case 'spend': return money(row.spend, row.currency);
+      case 'revenue': return money(row.revenue, row.currency);
+      case 'roas': return formatRoas(row.roas, language);
+      case 'roasChange': return <span className={!row.roasChange ? '' : row.roasChange > 0 ? 'text-green-400' : 'text-red-400'}>{formatChange(row.roasChange, language)}</span>;
+      case 'retainer': return row.retainer > 0 ? money(row.retainer, row.currency) : '–';
+      case 'resultsPerFee': return row.resultsPerFee === null ? '–' : `${row.resultsPerFee.toLocaleString(language, { maximumFractionDigits: 1 })}×`;
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <header className="flex flex-wrap items-end justify-between gap-6">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">{t('roi.title')}</h2>
+          <p className="text-slate-500 font-medium">{t('roi.lead')}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {PERIOD_OPTIONS.map((days) => (
+            <button key={days} onClick={() => setRange(periodEnding(isoDate(new Date()), days))} className="px-3 py-2 rounded-xl bg-white/5 border border-white/10 text-xs font-bold text-slate-300 hover:text-white transition-all">
+              {t('metrics.lastDays', { days })}
+            </button>
+          ))}
+          <input type="date" value={range.from} max={range.to} onChange={(e) => setRange({ ...range, from: e.target.value })} aria-label={t('roi.from')} className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs font-bold text-slate-300" />
+          <input type="date" value={range.to} min={range.from} onChange={(e) => setRange({ ...range, to: e.target.value })} aria-label={t('roi.to')} className="px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs font-bold text-slate-300" />
+          <a href={agencyRoiCsvUrl(range)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-blue-600 text-white text-xs font-black hover:bg-blue-500 transition-all">
+            <FileDown className="w-4 h-4" /> {t('roi.exportCsv')}
+          </a>
+        </div>
+      </header>
+
+      {error && <p role="alert" className="text-sm font-bold text-red-400">{error}</p>}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {Object.entries(report.totals).map(([currency, total]: [string, AgencyRoiReport['totals'][string]]) => (
+              <div key={currency} className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 grid grid-cols-2 md:grid-cols-4 gap-6">
+                {[
+                  { label: t('roi.spendManaged'), value: money(total.spend, currency) },
+                  { label: t('roi.revenueAttributed'), value: money(total.revenue, currency) },
+                  { label: 'ROAS', value: formatRoas(roas(total), language) },
+                  { label: t('roi.retainers'), value: money(total.retainer, currency) },
+                ].map((kpi) => (
+                  <div key={kpi.label}>
+                    <p className="text-[10px] font-black uppercase tracking-widest mb-2 text-slate-500">{kpi.label}</p>
+                    <p className="text-2xl font-black text-white">{kpi.value}</p>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <section className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8">
+              <h3 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-6">{t('roi.distribution')}</h3>
+              <ul className="space-y-3">
+                {[
+                  ...report.roasDistribution.map((bucket) => ({ label: bucketLabel(bucket.min, bucket.max), clients: bucket.clients })),
+                  { label: t('roi.withoutSpend'), clients: report.withoutSpend },
+                ].map((bucket) => (
+                  <li key={bucket.label} className="flex items-center gap-4 text-xs font-bold">
+                    <span className="w-28 text-slate-400">{bucket.label}</span>
+                    <span className="flex-1 h-3 bg-white/5 rounded-full overflow-hidden">
+                      <span className="block h-full bg-blue-500 rounded-full" style={{ width: `${(bucket.clients / largestBucket) * 100}%` }} />
+                    </span>
+                    <span className="w-6 text-right text-white">{bucket.clients}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+
+            <section className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8">
+              <h3 className="text-sm font-black uppercase tracking-[0.3em] text-red-400 mb-6">{t('roi.trendingDown')}</h3>
+              {trendingDown.length === 0 && <p className="text-slate-500 font-medium">{t('roi.noneTrendingDown')}</p>}
+              <ul className="space-y-3">
+                {trendingDown.map((row) => (
+                  <li key={row.domain} className="flex items-center justify-between gap-4">
+                    <span className="flex items-center gap-2 font-bold text-white"><TrendingDown className="w-4 h-4 text-red-400" /> {row.name}</span>
+                    <span className="text-xs font-bold text-slate-400">
+                      {t('roi.roasChange')} {formatChange(row.roasChange, language)} · {t('roi.revenueChange')} {formatChange(row.revenueChange, language)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </div>
+
+          <div className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr>
+                  {COLUMNS.map((column) => (
+                    <th key={column} aria-sort={sort.key === column ? (sort.descending ? 'descending' : 'ascending') : undefined} className={`pb-4 text-[10px] font-black uppercase tracking-widest text-slate-500 ${column === 'name' ? 'text-left' : 'text-right'}`}>
+                      <button onClick={() => handleSort(column)} className="inline-flex items-center gap-1 uppercase hover:text-white transition-all">
+                        {t(`roi.columns.${column}`)}
+                        {sort.key === column && (sort.descending ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/5">
+                {rows.map((row) => (
+                  <tr key={row.domain}>
+                    {COLUMNS.map((column) => (
+                      <td key={column} className={`py-4 font-bold text-slate-300 ${column === 'name' ? 'text-left' : 'text-right'}`}>{cell(row, column)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-6 text-xs font-medium text-slate-500">{t('roi.resultsPerFeeHint')}</p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AgencyRoi;
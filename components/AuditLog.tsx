@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { History } from 'lucide-react';
+import { AuditEntry, ClientData } from '../types';
+import { AUDIT_ACTION_TYPES } from '../constants';
+import { AUDIT_PAGE_SIZE, AuditQuery, listAuditEntries } from '../services/audit';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const formatValue = (value: unknown): string =>
+  Array.isArray(value) ? value.map(formatValue).join(', ') : value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+/**
+ * Admin viewer of the audit log: who changed what, newest first, filtered by
+ * client, actor and action type.
+ */
+const AuditLog = ({ clients }: { clients: ClientData[] }) => {
+  const { language, t } = useLanguage();
+  const [filter, setFilter] = useState<AuditQuery>({});
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async (query: AuditQuery, append: boolean) => {
+    setError(null);
+    try {
+      const page = await listAuditEntries(query);
+      setEntries((current) => (append ? [...current, ...page] : page));
+      setHasMore(page.length === AUDIT_PAGE_SIZE);
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  useEffect(() => {
+    // Typing in the actor field should not fire a request per key
+    const timer = setTimeout(() => load(filter, false), 300);
+    return () => clearTimeout(timer);
+  }, [filter.client, filter.actor, filter.action]);
+
+  const targetLabel = (entry: AuditEntry) =>
+    entry.target && (entry.action.startsWith('setup.') ? t(`platforms.${entry.target}.title`) : `#${entry.target}`);
+
+  const inputClass = 'px-3 py-2 rounded-xl bg-slate-900 border border-white/10 text-xs font-bold text-slate-300';
+
+  return (
+    <div className="space-y-8">
+      <header className="flex flex-wrap items-end justify-between gap-6">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">{t('audit.title')}</h2>
+          <p className="text-slate-500 font-medium">{t('audit.lead')}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={filter.client || ''} onChange={(e) => setFilter({ ...filter, client: e.target.value || undefined })} aria-label={t('audit.client')} className={inputClass}>
+            <option value="">{t('audit.allClients')}</option>
+            {clients.map((client) => <option key={client.domain} value={client.domain}>{client.name}</option>)}
+          </select>
+          <input type="search" value={filter.actor || ''} onChange={(e) => setFilter({ ...filter, actor: e.target.value || undefined })} placeholder={t('audit.actor')} aria-label={t('audit.actor')} className={inputClass} />
+          <select value={filter.action || ''} onChange={(e) => setFilter({ ...filter, action: e.target.value || undefined })} aria-label={t('audit.actionType')} className={inputClass}>
+            <option value="">{t('audit.allActions')}</option>
+            {AUDIT_ACTION_TYPES.map((type) => <option key={type} value={type}>{t(`audit.types.${type}`)}</option>)}
+          </select>
+        </div>
+      </header>
+
+      {error && <p role="alert" className="text-sm font-bold text-red-400">{error}</p>}
+
+      <div className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 overflow-x-auto">
+        {entries.length === 0 && (
+          <p className="text-center text-slate-500 font-bold py-8">
+            <History className="w-8 h-8 mx-auto mb-4 text-slate-600" />
+            {t('audit.empty')}
+          </p>
+        )}
+        {entries.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-[10px] font-black uppercase tracking-widest text-slate-500">
+                <th className="pb-4">{t('audit.columns.time')}</th>
+                <th className="pb-4">{t('audit.columns.actor')}</th>
+                <th className="pb-4">{t('audit.columns.action')}</th>
+                <th className="pb-4">{t('audit.columns.client')}</th>
+                <th className="pb-4">{t('audit.columns.details')}</th>
+                <th className="pb-4">{t('audit.columns.correlationId')}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-white/5">
+              {entries.map((entry) => (
+                <tr key={entry.id} className="align-top">
+                  <td className="py-4 pr-4 text-xs font-bold text-slate-400 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString(language)}</td>
+                  <td className="py-4 pr-4">
+                    <p className="font-black text-white">{entry.actorName}</p>
+                    <p className="text-xs text-slate-500">{entry.actorEmail} · {t(`audit.roles.${entry.actorRole}`)}</p>
+                  </td>
+                  <td className="py-4 pr-4 font-bold text-slate-300">
+                    {t(`audit.actions.${entry.action}`)}
+                    {entry.target && <span className="block text-xs text-slate-500">{targetLabel(entry)}</span>}
+                  </td>
+                  <td className="py-4 pr-4 font-bold text-slate-300">{entry.clientDomain || '–'}</td>
+                  <td className="py-4 pr-4 text-xs text-slate-400">
+                    {Object.entries(entry.details || {}).map(([key, value]: [string, unknown]) => (
+                      <p key={key}><span className="text-slate-500">{key}:</span> {formatValue(value)}</p>
+                    ))}
+                  </td>
+                  <td className="py-4 font-mono text-[10px] text-slate-500" title={entry.correlationId}>{entry.correlationId.slice(0, 8)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {hasMore && (
+          <button onClick={() => load({ ...filter, before: entries[entries.length - 1].id }, true)} className="mt-6 px-4 py-2 rounded-xl bg-white/5 border border-white/10 text-xs font-bold text-slate-300 hover:text-white transition-all">
+            {t('audit.loadOlder')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle2, Circle, StickyNote, X } from 'lucide-react';
+import { ClientData, ClientNote, DailyMetric } from '../types';
+import { CHANNELS } from '../constants';
+import { channelCompleteness, daysBefore, isoDate, weeklyTrend } from '../channels';
+import { formatCount, formatMoney, formatRoas, roas } from '../metrics';
+import { fetchDailyMetrics } from '../services/metrics';
+import { listNotes } from '../services/notes';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const TREND_WEEKS = 4;
+
+/**
+ * Admin drill-down for one marketing channel of a client: setup
+ * completeness, recent trend and the tasks and notes tagged with it.
+ */
+const ChannelPanel = ({ client, channelId, onClose }: { client: ClientData, channelId: string, onClose: () => void }) => {
+  const { language, t } = useLanguage();
+  const [metrics, setMetrics] = useState<DailyMetric[]>([]);
+  const [notes, setNotes] = useState<ClientNote[]>([]);
+  const channel = CHANNELS.find((item) => item.id === channelId);
+  const today = isoDate(new Date());
+
+  useEffect(() => {
+    fetchDailyMetrics(client.domain, { from: daysBefore(today, TREND_WEEKS * 7 - 1), to: today, channel: channelId })
+      .then(setMetrics)
+      .catch(() => setMetrics([]));
+    listNotes(client.domain)
+      .then((all) => setNotes(all.filter((note) => note.channel === channelId)))
+      .catch(() => setNotes([]));
+  }, [client.domain, channelId]);
+
+  if (!channel) return null;
+
+  const completeness = channelCompleteness(client.setupState, channelId);
+  const trend = weeklyTrend(metrics, today, TREND_WEEKS);
+  const maxRevenue = Math.max(...trend.map((point) => Math.max(point.revenue, point.spend)), 1);
+  const tasks = client.tasks.filter((task) => task.channel === channelId);
+  const money = (value: number) => formatMoney(value, client.currency, language);
+
+  return (
+    <div className="bg-slate-800/50 border border-blue-500/30 rounded-[3rem] p-10 space-y-10">
+      <header className="flex items-center justify-between">
+        <div>
+          <h3 className="text-3xl font-black text-white tracking-tight">{channel.label}</h3>
+          <p className="text-slate-500 font-medium">{t('channelPanel.setup')}: {completeness === null ? '–' : `${completeness} %`}</p>
+        </div>
+        <button onClick={onClose} aria-label={t('channelPanel.close')} className="w-10 h-10 bg-white/5 rounded-xl flex items-center justify-center text-slate-400 hover:text-white transition-colors">
+          <X className="w-5 h-5" />
+        </button>
+      </header>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
+        <section>
+          <h4 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-6">{t('channelPanel.setup')}</h4>
+          {channel.platformIds.length === 0 && <p className="text-slate-500 text-sm font-medium">{t('channelPanel.noPlatforms')}</p>}
+          <ul className="space-y-3">
+            {channel.platformIds.map((platformId) => {
+              const status = client.setupState[platformId]?.status;
+              return (
+                <li key={platformId} className="flex items-center justify-between p-4 bg-white/5 border border-white/5 rounded-2xl">
+                  <span className="font-bold text-white">{t(`platforms.${platformId}.title`)}</span>
+                  <span className={`text-[10px] font-black uppercase tracking-widest ${status === 'verified' ? 'text-green-400' : status === 'rejected' ? 'text-red-400' : 'text-slate-400'}`}>
+                    {t(`channelPanel.statuses.${status || 'none'}`)}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+
+        <section>
+          <h4 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-6">{t('channelPanel.trend', { weeks: TREND_WEEKS })}</h4>
+          {metrics.length === 0 ? (
+            <p className="text-slate-500 text-sm font-medium">{t('channelPanel.noData')}</p>
+          ) : (
+            <div className="grid grid-cols-4 gap-4 items-end">
+              {trend.map((point) => (
+                <div key={point.from} className="flex flex-col items-center gap-2">
+                  <div className="h-32 w-full flex items-end justify-center gap-1">
+                    <div className="w-4 bg-slate-500/60 rounded-t-md" style={{ height: `${(point.spend / maxRevenue) * 100}%` }} title={`${t('admin.kpi.spend')}: ${money(point.spend)}`} />
+                    <div className="w-4 bg-blue-500 rounded-t-md" style={{ height: `${(point.revenue / maxRevenue) * 100}%` }} title={`${t('admin.kpi.revenue')}: ${money(point.revenue)}`} />
+                  </div>
+                  <span className="text-xs font-black text-white">{formatRoas(roas(point), language)}</span>
+                  <span className="text-[10px] font-bold text-slate-500">{new Date(`${point.from}T00:00:00`).toLocaleDateString(language, { day: 'numeric', month: 'numeric' })}</span>
+                  <span className="text-[10px] font-bold text-slate-500">{formatCount(point.conversions, language)} {t('admin.kpi.conversions')}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <section>
+          <h4 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-6">{t('channelPanel.tasks')}</h4>
+          {tasks.length === 0 && <p className="text-slate-500 text-sm font-medium">{t('channelPanel.nothingLinked')}</p>}
+          <ul className="space-y-3">
+            {tasks.map((task) => (
+              <li key={task.id} className="flex items-center gap-3 text-slate-300 font-medium">
+                {task.status === 'done' ? <CheckCircle2 className="w-4 h-4 text-green-400" /> : <Circle className="w-4 h-4 text-slate-500" />}
+                <span className={task.status === 'done' ? 'line-through text-slate-500' : ''}>{task.title}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section>
+          <h4 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-6">{t('channelPanel.notes')}</h4>
+          {notes.length === 0 && <p className="text-slate-500 text-sm font-medium">{t('channelPanel.nothingLinked')}</p>}
+          <ul className="space-y-3">
+            {notes.map((note) => (
+              <li key={note.id} className="flex items-start gap-3 text-slate-300 font-medium">
+                <StickyNote className="w-4 h-4 mt-1 text-slate-500 flex-shrink-0" />
+                <span>
+                  {note.title}
+                  <span className="ml-2 text-[10px] font-black uppercase tracking-widest text-slate-500">{t(`notesBoard.categories.${note.category}`)}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelPanel;
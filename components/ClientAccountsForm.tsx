@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { ClientData } from '../types';
+import { updateClient } from '../services/clients';
+import { ACCOUNT_FIELDS } from '../i18n/templates';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/**
+ * Admin form for the client's account IDs that instruction templates
+ * reference, and the billing details the Agency ROI report uses.
+ */
+const ClientAccountsForm = ({ client, onSaved }: { client: ClientData, onSaved: (client: ClientData) => void }) => {
+  const { t } = useLanguage();
+  const [values, setValues] = useState<Record<string, string>>(client.accountIds);
+  const [billing, setBilling] = useState({ currency: client.currency, retainerFee: String(client.retainerFee) });
+  const [status, setStatus] = useState<string | null>(null);
+
+  useEffect(() => setValues(client.accountIds), [client.domain, client.accountIds]);
+  useEffect(
+    () => setBilling({ currency: client.currency, retainerFee: String(client.retainerFee) }),
+    [client.domain, client.currency, client.retainerFee]
+  );
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setStatus(null);
+    const accountIds = Object.fromEntries(
+      Object.entries(values).map(([field, value]: [string, string]) => [field, value.trim()]).filter(([, value]) => value)
+    );
+    try {
+      onSaved(await updateClient(client.domain, {
+        accountIds,
+        currency: billing.currency.trim().toUpperCase(),
+        retainerFee: Number(billing.retainerFee) || 0,
+      }));
+      setStatus(t('clientAccounts.saved'));
+    } catch (err) {
+      setStatus((err as Error).message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-slate-800/50 border border-white/5 rounded-[3rem] p-10">
+      <h3 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-2">{t('clientAccounts.title')}</h3>
+      <p className="text-slate-500 font-medium mb-8">{t('clientAccounts.lead')}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <label className="block">
+          <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t('clientAccounts.currency')}</span>
+          <input
+            required
+            maxLength={3}
+            pattern="[A-Za-z]{3}"
+            value={billing.currency}
+            onChange={(e) => setBilling({ ...billing, currency: e.target.value })}
+            className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium uppercase focus:outline-none focus:border-blue-500"
+          />
+        </label>
+        <label className="block">
+          <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t('clientAccounts.retainerFee')}</span>
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={billing.retainerFee}
+            onChange={(e) => setBilling({ ...billing, retainerFee: e.target.value })}
+            className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500"
+          />
+        </label>
+        {ACCOUNT_FIELDS.map((field) => (
+          <label key={field} className="block">
+            <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t(`accountFields.${field}`)}</span>
+            <input
+              value={values[field] || ''}
+              onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-4">
+        <button type="submit" className="px-6 py-3 rounded-xl bg-white text-slate-900 font-black hover:bg-blue-50 transition-all">{t('common.save')}</button>
+        {status && <p role="status" className="text-sm font-bold text-slate-400">{status}</p>}
+      </div>
+    </form>
+  );
+};
+
+export default ClientAccountsForm;
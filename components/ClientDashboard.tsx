@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CalendarClock, CheckCircle2, Circle, PackageCheck } from 'lucide-react';
+import { ClientData, Deliverable, MetricsSummary } from '../types';
+import { CHANNELS } from '../constants';
+import { isoDate } from '../channels';
+import { DEFAULT_PERIOD_DAYS, periodEnding } from '../metrics';
+import { listDeliverables } from '../services/deliverables';
+import { fetchMetricsSummary } from '../services/metrics';
+import { useLanguage } from '../i18n/LanguageContext';
+import MessageThread from './MessageThread';
+import KpiGrid from './KpiGrid';
+
+/** Recently delivered items shown below the upcoming ones */
+const DELIVERED_LIMIT = 3;
+
+/**
+ * Read-only overview for a client that finished onboarding: KPIs, the
+ * agency's task list, deliverables and the message thread with the agency.
+ */
+const ClientDashboard = ({ client }: { client: ClientData }) => {
+  const { language, t } = useLanguage();
+  const [deliverables, setDeliverables] = useState<Deliverable[]>([]);
+  const [summary, setSummary] = useState<MetricsSummary | null>(null);
+  const [periodDays, setPeriodDays] = useState(DEFAULT_PERIOD_DAYS);
+  const today = isoDate(new Date());
+
+  useEffect(() => {
+    listDeliverables(client.domain).then(setDeliverables).catch(() => setDeliverables([]));
+  }, [client.domain]);
+
+  useEffect(() => {
+    fetchMetricsSummary(client.domain, periodEnding(today, periodDays)).then(setSummary).catch(() => setSummary(null));
+  }, [client.domain, periodDays, today]);
+
+  const upcoming = deliverables.filter((deliverable) => deliverable.status === 'planned');
+  const delivered = deliverables.filter((deliverable) => deliverable.status === 'delivered').reverse().slice(0, DELIVERED_LIMIT);
+  const openTasks = client.tasks.filter((task) => task.status === 'todo').length;
+  const formatDate = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString(language);
+  const channelLabel = (channelId?: string) => CHANNELS.find((channel) => channel.id === channelId)?.label;
+
+  return (
+    <div className="space-y-10">
+      <KpiGrid summary={summary} days={periodDays} onDaysChange={setPeriodDays} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <section className="bg-white border border-slate-200/60 rounded-[2.5rem] p-10">
+          <h3 className="text-sm font-black uppercase tracking-[0.3em] text-blue-600 mb-2">{t('dashboard.tasks')}</h3>
+          <p className="text-slate-400 font-medium mb-8">{t('dashboard.openTasks', { count: openTasks })}</p>
+          {client.tasks.length === 0 && <p className="text-slate-400 text-sm font-medium">{t('dashboard.noTasks')}</p>}
+          <ul className="space-y-3">
+            {client.tasks.map((task) => (
+              <li key={task.id} className="flex items-center gap-4 p-4 bg-slate-50 border border-slate-100 rounded-2xl">
+                {task.status === 'done' ? <CheckCircle2 className="w-5 h-5 text-green-500 flex-shrink-0" /> : <Circle className="w-5 h-5 text-slate-300 flex-shrink-0" />}
+                <span className={`font-bold flex-1 ${task.status === 'done' ? 'text-slate-400 line-through' : 'text-slate-800'}`}>{task.title}</span>
+                <span className={`text-[10px] font-black uppercase tracking-widest ${task.status === 'done' ? 'text-green-600' : 'text-slate-400'}`}>
+                  {t(`dashboard.taskStatus.${task.status}`)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="bg-white border border-slate-200/60 rounded-[2.5rem] p-10">
+          <h3 className="text-sm font-black uppercase tracking-[0.3em] text-blue-600 mb-8">{t('dashboard.deliverables')}</h3>
+          {upcoming.length === 0 && <p className="text-slate-400 text-sm font-medium">{t('dashboard.noDeliverables')}</p>}
+          <ul className="space-y-3">
+            {upcoming.map((deliverable) => (
+              <li key={deliverable.id} className="flex items-start gap-4 p-4 bg-slate-50 border border-slate-100 rounded-2xl">
+                {deliverable.dueDate < today
+                  ? <AlertCircle className="w-5 h-5 mt-0.5 text-orange-500 flex-shrink-0" />
+                  : <CalendarClock className="w-5 h-5 mt-0.5 text-blue-600 flex-shrink-0" />}
+                <div className="flex-1">
+                  <p className="font-bold text-slate-800">{deliverable.title}</p>
+                  {deliverable.description && <p className="text-sm text-slate-500 font-medium">{deliverable.description}</p>}
+                  <p className="mt-1 text-[10px] font-black uppercase tracking-widest text-slate-400">
+                    {t(deliverable.dueDate < today ? 'dashboard.overdue' : 'dashboard.due', { date: formatDate(deliverable.dueDate) })}
+                    {channelLabel(deliverable.channel) && ` · ${channelLabel(deliverable.channel)}`}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {delivered.length > 0 && (
+            <>
+              <h4 className="mt-8 mb-4 text-[10px] font-black uppercase tracking-[0.2em] text-slate-400">{t('dashboard.delivered')}</h4>
+              <ul className="space-y-2">
+                {delivered.map((deliverable) => (
+                  <li key={deliverable.id} className="flex items-center gap-3 text-sm text-slate-500 font-medium">
+                    <PackageCheck className="w-4 h-4 text-green-500" />
+                    <span className="flex-1">{deliverable.title}</span>
+                    <span className="text-xs">{formatDate(deliverable.dueDate)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+      </div>
+
+      <MessageThread domain={client.domain} ownRole="CUSTOMER" />
+    </div>
+  );
+};
+
+export default ClientDashboard;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowRight, CheckCircle2, Clock, PlusCircle, Trash2 } from 'lucide-react';
+import { ClientData, MetricsSummary } from '../types';
+import { formatMoney, formatRoas, roas } from '../metrics';
+import { createClient, deleteClient } from '../services/clients';
+import { fetchPortfolioSummaries } from '../services/metrics';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/**
+ * Admin portfolio overview: every client with onboarding state and headline KPIs.
+ */
+const ClientList = ({ clients, onSelect, onChange }: {
+  clients: ClientData[],
+  onSelect: (domain: string) => void,
+  onChange: () => void,
+}) => {
+  const { language, t } = useLanguage();
+  const [showForm, setShowForm] = useState(false);
+  const [summaries, setSummaries] = useState<Record<string, MetricsSummary>>({});
+  const [form, setForm] = useState({ domain: '', name: '', email: '' });
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchPortfolioSummaries().then(setSummaries).catch(() => setSummaries({}));
+  }, [clients]);
+
+  const handleCreate = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+    try {
+      await createClient(form);
+      setForm({ domain: '', name: '', email: '' });
+      setShowForm(false);
+      onChange();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const handleDelete = async (client: ClientData) => {
+    if (!window.confirm(t('clientList.confirmDelete', { name: client.name }))) return;
+    await deleteClient(client.domain);
+    onChange();
+  };
+
+  return (
+    <div className="space-y-8">
+      <header className="flex items-center justify-between">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">{t('clientList.title')}</h2>
+          <p className="text-slate-500 font-medium">{t('clientList.count', { count: clients.length })}</p>
+        </div>
+        <button onClick={() => setShowForm(!showForm)} className="flex items-center gap-3 px-6 py-3.5 bg-blue-600 text-white rounded-2xl font-bold hover:bg-blue-500 transition-all shadow-xl shadow-blue-500/20">
+          <PlusCircle className="w-5 h-5" /> {t('clientList.newClient')}
+        </button>
+      </header>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          {(['domain', 'name', 'email'] as const).map((field) => (
+            <label key={field} className="block">
+              <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">
+                {t(`clientList.${field}`)}
+              </span>
+              <input
+                required
+                type={field === 'email' ? 'email' : 'text'}
+                value={form[field]}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500"
+              />
+            </label>
+          ))}
+          <button type="submit" className="py-3 rounded-xl bg-white text-slate-900 font-black hover:bg-blue-50 transition-all">{t('common.save')}</button>
+          {error && <p role="alert" className="md:col-span-4 text-sm font-bold text-red-400">{error}</p>}
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {clients.map((client) => {
+          const openTasks = client.tasks.filter((task) => task.status === 'todo').length;
+          const summary = summaries[client.domain];
+          return (
+            <div key={client.domain} className="bg-slate-800/50 border border-white/5 rounded-[2.5rem] p-8 hover:border-blue-500/30 transition-all group">
+              <div className="flex items-start justify-between mb-6">
+                <div>
+                  <h3 className="text-2xl font-black text-white tracking-tight">{client.name}</h3>
+                  <p className="text-slate-500 text-sm font-medium">{client.domain}</p>
+                </div>
+                <span className={`flex items-center gap-1.5 text-[10px] font-black uppercase tracking-widest px-3 py-1.5 rounded-lg ${client.onboardingComplete ? 'bg-green-500/10 text-green-400' : 'bg-orange-500/10 text-orange-400'}`}>
+                  {client.onboardingComplete ? <CheckCircle2 className="w-3 h-3" /> : <Clock className="w-3 h-3" />}
+                  {client.onboardingComplete ? t('clientList.active') : t('clientList.onboarding')}
+                </span>
+              </div>
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                <div>
+                  <p className="text-xl font-black text-white">{summary ? formatRoas(roas(summary.current), language) : '–'}</p>
+                  <p className="text-[10px] font-bold text-slate-500 uppercase">ROAS</p>
+                </div>
+                <div>
+                  <p className="text-xl font-black text-white">{summary ? formatMoney(summary.current.spend, summary.currency, language) : '–'}</p>
+                  <p className="text-[10px] font-bold text-slate-500 uppercase">Spend</p>
+                </div>
+                <div>
+                  <p className="text-xl font-black text-white">{openTasks}</p>
+                  <p className="text-[10px] font-bold text-slate-500 uppercase">{t('clientList.openTasks')}</p>
+                </div>
+              </div>
+              <div className="flex gap-3">
+                <button onClick={() => onSelect(client.domain)} className="flex-1 flex items-center justify-center gap-2 py-3 bg-white/5 border border-white/10 rounded-xl font-bold text-slate-300 hover:text-white hover:border-blue-500/40 transition-all">
+                  {t('clientList.open')} <ArrowRight className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleDelete(client)} aria-label={t('clientList.delete', { name: client.name })} className="px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-slate-500 hover:text-red-400 transition-all">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ClientList;
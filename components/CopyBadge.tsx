@@ -0,0 +1,31 @@
+import React, { useState } from 'react';
+import { CheckCircle2, Copy } from 'lucide-react';
+
+/**
+ * CopyBadge component to provide a user-friendly way to copy text (like emails) to clipboard.
+ */
+const CopyBadge = ({ text }: { text: string }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      className={`inline-flex items-center gap-2 px-3 py-1 rounded-lg border font-bold text-sm transition-all ${
+        copied 
+        ? 'bg-green-50 border-green-200 text-green-600' 
+        : 'bg-white border-slate-200 text-blue-600 hover:border-blue-300 hover:bg-blue-50'
+      }`}
+    >
+      {text}
+      {copied ? <CheckCircle2 className="w-3.5 h-3.5" /> : <Copy className="w-3.5 h-3.5" />}
+    </button>
+  );
+};
+
+export default CopyBadge;
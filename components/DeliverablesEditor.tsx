@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle2, Circle, PlusCircle, Trash2 } from 'lucide-react';
+import { Deliverable } from '../types';
+import { CHANNELS } from '../constants';
+import { createDeliverable, deleteDeliverable, DeliverableInput, listDeliverables, updateDeliverable } from '../services/deliverables';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const inputClass = 'px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500';
+
+const toInput = ({ title, description, dueDate, channel, status }: Deliverable): DeliverableInput =>
+  ({ title, description, dueDate, channel, status });
+
+/**
+ * Admin list of what the agency owes a client; the client sees it on their dashboard.
+ */
+const DeliverablesEditor = ({ domain }: { domain: string }) => {
+  const { language, t } = useLanguage();
+  const [deliverables, setDeliverables] = useState<Deliverable[]>([]);
+  const [form, setForm] = useState<DeliverableInput>({ title: '', dueDate: '', status: 'planned' });
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = () => listDeliverables(domain).then(setDeliverables).catch(() => setDeliverables([]));
+
+  useEffect(() => {
+    setError(null);
+    refresh();
+  }, [domain]);
+
+  const handleCreate = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+    try {
+      await createDeliverable(domain, form);
+      setForm({ title: '', dueDate: '', status: 'planned' });
+      refresh();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const handleToggle = async (deliverable: Deliverable) => {
+    await updateDeliverable(domain, deliverable.id, {
+      ...toInput(deliverable),
+      status: deliverable.status === 'delivered' ? 'planned' : 'delivered',
+    });
+    refresh();
+  };
+
+  const handleDelete = async (deliverable: Deliverable) => {
+    if (!window.confirm(t('deliverables.confirmDelete', { title: deliverable.title }))) return;
+    await deleteDeliverable(domain, deliverable.id);
+    refresh();
+  };
+
+  return (
+    <div className="bg-slate-800/50 border border-white/5 rounded-[3rem] p-10">
+      <h3 className="text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-8">{t('deliverables.title')}</h3>
+      {deliverables.length === 0 && <p className="text-slate-500 text-sm font-medium mb-6">{t('deliverables.empty')}</p>}
+      <ul className="space-y-3 mb-8">
+        {deliverables.map((deliverable) => (
+          <li key={deliverable.id} className="flex items-center gap-4 p-5 bg-white/5 border border-white/5 rounded-2xl">
+            <button onClick={() => handleToggle(deliverable)} aria-label={t('deliverables.toggle', { title: deliverable.title })}>
+              {deliverable.status === 'delivered' ? <CheckCircle2 className="w-5 h-5 text-green-400" /> : <Circle className="w-5 h-5 text-slate-600" />}
+            </button>
+            <span className={`flex-1 font-bold ${deliverable.status === 'delivered' ? 'text-slate-500 line-through' : 'text-white'}`}>{deliverable.title}</span>
+            {deliverable.channel && <span className="text-[10px] font-black text-blue-400 uppercase">{CHANNELS.find((channel) => channel.id === deliverable.channel)?.label}</span>}
+            <span className="text-xs font-bold text-slate-500">{new Date(`${deliverable.dueDate}T00:00:00`).toLocaleDateString(language)}</span>
+            <button onClick={() => handleDelete(deliverable)} aria-label={t('deliverables.delete', { title: deliverable.title })} className="text-slate-500 hover:text-red-400 transition-colors">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleCreate} className="flex flex-wrap gap-3">
+        <input required value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} placeholder={t('deliverables.newTitle')} aria-label={t('deliverables.newTitle')} className={`${inputClass} flex-1 min-w-[12rem]`} />
+        <input required type="date" value={form.dueDate} onChange={(e) => setForm({ ...form, dueDate: e.target.value })} aria-label={t('deliverables.dueDate')} className={inputClass} />
+        <select value={form.channel || ''} onChange={(e) => setForm({ ...form, channel: e.target.value || undefined })} aria-label={t('notesBoard.channel')} className={inputClass}>
+          <option value="">{t('notesBoard.noChannel')}</option>
+          {CHANNELS.map((channel) => <option key={channel.id} value={channel.id}>{channel.label}</option>)}
+        </select>
+        <button type="submit" className="px-6 py-3 rounded-xl bg-white text-slate-900 font-black hover:bg-blue-50 transition-all flex items-center gap-2">
+          <PlusCircle className="w-4 h-4" /> {t('deliverables.add')}
+        </button>
+      </form>
+      {error && <p role="alert" className="mt-3 text-sm font-bold text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default DeliverablesEditor;
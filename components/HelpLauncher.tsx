@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { HelpCircle, X } from 'lucide-react';
+import KnowledgeBase from './KnowledgeBase';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/**
+ * Floating help button that opens the knowledge base in a side panel,
+ * so clients can look things up without leaving the setup.
+ */
+const HelpLauncher = () => {
+  const { t } = useLanguage();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <button onClick={() => setOpen(true)} className="fixed bottom-8 right-8 z-40 flex items-center gap-2 px-6 py-4 bg-slate-900 text-white rounded-full font-black shadow-2xl hover:bg-blue-600 transition-all">
+        <HelpCircle className="w-5 h-5" /> {t('knowledge.help')}
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 flex justify-end bg-slate-900/30 backdrop-blur-sm" onClick={() => setOpen(false)}>
+          <aside role="dialog" aria-label={t('knowledge.title')} onClick={(e) => e.stopPropagation()} className="w-full max-w-xl h-full overflow-y-auto bg-slate-50 p-10 shadow-2xl">
+            <div className="flex justify-end mb-4">
+              <button onClick={() => setOpen(false)} aria-label={t('knowledge.close')} className="w-10 h-10 rounded-full border border-slate-200 flex items-center justify-center text-slate-400 hover:text-slate-900 transition-colors">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <KnowledgeBase theme="light" />
+          </aside>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default HelpLauncher;
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Search } from 'lucide-react';
+import { KnowledgeArticle, KnowledgeSearchHit } from '../types';
+import { getArticle, searchArticles } from '../services/knowledge';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/** Wait for a pause in typing before searching */
+const SEARCH_DELAY_MS = 250;
+
+const THEMES = {
+  light: {
+    title: 'text-2xl font-black text-slate-900',
+    lead: 'text-slate-400',
+    input: 'bg-white border border-slate-200 text-slate-700',
+    tag: 'border border-slate-200 text-slate-500 hover:border-blue-300',
+    activeTag: 'bg-blue-600 border border-blue-600 text-white',
+    hit: 'bg-white border border-slate-200/60 hover:border-blue-300',
+    hitTitle: 'text-slate-900',
+    muted: 'text-slate-400',
+    article: 'text-slate-700',
+  },
+  dark: {
+    title: 'text-4xl font-black text-white tracking-tight',
+    lead: 'text-slate-500',
+    input: 'bg-slate-900 border border-white/10 text-white',
+    tag: 'border border-white/10 text-slate-400 hover:text-white',
+    activeTag: 'bg-blue-600 border border-blue-600 text-white',
+    hit: 'bg-slate-800/50 border border-white/5 hover:border-blue-500/30',
+    hitTitle: 'text-white',
+    muted: 'text-slate-500',
+    article: 'text-slate-300',
+  },
+};
+
+/**
+ * Searchable help articles in the current language. Admins see the agency's
+ * own articles too; the server decides what each role may read.
+ */
+const KnowledgeBase = ({ theme = 'dark' }: { theme?: keyof typeof THEMES }) => {
+  const { language, t } = useLanguage();
+  const styles = THEMES[theme];
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState<string | null>(null);
+  const [hits, setHits] = useState<KnowledgeSearchHit[]>([]);
+  const [tags, setTags] = useState<string[]>([]);
+  const [article, setArticle] = useState<KnowledgeArticle | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      searchArticles({ query: query.trim(), language, tag: tag || undefined })
+        .then((result) => {
+          setHits(result.articles);
+          setTags(result.tags);
+          setError(null);
+        })
+        .catch((err) => setError((err as Error).message));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, tag, language]);
+
+  // Switching the language shows the same article in the new language, if it was translated
+  useEffect(() => {
+    if (!article || article.language === language) return;
+    getArticle(language, article.slug).then(setArticle).catch(() => setArticle(null));
+  }, [language, article]);
+
+  const openArticle = async (hit: KnowledgeSearchHit) => {
+    try {
+      setArticle(await getArticle(language, hit.slug));
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  if (article) {
+    return (
+      <article className="space-y-6">
+        <button onClick={() => setArticle(null)} className={`flex items-center gap-2 text-xs font-black uppercase tracking-widest ${styles.muted} hover:text-blue-500 transition-colors`}>
+          <ArrowLeft className="w-4 h-4" /> {t('knowledge.back')}
+        </button>
+        <h2 className={styles.title}>{article.title}</h2>
+        <div className={`kb-article font-medium leading-relaxed ${styles.article}`} dangerouslySetInnerHTML={{ __html: article.html }} />
+      </article>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <header>
+        <h2 className={`${styles.title} mb-2`}>{t('knowledge.title')}</h2>
+        <p className={`font-medium ${styles.lead}`}>{t('knowledge.lead')}</p>
+      </header>
+
+      <label className="relative block">
+        <Search className={`w-4 h-4 absolute left-4 top-1/2 -translate-y-1/2 ${styles.muted}`} />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('knowledge.search')}
+          aria-label={t('knowledge.search')}
+          className={`w-full pl-11 pr-4 py-3 rounded-xl font-medium focus:outline-none focus:border-blue-500 ${styles.input}`}
+        />
+      </label>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {tags.map((name) => (
+            <button key={name} onClick={() => setTag(tag === name ? null : name)} aria-pressed={tag === name} className={`px-3 py-1 rounded-lg text-xs font-bold transition-all ${tag === name ? styles.activeTag : styles.tag}`}>
+              #{name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p role="alert" className="text-sm font-bold text-red-500">{error}</p>}
+      {!error && hits.length === 0 && <p className={`font-medium ${styles.muted}`}>{t('knowledge.noResults')}</p>}
+
+      <ul className="space-y-3">
+        {hits.map((hit) => (
+          <li key={hit.slug}>
+            <button onClick={() => openArticle(hit)} className={`w-full text-left p-5 rounded-2xl transition-all ${styles.hit}`}>
+              <p className={`font-black mb-1 ${styles.hitTitle}`}>{hit.title}</p>
+              <p className={`text-sm ${styles.muted}`}>{query.trim() ? hit.excerpt : hit.summary}</p>
+              {hit.audience === 'admin' && (
+                <span className="inline-block mt-2 text-[10px] font-black uppercase tracking-widest text-orange-400">{t('knowledge.forAgency')}</span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default KnowledgeBase;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { MetricsSummary } from '../types';
+import { PERIOD_OPTIONS, change, formatChange, formatCount, formatMoney, formatRoas, roas } from '../metrics';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const THEMES = {
+  light: {
+    card: 'bg-white border border-slate-200/60 rounded-[2rem] p-6 shadow-sm',
+    label: 'text-slate-400',
+    value: 'text-3xl font-black text-slate-900 tracking-tight',
+    caption: 'text-slate-400',
+    select: 'bg-white border border-slate-200 text-slate-700',
+    neutral: 'text-slate-400',
+  },
+  dark: {
+    card: 'bg-slate-800/50 border border-white/5 rounded-[2rem] p-6',
+    label: 'text-slate-500',
+    value: 'text-2xl font-black text-white',
+    caption: 'text-slate-500',
+    select: 'bg-slate-900 border border-white/10 text-slate-300',
+    neutral: 'text-slate-500',
+  },
+};
+
+/**
+ * Headline KPIs of a `MetricsSummary` with the change against the previous
+ * period, and a picker for the period length in days.
+ */
+const KpiGrid = ({ summary, days, onDaysChange, theme = 'light' }: {
+  summary: MetricsSummary | null,
+  days: number,
+  onDaysChange: (days: number) => void,
+  theme?: keyof typeof THEMES,
+}) => {
+  const { language, t } = useLanguage();
+  const styles = THEMES[theme];
+  const formatDate = (date: string) => new Date(`${date}T00:00:00`).toLocaleDateString(language);
+
+  const { current, previous, currency } = summary || {};
+  const kpis = summary ? [
+    // Spend going up is neither good nor bad on its own
+    { label: t('admin.kpi.roas'), value: formatRoas(roas(current), language), delta: change(roas(current), roas(previous)), rated: true },
+    { label: t('admin.kpi.spend'), value: formatMoney(current.spend, currency, language), delta: change(current.spend, previous.spend), rated: false },
+    { label: t('admin.kpi.conversions'), value: formatCount(current.conversions, language), delta: change(current.conversions, previous.conversions), rated: true },
+    { label: t('admin.kpi.revenue'), value: formatMoney(current.revenue, currency, language), delta: change(current.revenue, previous.revenue), rated: true },
+  ] : [];
+  const deltaClass = (delta: number | null, rated: boolean) =>
+    !rated || !delta ? styles.neutral : delta > 0 ? 'text-green-500' : 'text-red-500';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <p className={`text-xs font-bold ${styles.caption}`}>
+          {summary && t('metrics.comparedTo', { from: formatDate(summary.previousRange.from), to: formatDate(summary.previousRange.to) })}
+        </p>
+        <select value={days} onChange={(e) => onDaysChange(Number(e.target.value))} aria-label={t('metrics.period')} className={`px-3 py-2 rounded-xl text-xs font-bold ${styles.select}`}>
+          {PERIOD_OPTIONS.map((option) => (
+            <option key={option} value={option}>{t('metrics.lastDays', { days: option })}</option>
+          ))}
+        </select>
+      </div>
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+        {kpis.map((kpi) => (
+          <div key={kpi.label} className={styles.card}>
+            <p className={`text-[10px] font-black uppercase tracking-widest mb-2 ${styles.label}`}>{kpi.label}</p>
+            <p className={styles.value}>{kpi.value}</p>
+            <p className={`text-xs font-black mt-2 ${deltaClass(kpi.delta, kpi.rated)}`}>{formatChange(kpi.delta, language)}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KpiGrid;
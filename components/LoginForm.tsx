@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { ArrowRight, Lock, X } from 'lucide-react';
+import { login } from '../services/auth';
+import { SessionUser } from '../types';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/**
+ * Email + password login dialog. The role is resolved by the portal API,
+ * never by which button opened the dialog.
+ */
+const LoginForm = ({ onSuccess, onClose }: { onSuccess: (user: SessionUser) => void, onClose: () => void }) => {
+  const { t } = useLanguage();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      onSuccess(await login(email, password));
+    } catch {
+      setError(t('login.invalid'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-white rounded-[2.5rem] border border-slate-100 shadow-2xl p-10 relative animate-fadeIn">
+        <button type="button" onClick={onClose} aria-label={t('common.close')} className="absolute top-6 right-6 w-10 h-10 rounded-full flex items-center justify-center text-slate-300 hover:text-slate-900 transition-colors">
+          <X className="w-5 h-5" />
+        </button>
+        <div className="w-12 h-12 bg-slate-900 rounded-2xl flex items-center justify-center text-white mb-6">
+          <Lock className="w-5 h-5" />
+        </div>
+        <h3 className="text-3xl font-black text-slate-900 tracking-tight mb-2">{t('login.title')}</h3>
+        <p className="text-slate-500 font-medium mb-8">{t('login.lead')}</p>
+
+        <label className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2" htmlFor="login-email">{t('login.email')}</label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="w-full mb-6 px-5 py-4 rounded-2xl border border-slate-200 font-medium focus:outline-none focus:border-blue-500"
+        />
+
+        <label className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-400 mb-2" htmlFor="login-password">{t('login.password')}</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full mb-6 px-5 py-4 rounded-2xl border border-slate-200 font-medium focus:outline-none focus:border-blue-500"
+        />
+
+        {error && <p role="alert" className="mb-6 text-sm font-bold text-red-600">{error}</p>}
+
+        <button type="submit" disabled={submitting} className="w-full inline-flex items-center justify-center gap-3 bg-slate-900 text-white px-8 py-5 rounded-2xl font-black hover:bg-blue-600 transition-all shadow-xl disabled:opacity-60">
+          {t('login.submit')} <ArrowRight className="w-5 h-5" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { Send } from 'lucide-react';
+import { ClientMessage, UserRole } from '../types';
+import { listMessages, sendMessage } from '../services/messages';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const THEMES = {
+  light: {
+    card: 'bg-white border border-slate-200/60 rounded-[2.5rem] p-10',
+    heading: 'text-sm font-black uppercase tracking-[0.3em] text-blue-600 mb-8',
+    own: 'bg-blue-600 text-white',
+    other: 'bg-slate-50 border border-slate-100 text-slate-700',
+    meta: 'text-slate-400',
+    input: 'flex-1 px-5 py-4 rounded-2xl border border-slate-200 text-slate-700 font-medium focus:outline-none focus:border-blue-500',
+    button: 'bg-slate-900 text-white hover:bg-blue-600',
+  },
+  dark: {
+    card: 'bg-slate-800/50 border border-white/5 rounded-[3rem] p-10',
+    heading: 'text-sm font-black uppercase tracking-[0.3em] text-blue-400 mb-8',
+    own: 'bg-blue-600 text-white',
+    other: 'bg-white/5 border border-white/5 text-slate-200',
+    meta: 'text-slate-500',
+    input: 'flex-1 px-5 py-4 rounded-2xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500',
+    button: 'bg-white text-slate-900 hover:bg-blue-50',
+  },
+};
+
+/**
+ * The thread between a client and the agency. Messages from `ownRole` are
+ * aligned right; `refreshKey` reloads the thread after messages were posted
+ * elsewhere (e.g. an approved AI suggestion).
+ */
+const MessageThread = ({ domain, ownRole, theme = 'light', refreshKey = 0 }: {
+  domain: string,
+  ownRole: UserRole,
+  theme?: keyof typeof THEMES,
+  refreshKey?: number,
+}) => {
+  const { language, t } = useLanguage();
+  const [messages, setMessages] = useState<ClientMessage[]>([]);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const styles = THEMES[theme];
+
+  useEffect(() => {
+    listMessages(domain).then(setMessages).catch(() => setMessages([]));
+  }, [domain, refreshKey]);
+
+  const handleSend = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+    setError(null);
+    try {
+      const message = await sendMessage(domain, draft);
+      setMessages((current) => [...current, message]);
+      setDraft('');
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  return (
+    <section className={styles.card}>
+      <h3 className={styles.heading}>{t('messages.title')}</h3>
+      {messages.length === 0 && <p className={`text-sm font-medium mb-6 ${styles.meta}`}>{t('messages.empty')}</p>}
+      <ul className="space-y-4 mb-8">
+        {messages.map((message) => (
+          <li key={message.id} className={`flex flex-col ${message.authorRole === ownRole ? 'items-end' : 'items-start'}`}>
+            <div className={`max-w-[80%] px-5 py-4 rounded-2xl font-medium whitespace-pre-line ${message.authorRole === ownRole ? styles.own : styles.other}`}>
+              {message.body}
+            </div>
+            <span className={`mt-1 text-[10px] font-bold ${styles.meta}`}>
+              {message.authorRole === 'ADMIN' ? t('messages.agency', { name: message.authorName }) : message.authorName}
+              {' · '}
+              {new Date(message.createdAt).toLocaleString(language)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleSend} className="flex gap-3">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={t('messages.placeholder')}
+          aria-label={t('messages.placeholder')}
+          className={styles.input}
+        />
+        <button type="submit" aria-label={t('messages.send')} className={`px-6 rounded-2xl font-black transition-all ${styles.button}`}>
+          <Send className="w-4 h-4" />
+        </button>
+      </form>
+      {error && <p role="alert" className="mt-3 text-sm font-bold text-red-500">{error}</p>}
+    </section>
+  );
+};
+
+export default MessageThread;
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { Clock, GripVertical, Pencil, PlusCircle, Trash2, User } from 'lucide-react';
+import { ClientNote, NoteCategory } from '../types';
+import { CHANNELS, NOTE_CATEGORIES } from '../constants';
+import { createNote, deleteNote, listNotes, NoteInput, reorderNotes, updateNote } from '../services/notes';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const emptyNote = (category: NoteCategory): NoteInput => ({ category, title: '', body: '' });
+
+const inputClass = 'w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500';
+
+const NoteForm = ({ initial, onSubmit, onCancel }: {
+  initial: NoteInput,
+  onSubmit: (note: NoteInput) => Promise<void>,
+  onCancel: () => void,
+}) => {
+  const { t } = useLanguage();
+  const [form, setForm] = useState(initial);
+  const [error, setError] = useState<string | null>(null);
+
+  const set = (field: keyof NoteInput, value: string) =>
+    setForm({ ...form, [field]: value || undefined });
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setError(null);
+    try {
+      await onSubmit({ ...form, body: form.body || '' });
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  const label = (key: string) => (
+    <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t(`notesBoard.${key}`)}</span>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 bg-white/5 border border-blue-500/30 rounded-[2rem] grid grid-cols-1 md:grid-cols-2 gap-4">
+      <label className="block md:col-span-2">
+        {label('title')}
+        <input required value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} className={inputClass} />
+      </label>
+      <label className="block md:col-span-2">
+        {label('body')}
+        <textarea rows={3} value={form.body} onChange={(e) => setForm({ ...form, body: e.target.value })} className={inputClass} />
+      </label>
+      <label className="block">
+        {label('category')}
+        <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value as NoteCategory })} className={inputClass}>
+          {NOTE_CATEGORIES.map((category) => <option key={category} value={category}>{t(`notesBoard.categories.${category}`)}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        {label('channel')}
+        <select value={form.channel || ''} onChange={(e) => set('channel', e.target.value)} className={inputClass}>
+          <option value="">{t('notesBoard.noChannel')}</option>
+          {CHANNELS.map((channel) => <option key={channel.id} value={channel.id}>{channel.label}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        {label('assignee')}
+        <input value={form.assignee || ''} onChange={(e) => set('assignee', e.target.value)} className={inputClass} />
+      </label>
+      <label className="block">
+        {label('dueDate')}
+        <input type="date" value={form.dueDate || ''} onChange={(e) => set('dueDate', e.target.value)} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="md:col-span-2 text-sm font-bold text-red-400">{error}</p>}
+      <div className="md:col-span-2 flex gap-3 justify-end">
+        <button type="button" onClick={onCancel} className="px-6 py-3 rounded-xl text-slate-400 font-bold hover:text-white transition-all">{t('notesBoard.cancel')}</button>
+        <button type="submit" className="px-6 py-3 rounded-xl bg-white text-slate-900 font-black hover:bg-blue-50 transition-all">{t('common.save')}</button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Per-client notes board: priorities, plans, research and ideas, ordered by dragging.
+ */
+const NotesBoard = ({ domain }: { domain: string }) => {
+  const { language, t } = useLanguage();
+  const [notes, setNotes] = useState<ClientNote[]>([]);
+  const [activeCategory, setActiveCategory] = useState<NoteCategory>('priorities');
+  const [editing, setEditing] = useState<string | 'new' | null>(null);
+  const [dragged, setDragged] = useState<string | null>(null);
+
+  const refresh = () => listNotes(domain).then(setNotes).catch(() => setNotes([]));
+
+  useEffect(() => {
+    setEditing(null);
+    refresh();
+  }, [domain]);
+
+  const visible = notes.filter((note) => note.category === activeCategory);
+
+  const handleCreate = async (input: NoteInput) => {
+    const note = await createNote(domain, input);
+    setNotes([...notes, note]);
+    setActiveCategory(note.category);
+    setEditing(null);
+  };
+
+  const handleUpdate = async (noteId: string, input: NoteInput) => {
+    await updateNote(domain, noteId, input);
+    setEditing(null);
+    refresh();
+  };
+
+  const handleDelete = async (note: ClientNote) => {
+    if (!window.confirm(t('notesBoard.confirmDelete', { title: note.title }))) return;
+    await deleteNote(domain, note.id);
+    refresh();
+  };
+
+  const handleDrop = async (targetId: string) => {
+    if (!dragged || dragged === targetId) return;
+    const ids = visible.map((note) => note.id).filter((id) => id !== dragged);
+    ids.splice(ids.indexOf(targetId), 0, dragged);
+
+    // Show the new order right away; the server response has the final positions
+    const reordered = ids.map((id, position) => ({ ...visible.find((note) => note.id === id)!, position }));
+    setNotes([...notes.filter((note) => note.category !== activeCategory), ...reordered]);
+    setDragged(null);
+    try {
+      const saved = await reorderNotes(domain, activeCategory, ids);
+      setNotes((current) => [...current.filter((note) => note.category !== activeCategory), ...saved]);
+    } catch {
+      refresh();
+    }
+  };
+
+  const channelLabel = (id?: string) => CHANNELS.find((channel) => channel.id === id)?.label;
+
+  return (
+    <div className="lg:col-span-2 bg-slate-800/50 border border-white/5 rounded-[3rem] p-10">
+      <div className="flex items-center justify-between mb-8">
+        <div className="flex gap-4">
+          {NOTE_CATEGORIES.map((category) => (
+            <button
+              key={category}
+              onClick={() => setActiveCategory(category)}
+              className={`px-5 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${activeCategory === category ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20' : 'text-slate-500 hover:text-white'}`}
+            >
+              {t(`notesBoard.categories.${category}`)}
+            </button>
+          ))}
+        </div>
+        <button onClick={() => setEditing('new')} aria-label={t('notesBoard.add')} className="w-10 h-10 bg-white/5 rounded-xl flex items-center justify-center text-slate-400 hover:text-white transition-colors">
+          <PlusCircle className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {editing === 'new' && (
+          <NoteForm initial={emptyNote(activeCategory)} onSubmit={handleCreate} onCancel={() => setEditing(null)} />
+        )}
+
+        {visible.length === 0 && editing !== 'new' && (
+          <p className="text-slate-500 text-sm font-medium">{t('notesBoard.empty')}</p>
+        )}
+
+        {visible.map((note) => editing === note.id ? (
+          <React.Fragment key={note.id}>
+            <NoteForm
+              initial={{ category: note.category, title: note.title, body: note.body, assignee: note.assignee, dueDate: note.dueDate, channel: note.channel }}
+              onSubmit={(input) => handleUpdate(note.id, input)}
+              onCancel={() => setEditing(null)}
+            />
+          </React.Fragment>
+        ) : (
+          <div
+            key={note.id}
+            draggable
+            onDragStart={() => setDragged(note.id)}
+            onDragEnd={() => setDragged(null)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => handleDrop(note.id)}
+            className={`p-6 bg-white/5 border rounded-[2rem] hover:border-blue-500/30 transition-all group cursor-grab ${dragged === note.id ? 'border-blue-500/50 opacity-50' : 'border-white/5'}`}
+          >
+            <div className="flex justify-between items-start gap-4 mb-2">
+              <div className="flex items-start gap-3">
+                <GripVertical className="w-4 h-4 mt-1.5 text-slate-600 flex-shrink-0" aria-label={t('notesBoard.dragHint')} />
+                <h4 className="font-bold text-white text-lg">{note.title}</h4>
+              </div>
+              <div className="flex items-center gap-3">
+                {note.channel && <span className="text-[10px] font-black text-blue-400 uppercase">{channelLabel(note.channel)}</span>}
+                <button onClick={() => setEditing(note.id)} aria-label={t('notesBoard.edit', { title: note.title })} className="text-slate-500 hover:text-white transition-colors">
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleDelete(note)} aria-label={t('notesBoard.delete', { title: note.title })} className="text-slate-500 hover:text-red-400 transition-colors">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            {note.body && <p className="text-slate-400 text-sm leading-relaxed mb-4 pl-7">{note.body}</p>}
+            {(note.dueDate || note.assignee) && (
+              <div className="flex items-center gap-4 text-[10px] font-bold text-slate-500 uppercase pl-7">
+                {note.dueDate && (
+                  <span className="flex items-center gap-1">
+                    <Clock className="w-3 h-3" /> {t('notesBoard.due', { date: new Date(`${note.dueDate}T00:00:00`).toLocaleDateString(language) })}
+                  </span>
+                )}
+                {note.assignee && <span className="flex items-center gap-1"><User className="w-3 h-3" /> {note.assignee}</span>}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NotesBoard;
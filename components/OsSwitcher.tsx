@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { Monitor } from 'lucide-react';
+import { OperatingSystem } from '../types';
+import { detectOs, isOperatingSystem, OPERATING_SYSTEMS } from '../os';
+import { useLanguage } from '../i18n/LanguageContext';
+
+const STORAGE_KEY = 'mp_os';
+
+/**
+ * The operating system to tailor the instructions to: the client's choice,
+ * remembered in localStorage, or the detected one. `setOs(null)` goes back
+ * to the detected one.
+ */
+export const useOperatingSystem = () => {
+  const [detected] = useState<OperatingSystem>(() => detectOs(navigator.userAgent));
+  const [chosen, setOs] = useState<OperatingSystem | null>(() => {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return isOperatingSystem(stored) ? stored : null;
+  });
+
+  useEffect(() => {
+    if (chosen) window.localStorage.setItem(STORAGE_KEY, chosen);
+    else window.localStorage.removeItem(STORAGE_KEY);
+  }, [chosen]);
+
+  return { os: chosen ?? detected, detected, chosen, setOs };
+};
+
+/** Manual override of the detected operating system on the setup page */
+const OsSwitcher = ({ os, detected, onChange }: {
+  os: OperatingSystem,
+  detected: OperatingSystem,
+  onChange: (os: OperatingSystem | null) => void,
+}) => {
+  const { t } = useLanguage();
+
+  return (
+    <div role="group" aria-label={t('os.label')} className="inline-flex items-center gap-2 p-1.5 bg-white border border-slate-200 rounded-2xl shadow-sm">
+      <Monitor className="w-4 h-4 text-slate-400 ml-2" aria-hidden="true" />
+      {OPERATING_SYSTEMS.map((option) => (
+        <button
+          key={option}
+          // Picking the detected system again drops the override
+          onClick={() => onChange(option === detected ? null : option)}
+          aria-pressed={os === option}
+          title={option === detected ? t('os.detected') : undefined}
+          className={`px-4 py-2 rounded-xl text-xs font-black transition-all ${
+            os === option ? 'bg-blue-600 text-white' : 'text-slate-400 hover:text-slate-900'
+          }`}
+        >
+          {t(`os.names.${option}`)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default OsSwitcher;
@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, ArrowRight, CheckCircle2, Clock, ExternalLink, Loader2, Send, SkipForward, X } from 'lucide-react';
+import { InstructionItem, PlatformSetup, SetupStatus, WizardSummary } from '../types';
+import { useLanguage } from '../i18n/LanguageContext';
+import { completeWizard } from '../services/wizard';
+import { WIZARD_SUMMARY } from '../routing';
+import CopyBadge from './CopyBadge';
+
+/** What the wizard remembers in the browser between visits */
+interface WizardProgress {
+  /** Checked step indexes per platform */
+  checked: Record<string, number[]>;
+  /** Platforms skipped for later */
+  deferred: string[];
+}
+
+const storageKey = (domain: string) => `mp_wizard:${domain}`;
+
+const loadProgress = (domain: string): WizardProgress => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(storageKey(domain)) || '{}');
+    return { checked: stored.checked || {}, deferred: stored.deferred || [] };
+  } catch {
+    return { checked: {}, deferred: [] };
+  }
+};
+
+const isResolved = (setup?: PlatformSetup) => setup?.status === 'granted' || setup?.status === 'verified';
+
+const SUMMARY_GROUPS: Array<keyof WizardSummary> = ['resolved', 'deferred', 'open'];
+
+/**
+ * Guided setup: one platform at a time with a checkbox per step, then a
+ * summary the client sends to the agency. The current platform (`step`)
+ * comes from the URL.
+ */
+const SetupWizard = ({ domain, instructions, setupState, granteeEmail, step, onStep, onStatusChange, onClose }: {
+  domain: string,
+  instructions: InstructionItem[],
+  setupState: Record<string, PlatformSetup>,
+  granteeEmail: string,
+  step?: string,
+  onStep: (step: string, replace?: boolean) => void,
+  onStatusChange: (platformId: string, status: SetupStatus) => Promise<void>,
+  onClose: () => void,
+}) => {
+  const { language, t } = useLanguage();
+  const [progress, setProgress] = useState<WizardProgress>(() => loadProgress(domain));
+  const [saving, setSaving] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    window.localStorage.setItem(storageKey(domain), JSON.stringify(progress));
+  }, [domain, progress]);
+
+  const index = instructions.findIndex((item) => item.id === step);
+  const item = instructions[index];
+  const isDeferred = (platformId: string) => progress.deferred.includes(platformId) && !isResolved(setupState[platformId]);
+
+  // Without a known step, continue at the first platform still to do
+  useEffect(() => {
+    if (step === WIZARD_SUMMARY || item) return;
+    const next = instructions.find((candidate) => !isResolved(setupState[candidate.id]) && !isDeferred(candidate.id));
+    onStep(next ? next.id : WIZARD_SUMMARY, true);
+  }, [step, item]);
+
+  // Switching the operating system may change the number of steps
+  const checkedSteps = (candidate: InstructionItem) =>
+    (progress.checked[candidate.id] || []).filter((stepIndex) => stepIndex < candidate.steps.length);
+
+  const platformProgress = (candidate: InstructionItem) =>
+    isResolved(setupState[candidate.id]) ? 1 : checkedSteps(candidate).length / Math.max(candidate.steps.length, 1);
+
+  const percent = instructions.length
+    ? Math.round((100 * instructions.reduce((sum, candidate) => sum + platformProgress(candidate), 0)) / instructions.length)
+    : 0;
+
+  const summary: WizardSummary = { resolved: [], deferred: [], open: [] };
+  for (const candidate of instructions) {
+    const group = isResolved(setupState[candidate.id]) ? 'resolved' : isDeferred(candidate.id) ? 'deferred' : 'open';
+    summary[group].push(candidate.id);
+  }
+
+  const titleOf = (platformId: string) => instructions.find((candidate) => candidate.id === platformId)?.title ?? platformId;
+
+  const goNext = () => onStep(instructions[index + 1]?.id ?? WIZARD_SUMMARY);
+
+  const toggleStep = (platformId: string, stepIndex: number) => {
+    setProgress((current) => {
+      const checked = current.checked[platformId] || [];
+      return {
+        ...current,
+        checked: {
+          ...current.checked,
+          [platformId]: checked.includes(stepIndex) ? checked.filter((other) => other !== stepIndex) : [...checked, stepIndex],
+        },
+      };
+    });
+  };
+
+  const setDeferred = (platformId: string, deferred: boolean) => {
+    setProgress((current) => ({
+      ...current,
+      deferred: deferred
+        ? [...current.deferred.filter((other) => other !== platformId), platformId]
+        : current.deferred.filter((other) => other !== platformId),
+    }));
+  };
+
+  const handleSkip = () => {
+    setDeferred(item.id, true);
+    goNext();
+  };
+
+  const handleGranted = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onStatusChange(item.id, 'granted');
+      setDeferred(item.id, false);
+      goNext();
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNotify = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await completeWizard(domain, { deferred: summary.deferred, language });
+      setSent(true);
+    } catch {
+      setError(t('wizard.notifyFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const allChecked = item ? checkedSteps(item).length === item.steps.length : false;
+
+  return (
+    <div className="bg-white rounded-[3rem] border border-slate-200/60 p-12 shadow-xl">
+      <div className="flex items-start justify-between gap-6 mb-10">
+        <div>
+          <p className="text-xs font-black uppercase tracking-widest text-blue-600 mb-2">{t('wizard.badge')}</p>
+          <h2 className="text-4xl font-black text-slate-900 tracking-tight">{t('wizard.title')}</h2>
+        </div>
+        <button onClick={onClose} className="inline-flex items-center gap-2 text-xs font-black uppercase tracking-widest text-slate-400 hover:text-slate-900 transition-colors">
+          <X className="w-4 h-4" /> {t('wizard.exit')}
+        </button>
+      </div>
+
+      <div className="mb-10">
+        <div className="flex justify-between text-sm font-bold text-slate-500 mb-3">
+          <span>{t('wizard.progressLabel')}</span>
+          <span>{t('wizard.progress', { percent })}</span>
+        </div>
+        <div role="progressbar" aria-label={t('wizard.progressLabel')} aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent} className="h-3 rounded-full bg-slate-100 overflow-hidden">
+          <div className="h-full bg-blue-600 rounded-full transition-all duration-500" style={{ width: `${percent}%` }} />
+        </div>
+        <ol className="flex flex-wrap gap-2 mt-6">
+          {instructions.map((candidate, position) => (
+            <li key={candidate.id}>
+              <button
+                onClick={() => onStep(candidate.id)}
+                aria-current={candidate.id === step ? 'step' : undefined}
+                className={`inline-flex items-center gap-2 px-4 py-2 rounded-xl border text-xs font-bold transition-all ${
+                  candidate.id === step ? 'border-blue-500 bg-blue-50 text-blue-600'
+                  : isResolved(setupState[candidate.id]) ? 'border-green-200 text-green-600'
+                  : isDeferred(candidate.id) ? 'border-amber-200 text-amber-600'
+                  : 'border-slate-200 text-slate-500 hover:border-blue-300'
+                }`}
+              >
+                {isResolved(setupState[candidate.id]) ? <CheckCircle2 className="w-3.5 h-3.5" />
+                  : isDeferred(candidate.id) ? <Clock className="w-3.5 h-3.5" />
+                  : <span>{position + 1}.</span>}
+                {candidate.title}
+              </button>
+            </li>
+          ))}
+          <li>
+            <button
+              onClick={() => onStep(WIZARD_SUMMARY)}
+              aria-current={step === WIZARD_SUMMARY ? 'step' : undefined}
+              className={`px-4 py-2 rounded-xl border text-xs font-bold transition-all ${step === WIZARD_SUMMARY ? 'border-blue-500 bg-blue-50 text-blue-600' : 'border-slate-200 text-slate-500 hover:border-blue-300'}`}
+            >
+              {t('wizard.summaryTitle')}
+            </button>
+          </li>
+        </ol>
+      </div>
+
+      {error && <p role="alert" className="mb-6 text-sm font-bold text-red-600">{error}</p>}
+
+      {item && (
+        <section className="border-t border-slate-100 pt-10">
+          <p className="text-xs font-black uppercase tracking-widest text-slate-400 mb-2">
+            {t('wizard.platformOf', { index: index + 1, total: instructions.length })}
+          </p>
+          <h3 className="flex items-center gap-4 text-3xl font-black text-slate-900 mb-6">{item.icon} {item.title}</h3>
+          {item.directLink && (
+            <a href={item.directLink} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-3 px-6 py-3 mb-8 bg-blue-50 border border-blue-200 rounded-xl text-blue-600 font-bold text-sm hover:bg-blue-100 transition-all">
+              <ExternalLink className="w-4 h-4" /> {t('setup.openSettings', { platform: item.title })}
+            </a>
+          )}
+
+          {isResolved(setupState[item.id]) ? (
+            <p className="px-6 py-5 rounded-2xl bg-green-50 border border-green-100 text-green-700 font-bold">
+              <CheckCircle2 className="w-4 h-4 inline mr-2" />{t('wizard.alreadyResolved')}
+            </p>
+          ) : (
+            <ol className="space-y-4">
+              {item.steps.map((text, stepIndex) => {
+                const checked = checkedSteps(item).includes(stepIndex);
+                return (
+                  <li key={stepIndex}>
+                    <label className={`flex gap-5 items-start p-5 rounded-2xl border cursor-pointer transition-all ${checked ? 'bg-green-50 border-green-200' : 'bg-white border-slate-200 hover:border-blue-300'}`}>
+                      <input type="checkbox" checked={checked} onChange={() => toggleStep(item.id, stepIndex)} className="mt-1.5 w-5 h-5 flex-shrink-0 accent-blue-600" />
+                      <span className="flex-1 text-slate-600 font-medium text-lg leading-relaxed">
+                        <span className="font-black text-slate-400 mr-2">{stepIndex + 1}.</span>
+                        {text.includes('{email}')
+                          ? <>{text.split('{email}')[0]} <CopyBadge text={granteeEmail} /> {text.split('{email}')[1]}</>
+                          : text}
+                        {item.shortcuts?.[stepIndex] && (
+                          <span className="block mt-2 text-sm font-bold text-slate-400">
+                            {t('setup.shortcut')} <kbd className="bg-white px-2 py-1 rounded border shadow-sm text-xs font-bold text-slate-600">{item.shortcuts[stepIndex]}</kbd>
+                          </span>
+                        )}
+                        {item.screenshots?.[stepIndex] && (
+                          <img src={item.screenshots[stepIndex].src} alt={item.screenshots[stepIndex].alt} loading="lazy" className="block mt-4 rounded-2xl border border-slate-200 shadow-sm max-w-full" />
+                        )}
+                      </span>
+                    </label>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 mt-10 pt-8 border-t border-slate-100">
+            {index > 0 && (
+              <button onClick={() => onStep(instructions[index - 1].id)} className="inline-flex items-center gap-2 px-5 py-3 rounded-xl text-slate-500 font-bold text-sm hover:text-slate-900 transition-all">
+                <ArrowLeft className="w-4 h-4" /> {t('wizard.back')}
+              </button>
+            )}
+            <div className="flex-1" />
+            {isResolved(setupState[item.id]) ? (
+              <button onClick={goNext} className="inline-flex items-center gap-3 px-6 py-3 bg-slate-900 text-white rounded-xl font-bold text-sm hover:bg-blue-600 transition-all">
+                {t('wizard.next')} <ArrowRight className="w-4 h-4" />
+              </button>
+            ) : (
+              <>
+                <button onClick={handleSkip} className="inline-flex items-center gap-2 px-5 py-3 rounded-xl border border-slate-200 text-slate-500 font-bold text-sm hover:border-amber-300 hover:text-amber-600 transition-all">
+                  <SkipForward className="w-4 h-4" /> {t('wizard.skip')}
+                </button>
+                <button onClick={handleGranted} disabled={!allChecked || saving} title={allChecked ? undefined : t('wizard.checkAll')} className="inline-flex items-center gap-3 px-6 py-3 bg-slate-900 text-white rounded-xl font-bold text-sm hover:bg-blue-600 disabled:opacity-40 disabled:hover:bg-slate-900 transition-all">
+                  {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle2 className="w-4 h-4" />} {t('setup.confirmGrant')}
+                </button>
+              </>
+            )}
+          </div>
+          {!isResolved(setupState[item.id]) && !allChecked && (
+            <p className="mt-3 text-right text-xs font-bold text-slate-400">{t('wizard.checkAll')}</p>
+          )}
+        </section>
+      )}
+
+      {step === WIZARD_SUMMARY && (
+        <section className="border-t border-slate-100 pt-10">
+          <h3 className="text-3xl font-black text-slate-900 mb-2">{t('wizard.summaryTitle')}</h3>
+          <p className="text-slate-500 font-medium mb-8">{t('wizard.summarySubtitle')}</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-10">
+            {SUMMARY_GROUPS.map((group) => (
+              <div key={group} className="p-6 rounded-2xl border border-slate-200/60 bg-slate-50/50">
+                <h4 className="text-xs font-black uppercase tracking-widest text-slate-400 mb-4">
+                  {t(`wizard.groups.${group}`)} ({summary[group].length})
+                </h4>
+                <ul className="space-y-3">
+                  {summary[group].map((platformId) => (
+                    <li key={platformId} className="flex items-center justify-between gap-3 text-sm font-bold text-slate-700">
+                      <span>{titleOf(platformId)}</span>
+                      {group !== 'resolved' && (
+                        <button onClick={() => onStep(platformId)} className="text-xs font-black text-blue-600 hover:underline whitespace-nowrap">{t('wizard.goTo')}</button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          {sent ? (
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <p role="status" className="font-bold text-green-600">{t('wizard.notified')}</p>
+              <button onClick={onClose} className="inline-flex items-center gap-3 px-6 py-3 bg-slate-900 text-white rounded-xl font-bold text-sm hover:bg-blue-600 transition-all">
+                {t('wizard.exit')} <ArrowRight className="w-4 h-4" />
+              </button>
+            </div>
+          ) : (
+            <button onClick={handleNotify} disabled={saving} className="w-full bg-blue-600 text-white py-5 rounded-[2rem] text-lg font-black flex items-center justify-center gap-3 hover:bg-blue-500 disabled:opacity-60 transition-all">
+              {saving ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />} {t('wizard.notify')}
+            </button>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default SetupWizard;
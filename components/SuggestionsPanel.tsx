@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, MessageSquare, Sparkles, X } from 'lucide-react';
+import { ClientMessage, ClientTask, Suggestion } from '../types';
+import { CHANNELS } from '../constants';
+import { approveSuggestion, generateSuggestions, listSuggestions, rejectSuggestion } from '../services/suggestions';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/** Decided suggestions shown below the open ones */
+const HISTORY_LIMIT = 5;
+
+/**
+ * AI suggestions for a client: generate, then approve (sends the client a
+ * task or a message) or reject each proposal.
+ */
+const SuggestionsPanel = ({ domain, onDelivered }: {
+  domain: string,
+  onDelivered: (sent: { task?: ClientTask, message?: ClientMessage }) => void,
+}) => {
+  const { language, t } = useLanguage();
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [generating, setGenerating] = useState(false);
+  const [warnings, setWarnings] = useState<string[]>([]);
+
+  useEffect(() => {
+    setWarnings([]);
+    listSuggestions(domain).then(setSuggestions).catch(() => setSuggestions([]));
+  }, [domain]);
+
+  const replace = (updated: Suggestion) =>
+    setSuggestions((current) => current.map((suggestion) => (suggestion.id === updated.id ? updated : suggestion)));
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setWarnings([]);
+    try {
+      const { failures } = await generateSuggestions(domain, language);
+      setWarnings(failures.map((failure) => t('suggestions.providerFailed', { provider: failure.provider })));
+      setSuggestions(await listSuggestions(domain));
+    } catch {
+      setWarnings([t('suggestions.failed')]);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleApprove = async (suggestion: Suggestion, deliverAs: 'task' | 'message') => {
+    try {
+      const { suggestion: sent, task, message } = await approveSuggestion(domain, suggestion.id, deliverAs);
+      replace(sent);
+      onDelivered({ task, message });
+    } catch (err) {
+      setWarnings([(err as Error).message]);
+    }
+  };
+
+  const handleReject = async (suggestion: Suggestion) => {
+    try {
+      replace(await rejectSuggestion(domain, suggestion.id));
+    } catch (err) {
+      setWarnings([(err as Error).message]);
+    }
+  };
+
+  const open = suggestions.filter((suggestion) => suggestion.status === 'proposed' || suggestion.status === 'approved');
+  const decided = suggestions.filter((suggestion) => !open.includes(suggestion)).slice(0, HISTORY_LIMIT);
+  const channelLabel = (channelId?: string) => CHANNELS.find((channel) => channel.id === channelId)?.label;
+
+  return (
+    <div className="bg-indigo-600 rounded-[3rem] p-10 text-white shadow-2xl relative overflow-hidden flex flex-col">
+      <div className="relative z-10 flex-1">
+        <div className="flex items-center gap-3 mb-8">
+          <div className="w-10 h-10 bg-white/20 rounded-2xl flex items-center justify-center backdrop-blur-md">
+            <Sparkles className="w-5 h-5 text-white" />
+          </div>
+          <h4 className="text-2xl font-black">{t('suggestions.title')}</h4>
+        </div>
+
+        <div className="space-y-6">
+          {warnings.map((warning) => (
+            <p key={warning} role="alert" className="text-xs font-bold text-amber-200">{warning}</p>
+          ))}
+
+          {open.length === 0 && <p className="text-sm font-medium text-indigo-100">{t('suggestions.empty')}</p>}
+
+          {open.map((suggestion) => (
+            <article key={suggestion.id} className="bg-white/10 border border-white/20 p-6 rounded-[2rem] backdrop-blur-sm">
+              <p className="text-xs font-black uppercase tracking-widest text-indigo-200 mb-3">
+                {channelLabel(suggestion.channel) || t(`suggestions.statuses.${suggestion.status}`)}
+              </p>
+              <p className="font-black mb-2">{suggestion.title}</p>
+              <p className="text-sm font-medium leading-relaxed mb-6">{suggestion.body}</p>
+              <div className="flex gap-3">
+                <button onClick={() => handleApprove(suggestion, 'task')} className="flex-1 py-3 bg-white text-indigo-600 rounded-xl font-black text-xs hover:shadow-lg transition-all">{t('suggestions.approve')}</button>
+                <button onClick={() => handleApprove(suggestion, 'message')} aria-label={t('suggestions.approveAsMessage')} title={t('suggestions.approveAsMessage')} className="px-4 py-3 bg-indigo-500/30 border border-white/10 rounded-xl text-white hover:bg-indigo-500/50 transition-all"><MessageSquare className="w-4 h-4" /></button>
+                <button onClick={() => handleReject(suggestion)} aria-label={t('suggestions.reject')} title={t('suggestions.reject')} className="px-4 py-3 bg-indigo-500/30 border border-white/10 rounded-xl text-white hover:bg-indigo-500/50 transition-all"><X className="w-4 h-4" /></button>
+              </div>
+            </article>
+          ))}
+
+          <button onClick={handleGenerate} disabled={generating} className="w-full py-3 bg-indigo-500/30 border border-white/10 rounded-xl font-black text-xs flex items-center justify-center gap-2 hover:bg-indigo-500/50 disabled:opacity-60 transition-all">
+            {generating && <Loader2 className="w-4 h-4 animate-spin" />}
+            {generating ? t('suggestions.generating') : t('suggestions.generate')}
+          </button>
+
+          {decided.length > 0 && (
+            <div className="bg-white/5 p-6 rounded-[2rem] border border-white/5">
+              <p className="text-xs font-black uppercase tracking-widest text-indigo-300 mb-3">{t('suggestions.history')}</p>
+              <ul className="space-y-2">
+                {decided.map((suggestion) => (
+                  <li key={suggestion.id} className="flex items-center justify-between gap-3 text-xs">
+                    <span className="opacity-80">{suggestion.title}</span>
+                    <span className="font-black uppercase tracking-widest text-indigo-200 whitespace-nowrap">{t(`suggestions.statuses.${suggestion.status}`)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="absolute -bottom-20 -left-20 w-64 h-64 bg-white/5 rounded-full blur-[100px]"></div>
+    </div>
+  );
+};
+
+export default SuggestionsPanel;
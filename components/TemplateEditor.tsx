@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { AgencyTemplates, PlatformTemplate } from '../types';
+import { PLATFORMS } from '../constants';
+import { getInstructions, SUPPORTED_LANGUAGES, translate } from '../i18n';
+import { TEMPLATE_PLACEHOLDERS } from '../i18n/templates';
+import { useLanguage } from '../i18n/LanguageContext';
+import { saveTemplates } from '../services/templates';
+import { ApiError } from '../services/api';
+
+type Draft = Record<string, { directLink: string; steps: Record<string, string> }>;
+
+const catalogSteps = (language: string, platformId: string) =>
+  getInstructions(language as never).find((item) => item.id === platformId)?.steps || [];
+
+/** Editable text for every platform: the agency override or else the catalog default */
+function toDraft(templates: AgencyTemplates): Draft {
+  return Object.fromEntries(PLATFORMS.map((platform) => {
+    const override = templates.platforms[platform.id];
+    return [platform.id, {
+      directLink: override?.directLink || platform.directLink || '',
+      steps: Object.fromEntries(SUPPORTED_LANGUAGES.map((language) => [
+        language,
+        (override?.steps?.[language] || catalogSteps(language, platform.id)).join('\n'),
+      ])),
+    }];
+  }));
+}
+
+/** Keep only what differs from the catalog so catalog fixes still reach untouched platforms */
+function fromDraft(draft: Draft): AgencyTemplates['platforms'] {
+  const platforms: AgencyTemplates['platforms'] = {};
+  for (const platform of PLATFORMS) {
+    const edited = draft[platform.id];
+    const override: PlatformTemplate = {};
+    if (edited.directLink.trim() && edited.directLink.trim() !== platform.directLink) {
+      override.directLink = edited.directLink.trim();
+    }
+    for (const language of SUPPORTED_LANGUAGES) {
+      const steps = edited.steps[language].split('\n').map((step) => step.trim()).filter(Boolean);
+      if (steps.join('\n') !== catalogSteps(language, platform.id).join('\n')) {
+        override.steps = { ...override.steps, [language]: steps };
+      }
+    }
+    if (Object.keys(override).length > 0) platforms[platform.id] = override;
+  }
+  return platforms;
+}
+
+/**
+ * Master Templates: the agency's grantee email and per-platform instruction templates.
+ */
+const TemplateEditor = ({ templates, onSaved }: { templates: AgencyTemplates, onSaved: (templates: AgencyTemplates) => void }) => {
+  const { t } = useLanguage();
+  const [granteeEmail, setGranteeEmail] = useState(templates.granteeEmail);
+  const [draft, setDraft] = useState<Draft>(() => toDraft(templates));
+  const [messages, setMessages] = useState<string[]>([]);
+
+  useEffect(() => {
+    setGranteeEmail(templates.granteeEmail);
+    setDraft(toDraft(templates));
+  }, [templates]);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    try {
+      onSaved(await saveTemplates({ granteeEmail, platforms: fromDraft(draft) }));
+      setMessages([t('templateEditor.saved')]);
+    } catch (err) {
+      setMessages(err instanceof ApiError && err.details.length > 0 ? err.details : [(err as Error).message]);
+    }
+  };
+
+  const resetPlatform = (platformId: string) => {
+    setDraft({ ...draft, [platformId]: toDraft({ granteeEmail, platforms: {} })[platformId] });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-8">
+      <header className="flex items-end justify-between gap-6">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">{t('templateEditor.title')}</h2>
+          <p className="text-slate-500 font-medium">{t('templateEditor.lead')}</p>
+        </div>
+        <button type="submit" className="px-8 py-3.5 bg-blue-600 text-white rounded-2xl font-bold hover:bg-blue-500 transition-all shadow-xl shadow-blue-500/20">
+          {t('common.save')}
+        </button>
+      </header>
+
+      {messages.length > 0 && (
+        <div role="status" className="space-y-1 text-sm font-bold text-slate-300">
+          {messages.map((message) => <p key={message}>{message}</p>)}
+        </div>
+      )}
+
+      <div className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 grid grid-cols-1 md:grid-cols-2 gap-8">
+        <label className="block">
+          <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t('templateEditor.granteeEmail')}</span>
+          <input
+            required
+            type="email"
+            value={granteeEmail}
+            onChange={(e) => setGranteeEmail(e.target.value)}
+            className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-blue-500"
+          />
+        </label>
+        <div>
+          <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t('templateEditor.placeholders')}</span>
+          <div className="flex flex-wrap gap-2">
+            {TEMPLATE_PLACEHOLDERS.map((name) => (
+              <code key={name} className="px-2 py-1 rounded-lg bg-slate-900 border border-white/10 text-xs text-blue-300">{`{${name}}`}</code>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {PLATFORMS.map((platform) => (
+        <div key={platform.id} className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8 space-y-6">
+          <div className="flex items-center justify-between">
+            <h3 className="text-xl font-black text-white tracking-tight">
+              {t(`platforms.${platform.id}.title`)}
+              {templates.platforms[platform.id] && (
+                <span className="ml-3 text-[10px] font-black uppercase tracking-widest text-orange-400">{t('templateEditor.customized')}</span>
+              )}
+            </h3>
+            <button type="button" onClick={() => resetPlatform(platform.id)} className="flex items-center gap-2 text-xs font-bold text-slate-500 hover:text-white transition-colors">
+              <RotateCcw className="w-3.5 h-3.5" /> {t('templateEditor.reset')}
+            </button>
+          </div>
+          <label className="block">
+            <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">{t('templateEditor.directLink')}</span>
+            <input
+              value={draft[platform.id].directLink}
+              onChange={(e) => setDraft({ ...draft, [platform.id]: { ...draft[platform.id], directLink: e.target.value } })}
+              className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-mono text-sm focus:outline-none focus:border-blue-500"
+            />
+          </label>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {SUPPORTED_LANGUAGES.map((language) => (
+              <label key={language} className="block">
+                <span className="block text-[10px] font-black uppercase tracking-[0.2em] text-slate-500 mb-2">
+                  {t('templateEditor.steps', { language: translate(language, 'language.name') })}
+                </span>
+                <textarea
+                  rows={8}
+                  value={draft[platform.id].steps[language]}
+                  onChange={(e) => setDraft({
+                    ...draft,
+                    [platform.id]: { ...draft[platform.id], steps: { ...draft[platform.id].steps, [language]: e.target.value } },
+                  })}
+                  className="w-full px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white text-sm leading-relaxed focus:outline-none focus:border-blue-500"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+    </form>
+  );
+};
+
+export default TemplateEditor;
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle2, ShieldCheck, XCircle } from 'lucide-react';
+import { listPendingVerifications, rejectGrant, verifyGrant, VerificationQueueItem } from '../services/verifications';
+import { useLanguage } from '../i18n/LanguageContext';
+
+/**
+ * Admin queue of access grants clients have confirmed but the agency has not checked yet.
+ */
+const VerificationQueue = ({ onDecision }: { onDecision?: () => void }) => {
+  const { language, t } = useLanguage();
+  const [items, setItems] = useState<VerificationQueueItem[]>([]);
+  const [rejecting, setRejecting] = useState<string | null>(null);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = () => {
+    listPendingVerifications().then(setItems).catch((err) => setError((err as Error).message));
+  };
+
+  useEffect(refresh, []);
+
+  const keyOf = (item: VerificationQueueItem) => `${item.domain}/${item.platformId}`;
+
+  const decide = async (action: () => Promise<unknown>) => {
+    setError(null);
+    try {
+      await action();
+      setRejecting(null);
+      setReason('');
+      refresh();
+      onDecision?.();
+    } catch (err) {
+      setError((err as Error).message);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <header>
+        <h2 className="text-4xl font-black text-white tracking-tight mb-2">{t('verificationQueue.title')}</h2>
+        <p className="text-slate-500 font-medium">{t('verificationQueue.count', { count: items.length })}</p>
+      </header>
+
+      {error && <p role="alert" className="text-sm font-bold text-red-400">{error}</p>}
+
+      {items.length === 0 && (
+        <div className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-12 text-center text-slate-500 font-bold">
+          <ShieldCheck className="w-8 h-8 mx-auto mb-4 text-green-400" />
+          {t('verificationQueue.empty')}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {items.map((item) => (
+          <div key={keyOf(item)} className="bg-slate-800/50 border border-white/5 rounded-[2rem] p-8">
+            <div className="flex items-start justify-between gap-6">
+              <div>
+                <h3 className="text-xl font-black text-white tracking-tight">{t(`platforms.${item.platformId}.title`)}</h3>
+                <p className="text-slate-500 text-sm font-medium">
+                  {item.clientName} · {item.domain} · {t('verificationQueue.confirmedAt', {
+                    date: new Date(item.setup.grantedAt || item.setup.updatedAt).toLocaleString(language),
+                  })}
+                </p>
+                {item.setup.note && <p className="mt-3 text-slate-300 font-medium">„{item.setup.note}“</p>}
+              </div>
+              <div className="flex gap-3 shrink-0">
+                <button onClick={() => decide(() => verifyGrant(item.domain, item.platformId))} className="flex items-center gap-2 px-5 py-3 bg-green-500/10 text-green-400 rounded-xl font-bold hover:bg-green-500/20 transition-all">
+                  <CheckCircle2 className="w-4 h-4" /> {t('verificationQueue.verify')}
+                </button>
+                <button onClick={() => setRejecting(rejecting === keyOf(item) ? null : keyOf(item))} className="flex items-center gap-2 px-5 py-3 bg-red-500/10 text-red-400 rounded-xl font-bold hover:bg-red-500/20 transition-all">
+                  <XCircle className="w-4 h-4" /> {t('verificationQueue.reject')}
+                </button>
+              </div>
+            </div>
+            {rejecting === keyOf(item) && (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  decide(() => rejectGrant(item.domain, item.platformId, reason));
+                }}
+                className="mt-6 flex gap-3"
+              >
+                <input
+                  required
+                  autoFocus
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder={t('verificationQueue.reasonPlaceholder')}
+                  className="flex-1 px-4 py-3 rounded-xl bg-slate-900 border border-white/10 text-white font-medium focus:outline-none focus:border-red-500"
+                />
+                <button type="submit" className="px-6 py-3 rounded-xl bg-white text-slate-900 font-black hover:bg-red-50 transition-all">{t('common.send')}</button>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default VerificationQueue;
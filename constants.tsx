@@ -1,83 +1,90 @@
-import { InstructionItem } from './types';
+import { AuditAction, InstructionItem, NoteCategory } from './types';
+import type { ShortcutName } from './os';
 
-export const SHARED_EMAIL = 'pavel.kaspar@okamih.cz';
+export interface PlatformDefinition extends Pick<InstructionItem, 'id' | 'directLink'> {
+  /** Used when `directLink` needs account IDs the client has not provided */
+  fallbackLink?: string;
+  /** Client account IDs the templates of this platform can reference */
+  accountFields: string[];
+  /** Shortcut hinted at a step, keyed by step index (the same in every language) */
+  shortcuts?: Record<number, ShortcutName>;
+}
 
-export const INSTRUCTIONS_DATA: (Omit<InstructionItem, 'icon'> & { directLink?: string })[] = [
+/**
+ * Platforms the client grants access to during onboarding. Titles, steps and
+ * tips are localized in i18n/messages; this list only holds what does not
+ * depend on the language.
+ */
+export const PLATFORMS: PlatformDefinition[] = [
   {
     id: 'google-ads',
-    title: 'Google Ads (Reklamy)',
     directLink: 'https://ads.google.com/aw/accountaccess/users',
-    steps: [
-      'Přihlaste se do Google Ads.',
-      'Klikněte na "Nástroje a nastavení" (ikona klíče) v horním menu.',
-      'V sekci "Nastavení" zvolte "Přístup a zabezpečení".',
-      'Klikněte na modré tlačítko PLUS (+).',
-      `Vložte email: ${SHARED_EMAIL}`,
-      'Zvolte úroveň přístupu "SPRÁVCE" (Admin).',
-      'Klikněte na "Odeslat pozvánku".'
-    ]
+    accountFields: ['googleAdsCustomerId'],
+    shortcuts: { 4: 'paste' },
   },
   {
     id: 'ga4',
-    title: 'Google Analytics 4 (Měření)',
-    directLink: 'https://analytics.google.com/analytics/web/#/a87262364p254354354/admin/account/user-management',
-    steps: [
-      'V Analytics klikněte vlevo dole na ozubené kolo (Správce).',
-      'V prvním sloupci (Účet) klikněte na "Správa přístupu k účtu".',
-      'Klikněte na modré PLUS (+) vpravo nahoře a "Přidat uživatele".',
-      `Zadejte email: ${SHARED_EMAIL}`,
-      'Zaškrtněte roli "EDITOR" (nebo Administrátor pro plnou kontrolu).',
-      'Klikněte na "Přidat".'
-    ]
+    directLink: 'https://analytics.google.com/analytics/web/#/a{ga4AccountId}p{ga4PropertyId}/admin/account/user-management',
+    fallbackLink: 'https://analytics.google.com/analytics/web/#/admin',
+    accountFields: ['ga4AccountId', 'ga4PropertyId'],
+    shortcuts: { 1: 'find', 3: 'paste' },
   },
   {
     id: 'gtm',
-    title: 'Google Tag Manager (Měřící kódy)',
-    directLink: 'https://tagmanager.google.com/#/admin/',
-    steps: [
-      'Otevřete GTM a přejděte do záložky "Správce" (Admin).',
-      'V pravém sloupci (Kontejner) zvolte "Správa uživatelů".',
-      'Klikněte na "Nový" (modré +) -> "Přidat uživatele".',
-      `Vložte email: ${SHARED_EMAIL}`,
-      'V "Oprávnění kontejneru" zaškrtněte vše (Publikovat, Schválit, Upravit, Číst).',
-      'Klikněte na "Pozvat".'
-    ]
+    directLink: 'https://tagmanager.google.com/#/admin/accounts/{gtmAccountId}/containers/{gtmContainerId}/users',
+    fallbackLink: 'https://tagmanager.google.com/#/admin/',
+    accountFields: ['gtmAccountId', 'gtmContainerId'],
+    shortcuts: { 1: 'find', 3: 'paste' },
   },
   {
     id: 'looker',
-    title: 'Looker Studio (Reporty a grafy)',
     directLink: 'https://lookerstudio.google.com/navigation/reporting',
-    steps: [
-      'Pokud již máte existující reporty, otevřete daný report.',
-      'Vpravo nahoře klikněte na tlačítko "Sdílet".',
-      `Přidejte email: ${SHARED_EMAIL}`,
-      'Nastavte roli na "EDITOR".',
-      'Klikněte na "Odeslat". (Tímto získáme přístup k vizualizaci vašich dat).'
-    ]
+    accountFields: [],
+    shortcuts: { 2: 'paste' },
   },
   {
     id: 'gsc',
-    title: 'Google Search Console (SEO)',
-    directLink: 'https://search.google.com/search-console/settings/users',
-    steps: [
-      'V menu vlevo sjeďte úplně dolů a klikněte na "Nastavení".',
-      'Zvolte "Uživatelé a oprávnění".',
-      'Klikněte na tlačítko "Přidat uživatele".',
-      `Zadejte email: ${SHARED_EMAIL}`,
-      'Oprávnění nastavte na "ÚPLNÉ" (Full).',
-      'Potvrďte tlačítkem "Přidat".'
-    ]
+    directLink: 'https://search.google.com/search-console/users?resource_id={gscProperty}',
+    fallbackLink: 'https://search.google.com/search-console/settings/users',
+    accountFields: ['gscProperty'],
+    shortcuts: { 0: 'find', 3: 'paste' },
   },
   {
     id: 'meta',
-    title: 'Meta (Facebook / Instagram Ads)',
-    directLink: 'https://business.facebook.com/settings/people',
-    steps: [
-      'Otevřete Nastavení firmy (Business Settings).',
-      'V sekci "Uživatelé" -> "Lidé" klikněte na "Přidat".',
-      `Vložte email: ${SHARED_EMAIL}`,
-      'Povolte "Úplnou kontrolu" (Full Control / Admin access).',
-      'V dalším kroku nám přiřaďte přístup k "Stránkám" a "Účtům pro reklamu".'
-    ]
-  }
-];
\ No newline at end of file
+    directLink: 'https://business.facebook.com/settings/people?business_id={metaBusinessId}',
+    fallbackLink: 'https://business.facebook.com/settings/people',
+    accountFields: ['metaBusinessId'],
+    shortcuts: { 2: 'paste' },
+  },
+];
+
+export const NOTE_CATEGORIES: NoteCategory[] = ['priorities', 'plans', 'research', 'ideas'];
+
+export const AUDIT_ACTIONS: AuditAction[] = [
+  'auth.login', 'auth.logout',
+  'client.create', 'client.update', 'client.delete',
+  'task.create', 'task.update', 'task.delete',
+  'setup.change', 'setup.verify', 'setup.reject', 'setup.check', 'wizard.complete',
+  'note.create', 'note.update', 'note.delete', 'note.reorder',
+  'suggestion.generate', 'suggestion.approve', 'suggestion.reject',
+  'deliverable.create', 'deliverable.update', 'deliverable.delete',
+  'message.send',
+  'templates.update',
+];
+
+/** Areas of `AUDIT_ACTIONS`, in order */
+export const AUDIT_ACTION_TYPES: string[] = [...new Set(AUDIT_ACTIONS.map(action => action.split('.')[0]))];
+
+/**
+ * Marketing channels shown on the admin dashboard and used to tag notes and
+ * tasks. `platformIds` are the onboarding platforms (`PLATFORMS`) the agency
+ * needs access to in order to run the channel.
+ */
+export const CHANNELS: Array<{ id: string; label: string; platformIds: string[] }> = [
+  { id: 'mailing', label: 'Mailing', platformIds: [] },
+  { id: 'google-ads', label: 'Google Ads', platformIds: ['google-ads'] },
+  { id: 'seo', label: 'SEO', platformIds: ['gsc'] },
+  { id: 'youtube', label: 'YouTube', platformIds: ['google-ads'] },
+  { id: 'social', label: 'Social/FB', platformIds: ['meta'] },
+  { id: 'analytics', label: 'Analytics', platformIds: ['ga4', 'gtm', 'looker'] },
+];
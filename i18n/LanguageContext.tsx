@@ -0,0 +1,67 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { DEFAULT_LANGUAGE, isSupportedLanguage, Language, MessageParams, SUPPORTED_LANGUAGES, translate } from './index';
+
+const STORAGE_KEY = 'mp_language';
+
+interface LanguageContextValue {
+  language: Language;
+  setLanguage: (language: Language) => void;
+  t: (key: string, params?: MessageParams) => string;
+}
+
+const LanguageContext = createContext<LanguageContextValue>({
+  language: DEFAULT_LANGUAGE,
+  setLanguage: () => undefined,
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+});
+
+function initialLanguage(): Language {
+  const stored = window.localStorage.getItem(STORAGE_KEY);
+  return isSupportedLanguage(stored) ? stored : DEFAULT_LANGUAGE;
+}
+
+/**
+ * App-wide language selection, remembered in localStorage.
+ */
+export const LanguageProvider = ({ children }: { children: React.ReactNode }) => {
+  const [language, setLanguage] = useState<Language>(initialLanguage);
+
+  useEffect(() => {
+    window.localStorage.setItem(STORAGE_KEY, language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const t = (key: string, params?: MessageParams) => translate(language, key, params);
+
+  return (
+    <LanguageContext.Provider value={{ language, setLanguage, t }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+export const useLanguage = () => useContext(LanguageContext);
+
+export const LanguageSwitcher = ({ dark }: { dark?: boolean }) => {
+  const { language, setLanguage, t } = useLanguage();
+
+  return (
+    <div role="group" aria-label={t('language.label')} className="flex gap-1">
+      {SUPPORTED_LANGUAGES.map((code) => (
+        <button
+          key={code}
+          onClick={() => setLanguage(code)}
+          aria-pressed={language === code}
+          title={translate(code, 'language.name')}
+          className={`px-3 py-1.5 rounded-lg text-[10px] font-black uppercase tracking-widest transition-all ${
+            language === code
+              ? 'bg-blue-600 text-white'
+              : dark ? 'text-slate-500 hover:text-white' : 'text-slate-400 hover:text-slate-900'
+          }`}
+        >
+          {code}
+        </button>
+      ))}
+    </div>
+  );
+};
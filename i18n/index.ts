@@ -0,0 +1,94 @@
+/**
+ * Localized message catalog
+ *
+ * All user-facing text, including the platform onboarding instructions, lives
+ * in i18n/messages/<language>.json. To add a language (e.g. sk or de), add its
+ * message file and register it in `catalogs`; keys it does not translate yet
+ * fall back to Czech.
+ */
+
+import { PLATFORMS } from '../constants';
+import type { PlatformDefinition } from '../constants';
+import { OPERATING_SYSTEMS, SHORTCUT_KEYS } from '../os';
+import type { InstructionItem, InstructionVariant } from '../types';
+import cs from './messages/cs.json';
+import en from './messages/en.json';
+
+export type Language = 'cs' | 'en';
+export type MessageParams = Record<string, string | number>;
+
+export const DEFAULT_LANGUAGE: Language = 'cs';
+
+const catalogs: Record<Language, unknown> = { cs, en };
+
+export const SUPPORTED_LANGUAGES = Object.keys(catalogs) as Language[];
+
+/** BCP 47 locale used to format numbers and currencies in each language */
+export const LOCALES: Record<Language, string> = { cs: 'cs-CZ', en: 'en' };
+
+export function isSupportedLanguage(value: unknown): value is Language {
+  return typeof value === 'string' && value in catalogs;
+}
+
+/**
+ * Replace `{name}` placeholders; unknown placeholders are left untouched so
+ * callers can substitute them later (e.g. `{email}` rendered as a copy badge).
+ */
+export function interpolate(template: string, params: MessageParams = {}): string {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+function lookup(language: Language, key: string): unknown {
+  const find = (messages: unknown) =>
+    key.split('.').reduce<unknown>(
+      (node, part) => (node && typeof node === 'object' ? (node as Record<string, unknown>)[part] : undefined),
+      messages
+    );
+  return find(catalogs[language]) ?? find(catalogs[DEFAULT_LANGUAGE]);
+}
+
+export function translate(language: Language, key: string, params?: MessageParams): string {
+  const message = lookup(language, key);
+  return typeof message === 'string' ? interpolate(message, params) : key;
+}
+
+/**
+ * Per-OS variants of a platform's instructions: whatever the catalog has
+ * under `platforms.<id>.variants.<os>`, plus the keys of the platform's
+ * shortcuts unless the variant replaces the steps they belong to.
+ */
+function platformVariants(language: Language, platform: PlatformDefinition): InstructionItem['variants'] {
+  const catalog = (lookup(language, `platforms.${platform.id}.variants`) ?? {}) as InstructionItem['variants'];
+
+  return Object.fromEntries(OPERATING_SYSTEMS.map(os => {
+    const variant: InstructionVariant = { ...catalog[os] };
+    if (!variant.steps && platform.shortcuts) {
+      const keys = Object.fromEntries(
+        Object.entries(platform.shortcuts).map(([step, name]: [string, keyof typeof SHORTCUT_KEYS]) => [step, SHORTCUT_KEYS[name][os]])
+      );
+      variant.shortcuts = { ...keys, ...variant.shortcuts };
+    }
+    return [os, variant];
+  }));
+}
+
+/**
+ * Catalog defaults of the onboarding instructions for every platform in
+ * `PLATFORMS`, placeholders unresolved. See `resolveInstructions` in
+ * ./templates for the version with agency overrides and client values.
+ */
+export function getInstructions(language: Language): InstructionItem[] {
+  return PLATFORMS.map(platform => {
+    const steps = lookup(language, `platforms.${platform.id}.steps`);
+    return {
+      id: platform.id,
+      directLink: platform.directLink,
+      title: translate(language, `platforms.${platform.id}.title`),
+      steps: Array.isArray(steps) ? steps : [],
+      tip: translate(language, `platforms.${platform.id}.tip`),
+      variants: platformVariants(language, platform),
+    };
+  });
+}
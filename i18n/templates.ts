@@ -0,0 +1,95 @@
+/**
+ * Instruction templates
+ *
+ * Steps and direct links may contain `{placeholder}`s. The catalog provides
+ * the defaults, the agency overrides them (and sets its grantee email) under
+ * Master Templates, and each client contributes its own account IDs. All of
+ * it is resolved at render time.
+ */
+
+import { PLATFORMS } from '../constants';
+import type { AgencyTemplates, ClientData, InstructionItem, InstructionVariant, OperatingSystem } from '../types';
+import { getInstructions, interpolate, Language } from './index';
+
+/** Filled from `AgencyTemplates.granteeEmail` */
+export const EMAIL_PLACEHOLDER = 'email';
+
+const CLIENT_PLACEHOLDERS = ['domain', 'clientName'];
+
+export const ACCOUNT_FIELDS: string[] = PLATFORMS.flatMap(platform => platform.accountFields);
+
+export const TEMPLATE_PLACEHOLDERS: string[] = [EMAIL_PLACEHOLDER, ...CLIENT_PLACEHOLDERS, ...ACCOUNT_FIELDS];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export function findUnknownPlaceholders(template: string): string[] {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+}
+
+function hasPlaceholders(template: string): boolean {
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(template);
+}
+
+/**
+ * Instructions with the agency's overrides applied and the client's values
+ * filled in. `{email}` is kept in the steps so the UI can render the grantee
+ * email as a copy badge; fill it with `templates.granteeEmail`.
+ */
+export function resolveInstructions(
+  language: Language,
+  templates: AgencyTemplates,
+  client?: Pick<ClientData, 'domain' | 'name' | 'accountIds'> | null
+): InstructionItem[] {
+  const values: Record<string, string> = client
+    ? { ...client.accountIds, domain: client.domain, clientName: client.name }
+    : {};
+
+  return getInstructions(language).map(item => {
+    const platform = PLATFORMS.find(p => p.id === item.id);
+    const override = templates.platforms[item.id];
+    const overridden = override?.steps?.[language];
+    const steps = overridden ?? item.steps;
+
+    let directLink = override?.directLink || item.directLink;
+    if (directLink) {
+      directLink = interpolate(directLink, values);
+      if (hasPlaceholders(directLink)) directLink = platform?.fallbackLink;
+    }
+
+    // The catalog's OS variants describe the catalog's steps, not the agency's
+    const variants = overridden ? undefined : item.variants && Object.fromEntries(
+      Object.entries(item.variants).map(([os, variant]: [string, InstructionVariant]) => [os, {
+        ...variant,
+        ...(variant.steps && { steps: variant.steps.map(step => interpolate(step, values)) }),
+      }])
+    );
+
+    return {
+      ...item,
+      steps: steps.map(step => interpolate(step, values)),
+      directLink,
+      variants,
+    };
+  });
+}
+
+/**
+ * Instructions as shown on one operating system: the matching variant's
+ * steps, screenshots and shortcuts in place of the defaults.
+ */
+export function instructionsForOs(items: InstructionItem[], os: OperatingSystem): InstructionItem[] {
+  return items.map(({ variants, ...item }) => {
+    const variant = variants?.[os];
+    if (!variant) return item;
+    if (variant.steps) {
+      return { ...item, steps: variant.steps, screenshots: variant.screenshots, shortcuts: variant.shortcuts };
+    }
+    return {
+      ...item,
+      screenshots: { ...item.screenshots, ...variant.screenshots },
+      shortcuts: { ...item.shortcuts, ...variant.shortcuts },
+    };
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Cancellation Support for Kilo Code API Error Handling
+ *
+ * Every layer of the pipeline (circuit breaker, timeout, retry) hands an
+ * AbortSignal down to the next one and finally to the user's operation.
+ * A layer that gives up aborts its signal with the reason it gave up: a
+ * TimeoutError, a CircuitBreakerError, or a CancelledError when the caller
+ * cancelled the request.
+ */
+
+export class CancelledError extends Error {
+  /** What the caller passed to `AbortController.abort()`, if anything */
+  public readonly reason?: unknown;
+
+  constructor(message: string = 'Operation was cancelled', reason?: unknown) {
+    super(message);
+    this.name = 'CancelledError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * The error a layer rejects with once `signal` is aborted. Errors the
+ * pipeline aborts with (TimeoutError, CircuitBreakerError) are passed on
+ * as they are; a plain `abort()` becomes a CancelledError.
+ */
+export function abortReason(signal: AbortSignal): Error {
+  const reason = signal.reason;
+  if (reason instanceof Error && reason.name !== 'AbortError') {
+    return reason;
+  }
+  return new CancelledError('Operation was cancelled', reason);
+}
+
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+/**
+ * A controller that is also aborted when `parent` is, with the parent's
+ * reason as `abortReason` reports it, so a plain `abort()` reaches the
+ * operation as a CancelledError. `dispose` detaches it from the parent
+ * once the work is done.
+ */
+export function createLinkedController(parent?: AbortSignal): {
+  controller: AbortController;
+  dispose: () => void;
+} {
+  const controller = new AbortController();
+  if (!parent) {
+    return { controller, dispose: () => undefined };
+  }
+
+  const onAbort = () => controller.abort(abortReason(parent));
+  if (parent.aborted) {
+    onAbort();
+  } else {
+    parent.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    controller,
+    dispose: () => parent.removeEventListener('abort', onAbort),
+  };
+}
+
+/**
+ * Settle with `promise`, or reject as soon as `signal` is aborted. Work
+ * that ignores its signal keeps running, but nobody waits for it anymore.
+ */
+export function raceWithSignal<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    // The abandoned promise must not surface as an unhandled rejection
+    promise.catch(() => undefined);
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => {
+      promise.catch(() => undefined);
+      reject(abortReason(signal));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait `ms` milliseconds; an abort ends the wait early with its reason
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  if (signal?.aborted) {
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise<void>((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal as AbortSignal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
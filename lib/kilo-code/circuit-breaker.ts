@@ -7,6 +7,8 @@
 
 import type { LogContext } from './logger';
 import { kiloCodeLogger } from './logger';
+import { createLinkedController, raceWithSignal } from './cancellation';
+import type { CircuitStateStore } from './circuit-state-store';
 
 export type CircuitState = 'closed' | 'open' | 'half-open';
 
@@ -16,6 +18,9 @@ export interface CircuitBreakerConfig {
   monitoringPeriod: number; // Time window in ms for failure rate calculation
   successThreshold: number; // Number of successes needed in half-open state
   name: string; // Identifier for this circuit breaker
+  probeTimeout: number; // Time in ms a half-open probe may hold the store's probe lock
+  syncInterval: number; // Time in ms a closed breaker goes without reading the store
+  stateStore?: CircuitStateStore; // Shares open/half-open status with same-named breakers
 }
 
 export interface CircuitBreakerStats {
@@ -54,6 +59,17 @@ export class CircuitBreaker {
   private requestHistory: Array<{ timestamp: number; success: boolean }> = [];
   private cleanupTimer?: ReturnType<typeof setInterval>;
 
+  // Operations running through this breaker, aborted when it opens
+  private inFlight = new Set<AbortController>();
+
+  // Shared state: when this breaker's state last changed, so the newer of
+  // the local and the stored state wins, and who holds the probe lock
+  private stateUpdatedAt = 0;
+  private readonly instanceId = Math.random().toString(36).slice(2, 10);
+  private probeCount = 0;
+  private storeFailing = false;
+  private lastSync = 0;
+
   constructor(config: Partial<CircuitBreakerConfig> = {}) {
     this.config = {
       failureThreshold: 5,
@@ -61,6 +77,8 @@ export class CircuitBreaker {
       monitoringPeriod: 60000, // 1 minute
       successThreshold: 3,
       name: 'default-circuit',
+      probeTimeout: 30000, // 30 seconds
+      syncInterval: 5000, // 5 seconds
       ...config,
     };
 
@@ -72,6 +90,9 @@ export class CircuitBreaker {
     this.cleanupTimer = setInterval(() => {
       this.cleanupOldRequests();
     }, this.config.monitoringPeriod / 4); // Clean up every quarter of monitoring period
+
+    // Housekeeping only: must not keep a server or test process alive
+    this.cleanupTimer.unref?.();
   }
 
   private cleanupOldRequests(): void {
@@ -114,9 +135,26 @@ export class CircuitBreaker {
     return this.successCount >= this.config.successThreshold;
   }
 
+  /**
+   * Abort every running operation: once the circuit is open their results
+   * are no longer wanted
+   */
+  private abortInFlight(): void {
+    const error = new CircuitBreakerError(
+      `Circuit breaker '${this.config.name}' opened`,
+      this.config.name,
+      'open'
+    );
+    for (const controller of this.inFlight) {
+      controller.abort(error);
+    }
+    this.inFlight.clear();
+  }
+
   private transitionToState(newState: CircuitState, context: LogContext): void {
     const oldState = this.state;
     this.state = newState;
+    this.stateUpdatedAt = Date.now();
 
     // Reset counters on state transitions
     if (newState === 'closed') {
@@ -127,6 +165,7 @@ export class CircuitBreaker {
       this.successCount = 0;
     } else if (newState === 'open') {
       this.nextAttemptTime = Date.now() + this.config.recoveryTimeout;
+      this.abortInFlight();
     }
 
     kiloCodeLogger.logCircuitBreakerState(
@@ -137,18 +176,131 @@ export class CircuitBreaker {
     );
   }
 
+  /**
+   * Whether to read the store before a call. A closed breaker trusts its own
+   * state for `syncInterval`, so healthy calls do not wait for the store.
+   */
+  private shouldSync(): boolean {
+    if (!this.config.stateStore) return false;
+    return this.state !== 'closed' || Date.now() - this.lastSync >= this.config.syncInterval;
+  }
+
+  /**
+   * Adopt the stored state if another process changed it more recently
+   */
+  private async loadState(context: LogContext): Promise<void> {
+    const store = this.config.stateStore;
+    if (!store) return;
+    this.lastSync = Date.now();
+
+    let shared;
+    try {
+      shared = await store.get(this.config.name);
+      this.storeFailing = false;
+    } catch (error) {
+      this.storeUnavailable(error as Error);
+      return;
+    }
+    if (!shared || shared.updatedAt <= this.stateUpdatedAt) return;
+
+    const oldState = this.state;
+    this.state = shared.state;
+    this.failureCount = shared.failureCount;
+    this.nextAttemptTime = shared.nextAttemptTime;
+    this.stateUpdatedAt = shared.updatedAt;
+
+    if (shared.state !== oldState) {
+      this.successCount = 0;
+      if (shared.state === 'open') {
+        this.abortInFlight();
+      }
+      kiloCodeLogger.logCircuitBreakerState(context, shared.state, this.failureCount, this.nextAttemptTime);
+    }
+  }
+
+  /**
+   * Publish this breaker's state to the store
+   */
+  private async saveState(): Promise<void> {
+    const store = this.config.stateStore;
+    if (!store) return;
+
+    try {
+      await store.set(this.config.name, {
+        state: this.state,
+        failureCount: this.failureCount,
+        nextAttemptTime: this.nextAttemptTime,
+        updatedAt: this.stateUpdatedAt,
+      });
+      this.storeFailing = false;
+    } catch (error) {
+      this.storeUnavailable(error as Error);
+    }
+  }
+
+  /**
+   * Claim the store's probe lock for a half-open call. Returns the owner
+   * token to release, or false if another caller is probing.
+   */
+  private async acquireProbe(): Promise<string | false | undefined> {
+    const store = this.config.stateStore;
+    if (!store || this.state !== 'half-open') return undefined;
+
+    const owner = `${this.instanceId}:${++this.probeCount}`;
+    try {
+      return (await store.acquireProbe(this.config.name, owner, this.config.probeTimeout)) && owner;
+    } catch (error) {
+      // Without the store this process probes as if it were alone
+      this.storeUnavailable(error as Error);
+      return undefined;
+    }
+  }
+
+  private async releaseProbe(owner: string): Promise<void> {
+    try {
+      await this.config.stateStore?.releaseProbe(this.config.name, owner);
+    } catch (error) {
+      this.storeUnavailable(error as Error);
+    }
+  }
+
+  /**
+   * A failing store must not take the breaker down with it: keep using the
+   * local state, and warn once until the store answers again
+   */
+  private storeUnavailable(error: Error): void {
+    if (this.storeFailing) return;
+    this.storeFailing = true;
+    kiloCodeLogger.warn(
+      `Circuit breaker '${this.config.name}' state store unavailable, using local state: ${error.message}`
+    );
+  }
+
   /**
    * Execute a function with circuit breaker protection
+   *
+   * The operation's signal is aborted when `signal` is, or with a
+   * CircuitBreakerError when the circuit opens while it runs. Aborted
+   * operations are not counted as failures.
+   *
+   * With a state store, the state of same-named breakers in other processes
+   * is adopted first, and only the holder of the probe lock may call
+   * through a half-open circuit.
    */
   async execute<T>(
-    operation: () => Promise<T>,
-    context: LogContext
+    operation: (signal?: AbortSignal) => Promise<T>,
+    context: LogContext,
+    signal?: AbortSignal
   ): Promise<T> {
+    if (this.shouldSync()) {
+      await this.loadState(context);
+    }
     const now = Date.now();
 
     // Check if circuit should transition from open to half-open
     if (this.state === 'open' && this.nextAttemptTime && now >= this.nextAttemptTime) {
       this.transitionToState('half-open', context);
+      await this.saveState();
     }
 
     // Check circuit state
@@ -160,28 +312,55 @@ export class CircuitBreaker {
       );
     }
 
+    // Awaited only with a store, so the operation otherwise starts synchronously
+    const probeOwner = this.config.stateStore ? await this.acquireProbe() : undefined;
+    if (probeOwner === false) {
+      throw new CircuitBreakerError(
+        `Circuit breaker '${this.config.name}' is HALF-OPEN and already being probed`,
+        this.config.name,
+        this.state
+      );
+    }
+
+    const { controller, dispose } = createLinkedController(signal);
+    this.inFlight.add(controller);
+
     try {
-      const result = await operation();
+      const result = await raceWithSignal(operation(controller.signal), controller.signal);
       this.recordRequest(true);
 
       // Transition from half-open to closed on success threshold
       if (this.state === 'half-open' && this.shouldCloseCircuit()) {
         this.transitionToState('closed', context);
+        await this.saveState();
       }
 
       return result;
     } catch (error) {
+      if (controller.signal.aborted) {
+        throw error;
+      }
+
       this.recordRequest(false);
+      this.lastSync = 0; // Another process may have opened the circuit meanwhile
 
       // Transition to open state if failure threshold exceeded
       if (this.state === 'closed' && this.shouldOpenCircuit()) {
         this.transitionToState('open', context);
+        await this.saveState();
       } else if (this.state === 'half-open') {
         // Failed in half-open state, go back to open
         this.transitionToState('open', context);
+        await this.saveState();
       }
 
       throw error;
+    } finally {
+      this.inFlight.delete(controller);
+      dispose();
+      if (probeOwner) {
+        await this.releaseProbe(probeOwner);
+      }
     }
   }
 
@@ -208,6 +387,8 @@ export class CircuitBreaker {
     this.failureCount = 0;
     this.successCount = 0;
     this.nextAttemptTime = undefined;
+    this.stateUpdatedAt = Date.now();
+    void this.saveState();
   }
 
   /**
@@ -216,6 +397,9 @@ export class CircuitBreaker {
   open(): void {
     this.state = 'open';
     this.nextAttemptTime = Date.now() + this.config.recoveryTimeout;
+    this.stateUpdatedAt = Date.now();
+    this.abortInFlight();
+    void this.saveState();
   }
 
   /**
@@ -224,6 +408,16 @@ export class CircuitBreaker {
   forceHalfOpen(): void {
     this.state = 'half-open';
     this.successCount = 0;
+    this.stateUpdatedAt = Date.now();
+    void this.saveState();
+  }
+
+  /**
+   * Share this breaker's state through `store` from now on
+   */
+  setStateStore(store: CircuitStateStore | undefined): void {
+    this.config.stateStore = store;
+    this.lastSync = 0;
   }
 
   /**
@@ -254,12 +448,13 @@ export class CircuitBreaker {
 // Circuit breaker registry for managing multiple breakers
 export class CircuitBreakerRegistry {
   private breakers = new Map<string, CircuitBreaker>();
+  private stateStore?: CircuitStateStore;
 
   createBreaker(name: string, config: Partial<CircuitBreakerConfig> = {}): CircuitBreaker {
     if (this.breakers.has(name)) {
       return this.breakers.get(name) as CircuitBreaker;
     }
-    const breakerConfig = { ...config, name };
+    const breakerConfig = { stateStore: this.stateStore, ...config, name };
     const breaker = new CircuitBreaker(breakerConfig);
     this.breakers.set(name, breaker);
     return breaker;
@@ -287,6 +482,17 @@ export class CircuitBreakerRegistry {
     }
   }
 
+  /**
+   * Share the state of all breakers, present and future, through `store`,
+   * e.g. once at process start
+   */
+  useStateStore(store: CircuitStateStore | undefined): void {
+    this.stateStore = store;
+    for (const breaker of this.breakers.values()) {
+      breaker.setStateStore(store);
+    }
+  }
+
   destroyAll(): void {
     for (const breaker of this.breakers.values()) {
       breaker.destroy();
@@ -331,10 +537,11 @@ export const circuitBreakers = {
 
 // Utility function to execute with circuit breaker protection
 export async function withCircuitBreaker<T>(
-  operation: () => Promise<T>,
+  operation: (signal?: AbortSignal) => Promise<T>,
   breakerName: string,
   context: LogContext,
-  config?: Partial<CircuitBreakerConfig>
+  config?: Partial<CircuitBreakerConfig>,
+  signal?: AbortSignal
 ): Promise<T> {
   let breaker = circuitBreakerRegistry.getBreaker(breakerName);
 
@@ -342,7 +549,7 @@ export async function withCircuitBreaker<T>(
     breaker = circuitBreakerRegistry.createBreaker(breakerName, config);
   }
 
-  return breaker.execute(operation, context);
+  return breaker.execute(operation, context, signal);
 }
 
 // Decorator for methods that need circuit breaker protection
@@ -0,0 +1,239 @@
+/**
+ * Shared Circuit Breaker State for Kilo Code API Error Handling
+ *
+ * Breakers with the same name and the same store share their open and
+ * half-open status, across processes (file, Redis) and restarts. A probe
+ * lock makes sure only one caller tests a half-open circuit at a time.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import type { CircuitState } from './circuit-breaker';
+
+export interface SharedCircuitState {
+  state: CircuitState;
+  failureCount: number;
+  nextAttemptTime?: number; // When an open circuit may be probed
+  updatedAt: number; // Newer states win; processes should keep their clocks in sync
+}
+
+export interface CircuitStateStore {
+  get(name: string): Promise<SharedCircuitState | undefined>;
+  set(name: string, state: SharedCircuitState): Promise<void>;
+
+  /**
+   * Claim the half-open probe for `owner`. True for one owner at a time,
+   * until it releases the probe or `ttlMs` passes.
+   */
+  acquireProbe(name: string, owner: string, ttlMs: number): Promise<boolean>;
+  releaseProbe(name: string, owner: string): Promise<void>;
+}
+
+/**
+ * Shares state between the breakers of one process, e.g. several
+ * registries, and stands in for the other stores in tests
+ */
+export class MemoryCircuitStateStore implements CircuitStateStore {
+  private states = new Map<string, SharedCircuitState>();
+  private probes = new Map<string, { owner: string; expires: number }>();
+
+  async get(name: string): Promise<SharedCircuitState | undefined> {
+    const state = this.states.get(name);
+    return state && { ...state };
+  }
+
+  async set(name: string, state: SharedCircuitState): Promise<void> {
+    this.states.set(name, { ...state });
+  }
+
+  async acquireProbe(name: string, owner: string, ttlMs: number): Promise<boolean> {
+    const probe = this.probes.get(name);
+    if (probe && probe.owner !== owner && probe.expires > Date.now()) {
+      return false;
+    }
+    this.probes.set(name, { owner, expires: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseProbe(name: string, owner: string): Promise<void> {
+    if (this.probes.get(name)?.owner === owner) {
+      this.probes.delete(name);
+    }
+  }
+}
+
+/**
+ * One JSON file per breaker in `directory`, for processes on one machine
+ * such as the MCP servers and CLI scripts. The probe lock is a file
+ * created exclusively next to it.
+ */
+export class FileCircuitStateStore implements CircuitStateStore {
+  constructor(private directory: string) {}
+
+  private fileFor(name: string, extension: string): string {
+    return path.join(this.directory, `${encodeURIComponent(name)}.${extension}`);
+  }
+
+  async get(name: string): Promise<SharedCircuitState | undefined> {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(name, 'json'), 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(name: string, state: SharedCircuitState): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Written aside and renamed, so readers never see a half-written file
+    const file = this.fileFor(name, 'json');
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(state));
+    await fs.rename(temporary, file);
+  }
+
+  async acquireProbe(name: string, owner: string, ttlMs: number): Promise<boolean> {
+    await fs.mkdir(this.directory, { recursive: true });
+    const file = this.fileFor(name, 'probe');
+    const lock = JSON.stringify({ owner, expires: Date.now() + ttlMs });
+
+    try {
+      await fs.writeFile(file, lock, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+    }
+
+    // Someone holds the probe; take it over only once their lease expired
+    const held = await this.readProbe(file);
+    if (held && held.expires > Date.now()) {
+      return held.owner === owner;
+    }
+    await fs.rm(file, { force: true });
+    try {
+      await fs.writeFile(file, lock, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  async releaseProbe(name: string, owner: string): Promise<void> {
+    const file = this.fileFor(name, 'probe');
+    if ((await this.readProbe(file))?.owner === owner) {
+      await fs.rm(file, { force: true });
+    }
+  }
+
+  private async readProbe(file: string): Promise<{ owner: string; expires: number } | undefined> {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      // Gone, or caught between create and write: treat as free
+      return undefined;
+    }
+  }
+}
+
+/**
+ * The commands the Redis store needs, as ioredis names them. The package
+ * does not depend on a Redis client; pass the one your process already has.
+ * Connection errors should be handled by the client's owner: the breakers
+ * only see failed commands.
+ */
+export interface RedisStoreClient {
+  get(key: string): Promise<string | null>;
+  set(key: string, value: string): Promise<unknown>;
+  set(key: string, value: string, px: 'PX', milliseconds: number, nx: 'NX'): Promise<unknown>;
+  eval(script: string, numKeys: number, ...args: Array<string | number>): Promise<unknown>;
+}
+
+// Deletes the probe lock only if it is still ours
+const RELEASE_PROBE_SCRIPT =
+  "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Shares state between processes on any machine that reaches the Redis
+ * server. The probe lock is a key set with NX and an expiry.
+ */
+export class RedisCircuitStateStore implements CircuitStateStore {
+  constructor(private client: RedisStoreClient, private keyPrefix: string = 'kilo-code:circuit:') {}
+
+  async get(name: string): Promise<SharedCircuitState | undefined> {
+    const value = await this.client.get(`${this.keyPrefix}${name}`);
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async set(name: string, state: SharedCircuitState): Promise<void> {
+    await this.client.set(`${this.keyPrefix}${name}`, JSON.stringify(state));
+  }
+
+  async acquireProbe(name: string, owner: string, ttlMs: number): Promise<boolean> {
+    const key = `${this.keyPrefix}${name}:probe`;
+    if ((await this.client.set(key, owner, 'PX', ttlMs, 'NX')) === 'OK') {
+      return true;
+    }
+    return (await this.client.get(key)) === owner;
+  }
+
+  async releaseProbe(name: string, owner: string): Promise<void> {
+    await this.client.eval(RELEASE_PROBE_SCRIPT, 1, `${this.keyPrefix}${name}:probe`, owner);
+  }
+}
+
+/**
+ * Connection options for the Redis store's client, from the Redis MCP
+ * server's settings: `REDIS_HOST`, `REDIS_PORT`, `REDIS_PASSWORD`,
+ * `REDIS_USERNAME`, `REDIS_DB` and `REDIS_TLS`. Written for ioredis.
+ */
+export function redisConnectionOptions(env: Record<string, string | undefined> = process.env) {
+  return {
+    host: env.REDIS_HOST || 'localhost',
+    port: parseInt(env.REDIS_PORT || '', 10) || 6379,
+    password: env.REDIS_PASSWORD,
+    username: env.REDIS_USERNAME,
+    db: parseInt(env.REDIS_DB || '', 10) || 0,
+    tls: env.REDIS_TLS === 'true' ? {} : undefined,
+    // Fail fast while Redis is away; the breakers fall back to local state
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  };
+}
+
+export interface CircuitStateStoreClients {
+  /** Creates the Redis store's client, e.g. `new Redis(redisConnectionOptions())` */
+  redis?: () => RedisStoreClient;
+}
+
+/**
+ * The store a process should use, from its environment:
+ *
+ * - `CIRCUIT_STATE_STORE`: `memory`, `file` or `redis`; unset keeps every
+ *   breaker's state in its own process, as without a store
+ * - `CIRCUIT_STATE_DIR`: directory of the file store
+ *
+ * The Redis store uses the client `clients.redis` creates; the package does
+ * not depend on a Redis client of its own.
+ */
+export function createCircuitStateStore(
+  env: Record<string, string | undefined> = process.env,
+  clients: CircuitStateStoreClients = {}
+): CircuitStateStore | undefined {
+  switch (env.CIRCUIT_STATE_STORE || undefined) {
+    case undefined:
+      return undefined;
+    case 'memory':
+      return new MemoryCircuitStateStore();
+    case 'file':
+      return new FileCircuitStateStore(env.CIRCUIT_STATE_DIR || '.circuit-state');
+    case 'redis':
+      if (!clients.redis) {
+        throw new Error('CIRCUIT_STATE_STORE=redis needs a Redis client: pass `clients.redis`');
+      }
+      return new RedisCircuitStateStore(clients.redis());
+    default:
+      throw new Error(`Unknown CIRCUIT_STATE_STORE '${env.CIRCUIT_STATE_STORE}': use memory, file or redis`);
+  }
+}
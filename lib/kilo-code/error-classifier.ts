@@ -0,0 +1,187 @@
+/**
+ * HTTP Error Classification for Kilo Code API Error Handling
+ *
+ * Decides from an error's HTTP status and rate-limit headers whether a
+ * failed call is worth retrying and how long the server asked us to wait.
+ * Works with errors that carry `status` and `headers` the way Octokit's
+ * RequestError does, and with HTTPStatusError for plain fetch calls.
+ */
+
+export interface RetryDecision {
+  retry: boolean;
+  delay?: number; // Server-requested wait in milliseconds; backoff is used without it
+}
+
+/**
+ * Returns a decision, or undefined to leave the error to the next
+ * classifier (and finally to the `retryableErrors` message patterns)
+ */
+export type ErrorClassifier = (error: Error) => RetryDecision | undefined;
+
+export class HTTPStatusError extends Error {
+  public readonly status: number;
+  public readonly headers: Record<string, string>;
+
+  constructor(message: string, status: number, headers: Record<string, string> = {}) {
+    super(message);
+    this.name = 'HTTPStatusError';
+    this.status = status;
+    this.headers = headers;
+  }
+
+  /**
+   * Build the error from a fetch Response, keeping its headers for the
+   * classifiers
+   */
+  static fromResponse(
+    response: { status: number; headers: { forEach(callback: (value: string, name: string) => void): void } },
+    message: string = `Request failed with HTTP ${response.status}`
+  ): HTTPStatusError {
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+    return new HTTPStatusError(message, response.status, headers);
+  }
+}
+
+/** A property of a value that is only known to possibly be an object */
+function property(value: unknown, key: string): unknown {
+  return typeof value === 'object' && value !== null ? (value as Record<string, unknown>)[key] : undefined;
+}
+
+/**
+ * HTTP status of an error: `status`, `statusCode` or `response.status`
+ */
+export function getErrorStatus(error: Error): number | undefined {
+  const status = property(error, 'status') ?? property(error, 'statusCode') ?? property(property(error, 'response'), 'status');
+  return typeof status === 'number' ? status : undefined;
+}
+
+/**
+ * Response header of an error, from `headers` or `response.headers`,
+ * looked up case-insensitively
+ */
+export function getErrorHeader(error: Error, name: string): string | undefined {
+  const headers = property(error, 'headers') ?? property(property(error, 'response'), 'headers');
+  if (!headers || typeof headers !== 'object') return undefined;
+
+  // A fetch `Headers` object
+  const get = property(headers, 'get');
+  if (typeof get === 'function') {
+    const value: unknown = get.call(headers, name);
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  const wanted = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === wanted && value !== undefined && value !== null) {
+      return String(Array.isArray(value) ? value[0] : value);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * `Retry-After`: delay in seconds or an HTTP date
+ */
+export function parseRetryAfter(value: string, now: number = Date.now()): number | undefined {
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  const date = Date.parse(trimmed);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+// Anything below is a delay in seconds rather than a Unix timestamp
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+/**
+ * `x-ratelimit-reset`: GitHub and most APIs send the Unix time in seconds,
+ * some the seconds left or a duration such as `1m30s` or `250ms`
+ */
+export function parseRateLimitReset(value: string, now: number = Date.now()): number | undefined {
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const seconds = parseFloat(trimmed);
+    return seconds >= EPOCH_SECONDS_THRESHOLD
+      ? Math.max(0, Math.round(seconds * 1000 - now))
+      : Math.round(seconds * 1000);
+  }
+
+  const duration = /^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/.exec(trimmed);
+  if (duration && trimmed !== '') {
+    const [, hours = '0', minutes = '0', seconds = '0', millis = '0'] = duration;
+    return Math.round(
+      (parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds)) * 1000
+      + parseInt(millis, 10)
+    );
+  }
+
+  return parseRetryAfter(trimmed, now);
+}
+
+/**
+ * How long the server asked us to wait: `Retry-After` wins over
+ * `x-ratelimit-reset`
+ */
+export function serverRetryDelay(error: Error, now: number = Date.now()): number | undefined {
+  const retryAfter = getErrorHeader(error, 'retry-after');
+  if (retryAfter !== undefined) {
+    const delay = parseRetryAfter(retryAfter, now);
+    if (delay !== undefined) return delay;
+  }
+
+  const reset = getErrorHeader(error, 'x-ratelimit-reset');
+  return reset === undefined ? undefined : parseRateLimitReset(reset, now);
+}
+
+/**
+ * GitHub answers an exhausted rate limit with 403 (or 429) and
+ * `X-RateLimit-Remaining: 0`, and a secondary rate limit with 403 and
+ * `Retry-After`. Both are retried once the limit resets.
+ */
+export const githubRateLimitClassifier: ErrorClassifier = error => {
+  const status = getErrorStatus(error);
+  if (status !== 403 && status !== 429) return undefined;
+
+  const exhausted = getErrorHeader(error, 'x-ratelimit-remaining') === '0';
+  if (!exhausted && getErrorHeader(error, 'retry-after') === undefined) return undefined;
+
+  return { retry: true, delay: serverRetryDelay(error) };
+};
+
+/**
+ * 408, 429 and 5xx are retried, after the server's requested delay if it
+ * sent one; every other 4xx is final
+ */
+export const httpStatusClassifier: ErrorClassifier = error => {
+  const status = getErrorStatus(error);
+  if (status === undefined) return undefined;
+
+  if (status === 408 || status === 429 || status >= 500) {
+    return { retry: true, delay: serverRetryDelay(error) };
+  }
+  if (status >= 400) {
+    return { retry: false };
+  }
+  return undefined;
+};
+
+export const defaultErrorClassifiers: ErrorClassifier[] = [
+  githubRateLimitClassifier,
+  httpStatusClassifier,
+];
+
+/**
+ * The first decision of `classifiers`, or undefined if none has one
+ */
+export function classifyError(error: Error, classifiers: ErrorClassifier[]): RetryDecision | undefined {
+  for (const classifier of classifiers) {
+    const decision = classifier(error);
+    if (decision) return decision;
+  }
+  return undefined;
+}
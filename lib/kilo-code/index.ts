@@ -17,8 +17,8 @@ function generateUUID(): string {
   });
 }
 
-import type { RetryConfig } from './retry';
-import { ExponentialBackoffRetry, retryConfigs } from './retry';
+import type { RetryAttempt, RetryConfig } from './retry';
+import { ExponentialBackoffRetry, retryConfigs, totalRetryDelay } from './retry';
 
 import type { CircuitBreakerConfig } from './circuit-breaker';
 import { CircuitBreaker, circuitBreakerRegistry } from './circuit-breaker';
@@ -27,7 +27,7 @@ import type { HistoryConfig, Message } from './history-manager';
 import { ConversationHistoryManager } from './history-manager';
 
 import type { RequestComplexity, TimeoutConfig } from './timeout-handler';
-import { TimeoutHandler } from './timeout-handler';
+import { TimeoutError, TimeoutHandler } from './timeout-handler';
 
 import type { RecoveryResult } from './response-validator';
 import { ResponseValidator, responseValidators } from './response-validator';
@@ -50,6 +50,7 @@ export interface APIContext {
   complexity?: Partial<RequestComplexity>;
   correlationId?: string;
   model?: string;
+  signal?: AbortSignal; // Cancels the call; it then fails with a CancelledError
 }
 
 // Enhanced API response with error handling metadata
@@ -60,7 +61,9 @@ export interface EnhancedAPIResponse<T = any> {
   metadata: {
     correlationId: string;
     duration: number;
-    retryCount: number;
+    retryCount: number; // Attempts after the first one
+    totalBackoff: number; // Milliseconds spent waiting between attempts
+    attempts: RetryAttempt[]; // Every attempt, with the error of each failed one
     circuitBreakerState?: string;
     fallbackApplied?: boolean;
     fallbackStrategy?: string;
@@ -86,8 +89,9 @@ export class KiloCodeErrorHandler {
 
     // Initialize components with defaults or provided config
     this.retryHandler = new ExponentialBackoffRetry(this.config.retry);
+    // Handlers share the `kilo-code-api` breaker unless the config names their own
     this.circuitBreaker = circuitBreakerRegistry.createBreaker(
-      'kilo-code-api',
+      this.config.circuitBreaker?.name || 'kilo-code-api',
       this.config.circuitBreaker
     );
     this.historyManager = new ConversationHistoryManager(this.config.history);
@@ -97,9 +101,14 @@ export class KiloCodeErrorHandler {
 
   /**
    * Execute an API call with comprehensive error handling
+   *
+   * `apiCall` receives an AbortSignal to hand to fetch or similar. It is
+   * aborted when the call times out (TimeoutError), the circuit opens
+   * (CircuitBreakerError) or `context.signal` is aborted (CancelledError);
+   * the response's `error` is that same error.
    */
   async executeAPIRequest<T>(
-    apiCall: () => Promise<T>,
+    apiCall: (signal?: AbortSignal) => Promise<T>,
     context: APIContext
   ): Promise<EnhancedAPIResponse<T>> {
     const startTime = Date.now();
@@ -112,7 +121,10 @@ export class KiloCodeErrorHandler {
       timestamp: new Date().toISOString(),
     };
 
-    let retryCount = 0;
+    // Filled by the retry handler as attempts finish, even if a timeout or
+    // the circuit breaker abandons it
+    const attempts: RetryAttempt[] = [];
+    const retryCount = () => Math.max(0, attempts.length - 1);
     let circuitBreakerState = 'unknown';
     let fallbackApplied = false;
     let fallbackStrategy: string | undefined;
@@ -134,29 +146,35 @@ export class KiloCodeErrorHandler {
       tokensUsed = this.historyManager.countTotalTokens().total;
 
       // Execute with circuit breaker protection
-      const result = await this.circuitBreaker.execute(async () => {
+      // Each layer passes its signal on, so any of them can abort the call
+      const result = await this.circuitBreaker.execute(async breakerSignal => {
         // Execute with retry logic and timeout
         const timeoutResult = await this.timeoutHandler.execute(
-          async () => {
+          async timeoutSignal => {
             return await this.retryHandler.execute(
               apiCall,
               logContext,
-              'api-call'
+              'api-call',
+              timeoutSignal,
+              attempts
             );
           },
           undefined, // Use default timeout calculation
           logContext,
-          context.complexity
+          context.complexity,
+          breakerSignal
         );
 
         if (timeoutResult.timedOut) {
-          throw new Error(`Request timed out after ${timeoutResult.timeoutUsed}ms`);
+          throw timeoutResult.error || new TimeoutError(
+            `Request timed out after ${timeoutResult.timeoutUsed}ms`,
+            timeoutResult.timeoutUsed,
+            'api-call'
+          );
         }
 
-        // Note: retry count is tracked internally by the retry handler
-        // For now, we don't expose the exact retry count in the result
         return timeoutResult.result;
-      }, logContext);
+      }, logContext, context.signal);
 
       // Validate and recover from response issues
       let validatedResult: RecoveryResult<T>;
@@ -200,7 +218,9 @@ export class KiloCodeErrorHandler {
           requestStartTime: startTime,
           requestEndTime: Date.now(),
           status: 'success',
-          retryCount,
+          retryCount: retryCount(),
+          totalBackoff: totalRetryDelay(attempts),
+          attempts,
         });
       }
 
@@ -212,7 +232,9 @@ export class KiloCodeErrorHandler {
         metadata: {
           correlationId,
           duration,
-          retryCount,
+          retryCount: retryCount(),
+          totalBackoff: totalRetryDelay(attempts),
+          attempts,
           circuitBreakerState,
           fallbackApplied,
           fallbackStrategy,
@@ -236,7 +258,9 @@ export class KiloCodeErrorHandler {
           {
             requestStartTime: startTime,
             status: 'error',
-            retryCount,
+            retryCount: retryCount(),
+            totalBackoff: totalRetryDelay(attempts),
+            attempts,
           }
         );
       }
@@ -247,7 +271,9 @@ export class KiloCodeErrorHandler {
         metadata: {
           correlationId,
           duration,
-          retryCount,
+          retryCount: retryCount(),
+          totalBackoff: totalRetryDelay(attempts),
+          attempts,
           circuitBreakerState,
           fallbackApplied,
           fallbackStrategy,
@@ -269,6 +295,7 @@ export class KiloCodeErrorHandler {
 
     return {
       circuitBreaker: circuitBreakerStats,
+      retryBudget: this.retryHandler.getBudgetStats(),
       timeout: timeoutStats,
       logging: loggerStats,
       history: historyStats,
@@ -383,7 +410,7 @@ export const defaultKiloCodeErrorHandler = kiloCodeErrorHandlers.production;
 
 // Utility functions for easy integration
 export async function executeWithErrorHandling<T>(
-  apiCall: () => Promise<T>,
+  apiCall: (signal?: AbortSignal) => Promise<T>,
   context: APIContext,
   handler: KiloCodeErrorHandler = defaultKiloCodeErrorHandler
 ): Promise<EnhancedAPIResponse<T>> {
@@ -402,10 +429,14 @@ export function createErrorHandledWrapper<T extends (...args: any[]) => Promise<
 }
 
 // Export all components for advanced usage
+export * from './cancellation';
 export * from './circuit-breaker';
+export * from './circuit-state-store';
+export * from './error-classifier';
 export * from './history-manager';
 export * from './logger';
 export * from './response-validator';
 export * from './retry';
+export * from './retry-budget';
 export * from './timeout-handler';
 
@@ -5,6 +5,8 @@
  * and error tracking for API interactions.
  */
 
+import type { RetryAttempt } from './retry';
+
 // Simple UUID generation for browser compatibility
 function generateUUID(): string {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
@@ -34,6 +36,8 @@ export interface APIMetrics {
   cost?: number;
   status: 'success' | 'error' | 'timeout' | 'retry' | 'pending';
   retryCount?: number;
+  totalBackoff?: number; // Milliseconds spent waiting between attempts
+  attempts?: RetryAttempt[]; // Set on the final log line of a request
 }
 
 export interface APIRequest {
@@ -262,6 +266,30 @@ export class KiloCodeLogger {
     this.log(entry);
   }
 
+  logRetryBudgetExhausted(
+    context: LogContext,
+    budgetName: string,
+    requests: number,
+    retries: number,
+    deniedRetries: number
+  ): void {
+    const entry = this.createLogEntry(
+      'warn',
+      `Retry budget '${budgetName}' exhausted (${retries} retries for ${requests} requests)`,
+      context,
+      {
+        metadata: {
+          retryBudget: budgetName,
+          retryBudgetExhausted: true,
+          requests,
+          retries,
+          deniedRetries,
+        },
+      }
+    );
+    this.log(entry);
+  }
+
   logHistoryTruncation(
     context: LogContext,
     originalLength: number,
@@ -345,6 +373,12 @@ export class KiloCodeLogger {
     successRate: number;
     averageResponseTime: number;
     errorCount: number;
+    retriedRequests: number;
+    totalRetries: number;
+    averageRetries: number;
+    totalBackoffTime: number;
+    attemptErrors: Record<string, number>;
+    retryBudgetDenials: number;
   } {
     const cutoffTime = Date.now() - (hours * 60 * 60 * 1000);
     const recentLogs = this.logBuffer.filter(
@@ -368,11 +402,37 @@ export class KiloCodeLogger {
       ? responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length
       : 0;
 
+    // Retry accounting comes from the final log line of each request, the
+    // only one that carries its attempt records
+    const finishedRequests = recentLogs.filter(entry => entry.metrics?.attempts);
+    const totalRetries = finishedRequests.reduce(
+      (sum, entry) => sum + (entry.metrics!.retryCount || 0), 0
+    );
+    const attemptErrors: Record<string, number> = {};
+    for (const entry of finishedRequests) {
+      for (const attempt of entry.metrics!.attempts!) {
+        if (attempt.error) {
+          attemptErrors[attempt.error.name] = (attemptErrors[attempt.error.name] || 0) + 1;
+        }
+      }
+    }
+
     return {
       totalRequests,
       successRate: totalRequests > 0 ? (successfulRequests / totalRequests) * 100 : 0,
       averageResponseTime,
       errorCount,
+      retriedRequests: finishedRequests.filter(entry => (entry.metrics!.retryCount || 0) > 0).length,
+      totalRetries,
+      averageRetries: finishedRequests.length > 0 ? totalRetries / finishedRequests.length : 0,
+      totalBackoffTime: finishedRequests.reduce(
+        (sum, entry) => sum + (entry.metrics!.totalBackoff || 0), 0
+      ),
+      attemptErrors,
+      retryBudgetDenials: this.logBuffer.filter(
+        entry => entry.metadata?.retryBudgetExhausted &&
+                 new Date(entry.context.timestamp).getTime() > cutoffTime
+      ).length,
     };
   }
 
@@ -0,0 +1,177 @@
+/**
+ * Retry Budgets for Kilo Code API Error Handling
+ *
+ * Caps retries at a share of the requests made in a sliding window, shared
+ * by every retry handler that names the same budget. Without it, each
+ * caller retries on its own and an outage multiplies the load on the
+ * failing provider.
+ */
+
+import type { LogContext } from './logger';
+import { kiloCodeLogger } from './logger';
+
+export interface RetryBudgetConfig {
+  retryRatio: number; // Retries allowed per request in the window (0.2 = 20 %)
+  minRetries: number; // Retries always allowed per window, so quiet periods can still retry
+  windowMs: number; // Sliding window in milliseconds
+  name: string; // Identifier for this budget
+}
+
+export interface RetryBudgetStats {
+  name: string;
+  requests: number; // Requests in the current window
+  retries: number; // Retries in the current window
+  available: number; // Retries that would be allowed right now
+  exhausted: boolean;
+  deniedRetries: number; // Retries refused since the budget was created or reset
+  lastDeniedTime?: number;
+}
+
+/**
+ * A token bucket over a sliding window: every request adds `retryRatio`
+ * tokens, every retry takes one, and both expire after `windowMs`.
+ */
+export class RetryBudget {
+  private config: RetryBudgetConfig;
+  private requestTimes: number[] = [];
+  private retryTimes: number[] = [];
+  private deniedRetries = 0;
+  private lastDeniedTime?: number;
+
+  constructor(config: Partial<RetryBudgetConfig> = {}) {
+    this.config = {
+      retryRatio: 0.2,
+      minRetries: 10,
+      windowMs: 60000, // 1 minute
+      name: 'default-budget',
+      ...config,
+    };
+  }
+
+  private prune(now: number): void {
+    const cutoffTime = now - this.config.windowMs;
+    this.requestTimes = this.requestTimes.filter(time => time > cutoffTime);
+    this.retryTimes = this.retryTimes.filter(time => time > cutoffTime);
+  }
+
+  private availableRetries(): number {
+    const tokens = this.config.minRetries + this.requestTimes.length * this.config.retryRatio;
+    return Math.max(0, Math.floor(tokens - this.retryTimes.length));
+  }
+
+  /**
+   * Count a new request (its first attempt)
+   */
+  recordRequest(): void {
+    const now = Date.now();
+    this.prune(now);
+    this.requestTimes.push(now);
+  }
+
+  /**
+   * Take a retry from the budget. Returns false, and logs it, when the
+   * budget is exhausted and the caller should give up instead.
+   */
+  tryAcquire(context?: LogContext): boolean {
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.availableRetries() >= 1) {
+      this.retryTimes.push(now);
+      return true;
+    }
+
+    this.deniedRetries++;
+    this.lastDeniedTime = now;
+    kiloCodeLogger.logRetryBudgetExhausted(
+      context || kiloCodeLogger.createContext({ model: 'retry-budget' }),
+      this.config.name,
+      this.requestTimes.length,
+      this.retryTimes.length,
+      this.deniedRetries
+    );
+    return false;
+  }
+
+  getStats(): RetryBudgetStats {
+    this.prune(Date.now());
+    const available = this.availableRetries();
+
+    return {
+      name: this.config.name,
+      requests: this.requestTimes.length,
+      retries: this.retryTimes.length,
+      available,
+      exhausted: available < 1,
+      deniedRetries: this.deniedRetries,
+      lastDeniedTime: this.lastDeniedTime,
+    };
+  }
+
+  reset(): void {
+    this.requestTimes = [];
+    this.retryTimes = [];
+    this.deniedRetries = 0;
+    this.lastDeniedTime = undefined;
+  }
+}
+
+// Retry budget registry, so handlers share a budget by name
+export class RetryBudgetRegistry {
+  private budgets = new Map<string, RetryBudget>();
+
+  createBudget(name: string, config: Partial<RetryBudgetConfig> = {}): RetryBudget {
+    if (this.budgets.has(name)) {
+      return this.budgets.get(name) as RetryBudget;
+    }
+    const budget = new RetryBudget({ ...config, name });
+    this.budgets.set(name, budget);
+    return budget;
+  }
+
+  getBudget(name: string): RetryBudget | undefined {
+    return this.budgets.get(name);
+  }
+
+  getAllBudgets(): Map<string, RetryBudget> {
+    return new Map(this.budgets);
+  }
+
+  getStats(): Record<string, RetryBudgetStats> {
+    const stats: Record<string, RetryBudgetStats> = {};
+    for (const [name, budget] of this.budgets) {
+      stats[name] = budget.getStats();
+    }
+    return stats;
+  }
+
+  resetAll(): void {
+    for (const budget of this.budgets.values()) {
+      budget.reset();
+    }
+  }
+}
+
+// Global retry budget registry
+export const retryBudgetRegistry = new RetryBudgetRegistry();
+
+// Pre-configured budgets, referenced by name from `retryConfigs`
+export const retryBudgets = {
+  // Normal API traffic: retries may add a fifth to the load
+  api: retryBudgetRegistry.createBudget('api', {
+    retryRatio: 0.2,
+    minRetries: 10,
+  }),
+
+  // Critical operations may retry more, but not without limit
+  critical: retryBudgetRegistry.createBudget('critical', {
+    retryRatio: 0.5,
+    minRetries: 20,
+  }),
+
+  // Rate-limited APIs, where retries mostly make things worse
+  rateLimited: retryBudgetRegistry.createBudget('rate-limited', {
+    retryRatio: 0.1,
+    minRetries: 5,
+  }),
+};
@@ -7,6 +7,11 @@
 
 import type { LogContext } from './logger';
 import { kiloCodeLogger } from './logger';
+import { raceWithSignal, sleep, throwIfAborted } from './cancellation';
+import type { ErrorClassifier, RetryDecision } from './error-classifier';
+import { classifyError, defaultErrorClassifiers, getErrorStatus } from './error-classifier';
+import type { RetryBudget, RetryBudgetStats } from './retry-budget';
+import { retryBudgetRegistry } from './retry-budget';
 
 export interface RetryConfig {
   maxAttempts: number;
@@ -15,6 +20,8 @@ export interface RetryConfig {
   backoffMultiplier: number; // Exponential backoff multiplier
   retryableErrors: string[]; // Error messages/codes that should trigger retry
   jitter: boolean; // Add random jitter to prevent thundering herd
+  classifiers: ErrorClassifier[]; // Tried in order before the retryableErrors patterns
+  budget?: string; // Name of a shared retry budget (see retryBudgetRegistry)
 }
 
 export interface RetryState {
@@ -24,22 +31,57 @@ export interface RetryState {
   lastError?: Error;
 }
 
+// One attempt of a retried operation
+export interface RetryAttempt {
+  attemptNumber: number;
+  duration: number; // How long the attempt ran in milliseconds
+  delay: number; // Backoff waited after the attempt (0 for the last one)
+  error?: {
+    name: string; // Error class, e.g. 'TypeError' or 'TimeoutError'
+    message: string;
+    code?: string;
+    status?: number; // HTTP status, if the error had one
+  };
+}
+
+export interface RetryResult<T> {
+  result: T;
+  attempts: RetryAttempt[];
+  totalDelay: number; // Sum of the backoff delays in milliseconds
+}
+
 export class RetryError extends Error {
   public readonly attemptNumber: number;
   public readonly totalAttempts: number;
   public readonly lastError: Error;
-
-  constructor(message: string, attemptNumber: number, totalAttempts: number, lastError: Error) {
+  public readonly attempts: RetryAttempt[];
+
+  constructor(
+    message: string,
+    attemptNumber: number,
+    totalAttempts: number,
+    lastError: Error,
+    attempts: RetryAttempt[] = []
+  ) {
     super(message);
     this.name = 'RetryError';
     this.attemptNumber = attemptNumber;
     this.totalAttempts = totalAttempts;
     this.lastError = lastError;
+    this.attempts = attempts;
   }
 }
 
+/**
+ * Total backoff time of a retried operation
+ */
+export function totalRetryDelay(attempts: RetryAttempt[]): number {
+  return attempts.reduce((sum, attempt) => sum + attempt.delay, 0);
+}
+
 export class ExponentialBackoffRetry {
   private config: RetryConfig;
+  private budget?: RetryBudget;
 
   constructor(config: Partial<RetryConfig> = {}) {
     this.config = {
@@ -59,8 +101,21 @@ export class ExponentialBackoffRetry {
         'Internal server error',
       ],
       jitter: true,
+      classifiers: defaultErrorClassifiers,
       ...config,
     };
+
+    // Budgets are shared: the first handler naming one creates it
+    if (this.config.budget) {
+      this.budget = retryBudgetRegistry.createBudget(this.config.budget);
+    }
+  }
+
+  /**
+   * Statistics of the shared retry budget, if this handler uses one
+   */
+  getBudgetStats(): RetryBudgetStats | undefined {
+    return this.budget?.getStats();
   }
 
   /**
@@ -75,6 +130,14 @@ export class ExponentialBackoffRetry {
     return Math.min(delayWithJitter, this.config.maxDelay);
   }
 
+  /**
+   * Decide whether to retry: the classifiers first (HTTP status and
+   * rate-limit headers by default), then the retryableErrors patterns
+   */
+  private classify(error: Error): RetryDecision {
+    return classifyError(error, this.config.classifiers) || { retry: this.isRetryableError(error) };
+  }
+
   /**
    * Check if an error is retryable based on the configuration
    */
@@ -88,29 +151,37 @@ export class ExponentialBackoffRetry {
     );
   }
 
-  /**
-   * Sleep for the specified number of milliseconds
-   */
-  private async sleep(ms: number): Promise<void> {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Execute a function with retry logic
+   *
+   * `signal` is passed to every attempt. Once it is aborted no further
+   * attempt starts, a pending backoff sleep ends, and the call rejects with
+   * the abort reason (e.g. TimeoutError or CancelledError) instead of a
+   * RetryError.
+   *
+   * Every finished attempt is appended to `attempts` as it happens, so a
+   * caller that abandons the retry (e.g. on timeout) still sees them.
    */
   async execute<T>(
-    operation: () => Promise<T>,
+    operation: (signal?: AbortSignal) => Promise<T>,
     context: LogContext,
-    operationName: string = 'operation'
+    operationName: string = 'operation',
+    signal?: AbortSignal,
+    attempts: RetryAttempt[] = []
   ): Promise<T> {
     let lastError: Error;
     const startTime = Date.now();
+    this.budget?.recordRequest();
 
     for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+      throwIfAborted(signal);
+      const attemptStart = Date.now();
+
       try {
         kiloCodeLogger.logRetryAttempt(context, attempt, 0);
 
-        const result = await operation();
+        const result = await raceWithSignal(operation(signal), signal);
+        attempts.push({ attemptNumber: attempt, duration: Date.now() - attemptStart, delay: 0 });
 
         // Log successful retry if this wasn't the first attempt
         if (attempt > 1) {
@@ -128,9 +199,27 @@ export class ExponentialBackoffRetry {
         return result;
       } catch (error) {
         lastError = error as Error;
-
-        // Check if error is retryable
-        if (!this.isRetryableError(lastError) || attempt === this.config.maxAttempts) {
+        const record: RetryAttempt = {
+          attemptNumber: attempt,
+          duration: Date.now() - attemptStart,
+          delay: 0,
+          error: {
+            name: lastError.name,
+            message: lastError.message,
+            code: (lastError as any).code,
+            status: getErrorStatus(lastError),
+          },
+        };
+        attempts.push(record);
+
+        // An aborted attempt is not a failure of the operation: stop as cancelled
+        throwIfAborted(signal);
+
+        // Check if error is retryable; a server that asks for a longer wait
+        // than maxDelay is not worth waiting for
+        const decision = this.classify(lastError);
+        const serverDelayTooLong = decision.delay !== undefined && decision.delay > this.config.maxDelay;
+        if (!decision.retry || serverDelayTooLong || attempt === this.config.maxAttempts) {
           // Log final failure
           kiloCodeLogger.logAPIError(context, lastError, undefined, {
             requestStartTime: startTime,
@@ -142,19 +231,44 @@ export class ExponentialBackoffRetry {
             `Operation failed after ${attempt} attempts: ${lastError.message}`,
             attempt,
             this.config.maxAttempts,
-            lastError
+            lastError,
+            attempts
+          );
+        }
+
+        // During an outage the shared budget runs dry, and callers give up
+        // instead of multiplying the load on the failing service
+        if (this.budget && !this.budget.tryAcquire(context)) {
+          kiloCodeLogger.logAPIError(context, lastError, undefined, {
+            requestStartTime: startTime,
+            status: 'error',
+            retryCount: attempt - 1,
+          });
+
+          throw new RetryError(
+            `Operation failed after ${attempt} attempts (retry budget '${this.config.budget}' exhausted): ${lastError.message}`,
+            attempt,
+            this.config.maxAttempts,
+            lastError,
+            attempts
           );
         }
 
-        // Calculate delay for next attempt
-        const delay = this.calculateDelay(attempt);
+        // Calculate delay for next attempt, unless the server named one
+        const delay = decision.delay ?? this.calculateDelay(attempt);
         const nextRetryTime = Date.now() + delay;
 
         // Log retry attempt
         kiloCodeLogger.logRetryAttempt(context, attempt, delay, lastError);
 
-        // Wait before next attempt
-        await this.sleep(delay);
+        // Wait before next attempt; an abort ends the wait, so record the
+        // time actually waited
+        const sleepStart = Date.now();
+        try {
+          await sleep(delay, signal);
+        } finally {
+          record.delay = Date.now() - sleepStart;
+        }
       }
     }
 
@@ -162,6 +276,23 @@ export class ExponentialBackoffRetry {
     throw lastError!;
   }
 
+  /**
+   * Execute a function with retry logic and return its attempt records
+   * along with the result. Failures throw as in `execute`; a RetryError
+   * carries the attempts.
+   */
+  async executeWithAttempts<T>(
+    operation: (signal?: AbortSignal) => Promise<T>,
+    context: LogContext,
+    operationName: string = 'operation',
+    signal?: AbortSignal
+  ): Promise<RetryResult<T>> {
+    const attempts: RetryAttempt[] = [];
+    const result = await this.execute(operation, context, operationName, signal, attempts);
+
+    return { result, attempts, totalDelay: totalRetryDelay(attempts) };
+  }
+
   /**
    * Decorator for methods that need retry logic
    */
@@ -227,6 +358,7 @@ export const retryConfigs = {
     baseDelay: 500,
     maxDelay: 5000,
     backoffMultiplier: 2,
+    budget: 'api',
   },
 
   // Standard retries for normal API calls
@@ -235,6 +367,7 @@ export const retryConfigs = {
     baseDelay: 1000,
     maxDelay: 30000,
     backoffMultiplier: 2,
+    budget: 'api',
   },
 
   // Slow retries for expensive operations
@@ -243,6 +376,7 @@ export const retryConfigs = {
     baseDelay: 2000,
     maxDelay: 60000,
     backoffMultiplier: 1.5,
+    budget: 'api',
   },
 
   // Aggressive retries for critical operations
@@ -251,6 +385,7 @@ export const retryConfigs = {
     baseDelay: 1000,
     maxDelay: 10000,
     backoffMultiplier: 2,
+    budget: 'critical',
   },
 
   // Conservative retries for rate-limited APIs
@@ -259,19 +394,21 @@ export const retryConfigs = {
     baseDelay: 5000,
     maxDelay: 60000,
     backoffMultiplier: 1.5,
+    budget: 'rate-limited',
   },
 };
 
 // Utility functions for common retry patterns
 export async function withRetry<T>(
-  operation: () => Promise<T>,
+  operation: (signal?: AbortSignal) => Promise<T>,
   config: Partial<RetryConfig> = {},
-  context?: LogContext
+  context?: LogContext,
+  signal?: AbortSignal
 ): Promise<T> {
   const retry = new ExponentialBackoffRetry(config);
   const logContext = context || kiloCodeLogger.createContext();
 
-  return retry.execute(operation, logContext);
+  return retry.execute(operation, logContext, 'operation', signal);
 }
 
 export function createRetryableFunction<T extends (...args: any[]) => Promise<any>>(
@@ -7,6 +7,7 @@
 
 import type { APIRequest, LogContext } from './logger';
 import { kiloCodeLogger } from './logger';
+import { createLinkedController, raceWithSignal } from './cancellation';
 
 export interface TimeoutConfig {
   defaultTimeout: number; // Default timeout in milliseconds
@@ -30,6 +31,7 @@ export interface TimeoutResult<T> {
   timedOut: boolean;
   duration: number;
   timeoutUsed: number;
+  error?: TimeoutError; // Set when timed out; the operation's signal was aborted with it
 }
 
 export class TimeoutError extends Error {
@@ -174,12 +176,17 @@ export class TimeoutHandler {
 
   /**
    * Execute a function with timeout protection
+   *
+   * The operation receives a signal that is aborted with the TimeoutError
+   * when the time is up, or with the reason of `signal` when the caller
+   * cancels. A caller cancellation rejects instead of reporting `timedOut`.
    */
   async execute<T>(
-    operation: () => Promise<T>,
+    operation: (signal?: AbortSignal) => Promise<T>,
     timeoutMs?: number,
     context?: LogContext,
-    complexity?: Partial<RequestComplexity>
+    complexity?: Partial<RequestComplexity>,
+    signal?: AbortSignal
   ): Promise<TimeoutResult<T>> {
     const actualTimeout = timeoutMs || this.calculateTimeout(complexity);
     const startTime = Date.now();
@@ -188,27 +195,21 @@ export class TimeoutHandler {
       model: 'timeout-handler',
     });
 
-    // Create timeout promise
-    const timeoutPromise = new Promise<never>((_, reject) => {
-      const timeoutId = setTimeout(() => {
-        clearTimeout(timeoutId);
-        const error = new TimeoutError(
-          `Operation timed out after ${actualTimeout}ms`,
-          actualTimeout,
-          'unknown'
-        );
-
-        kiloCodeLogger.logTimeout(logContext, actualTimeout);
-        reject(error);
-      }, actualTimeout);
-    });
+    // The timer is cleared once the operation settles so finished
+    // operations do not keep the process alive or log late timeouts
+    const { controller, dispose } = createLinkedController(signal);
+    const timeoutError = new TimeoutError(
+      `Operation timed out after ${actualTimeout}ms`,
+      actualTimeout,
+      'unknown'
+    );
+    const timeoutId = setTimeout(() => {
+      kiloCodeLogger.logTimeout(logContext, actualTimeout);
+      controller.abort(timeoutError);
+    }, actualTimeout);
 
     try {
-      // Race between operation and timeout
-      const result = await Promise.race([
-        operation(),
-        timeoutPromise
-      ]);
+      const result = await raceWithSignal(operation(controller.signal), controller.signal);
 
       const duration = Date.now() - startTime;
 
@@ -226,16 +227,21 @@ export class TimeoutHandler {
     } catch (error) {
       const duration = Date.now() - startTime;
 
-      if (error instanceof TimeoutError) {
+      // Only this handler's own timeout; an outer one is the caller's abort
+      if (error === timeoutError) {
         return {
           timedOut: true,
           duration,
           timeoutUsed: actualTimeout,
+          error: timeoutError,
         };
       }
 
       // Re-throw non-timeout errors
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      dispose();
     }
   }
 
@@ -243,14 +249,15 @@ export class TimeoutHandler {
    * Execute with graceful degradation - try with shorter timeout first
    */
   async executeWithGracefulDegradation<T>(
-    operation: () => Promise<T>,
+    operation: (signal?: AbortSignal) => Promise<T>,
     primaryTimeout: number,
     fallbackTimeout: number,
     context?: LogContext,
-    complexity?: Partial<RequestComplexity>
+    complexity?: Partial<RequestComplexity>,
+    signal?: AbortSignal
   ): Promise<TimeoutResult<T>> {
     // Try with primary timeout first
-    const primaryResult = await this.execute(operation, primaryTimeout, context, complexity);
+    const primaryResult = await this.execute(operation, primaryTimeout, context, complexity, signal);
 
     if (!primaryResult.timedOut) {
       return primaryResult;
@@ -267,7 +274,7 @@ export class TimeoutHandler {
       body: { primaryTimeout, fallbackTimeout }
     });
 
-    const fallbackResult = await this.execute(operation, fallbackTimeout, logContext, complexity);
+    const fallbackResult = await this.execute(operation, fallbackTimeout, logContext, complexity, signal);
 
     return fallbackResult;
   }
@@ -361,13 +368,14 @@ export const timeoutHandlers = {
 
 // Utility functions for common timeout patterns
 export async function withTimeout<T>(
-  operation: () => Promise<T>,
+  operation: (signal?: AbortSignal) => Promise<T>,
   timeoutMs: number,
   complexity?: Partial<RequestComplexity>,
-  context?: LogContext
+  context?: LogContext,
+  signal?: AbortSignal
 ): Promise<TimeoutResult<T>> {
   const handler = new TimeoutHandler();
-  return handler.execute(operation, timeoutMs, context, complexity);
+  return handler.execute(operation, timeoutMs, context, complexity, signal);
 }
 
 export function createTimeoutWrapper<T extends (...args: any[]) => Promise<any>>(
@@ -11,6 +11,8 @@ const {
   ExponentialBackoffRetry,
   CircuitBreaker,
   circuitBreakerRegistry,
+  createCircuitStateStore,
+  redisConnectionOptions,
   retryConfigs,
 } = require('@kilo-code/error-handling');
 const { isValidApiKey } = require('./lib/security-middleware.cjs');
@@ -46,8 +48,23 @@ class GitHubMCPServer {
       maxAttempts: this.config.maxRetries,
       baseDelay: this.config.retryDelay,
       maxDelay: 10000,
+      // Shared by every GitHub call of this server
+      budget: 'github-api',
     });
 
+    // Share breaker state with the other processes (CIRCUIT_STATE_STORE).
+    // ioredis is only loaded when the store is Redis.
+    circuitBreakerRegistry.useStateStore(
+      createCircuitStateStore(process.env, {
+        redis: () => {
+          const Redis = require('ioredis');
+          return new Redis(redisConnectionOptions()).on('error', (error) => {
+            this.logger.error('Circuit state store: Redis connection error', { error: error.message });
+          });
+        },
+      })
+    );
+
     this.circuitBreaker = this.config.circuitBreakerEnabled
       ? circuitBreakerRegistry.createBreaker('github-api', {
           failureThreshold: this.config.circuitBreakerFailureThreshold,
@@ -18,6 +18,8 @@ const {
 const {
   CircuitBreaker,
   circuitBreakerRegistry,
+  createCircuitStateStore,
+  redisConnectionOptions,
 } = require('@kilo-code/error-handling');
 const { TimeoutHandler } = require('@kilo-code/error-handling');
 
@@ -47,6 +49,16 @@ class RedisMCPServer {
     // Initialize logger
     this.logger = kiloCodeLogger.createLogger('redis-mcp-server');
 
+    // Share breaker state with the other processes (CIRCUIT_STATE_STORE)
+    circuitBreakerRegistry.useStateStore(
+      createCircuitStateStore(process.env, {
+        redis: () =>
+          new Redis(redisConnectionOptions()).on('error', (error) => {
+            this.logger.error('Circuit state store: Redis connection error', { error: error.message });
+          }),
+      })
+    );
+
     // Initialize circuit breaker for Redis operations
     this.circuitBreaker = circuitBreakerRegistry.createBreaker(
       'redis-operations',
@@ -63,6 +75,8 @@ class RedisMCPServer {
       baseDelay: this.config.retry.baseDelay,
       maxDelay: this.config.retry.maxDelay,
       backoffMultiplier: this.config.retry.backoffMultiplier,
+      // Shared by every Redis operation of this server
+      budget: 'redis',
     });
 
     // Initialize timeout handler
@@ -0,0 +1,101 @@
+/**
+ * Numeric marketing metrics: period summaries, period-over-period changes
+ * and locale-aware formatting
+ *
+ * The API summarizes `DailyMetric` rows with `summarizeMetrics`; the
+ * dashboard derives ratios and formats values with the helpers below.
+ */
+
+import { daysBefore, daysBetween } from './channels';
+import { LOCALES } from './i18n';
+import type { Language } from './i18n';
+import type { DailyMetric, DateRange, MetricTotals, MetricsSummary, PeriodComparison } from './types';
+
+/** Length of the period summarized when none is requested */
+export const DEFAULT_PERIOD_DAYS = 30;
+
+/** Periods offered on the dashboards, in days */
+export const PERIOD_OPTIONS = [7, 30, 90];
+
+/** Currency of clients created without one */
+export const DEFAULT_CURRENCY = 'CZK';
+
+/** The `days` days up to and including `to` */
+export function periodEnding(to: string, days: number = DEFAULT_PERIOD_DAYS): DateRange {
+  return { from: daysBefore(to, days - 1), to };
+}
+
+/** The equally long period right before `range` */
+export function previousPeriod(range: DateRange): DateRange {
+  return periodEnding(daysBefore(range.from, 1), daysBetween(range.from, range.to) + 1);
+}
+
+// Money sums keep whole cents, not floating point noise
+const cents = (value: number) => Math.round(value * 100) / 100;
+
+export function sumMetrics(days: DailyMetric[]): MetricTotals {
+  const totals = days.reduce<MetricTotals>((sum, day) => ({
+    spend: sum.spend + day.spend,
+    revenue: sum.revenue + day.revenue,
+    conversions: sum.conversions + day.conversions,
+    clicks: sum.clicks + day.clicks,
+    impressions: sum.impressions + day.impressions,
+  }), { spend: 0, revenue: 0, conversions: 0, clicks: 0, impressions: 0 });
+  return { ...totals, spend: cents(totals.spend), revenue: cents(totals.revenue), conversions: cents(totals.conversions) };
+}
+
+/**
+ * Totals of `range` and of the period before it, overall and per channel.
+ * `days` must cover both periods; days outside them are ignored.
+ */
+export function summarizeMetrics(days: DailyMetric[], range: DateRange, currency: string): MetricsSummary {
+  const previousRange = previousPeriod(range);
+  const within = ({ from, to }: DateRange) => (day: DailyMetric) => day.date >= from && day.date <= to;
+  const compare = (subset: DailyMetric[]): PeriodComparison => ({
+    current: sumMetrics(subset.filter(within(range))),
+    previous: sumMetrics(subset.filter(within(previousRange))),
+  });
+
+  const relevant = days.filter(day => within(range)(day) || within(previousRange)(day));
+  const channels = [...new Set(relevant.map(day => day.channel))].sort();
+  return {
+    currency,
+    range,
+    previousRange,
+    ...compare(relevant),
+    channels: Object.fromEntries(channels.map(channel => [channel, compare(relevant.filter(day => day.channel === channel))])),
+  };
+}
+
+/** Return on ad spend; `null` without spend */
+export function roas(totals: Pick<MetricTotals, 'spend' | 'revenue'>): number | null {
+  return totals.spend > 0 ? totals.revenue / totals.spend : null;
+}
+
+/** Relative change, e.g. 0.25 for +25 %; `null` when there is nothing to compare with */
+export function change(current: number | null, previous: number | null): number | null {
+  if (current === null || previous === null || previous === 0) return null;
+  return (current - previous) / Math.abs(previous);
+}
+
+const format = (language: Language, value: number, options: Intl.NumberFormatOptions) =>
+  new Intl.NumberFormat(LOCALES[language], options).format(value);
+
+/** Whole currency units, e.g. `45 200 Kč` in Czech, `CZK 45,200` in English */
+export function formatMoney(value: number, currency: string, language: Language): string {
+  return format(language, value, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+}
+
+export function formatCount(value: number, language: Language): string {
+  return format(language, value, { maximumFractionDigits: 0 });
+}
+
+/** `8,4x` in Czech, `8.4x` in English; a dash without spend */
+export function formatRoas(value: number | null, language: Language): string {
+  return value === null ? '–' : `${format(language, value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}x`;
+}
+
+/** Signed percentage such as `+12 %`; a dash when there is nothing to compare with */
+export function formatChange(value: number | null, language: Language): string {
+  return value === null ? '–' : format(language, value, { style: 'percent', signDisplay: 'exceptZero', maximumFractionDigits: 0 });
+}
@@ -0,0 +1,39 @@
+/**
+ * Operating system the onboarding instructions are tailored to
+ *
+ * Detected from the user agent; the client can switch it on the setup page,
+ * e.g. when they read the instructions on a phone and click on a laptop
+ * (see components/OsSwitcher).
+ */
+
+import type { OperatingSystem } from './types';
+
+export const OPERATING_SYSTEMS: OperatingSystem[] = ['win', 'mac', 'other'];
+
+export type ShortcutName = 'paste' | 'find';
+
+/** Keys of the shortcuts the instructions hint at */
+export const SHORTCUT_KEYS: Record<ShortcutName, Record<OperatingSystem, string>> = {
+  paste: { win: 'Ctrl + V', mac: '⌘ + V', other: 'Ctrl + V' },
+  find: { win: 'Ctrl + F', mac: '⌘ + F', other: 'Ctrl + F' },
+};
+
+/** Putting the instructions and the platform side by side */
+export const SPLIT_SCREEN_KEYS: Record<OperatingSystem, string> = {
+  win: 'Win + ←',
+  mac: 'Green Dot 🟢',
+  other: 'Super + ←',
+};
+
+export function isOperatingSystem(value: unknown): value is OperatingSystem {
+  return OPERATING_SYSTEMS.includes(value as OperatingSystem);
+}
+
+/** Phones and tablets are `other`: iOS user agents claim to be "like Mac OS X" */
+export function detectOs(userAgent: string): OperatingSystem {
+  const ua = userAgent.toLowerCase();
+  if (/iphone|ipad|ipod|android/.test(ua)) return 'other';
+  if (ua.includes('mac')) return 'mac';
+  if (ua.includes('win')) return 'win';
+  return 'other';
+}
@@ -5,6 +5,8 @@ import { defineConfig, devices } from '@playwright/test';
  */
 export default defineConfig({
     testDir: './tests',
+    /* Jest unit tests live alongside the e2e specs */
+    testIgnore: 'unit/**',
     /* Run tests in files in parallel */
     fullyParallel: true,
     /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -63,9 +65,16 @@ export default defineConfig({
     ],
 
     /* Run your local dev server before starting the tests */
-    webServer: {
-        command: 'npm run dev',
-        url: 'http://localhost:3002',
-        reuseExistingServer: !process.env.CI,
-    },
+    webServer: [
+        {
+            command: 'npm run start:api',
+            url: 'http://localhost:3003/api/health',
+            reuseExistingServer: !process.env.CI,
+        },
+        {
+            command: 'npm run dev',
+            url: 'http://localhost:3002',
+            reuseExistingServer: !process.env.CI,
+        },
+    ],
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Client-side routes
+ *
+ * Every screen has a URL, so it survives a refresh and can be linked from
+ * an email: `/onboarding/ga4` opens the GA4 card of the setup, `/wizard/ga4`
+ * the same platform in the guided setup, `/admin/clients/mojefirma.cz` a
+ * client's overview, `/manual?lang=en` the manual in English. Navigation
+ * goes through the History API, so whatever serves the build has to answer
+ * unknown paths with index.html (the Vite dev server does).
+ */
+
+import { useEffect, useState } from 'react';
+import { isSupportedLanguage } from './i18n';
+import type { Language } from './i18n';
+
+export const ADMIN_VIEWS = ['clients', 'verifications', 'roi', 'audit', 'knowledge', 'templates'] as const;
+
+export type AdminView = typeof ADMIN_VIEWS[number];
+
+export const WIZARD_SUMMARY = 'summary';
+
+export type Route =
+  | { name: 'home' }
+  | { name: 'onboarding'; platformId?: string }
+  /** `step` is a platform id or `WIZARD_SUMMARY`; without it the wizard picks where to continue */
+  | { name: 'wizard'; step?: string }
+  | { name: 'dashboard' }
+  | { name: 'manual'; language?: Language }
+  /** `domain` only with the `clients` view: that client's overview */
+  | { name: 'admin'; view: AdminView; domain?: string };
+
+/** Unknown paths fall back to `home`, which sends signed-in users to their start screen */
+export function parseRoute(pathname: string, search: string = ''): Route {
+  const [section, id, detail] = pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+
+  switch (section) {
+    case 'onboarding':
+      return id ? { name: 'onboarding', platformId: id } : { name: 'onboarding' };
+    case 'wizard':
+      return id ? { name: 'wizard', step: id } : { name: 'wizard' };
+    case 'dashboard':
+      return { name: 'dashboard' };
+    case 'manual': {
+      const language = new URLSearchParams(search).get('lang');
+      return isSupportedLanguage(language) ? { name: 'manual', language } : { name: 'manual' };
+    }
+    case 'admin': {
+      const view = ADMIN_VIEWS.find(candidate => candidate === (id || 'clients'));
+      if (!view) return { name: 'admin', view: 'clients' };
+      return view === 'clients' && detail ? { name: 'admin', view, domain: detail } : { name: 'admin', view };
+    }
+    default:
+      return { name: 'home' };
+  }
+}
+
+export function routePath(route: Route): string {
+  switch (route.name) {
+    case 'home':
+      return '/';
+    case 'onboarding':
+      return route.platformId ? `/onboarding/${encodeURIComponent(route.platformId)}` : '/onboarding';
+    case 'wizard':
+      return route.step ? `/wizard/${encodeURIComponent(route.step)}` : '/wizard';
+    case 'dashboard':
+      return '/dashboard';
+    case 'manual':
+      return route.language ? `/manual?lang=${route.language}` : '/manual';
+    case 'admin':
+      return route.domain ? `/admin/clients/${encodeURIComponent(route.domain)}` : `/admin/${route.view}`;
+  }
+}
+
+const currentRoute = () => parseRoute(window.location.pathname, window.location.search);
+
+/**
+ * Go to `route`, as a new history entry unless `replace` is set (for
+ * redirects, which the back button should skip)
+ */
+export function navigate(route: Route, { replace = false }: { replace?: boolean } = {}): void {
+  const path = routePath(route);
+  if (path === window.location.pathname + window.location.search) return;
+
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+  // pushState does not notify listeners by itself
+  window.dispatchEvent(new PopStateEvent('popstate'));
+}
+
+/** The current route, updated on navigation and on the browser's back and forward buttons */
+export function useRoute(): Route {
+  const [route, setRoute] = useState<Route>(currentRoute);
+
+  useEffect(() => {
+    const update = () => setRoute(currentRoute());
+    window.addEventListener('popstate', update);
+    return () => window.removeEventListener('popstate', update);
+  }, []);
+
+  return route;
+}
@@ -0,0 +1,50 @@
+/**
+ * Export the printable onboarding manual for one client, offline
+ *
+ * Usage: npm run export:manual -- <domain> [--lang cs|en] [--format html|pdf] [--out file]
+ *
+ * Reads the client and templates from the configured storage
+ * (PORTAL_STORAGE), so the API does not need to be running.
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import config from '../server/config';
+import { createStores } from '../server/stores';
+import { renderManualHtml } from '../server/manual/manual-document';
+import { renderPdf } from '../server/manual/pdf';
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from '../i18n';
+
+async function main(): Promise<void> {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      lang: { type: 'string', default: DEFAULT_LANGUAGE },
+      format: { type: 'string', default: 'pdf' },
+      out: { type: 'string' },
+    },
+  });
+  const [domain] = positionals;
+  const { lang, format } = values;
+  if (!domain || !isSupportedLanguage(lang) || (format !== 'html' && format !== 'pdf')) {
+    throw new Error('Usage: npm run export:manual -- <domain> [--lang cs|en] [--format html|pdf] [--out file]');
+  }
+
+  const stores = await createStores(config);
+  try {
+    const client = await stores.clients.get(domain);
+    if (!client) throw new Error(`Client '${domain}' not found`);
+
+    const html = renderManualHtml({ language: lang, client, templates: await stores.templates.get() });
+    const out = values.out || `manual-${client.domain}-${lang}.${format}`;
+    await fs.writeFile(out, format === 'pdf' ? await renderPdf(html) : html);
+    console.info(`✅ Manual written to ${out}`);
+  } finally {
+    await stores.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error instanceof Error ? error.message : error}`);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+/**
+ * Import marketing data exports into a client's daily metrics, offline
+ *
+ * Usage: npm run import:metrics -- <domain> --source google-ads|ga4|gsc|meta <file...> [--dry-run]
+ *
+ * Writes to the configured storage (PORTAL_STORAGE); with the default
+ * memory storage nothing outlives the run, which makes it a dry run too.
+ * Exits with 1 when any row failed, after importing the rest.
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import config from '../server/config';
+import { createStores } from '../server/stores';
+import { findImportSource, IMPORT_SOURCES } from '../server/imports/sources';
+import { ImportError, importExport, parseExport, readExportFile } from '../server/imports/importer';
+import type { ImportReport } from '../server/imports/importer';
+
+const USAGE = `Usage: npm run import:metrics -- <domain> --source ${IMPORT_SOURCES.map(source => source.id).join('|')} <file...> [--dry-run]`;
+
+function printReport(report: Omit<ImportReport, 'updates'>): void {
+  console.info(
+    `${report.errors.length > 0 ? '⚠️' : '✅'} ${report.file}: ${report.rows} rows, ${report.skipped} skipped, ` +
+    `${report.inserted} days added, ${report.updated} updated, ${report.unchanged} unchanged`
+  );
+  for (const error of report.errors) {
+    console.warn(`   row ${error.row}: ${error.message}`);
+  }
+}
+
+async function main(): Promise<void> {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      source: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+  const [domain, ...files] = positionals;
+  const source = findImportSource(values.source || '');
+  if (!domain || !source || files.length === 0) throw new Error(USAGE);
+
+  if (config.storage !== 'postgres' && !values['dry-run']) {
+    console.warn('ℹ️ PORTAL_STORAGE is not postgres, the imported metrics are not kept');
+  }
+
+  const stores = await createStores(config);
+  let failed = false;
+  try {
+    const client = await stores.clients.get(domain);
+    if (!client) throw new Error(`Client '${domain}' not found`);
+
+    for (const file of files) {
+      const content = await readExportFile(file);
+      const name = path.basename(file);
+      try {
+        const report = values['dry-run']
+          ? { source: source.id, file: name, ...parseExport(source, name, content, client.currency), inserted: 0, updated: 0, unchanged: 0 }
+          : await importExport(stores.metrics, client.domain, client.currency, source, { name, content });
+        printReport(report);
+        failed = failed || report.errors.length > 0;
+      } catch (error) {
+        // One unreadable file does not stop the others
+        if (!(error instanceof ImportError)) throw error;
+        console.error(`❌ ${name}: ${error.message}`);
+        failed = true;
+      }
+    }
+  } finally {
+    await stores.close();
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(`❌ ${error instanceof Error ? error.message : error}`);
+  process.exit(1);
+});
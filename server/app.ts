@@ -0,0 +1,96 @@
+/**
+ * Portal API application factory
+ *
+ * Builds the Express app from explicit dependencies so tests can run it
+ * against in-memory stores.
+ */
+
+import express from 'express';
+import type { Express } from 'express';
+import type { PortalConfig } from './config';
+import { errorMiddleware, HttpError } from './errors';
+import { sessionMiddleware } from './auth/middleware';
+import { auditMiddleware } from './audit/middleware';
+import type { SessionStore } from './auth/session-store';
+import type { UserStore } from './auth/user-store';
+import type { ClientStore } from './stores/client-store';
+import type { TemplateStore } from './stores/template-store';
+import type { NoteStore } from './stores/note-store';
+import type { MetricsStore } from './stores/metrics-store';
+import type { SuggestionStore } from './stores/suggestion-store';
+import type { DeliverableStore } from './stores/deliverable-store';
+import type { MessageStore } from './stores/message-store';
+import type { AuditStore } from './stores/audit-store';
+import type { SuggestionEngine } from './suggestions/engine';
+import type { KnowledgeBase } from './knowledge/knowledge-base';
+import type { VerificationAdapterRegistry } from './onboarding/verification';
+import type { PdfRenderer } from './manual/pdf';
+import type { NotificationService } from './notifications/service';
+import { createAuthRouter } from './routes/auth';
+import { createClientsRouter } from './routes/clients';
+import { createVerificationsRouter } from './routes/verifications';
+import { createTemplatesRouter } from './routes/templates';
+import { createManualRouter } from './routes/manual';
+import { createNotesRouter } from './routes/notes';
+import { createMetricsRouter } from './routes/metrics';
+import { createSuggestionsRouter } from './routes/suggestions';
+import { createDeliverablesRouter } from './routes/deliverables';
+import { createMessagesRouter } from './routes/messages';
+import { createReportsRouter } from './routes/reports';
+import { createKnowledgeRouter } from './routes/knowledge';
+import { createWizardRouter } from './routes/wizard';
+import { createAuditRouter } from './routes/audit';
+
+export interface PortalDependencies {
+  config: PortalConfig;
+  users: UserStore;
+  sessions: SessionStore;
+  clients: ClientStore;
+  verifiers: VerificationAdapterRegistry;
+  templates: TemplateStore;
+  notes: NoteStore;
+  metrics: MetricsStore;
+  suggestions: SuggestionStore;
+  suggestionEngine: SuggestionEngine;
+  deliverables: DeliverableStore;
+  messages: MessageStore;
+  audit: AuditStore;
+  knowledge: KnowledgeBase;
+  renderPdf: PdfRenderer;
+  notifications: NotificationService;
+}
+
+export function createApp(deps: PortalDependencies): Express {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.use(express.json());
+  app.use(sessionMiddleware(deps.config.session.cookieName, deps.sessions, deps.users));
+  app.use(auditMiddleware(deps.audit));
+
+  app.get('/api/health', (_req, res) => {
+    res.json({ healthy: true, timestamp: new Date().toISOString() });
+  });
+
+  app.use('/api/auth', createAuthRouter(deps.config.session, deps.users, deps.sessions));
+  app.use('/api/clients', createClientsRouter(deps.clients, deps.verifiers, deps.notifications));
+  app.use('/api/clients', createManualRouter(deps.clients, deps.templates, deps.renderPdf));
+  app.use('/api/clients', createNotesRouter(deps.clients, deps.notes));
+  app.use('/api/clients', createMetricsRouter(deps.clients, deps.metrics));
+  app.use('/api/clients', createSuggestionsRouter(deps.clients, deps.metrics, deps.suggestions, deps.suggestionEngine, deps.messages));
+  app.use('/api/clients', createDeliverablesRouter(deps.clients, deps.deliverables));
+  app.use('/api/clients', createMessagesRouter(deps.clients, deps.messages));
+  app.use('/api/clients', createWizardRouter(deps.clients, deps.messages));
+  app.use('/api/verifications', createVerificationsRouter(deps.clients, deps.verifiers, deps.notifications));
+  app.use('/api/templates', createTemplatesRouter(deps.templates));
+  app.use('/api/reports', createReportsRouter(deps.clients, deps.metrics));
+  app.use('/api/knowledge', createKnowledgeRouter(deps.knowledge, deps.templates));
+  app.use('/api/audit', createAuditRouter(deps.audit));
+
+  app.use('/api', (_req, _res, next) => {
+    next(new HttpError(404, 'Not found', 'NOT_FOUND'));
+  });
+  app.use(errorMiddleware);
+
+  return app;
+}
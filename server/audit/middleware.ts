@@ -0,0 +1,73 @@
+/**
+ * Correlation IDs and the audit log
+ *
+ * Every request gets a correlation ID: the caller's `X-Correlation-ID` or a
+ * new one from `KiloCodeLogger.createContext`, echoed in the response. Audit
+ * entries and the Kilo Code log lines of the backend calls a request makes
+ * carry the same ID, so one can be traced to the other.
+ */
+
+import type { NextFunction, Request, RequestHandler, Response } from 'express';
+import { kiloCodeLogger } from '../../lib/kilo-code/logger';
+import type { AuditAction, SessionUser } from '../../types';
+import type { AuditStore } from '../stores/audit-store';
+
+export const CORRELATION_HEADER = 'X-Correlation-ID';
+
+export interface AuditRecord {
+  clientDomain?: string;
+  target?: string;
+  details?: Record<string, unknown>;
+  /** Defaults to the signed-in user; login names the user it signed in */
+  actor?: SessionUser;
+}
+
+declare global {
+  // eslint-disable-next-line @typescript-eslint/no-namespace
+  namespace Express {
+    interface Request {
+      correlationId: string;
+      /**
+       * Append an entry for this request to the audit log; anonymous requests
+       * are not logged. Called once the change is made, so a failing append
+       * is only reported on the console instead of failing the request.
+       */
+      audit(action: AuditAction, record?: AuditRecord): Promise<void>;
+    }
+  }
+}
+
+/** IDs from callers are only reused when they cannot mess up logs or headers */
+const VALID_CORRELATION_ID = /^[\w.:-]{1,100}$/;
+
+export function auditMiddleware(store: AuditStore): RequestHandler {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const requested = req.get(CORRELATION_HEADER);
+    req.correlationId = requested && VALID_CORRELATION_ID.test(requested)
+      ? requested
+      : kiloCodeLogger.createContext().correlationId;
+    res.setHeader(CORRELATION_HEADER, req.correlationId);
+
+    req.audit = async (action, record = {}) => {
+      const actor = record.actor || req.user;
+      if (!actor) return;
+
+      try {
+        await store.append({
+          correlationId: req.correlationId,
+          action,
+          actorId: actor.id,
+          actorEmail: actor.email,
+          actorName: actor.name,
+          actorRole: actor.role,
+          ...(record.clientDomain && { clientDomain: record.clientDomain }),
+          ...(record.target && { target: record.target }),
+          ...(record.details && { details: record.details }),
+        });
+      } catch (error) {
+        console.error(`❌ Failed to append '${action}' to the audit log (correlation ID ${req.correlationId})`, error);
+      }
+    };
+    next();
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Session resolution and role-based access control middleware
+ */
+
+import type { NextFunction, Request, RequestHandler, Response } from 'express';
+import type { SessionUser, UserRole } from '../../types';
+import { HttpError } from '../errors';
+import { normalizeDomain } from '../stores/client-store';
+import type { SessionStore } from './session-store';
+import type { UserStore } from './user-store';
+import { toSessionUser } from './user-store';
+
+declare global {
+  // eslint-disable-next-line @typescript-eslint/no-namespace
+  namespace Express {
+    interface Request {
+      user?: SessionUser;
+      sessionToken?: string;
+    }
+  }
+}
+
+export function parseCookies(header: string | undefined): Record<string, string> {
+  const cookies: Record<string, string> = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    const name = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+    if (name) cookies[name] = decodeCookieValue(value);
+  }
+  return cookies;
+}
+
+// Other apps on the host may set cookies that are not URI-encoded
+function decodeCookieValue(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Attach the signed-in user (if any) to the request
+ */
+export function sessionMiddleware(
+  cookieName: string,
+  sessions: SessionStore,
+  users: UserStore
+): RequestHandler {
+  return (req: Request, _res: Response, next: NextFunction) => {
+    const token = parseCookies(req.headers.cookie)[cookieName];
+    if (!token) {
+      next();
+      return;
+    }
+
+    sessions.get(token)
+      .then(async session => {
+        if (!session) return;
+        const user = await users.findById(session.userId);
+        if (user) {
+          req.user = toSessionUser(user);
+          req.sessionToken = token;
+        }
+      })
+      .then(() => next(), next);
+  };
+}
+
+export function requireAuth(req: Request, _res: Response, next: NextFunction): void {
+  if (!req.user) {
+    next(new HttpError(401, 'Authentication required', 'UNAUTHENTICATED'));
+    return;
+  }
+  next();
+}
+
+export function requireRole(...roles: UserRole[]): RequestHandler {
+  return (req: Request, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      next(new HttpError(401, 'Authentication required', 'UNAUTHENTICATED'));
+      return;
+    }
+    if (!roles.includes(req.user.role)) {
+      next(new HttpError(403, 'Insufficient permissions', 'FORBIDDEN'));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Admins may access every client; customers only their own domain
+ */
+export function requireClientAccess(param: string = 'domain'): RequestHandler {
+  return (req: Request, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      next(new HttpError(401, 'Authentication required', 'UNAUTHENTICATED'));
+      return;
+    }
+    const domain = normalizeDomain(req.params[param] || '');
+    if (req.user.role !== 'ADMIN' && req.user.clientDomain !== domain) {
+      next(new HttpError(403, 'Insufficient permissions', 'FORBIDDEN'));
+      return;
+    }
+    next();
+  };
+}
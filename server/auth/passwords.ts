@@ -0,0 +1,36 @@
+/**
+ * Password hashing helpers based on Node's built-in scrypt.
+ *
+ * Hashes are stored as `scrypt$<salt>$<hash>` so the format can be
+ * recognised (and migrated) later without a schema change.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+
+const KEY_LENGTH = 64;
+
+function deriveKey(password: string, salt: string): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString('hex');
+  const key = await deriveKey(password, salt);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await deriveKey(password, salt);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,47 @@
+/**
+ * Server-side sessions referenced by an opaque, HTTP-only cookie token.
+ */
+
+import { randomBytes } from 'crypto';
+
+export interface Session {
+  token: string;
+  userId: string;
+  createdAt: number;
+  expiresAt: number;
+}
+
+export interface SessionStore {
+  create(userId: string, ttlMs: number): Promise<Session>;
+  get(token: string): Promise<Session | undefined>;
+  destroy(token: string): Promise<void>;
+}
+
+export class MemorySessionStore implements SessionStore {
+  private sessions = new Map<string, Session>();
+
+  async create(userId: string, ttlMs: number): Promise<Session> {
+    const now = Date.now();
+    const session: Session = {
+      token: randomBytes(32).toString('base64url'),
+      userId,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  async get(token: string): Promise<Session | undefined> {
+    const session = this.sessions.get(token);
+    if (session && session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return undefined;
+    }
+    return session;
+  }
+
+  async destroy(token: string): Promise<void> {
+    this.sessions.delete(token);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * User accounts for the portal API.
+ *
+ * The store interface keeps the auth routes independent of where accounts
+ * live; the in-memory implementation backs local development and tests.
+ */
+
+import { randomUUID } from 'crypto';
+import type { SessionUser } from '../../types';
+import type { SeedUser } from '../config';
+import { hashPassword } from './passwords';
+
+export interface UserRecord extends SessionUser {
+  passwordHash: string;
+}
+
+export interface UserStore {
+  findByEmail(email: string): Promise<UserRecord | undefined>;
+  findById(id: string): Promise<UserRecord | undefined>;
+  create(user: Omit<UserRecord, 'id'>): Promise<UserRecord>;
+}
+
+export function toSessionUser(user: UserRecord): SessionUser {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    clientDomain: user.clientDomain,
+  };
+}
+
+export class MemoryUserStore implements UserStore {
+  private users = new Map<string, UserRecord>();
+
+  async findByEmail(email: string): Promise<UserRecord | undefined> {
+    const normalized = email.trim().toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.email === normalized) return user;
+    }
+    return undefined;
+  }
+
+  async findById(id: string): Promise<UserRecord | undefined> {
+    return this.users.get(id);
+  }
+
+  async create(user: Omit<UserRecord, 'id'>): Promise<UserRecord> {
+    const record: UserRecord = {
+      ...user,
+      id: randomUUID(),
+      email: user.email.trim().toLowerCase(),
+    };
+    this.users.set(record.id, record);
+    return record;
+  }
+}
+
+/**
+ * Create a memory store pre-populated with the configured stand-in accounts
+ */
+export async function createSeededUserStore(seedUsers: SeedUser[]): Promise<MemoryUserStore> {
+  const store = new MemoryUserStore();
+  for (const { password, ...user } of seedUsers) {
+    await store.create({ ...user, passwordHash: await hashPassword(password) });
+  }
+  return store;
+}
@@ -0,0 +1,142 @@
+/**
+ * Portal API Configuration
+ *
+ * Centralized configuration for the portal API, loaded from environment
+ * variables with development-friendly defaults.
+ */
+
+import type { UserRole } from '../types';
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from '../i18n';
+import type { Language } from '../i18n';
+import type { LlmProviderConfig } from './suggestions/llm-provider';
+import type { SmtpConfig } from './notifications/smtp';
+
+export interface SeedUser {
+  email: string;
+  password: string;
+  name: string;
+  role: UserRole;
+  clientDomain?: string;
+}
+
+export interface DatabaseConfig {
+  host: string;
+  port: number;
+  name: string;
+  user: string;
+  password?: string;
+  ssl: boolean;
+  maxConnections: number;
+}
+
+export interface PortalConfig {
+  port: number;
+  storage: 'memory' | 'postgres';
+  database: DatabaseConfig;
+  session: {
+    cookieName: string;
+    ttlMs: number;
+    secureCookie: boolean;
+  };
+  seedUsers: SeedUser[];
+  /** Grantee email the agency templates start with until an admin changes it */
+  defaultGranteeEmail: string;
+  /** Markdown articles of the in-app help, one directory per language */
+  knowledgeBaseDir: string;
+  suggestions: {
+    /** Optional model-backed provider next to the built-in rules */
+    llm?: LlmProviderConfig;
+  };
+  notifications: {
+    from: string;
+    /** Clients have no language of their own yet, so every email uses this one */
+    language: Language;
+    /** Public address of the portal app, for links in the emails */
+    portalUrl: string;
+    stalledAfterDays: number;
+    intervalMs: number;
+    /** Without SMTP the emails are written here as `.eml` files */
+    fileDir: string;
+    smtp?: SmtpConfig;
+  };
+}
+
+/**
+ * Password of a seeded account. The demo passwords are public, so outside
+ * development the variable has to be set.
+ */
+function seedPassword(env: NodeJS.ProcessEnv, variable: string, developmentDefault: string): string {
+  const password = env[variable];
+  if (password) return password;
+  if (env.NODE_ENV === 'production') {
+    throw new Error(`${variable} must be set in production`);
+  }
+  return developmentDefault;
+}
+
+export function loadConfig(env: NodeJS.ProcessEnv = process.env): PortalConfig {
+  return {
+    port: parseInt(env.PORTAL_API_PORT || '3003'),
+    storage: env.PORTAL_STORAGE === 'postgres' ? 'postgres' : 'memory',
+    // Same variables as the PostgreSQL MCP server, so both share one database
+    database: {
+      host: env.DB_HOST || env.PGHOST || 'localhost',
+      port: parseInt(env.DB_PORT || env.PGPORT || '5432'),
+      name: env.DB_NAME || env.PGDATABASE || 'marketingportal',
+      user: env.DB_USER || env.PGUSER || 'postgres',
+      password: env.DB_PASSWORD || env.PGPASSWORD,
+      ssl: env.DB_SSL === 'true' || env.PGSSLMODE === 'require',
+      maxConnections: parseInt(env.DB_MAX_CONNECTIONS || '10'),
+    },
+    session: {
+      cookieName: env.SESSION_COOKIE_NAME || 'mp_session',
+      ttlMs: parseInt(env.SESSION_TTL_HOURS || '168') * 60 * 60 * 1000, // 7 days
+      secureCookie: env.NODE_ENV === 'production',
+    },
+    // The only accounts: users are kept in memory, also with PostgreSQL
+    // storage. Production has to set both passwords.
+    seedUsers: [
+      {
+        email: env.PORTAL_ADMIN_EMAIL || 'admin@marketingportal.local',
+        password: seedPassword(env, 'PORTAL_ADMIN_PASSWORD', 'admin123'),
+        name: 'Agency Admin',
+        role: 'ADMIN',
+      },
+      {
+        email: env.PORTAL_CLIENT_EMAIL || 'zakaznik@email.cz',
+        password: seedPassword(env, 'PORTAL_CLIENT_PASSWORD', 'klient123'),
+        name: 'MojeFirma.cz',
+        role: 'CUSTOMER',
+        clientDomain: 'mojefirma.cz',
+      },
+    ],
+    defaultGranteeEmail: env.PORTAL_GRANTEE_EMAIL || 'pavel.kaspar@okamih.cz',
+    knowledgeBaseDir: env.KNOWLEDGE_BASE_DIR || 'knowledge-base',
+    suggestions: {
+      llm: env.SUGGESTIONS_LLM_API_KEY ? {
+        url: env.SUGGESTIONS_LLM_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: env.SUGGESTIONS_LLM_API_KEY,
+        model: env.SUGGESTIONS_LLM_MODEL || 'gpt-4o-mini',
+      } : undefined,
+    },
+    notifications: {
+      from: env.NOTIFICATION_FROM || 'portal@marketingportal.local',
+      language: isSupportedLanguage(env.NOTIFICATION_LANGUAGE) ? env.NOTIFICATION_LANGUAGE : DEFAULT_LANGUAGE,
+      portalUrl: env.PORTAL_PUBLIC_URL || 'http://localhost:3002',
+      stalledAfterDays: parseInt(env.NOTIFICATION_STALLED_DAYS || '3'),
+      intervalMs: parseInt(env.NOTIFICATION_INTERVAL_SECONDS || '30') * 1000,
+      fileDir: env.NOTIFICATION_FILE_DIR || 'mail-outbox',
+      smtp: env.SMTP_HOST ? {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '587'),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        password: env.SMTP_PASSWORD,
+      } : undefined,
+    },
+  };
+}
+
+const config = loadConfig();
+
+export default config;
@@ -0,0 +1,44 @@
+/**
+ * PostgreSQL connection pool and schema bootstrap for the portal API
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { Pool } from 'pg';
+import type { DatabaseConfig } from '../config';
+
+export function createPool(database: DatabaseConfig): Pool {
+  return new Pool({
+    host: database.host,
+    port: database.port,
+    database: database.name,
+    user: database.user,
+    password: database.password,
+    ssl: database.ssl,
+    max: database.maxConnections,
+  });
+}
+
+const MAX_SERIAL_ID = 2147483647;
+
+/**
+ * Id of a SERIAL row from a route parameter, or undefined for one no row
+ * can have. The stores answer those as not found, like the memory stores,
+ * instead of letting PostgreSQL reject the query.
+ */
+export function serialId(id: string): number | undefined {
+  if (!/^\d{1,10}$/.test(id)) return undefined;
+  const value = Number(id);
+  return value <= MAX_SERIAL_ID ? value : undefined;
+}
+
+// Resolved from the project root, where the npm scripts start the API
+const SCHEMA_PATH = path.resolve('server/db/schema.sql');
+
+/**
+ * Apply `schema.sql`; every statement in it is safe to re-run
+ */
+export async function applySchema(pool: Pool): Promise<void> {
+  const schema = await readFile(SCHEMA_PATH, 'utf8');
+  await pool.query(schema);
+}
@@ -0,0 +1,169 @@
+-- MarketingPortal application schema
+-- Applied idempotently by the portal API on startup (PORTAL_STORAGE=postgres).
+-- Lives in the same `marketingportal` database the PostgreSQL MCP server manages.
+
+CREATE TABLE IF NOT EXISTS clients (
+    domain VARCHAR(255) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    onboarding_complete BOOLEAN NOT NULL DEFAULT FALSE,
+    currency CHAR(3) NOT NULL DEFAULT 'CZK',
+    account_ids JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Monthly agency fee in the client's currency, compared with results in the Agency ROI report
+    retainer_fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS client_tasks (
+    id SERIAL PRIMARY KEY,
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    title VARCHAR(500) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'todo' CHECK (status IN ('todo', 'done')),
+    channel VARCHAR(50),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_tasks_client ON client_tasks(client_domain, position);
+
+CREATE TABLE IF NOT EXISTS client_setup_state (
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    platform_id VARCHAR(50) NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('have', 'need', 'granted', 'verified', 'rejected')),
+    note TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    granted_at TIMESTAMPTZ,
+    verified_at TIMESTAMPTZ,
+    -- Set when an admin rejects the grant in the verification queue
+    rejected_at TIMESTAMPTZ,
+    rejection_reason TEXT,
+    PRIMARY KEY (client_domain, platform_id)
+);
+
+CREATE TABLE IF NOT EXISTS agency_templates (
+    id VARCHAR(50) PRIMARY KEY,
+    grantee_email VARCHAR(255) NOT NULL,
+    platforms JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS client_notes (
+    id SERIAL PRIMARY KEY,
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('priorities', 'plans', 'research', 'ideas')),
+    title VARCHAR(500) NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    assignee VARCHAR(255),
+    due_date DATE,
+    channel VARCHAR(50),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_notes_client ON client_notes(client_domain, category, position);
+
+CREATE TABLE IF NOT EXISTS channel_daily_metrics (
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    channel VARCHAR(50) NOT NULL,
+    date DATE NOT NULL,
+    spend NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    revenue NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    conversions NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    clicks INTEGER NOT NULL DEFAULT 0,
+    impressions INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (client_domain, channel, date)
+);
+
+CREATE TABLE IF NOT EXISTS client_messages (
+    id SERIAL PRIMARY KEY,
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    author_role VARCHAR(10) NOT NULL CHECK (author_role IN ('CUSTOMER', 'ADMIN')),
+    author_name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_messages_client ON client_messages(client_domain, created_at);
+
+CREATE TABLE IF NOT EXISTS client_suggestions (
+    id SERIAL PRIMARY KEY,
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    body TEXT NOT NULL DEFAULT '',
+    channel VARCHAR(50),
+    status VARCHAR(10) NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'approved', 'rejected', 'sent')),
+    source VARCHAR(50) NOT NULL,
+    task_id INTEGER REFERENCES client_tasks(id) ON DELETE SET NULL,
+    message_id INTEGER REFERENCES client_messages(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMPTZ,
+    UNIQUE (client_domain, key)
+);
+
+CREATE TABLE IF NOT EXISTS client_deliverables (
+    id SERIAL PRIMARY KEY,
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    due_date DATE NOT NULL,
+    channel VARCHAR(50),
+    status VARCHAR(10) NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'delivered')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_deliverables_client ON client_deliverables(client_domain, due_date);
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(255) NOT NULL,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('started', 'granted', 'stalled', 'completed')),
+    client_domain VARCHAR(255) NOT NULL REFERENCES clients(domain) ON DELETE CASCADE ON UPDATE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    language VARCHAR(5) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    -- Failed deliveries stay pending until then; `failed` is final
+    next_attempt_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    claimed_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    UNIQUE (key, recipient)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_status ON notification_outbox(status, id);
+
+-- No foreign key to clients: the trail outlives a deleted client
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    correlation_id VARCHAR(100) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    actor_id VARCHAR(255) NOT NULL,
+    actor_email VARCHAR(255) NOT NULL,
+    actor_name VARCHAR(255) NOT NULL,
+    actor_role VARCHAR(10) NOT NULL CHECK (actor_role IN ('CUSTOMER', 'ADMIN')),
+    client_domain VARCHAR(255),
+    target VARCHAR(255),
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_client ON audit_log(client_domain, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_correlation ON audit_log(correlation_id);
+
+-- The audit log is append-only
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
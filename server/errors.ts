@@ -0,0 +1,68 @@
+/**
+ * Error types for the portal API
+ */
+
+import type { NextFunction, Request, Response } from 'express';
+import { ZodError } from 'zod';
+import type { ZodType, ZodTypeDef } from 'zod';
+
+export class HttpError extends Error {
+  public readonly status: number;
+  public readonly code: string;
+
+  constructor(status: number, message: string, code: string = 'HTTP_ERROR') {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** `T` as zod infers it without `strictNullChecks`: every key optional, at any depth */
+type Inferred<T> = T extends (infer U)[] ? Inferred<U>[] : T extends object ? { [K in keyof T]?: Inferred<T[K]> } : T;
+
+/**
+ * Parse `input` (a request body or query, or a provider's answer) with
+ * `schema` as the `T` it describes. The root tsconfig is not strict, so zod
+ * cannot infer required keys; the schema still has to match `T` key by key.
+ */
+export function parseInput<T>(schema: ZodType<Inferred<T>, ZodTypeDef, unknown>, input: unknown): T {
+  return schema.parse(input) as T;
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ */
+export function asyncHandler(
+  handler: (req: Request, res: Response, next: NextFunction) => Promise<unknown>
+) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    handler(req, res, next).catch(next);
+  };
+}
+
+export function errorMiddleware(
+  error: Error,
+  req: Request,
+  res: Response,
+  // Express recognises error middleware by its four parameters
+  // eslint-disable-next-line @typescript-eslint/no-unused-vars
+  _next: NextFunction
+): void {
+  if (error instanceof HttpError) {
+    res.status(error.status).json({ error: error.message, code: error.code });
+    return;
+  }
+
+  if (error instanceof ZodError) {
+    res.status(400).json({
+      error: 'Invalid request',
+      code: 'VALIDATION_ERROR',
+      details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`),
+    });
+    return;
+  }
+
+  console.error(`❌ Unhandled portal API error (correlation ID ${req.correlationId})`, error);
+  res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
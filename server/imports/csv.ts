@@ -0,0 +1,68 @@
+/**
+ * Minimal CSV reader for platform exports, and the writer for reports
+ *
+ * The reader handles quoted fields with embedded delimiters, quotes and line breaks,
+ * and the delimiters the platforms use: commas, semicolons (Czech Excel
+ * exports) and tabs (Google Ads "CSV for Excel").
+ */
+
+export type Delimiter = ',' | ';' | '\t';
+
+/** The delimiter that occurs most often in the first lines outside quotes */
+export function detectDelimiter(text: string): Delimiter {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n').replace(/"[^"]*"/g, '');
+  const candidates: Delimiter[] = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    sample.split(candidate).length > sample.split(best).length ? candidate : best
+  );
+}
+
+/** Rows of cells; blank lines become empty rows so callers can see table breaks */
+export function parseCsv(text: string, delimiter: Delimiter = detectDelimiter(text)): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    rows.push(row.length === 1 && row[0] === '' ? [] : row);
+    row = [];
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+const quote = (cell: string) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+/** Comma-separated lines; `null` and `undefined` become empty cells */
+export function formatCsv(rows: Array<Array<string | number | boolean | null | undefined>>): string {
+  return rows.map(row => row.map(cell => quote(cell === null || cell === undefined ? '' : String(cell))).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,297 @@
+/**
+ * Marketing data import
+ *
+ * Turns a CSV or JSON export from one of the `IMPORT_SOURCES` into daily
+ * per-channel metrics and merges them into the `MetricsStore`. Works on
+ * file contents only, so it runs offline and in tests. Rows that cannot be
+ * read are reported with their line (CSV) or index (JSON) and the rest is
+ * imported; importing the same file again changes nothing.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import type { MetricsStore, MetricUpdate, UpsertResult } from '../stores/metrics-store';
+import { detectDelimiter, parseCsv } from './csv';
+import type { ImportSource, MetricField, SourceColumns } from './sources';
+
+/** The export as a whole cannot be imported */
+export class ImportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+export interface ImportRowError {
+  /** CSV line or 1-based JSON record number */
+  row: number;
+  message: string;
+}
+
+export interface ParsedExport {
+  updates: MetricUpdate[];
+  /** Data rows read, including skipped and failed ones */
+  rows: number;
+  /** Summary rows and rows another source covers */
+  skipped: number;
+  errors: ImportRowError[];
+}
+
+export interface ImportReport extends ParsedExport, UpsertResult {
+  source: string;
+  file: string;
+}
+
+interface Table {
+  /** Record values by header */
+  records: Array<{ row: number; values: Record<string, string> }>;
+  /** Decimal commas, as in exports with semicolon delimiters */
+  decimalComma: boolean;
+}
+
+/** How many lines of report titles may precede the CSV header */
+const HEADER_SEARCH_ROWS = 10;
+
+const normalizeHeader = (header: string) =>
+  header.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9.]/g, '');
+
+/** `Amount spent (CZK)` → `CZK` */
+const headerCurrency = (header: string) => header.match(/\(([A-Z]{3})\)/)?.[1];
+
+function csvTable(text: string, columns: SourceColumns): Table {
+  const delimiter = detectDelimiter(text);
+  const lines = parseCsv(text, delimiter);
+  const dateAliases = columns.date.map(normalizeHeader);
+  // Skip report titles and GA4's `#` comments above the header
+  const headerIndex = lines.slice(0, HEADER_SEARCH_ROWS)
+    .findIndex(cells => cells.some(cell => dateAliases.includes(normalizeHeader(cell))));
+  if (headerIndex === -1) {
+    throw new ImportError(`No header row with a date column (${columns.date.join(', ')}) found`);
+  }
+
+  const header = lines[headerIndex].map(cell => cell.trim());
+  const records: Table['records'] = [];
+  for (let index = headerIndex + 1; index < lines.length; index++) {
+    const cells = lines[index];
+    // A blank line ends the table; GA4 appends further tables after it
+    if (cells.length === 0) {
+      if (records.length > 0) break;
+      continue;
+    }
+    if (cells[0].startsWith('#')) continue;
+    records.push({ row: index + 1, values: Object.fromEntries(header.map((name, column) => [name, (cells[column] ?? '').trim()])) });
+  }
+  return { records, decimalComma: delimiter === ';' };
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** The `value`s of GA4 `dimensionValues` or `metricValues` */
+const cellValues = (cells: unknown) =>
+  Array.isArray(cells) ? cells.map(cell => (isRecord(cell) ? cell.value : undefined)) : [];
+
+/** `{ a: { b: 1 } }` → `{ 'a.b': '1' }`; arrays of strings keep their first value */
+function flatten(value: Record<string, unknown>, prefix = ''): Record<string, string> {
+  return Object.entries(value).reduce<Record<string, string>>((flat, [key, item]) => {
+    if (Array.isArray(item)) {
+      if (typeof item[0] !== 'object') flat[prefix + key] = String(item[0] ?? '');
+    } else if (item && typeof item === 'object') {
+      Object.assign(flat, flatten(item as Record<string, unknown>, `${prefix}${key}.`));
+    } else if (item !== null && item !== undefined) {
+      flat[prefix + key] = String(item);
+    }
+    return flat;
+  }, {});
+}
+
+/**
+ * Records from the JSON the platforms' APIs return: a plain array of rows,
+ * `{ rows }` (Search Console, whose `keys` hold the date), `{ results }`
+ * (Google Ads), `{ data }` (Meta) or a GA4 `runReport` response.
+ */
+function jsonTable(text: string): Table {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${(error as Error).message}`);
+  }
+
+  let rows: unknown[];
+  if (Array.isArray(parsed)) {
+    rows = parsed;
+  } else if (isRecord(parsed) && Array.isArray(parsed.dimensionHeaders) && Array.isArray(parsed.metricHeaders)) {
+    const names = [...parsed.dimensionHeaders, ...parsed.metricHeaders].map(header => (isRecord(header) ? String(header.name) : ''));
+    rows = (Array.isArray(parsed.rows) ? parsed.rows : []).map((row: unknown) => (isRecord(row) ? Object.fromEntries(
+      [...cellValues(row.dimensionValues), ...cellValues(row.metricValues)].map((value, index) => [names[index], value])
+    ) : {}));
+  } else {
+    const list: unknown = isRecord(parsed) && (parsed.rows || parsed.results || parsed.data);
+    if (!Array.isArray(list)) {
+      throw new ImportError('Unrecognized JSON export: expected an array of rows or a rows/results/data list');
+    }
+    rows = list;
+  }
+
+  return {
+    records: rows.map((row, index) => ({ row: index + 1, values: isRecord(row) ? flatten(row) : {} })),
+    decimalComma: false,
+  };
+}
+
+/** `YYYY-MM-DD`, GA4's `YYYYMMDD` or Czech `D. M. YYYY` as `YYYY-MM-DD` */
+export function parseExportDate(value: string): string | undefined {
+  const iso = value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  const czech = value.match(/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})$/);
+  const parts = iso ? [iso[1], iso[2], iso[3]] : czech ? [czech[3], czech[2], czech[1]] : undefined;
+  if (!parts) return undefined;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Amounts as the exports write them: `1,234.56`, `1 234,56 Kč`, `12.5%`.
+ * Empty cells and Google Ads' `--` count as zero. A value in the other
+ * format, like `1 234,56` in an export with decimal points, is an error
+ * rather than a guess: read the wrong way it would be 100 times too large.
+ */
+export function parseExportNumber(value: string, decimalComma: boolean): number {
+  const trimmed = value.trim();
+  if (trimmed === '' || trimmed === '--') return 0;
+
+  const digits = trimmed.replace(/[^\d.,-]/g, '');
+  const [decimal, group, grouped] = decimalComma ? [',', '.', /^-?\d{1,3}(\.\d{3})+$/] : ['.', ',', /^-?\d{1,3}(,\d{3})+$/];
+  const [whole, fraction, ...more] = digits.split(decimal);
+  if (more.length > 0 || fraction?.includes(group) || (whole.includes(group) && !grouped.test(whole))) {
+    throw new Error(`'${value}' is ambiguous, expected a number like ${decimalComma ? '1 234,56' : '1,234.56'}`);
+  }
+
+  const number = digits === '' ? NaN : Number(whole.split(group).join('') + (fraction === undefined ? '' : `.${fraction}`));
+  if (!Number.isFinite(number)) throw new Error(`'${value}' is not a number`);
+  return number;
+}
+
+const cents = (value: number) => Math.round(value * 100) / 100;
+
+/**
+ * Read an export into channel-day updates. Several rows of the same day
+ * (e.g. one per campaign) are summed; `currency` is the client's, which
+ * the export must match where it states one.
+ */
+export function parseExport(source: ImportSource, fileName: string, content: string, currency: string): ParsedExport {
+  const table = path.extname(fileName).toLowerCase() === '.json' ? jsonTable(content) : csvTable(content, source.columns);
+  const headers = [...new Set(table.records.flatMap(record => Object.keys(record.values)))];
+  const find = (aliases: string[] = []) => {
+    const normalized = aliases.map(normalizeHeader);
+    for (const alias of normalized) {
+      const header = headers.find(name => normalizeHeader(name) === alias);
+      if (header) return header;
+    }
+    return undefined;
+  };
+
+  const { columns } = source;
+  const dateColumn = find(columns.date);
+  const dateEndColumn = find(columns.dateEnd);
+  const currencyColumn = find(columns.currency);
+  const segmentColumn = find(columns.segment);
+  const spendMicrosColumn = find(columns.spendMicros);
+  const metricColumns = Object.entries(columns.metrics)
+    .map(([field, aliases]) => [field, find(aliases)] as [MetricField, string | undefined])
+    .filter(([, header]) => header);
+
+  if (table.records.length > 0 && !dateColumn) {
+    throw new ImportError(`No date column (${columns.date.join(', ')}) in the ${source.label} export`);
+  }
+  if (source.segmentRequired && table.records.length > 0 && !segmentColumn) {
+    throw new ImportError(source.segmentRequired);
+  }
+  for (const [, header] of metricColumns) {
+    const stated = headerCurrency(header);
+    if (stated && stated !== currency) {
+      throw new ImportError(`Column "${header}" is in ${stated}, the client reports in ${currency}`);
+    }
+  }
+
+  const result: ParsedExport = { updates: [], rows: 0, skipped: 0, errors: [] };
+  const byDay = new Map<string, MetricUpdate>();
+
+  for (const { row, values } of table.records) {
+    result.rows++;
+    const rawDate = values[dateColumn] ?? '';
+    // Google Ads closes its exports with totals ("Total: Account")
+    if (rawDate === '' || rawDate === '--' || Object.values(values).some(value => /^total(:|$)/i.test(value))) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const date = parseExportDate(rawDate);
+      if (!date) throw new Error(`'${rawDate}' is not a date`);
+      if (dateEndColumn && values[dateEndColumn] && parseExportDate(values[dateEndColumn]) !== date) {
+        throw new Error('The row covers more than one day; export with a daily breakdown');
+      }
+      const rowCurrency = currencyColumn && values[currencyColumn];
+      if (rowCurrency && rowCurrency.toUpperCase() !== currency) {
+        throw new Error(`Currency ${rowCurrency} does not match the client's ${currency}`);
+      }
+
+      const route = source.route(segmentColumn ? values[segmentColumn] : undefined);
+      if (!route) {
+        result.skipped++;
+        continue;
+      }
+
+      const parsed: Partial<Record<MetricField, number>> = {};
+      for (const [field, header] of metricColumns) {
+        parsed[field] = parseExportNumber(values[header], table.decimalComma);
+      }
+      if (spendMicrosColumn && parsed.spend === undefined) {
+        parsed.spend = parseExportNumber(values[spendMicrosColumn], false) / 1e6;
+      }
+
+      const key = `${route.channel}/${date}`;
+      const update = byDay.get(key) || { date, channel: route.channel };
+      for (const field of route.fields) {
+        if (parsed[field] !== undefined) update[field] = (update[field] || 0) + parsed[field];
+      }
+      byDay.set(key, update);
+    } catch (error) {
+      result.errors.push({ row, message: (error as Error).message });
+    }
+  }
+
+  result.updates = [...byDay.values()].map(update => ({
+    ...update,
+    ...(update.spend !== undefined && { spend: cents(update.spend) }),
+    ...(update.revenue !== undefined && { revenue: cents(update.revenue) }),
+    ...(update.conversions !== undefined && { conversions: cents(update.conversions) }),
+    ...(update.clicks !== undefined && { clicks: Math.round(update.clicks) }),
+    ...(update.impressions !== undefined && { impressions: Math.round(update.impressions) }),
+  }));
+  return result;
+}
+
+/** Export files as text: strips byte order marks and decodes UTF-16 (Google Ads "CSV for Excel") */
+export async function readExportFile(file: string): Promise<string> {
+  const buffer = await readFile(file);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/** Parse an export and merge it into the client's metrics */
+export async function importExport(
+  store: MetricsStore,
+  domain: string,
+  currency: string,
+  source: ImportSource,
+  file: { name: string; content: string }
+): Promise<ImportReport> {
+  const parsed = parseExport(source, file.name, file.content, currency);
+  const stored = await store.upsert(domain, parsed.updates);
+  return { source: source.id, file: file.name, ...parsed, ...stored };
+}
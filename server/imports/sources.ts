@@ -0,0 +1,129 @@
+/**
+ * Supported marketing data exports
+ *
+ * One entry per platform in `PLATFORMS` that reports metrics. Each lists
+ * the column names its CSV exports and API JSON use, and decides which
+ * channel a row belongs to and which metrics the platform is the source
+ * of truth for there. Two sources may feed the same channel day as long
+ * as they own different metrics (Search Console clicks next to GA4
+ * revenue for SEO).
+ */
+
+import type { MetricTotals } from '../../types';
+
+export type MetricField = keyof MetricTotals;
+
+const ALL_FIELDS: MetricField[] = ['spend', 'revenue', 'conversions', 'clicks', 'impressions'];
+
+/**
+ * Header aliases per column. Matching ignores case, spacing, punctuation
+ * other than dots and a trailing `(CZK)`-style currency, so `Amount spent
+ * (CZK)` matches `amount spent` and `metrics.costMicros` matches
+ * `metrics.cost_micros`.
+ */
+export interface SourceColumns {
+  date: string[];
+  /** Rows covering more than one day are rejected when this differs from `date` */
+  dateEnd?: string[];
+  /** Currency code of the row, checked against the client's currency */
+  currency?: string[];
+  /** Column that routes rows to channels, see `ImportSource.route` */
+  segment?: string[];
+  /** Spend in millionths, as the Google Ads API reports it */
+  spendMicros?: string[];
+  metrics: Partial<Record<MetricField, string[]>>;
+}
+
+export interface ImportRoute {
+  channel: string;
+  /** Metrics this source sets for the channel; others are left as they are */
+  fields: MetricField[];
+}
+
+export interface ImportSource {
+  /** Platform id from `PLATFORMS` */
+  id: string;
+  label: string;
+  columns: SourceColumns;
+  /** Thrown as a file-level error when the segment column is required but missing */
+  segmentRequired?: string;
+  /** Where a row goes by its segment value; `null` skips rows another source covers */
+  route(segment: string | undefined): ImportRoute | null;
+}
+
+/** GA4 channel groups no ad platform export covers */
+const GA4_CHANNEL_GROUPS: Record<string, ImportRoute> = {
+  // Search Console owns organic clicks and impressions
+  'organic search': { channel: 'seo', fields: ['revenue', 'conversions'] },
+  email: { channel: 'mailing', fields: ['revenue', 'conversions', 'clicks'] },
+};
+
+export const IMPORT_SOURCES: ImportSource[] = [
+  {
+    id: 'google-ads',
+    label: 'Google Ads',
+    columns: {
+      date: ['Day', 'Date', 'segments.date'],
+      currency: ['Currency code', 'Currency', 'customer.currency_code'],
+      segment: ['Campaign type', 'campaign.advertising_channel_type'],
+      spendMicros: ['metrics.cost_micros'],
+      metrics: {
+        spend: ['Cost'],
+        revenue: ['Conv. value', 'Conversion value', 'Total conv. value', 'metrics.conversions_value'],
+        conversions: ['Conversions', 'metrics.conversions'],
+        clicks: ['Clicks', 'metrics.clicks'],
+        impressions: ['Impr.', 'Impressions', 'metrics.impressions'],
+      },
+    },
+    // Video campaigns run on YouTube
+    route: segment => ({ channel: segment?.toLowerCase() === 'video' ? 'youtube' : 'google-ads', fields: ALL_FIELDS }),
+  },
+  {
+    id: 'ga4',
+    label: 'Google Analytics 4',
+    columns: {
+      date: ['Date', 'date'],
+      segment: ['Session default channel group', 'Default channel group', 'sessionDefaultChannelGroup'],
+      metrics: {
+        revenue: ['Total revenue', 'Purchase revenue', 'totalRevenue', 'purchaseRevenue'],
+        conversions: ['Key events', 'Conversions', 'keyEvents', 'conversions'],
+        clicks: ['Sessions', 'sessions'],
+      },
+    },
+    segmentRequired: 'GA4 exports need the "Session default channel group" dimension, otherwise their revenue would double the ad platforms\'',
+    route: segment => GA4_CHANNEL_GROUPS[segment?.toLowerCase() ?? ''] ?? null,
+  },
+  {
+    id: 'gsc',
+    label: 'Google Search Console',
+    columns: {
+      date: ['Date', 'Dates', 'keys'],
+      metrics: {
+        clicks: ['Clicks'],
+        impressions: ['Impressions'],
+      },
+    },
+    route: () => ({ channel: 'seo', fields: ['clicks', 'impressions'] }),
+  },
+  {
+    id: 'meta',
+    label: 'Meta Ads Manager',
+    columns: {
+      date: ['Day', 'Reporting starts', 'date_start'],
+      dateEnd: ['Reporting ends', 'date_stop'],
+      currency: ['Currency', 'account_currency'],
+      metrics: {
+        spend: ['Amount spent', 'spend'],
+        revenue: ['Purchases conversion value', 'Website purchases conversion value', 'Purchase conversion value'],
+        conversions: ['Purchases', 'Website purchases', 'Results'],
+        clicks: ['Link clicks', 'Clicks (all)', 'inline_link_clicks', 'clicks'],
+        impressions: ['Impressions', 'impressions'],
+      },
+    },
+    route: () => ({ channel: 'social', fields: ALL_FIELDS }),
+  },
+];
+
+export function findImportSource(id: string): ImportSource | undefined {
+  return IMPORT_SOURCES.find(source => source.id === id);
+}
@@ -0,0 +1,93 @@
+/**
+ * Portal API entry point
+ */
+
+import Redis from 'ioredis';
+import config from './config';
+import { createApp } from './app';
+import { MemorySessionStore } from './auth/session-store';
+import { createSeededUserStore } from './auth/user-store';
+import { createStores } from './stores';
+import { VerificationAdapterRegistry } from './onboarding/verification';
+import { renderPdf } from './manual/pdf';
+import { SuggestionEngine } from './suggestions/engine';
+import { RuleBasedSuggestionProvider } from './suggestions/providers';
+import type { SuggestionProvider } from './suggestions/providers';
+import { LlmSuggestionProvider } from './suggestions/llm-provider';
+import { loadKnowledgeBase } from './knowledge/knowledge-base';
+import { NotificationService, startNotificationWorker } from './notifications/service';
+import { FileTransport } from './notifications/transport';
+import { SmtpTransport } from './notifications/smtp';
+import { circuitBreakerRegistry } from '../lib/kilo-code/circuit-breaker';
+import { createCircuitStateStore, redisConnectionOptions } from '../lib/kilo-code/circuit-state-store';
+
+async function main(): Promise<void> {
+  // Suggestion providers' breakers share their state with other processes
+  // and survive restarts when CIRCUIT_STATE_STORE is set
+  circuitBreakerRegistry.useStateStore(createCircuitStateStore(process.env, {
+    // Failed commands reach the breakers, which fall back to local state
+    redis: () => new Redis(redisConnectionOptions())
+      .on('error', error => console.error('❌ Circuit state store: Redis connection error', error)),
+  }));
+
+  const users = await createSeededUserStore(config.seedUsers);
+  const sessions = new MemorySessionStore();
+  const stores = await createStores(config);
+  const knowledge = await loadKnowledgeBase(config.knowledgeBaseDir);
+
+  // No automated platform checks yet: every grant goes to the admin queue
+  const verifiers = new VerificationAdapterRegistry();
+
+  const suggestionProviders: SuggestionProvider[] = [new RuleBasedSuggestionProvider()];
+  if (config.suggestions.llm) suggestionProviders.push(new LlmSuggestionProvider(config.suggestions.llm));
+
+  const { smtp, ...notificationOptions } = config.notifications;
+  const notifications = new NotificationService(
+    stores.outbox,
+    stores.clients,
+    stores.templates,
+    smtp ? new SmtpTransport(smtp) : new FileTransport(notificationOptions.fileDir),
+    notificationOptions
+  );
+
+  const app = createApp({
+    config,
+    users,
+    sessions,
+    clients: stores.clients,
+    templates: stores.templates,
+    notes: stores.notes,
+    metrics: stores.metrics,
+    suggestions: stores.suggestions,
+    suggestionEngine: new SuggestionEngine(suggestionProviders),
+    deliverables: stores.deliverables,
+    messages: stores.messages,
+    audit: stores.audit,
+    knowledge,
+    verifiers,
+    renderPdf,
+    notifications,
+  });
+
+  const server = app.listen(config.port, () => {
+    console.info(`ℹ️ Portal API listening on http://localhost:${config.port} (${config.storage} storage)`);
+  });
+  const stopNotifications = startNotificationWorker(notifications, {
+    intervalMs: config.notifications.intervalMs,
+    stalledCheckMs: 60 * 60 * 1000,
+  });
+
+  const shutdown = () => {
+    stopNotifications();
+    server.close(() => {
+      stores.close().finally(() => process.exit(0));
+    });
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to start portal API', error);
+  process.exit(1);
+});
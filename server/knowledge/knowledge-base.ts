@@ -0,0 +1,196 @@
+/**
+ * Knowledge base
+ *
+ * Articles are markdown files under `<dir>/<language>/<slug>.md` with a
+ * front matter block:
+ *
+ *   ---
+ *   title: Sharing access to Google Ads
+ *   summary: Invite the agency as an administrator of your account.
+ *   tags: google-ads, access
+ *   audience: client
+ *   ---
+ *
+ * They are read once at startup and searched in memory. Search ignores case
+ * and diacritics and matches word prefixes, so `pristup` finds "přístupu".
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { z, ZodError } from 'zod';
+import { interpolate, SUPPORTED_LANGUAGES } from '../../i18n';
+import type { KnowledgeArticle, KnowledgeArticleSummary, KnowledgeAudience, KnowledgeSearchHit } from '../../types';
+import { parseInput } from '../errors';
+import { escapeHtml, markdownToText, parseFrontMatter, renderMarkdown } from './markdown';
+
+export class ArticleFormatError extends Error {
+  constructor(public readonly file: string, message: string) {
+    super(`${file}: ${message}`);
+    this.name = 'ArticleFormatError';
+  }
+}
+
+const frontMatterSchema = z.object({
+  title: z.string().min(1),
+  summary: z.string().default(''),
+  tags: z.string().default(''),
+  audience: z.enum(['client', 'admin']).default('client'),
+});
+
+export interface KnowledgeQuery {
+  /** Free text; every word has to match */
+  text?: string;
+  language?: string;
+  tag?: string;
+  /** Audiences the reader may see */
+  audiences: KnowledgeAudience[];
+}
+
+/** An article with its plain text for search */
+export interface ParsedArticle extends KnowledgeArticle {
+  text: string;
+}
+
+interface IndexedArticle extends ParsedArticle {
+  titleWords: string[];
+  tagWords: string[];
+  textWords: string[];
+}
+
+const EXCERPT_LENGTH = 160;
+
+const normalize = (text: string) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const words = (text: string) => normalize(text).match(/[a-z0-9]+/g) || [];
+
+function summaryOf(article: KnowledgeArticle): KnowledgeArticleSummary {
+  const { slug, language, title, summary, tags, audience } = article;
+  return { slug, language, title, summary, tags, audience };
+}
+
+type ArticleAttributes = { title: string; summary: string; tags: string; audience: KnowledgeAudience };
+
+/** `file` is the path used in errors; its name without `.md` becomes the slug */
+export function parseArticle(file: string, language: string, source: string): ParsedArticle {
+  const { attributes, body } = parseFrontMatter(source);
+  let article: ArticleAttributes;
+  try {
+    article = parseInput<ArticleAttributes>(frontMatterSchema, attributes);
+  } catch (error) {
+    if (!(error instanceof ZodError)) throw error;
+    throw new ArticleFormatError(file, error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join(', '));
+  }
+
+  const { title, summary, tags, audience } = article;
+  return {
+    slug: path.basename(file, '.md'),
+    language,
+    title,
+    summary,
+    tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    audience,
+    html: renderMarkdown(body),
+    text: markdownToText(body),
+  };
+}
+
+export class KnowledgeBase {
+  private articles: IndexedArticle[];
+
+  constructor(articles: ParsedArticle[]) {
+    this.articles = articles.map(article => ({
+      ...article,
+      titleWords: words(article.title),
+      tagWords: article.tags.flatMap(words),
+      textWords: words(`${article.summary} ${article.text}`),
+    }));
+  }
+
+  get(language: string, slug: string): KnowledgeArticle | undefined {
+    const article = this.articles.find(candidate => candidate.language === language && candidate.slug === slug);
+    return article && { ...summaryOf(article), html: article.html };
+  }
+
+  /** Tags in use, for filters */
+  tags(query: Pick<KnowledgeQuery, 'language' | 'audiences'>): string[] {
+    return [...new Set(this.filter(query).flatMap(article => article.tags))].sort();
+  }
+
+  /** Best matches first; without `text` every article, sorted by title */
+  search(query: KnowledgeQuery): KnowledgeSearchHit[] {
+    const terms = words(query.text || '');
+    const candidates = this.filter(query).filter(article => !query.tag || article.tags.includes(query.tag));
+
+    return candidates
+      .map(article => ({ article, score: this.score(article, terms) }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score || a.article.title.localeCompare(b.article.title))
+      .map(({ article }) => ({ ...summaryOf(article), excerpt: excerpt(article.text, terms) }));
+  }
+
+  private filter({ language, audiences }: Pick<KnowledgeQuery, 'language' | 'audiences'>): IndexedArticle[] {
+    return this.articles.filter(article =>
+      audiences.includes(article.audience) && (!language || article.language === language)
+    );
+  }
+
+  /** `null` when a term matches nowhere; title and tag matches weigh more than the text */
+  private score(article: IndexedArticle, terms: string[]): number | null {
+    let score = 0;
+    for (const term of terms) {
+      const matches = (list: string[]) => list.filter(word => word.startsWith(term)).length;
+      const inTitle = matches(article.titleWords);
+      const inTags = matches(article.tagWords);
+      const inText = matches(article.textWords);
+      if (inTitle + inTags + inText === 0) return null;
+      score += 3 * Math.min(inTitle, 1) + 2 * Math.min(inTags, 1) + Math.min(inText, 5) / 5;
+    }
+    return score;
+  }
+}
+
+function excerpt(text: string, terms: string[]): string {
+  const normalized = normalize(text);
+  // Stripping the accents leaves one letter per character, so offsets match the text
+  const positions = terms.map(term => normalized.search(new RegExp(`\\b${term}`))).filter(index => index >= 0);
+  const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - EXCERPT_LENGTH / 4) : 0;
+  const snippet = text.slice(start, start + EXCERPT_LENGTH).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + EXCERPT_LENGTH < text.length ? '…' : ''}`;
+}
+
+/**
+ * Fill template placeholders such as `{email}` into what a reader gets;
+ * unknown ones stay as they are
+ */
+export function fillPlaceholders<T extends KnowledgeArticleSummary & { html?: string; excerpt?: string }>(
+  article: T,
+  values: Record<string, string>
+): T {
+  const escaped = Object.fromEntries(Object.entries(values).map(([name, value]: [string, string]) => [name, escapeHtml(value)]));
+  return {
+    ...article,
+    title: interpolate(article.title, values),
+    summary: interpolate(article.summary, values),
+    ...(article.excerpt !== undefined && { excerpt: interpolate(article.excerpt, values) }),
+    ...(article.html !== undefined && { html: interpolate(article.html, escaped) }),
+  };
+}
+
+/**
+ * Read every article below `dir`. A malformed article fails the startup
+ * instead of silently disappearing from the help.
+ */
+export async function loadKnowledgeBase(dir: string): Promise<KnowledgeBase> {
+  const articles: ParsedArticle[] = [];
+
+  for (const language of SUPPORTED_LANGUAGES) {
+    const languageDir = path.join(dir, language);
+    const files = await readdir(languageDir).catch(() => [] as string[]);
+
+    for (const file of files.filter(name => name.endsWith('.md')).sort()) {
+      const source = await readFile(path.join(languageDir, file), 'utf8');
+      articles.push(parseArticle(path.join(language, file), language, source));
+    }
+  }
+
+  return new KnowledgeBase(articles);
+}
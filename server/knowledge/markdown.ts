@@ -0,0 +1,112 @@
+/**
+ * Markdown for knowledge base articles
+ *
+ * Covers what the articles use and nothing more: `#`–`###` headings,
+ * paragraphs, `-` and `1.` lists, `>` callouts, **bold**, *italics*,
+ * `code` and [links](https://…). Everything else is kept as text, and all
+ * text is escaped, so the HTML is safe to insert into the page.
+ */
+
+export interface FrontMatter {
+  attributes: Record<string, string>;
+  body: string;
+}
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/** `key: value` lines between `---` fences at the top of the file */
+export function parseFrontMatter(source: string): FrontMatter {
+  const text = source.replace(/^\uFEFF/, '');
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) return { attributes: {}, body: text };
+
+  const attributes: Record<string, string> = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) attributes[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+export const escapeHtml = (text: string) =>
+  text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/** Only web links and in-app paths; anything else stays plain text */
+const SAFE_URL = /^(https?:\/\/|\/)/;
+
+function renderInline(text: string): string {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (link, label: string, url: string) =>
+      SAFE_URL.test(url) ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>` : link
+    );
+}
+
+type Block =
+  | { type: 'heading'; level: number; text: string }
+  | { type: 'paragraph' | 'quote'; lines: string[] }
+  | { type: 'ul' | 'ol'; items: string[] };
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^[-*]\s+(.*)$/;
+const NUMBERED = /^\d+\.\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+
+function parseBlocks(markdown: string): Block[] {
+  const blocks: Block[] = [];
+  const last = () => blocks[blocks.length - 1];
+
+  for (const raw of markdown.split(/\r?\n/)) {
+    const line = raw.trim();
+    let match: RegExpMatchArray | null;
+
+    if (!line) {
+      // A blank line ends paragraphs and callouts; lists may continue after it
+      if (last() && (last().type === 'paragraph' || last().type === 'quote')) blocks.push({ type: 'paragraph', lines: [] });
+    } else if ((match = line.match(HEADING))) {
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+    } else if ((match = line.match(BULLET)) || (match = line.match(NUMBERED))) {
+      const type = BULLET.test(line) ? 'ul' : 'ol';
+      const previous = last();
+      if (previous?.type === type) previous.items.push(match[1]);
+      else blocks.push({ type, items: [match[1]] });
+    } else if ((match = line.match(QUOTE))) {
+      const previous = last();
+      if (previous?.type === 'quote' && previous.lines.length > 0) previous.lines.push(match[1]);
+      else blocks.push({ type: 'quote', lines: [match[1]] });
+    } else {
+      const previous = last();
+      if (previous?.type === 'paragraph') previous.lines.push(line);
+      else blocks.push({ type: 'paragraph', lines: [line] });
+    }
+  }
+
+  return blocks.filter(block => !('lines' in block) || block.lines.length > 0);
+}
+
+export function renderMarkdown(markdown: string): string {
+  return parseBlocks(markdown).map(block => {
+    switch (block.type) {
+      case 'heading': {
+        // The article title is the page's h1, so headings start at h2
+        const tag = `h${block.level + 1}`;
+        return `<${tag}>${renderInline(block.text)}</${tag}>`;
+      }
+      case 'paragraph': return `<p>${renderInline(block.lines.join(' '))}</p>`;
+      case 'quote': return `<blockquote>${renderInline(block.lines.join(' '))}</blockquote>`;
+      default: return `<${block.type}>${block.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${block.type}>`;
+    }
+  }).join('\n');
+}
+
+/** The article text without markup, for search and excerpts */
+export function markdownToText(markdown: string): string {
+  return parseBlocks(markdown).map(block => {
+    if (block.type === 'heading') return block.text;
+    return ('lines' in block ? block.lines.join(' ') : block.items.join('\n'));
+  }).join('\n')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*`]/g, '');
+}
@@ -0,0 +1,86 @@
+/**
+ * Printable onboarding manual
+ *
+ * A self-contained, print-optimized HTML version of the manual that clients
+ * can forward to their IT person. It only covers the platforms the client
+ * still has to set up and needs no network access to render.
+ */
+
+import type { AgencyTemplates, ClientData, InstructionItem, SetupStatus } from '../../types';
+import { interpolate, translate } from '../../i18n';
+import type { Language } from '../../i18n';
+import { resolveInstructions } from '../../i18n/templates';
+import { escapeHtml } from '../knowledge/markdown';
+
+/** Platforms without a saved status count as `have`, like in the setup UI */
+export const MANUAL_STATUSES: SetupStatus[] = ['have', 'need'];
+
+export interface ManualOptions {
+  language: Language;
+  client: ClientData;
+  templates: AgencyTemplates;
+  generatedAt?: Date;
+}
+
+export function manualInstructions({ language, client, templates }: ManualOptions): InstructionItem[] {
+  return resolveInstructions(language, templates, client).filter(item =>
+    MANUAL_STATUSES.includes(client.setupState[item.id]?.status ?? 'have')
+  );
+}
+
+const PRINT_CSS = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #0f172a; font-size: 11pt; line-height: 1.5; margin: 0; }
+  header { border-bottom: 2px solid #2563eb; padding-bottom: 12pt; margin-bottom: 18pt; }
+  h1 { font-size: 20pt; margin: 0 0 4pt; }
+  h2 { font-size: 14pt; margin: 0 0 6pt; }
+  .subtitle, .meta { color: #475569; margin: 0; }
+  .grantee { margin-top: 8pt; font-weight: bold; }
+  .grantee code { background: #eff6ff; border: 1px solid #bfdbfe; padding: 1pt 4pt; border-radius: 3pt; }
+  section { break-inside: avoid; page-break-inside: avoid; margin-bottom: 16pt; padding-top: 10pt; border-top: 1px solid #e2e8f0; }
+  .link { font-size: 9pt; color: #2563eb; word-break: break-all; }
+  ol { padding-left: 18pt; margin: 8pt 0; }
+  li { margin-bottom: 4pt; }
+  .tip { background: #eff6ff; border-left: 3px solid #2563eb; padding: 6pt 10pt; font-size: 10pt; }
+  footer { margin-top: 18pt; color: #475569; font-size: 9pt; text-align: center; }
+  @media screen { body { max-width: 210mm; margin: 0 auto; padding: 16mm; } }
+`;
+
+export function renderManualHtml(options: ManualOptions): string {
+  const { language, client, templates } = options;
+  const t = (key: string, params?: Record<string, string>) => escapeHtml(translate(language, key, params));
+  const email = escapeHtml(templates.granteeEmail);
+  const generatedAt = (options.generatedAt ?? new Date()).toLocaleDateString(language);
+  const instructions = manualInstructions(options);
+
+  const sections = instructions.map(item => `
+    <section>
+      <h2>${escapeHtml(item.title)}</h2>
+      ${item.directLink ? `<p class="link">${t('manual.directLink')} <a href="${escapeHtml(item.directLink)}">${escapeHtml(item.directLink)}</a></p>` : ''}
+      <ol>
+        ${item.steps.map(step => `<li>${interpolate(escapeHtml(step), { email: `<strong>${email}</strong>` })}</li>`).join('\n        ')}
+      </ol>
+      ${item.tip ? `<p class="tip"><strong>${t('manual.tip')}</strong> ${escapeHtml(item.tip)}</p>` : ''}
+    </section>`);
+
+  return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+  <meta charset="utf-8">
+  <title>${t('manual.title')} – ${escapeHtml(client.domain)}</title>
+  <style>${PRINT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${t('manual.title')}</h1>
+    <p class="subtitle">${t('manual.subtitle')}</p>
+    <p class="meta">${t('manual.preparedFor', { domain: client.domain })} · ${t('manual.generatedAt', { date: generatedAt })}</p>
+    <p class="grantee">${interpolate(t('manual.grantTo'), { email: `<code>${email}</code>` })}</p>
+  </header>
+  ${sections.length > 0 ? sections.join('\n') : `<p>${t('manual.nothingToDo')}</p>`}
+  <footer>${t('manual.contact', { email: templates.granteeEmail })}</footer>
+</body>
+</html>
+`;
+}
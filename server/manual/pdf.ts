@@ -0,0 +1,37 @@
+/**
+ * HTML → PDF with the headless Chromium that Playwright already provides
+ *
+ * Playwright is loaded on first use so the API starts without it; install the
+ * browser once with `npx playwright install chromium`.
+ */
+
+export type PdfRenderer = (html: string) => Promise<Buffer>;
+
+export class PdfRendererUnavailableError extends Error {
+  public readonly cause: unknown;
+
+  constructor(cause: unknown) {
+    super('PDF rendering needs Playwright Chromium (run `npx playwright install chromium`)');
+    this.name = 'PdfRendererUnavailableError';
+    this.cause = cause;
+  }
+}
+
+export const renderPdf: PdfRenderer = async html => {
+  let browser;
+  try {
+    const { chromium } = await import('@playwright/test');
+    browser = await chromium.launch();
+  } catch (error) {
+    throw new PdfRendererUnavailableError(error);
+  }
+
+  try {
+    const page = await browser.newPage();
+    // The document is self-contained, so there is nothing to wait for on the network
+    await page.setContent(html, { waitUntil: 'load' });
+    return await page.pdf({ format: 'A4', printBackground: true, preferCSSPageSize: true });
+  } finally {
+    await browser.close();
+  }
+};
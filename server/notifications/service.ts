@@ -0,0 +1,247 @@
+/**
+ * Onboarding notifications
+ *
+ * Setup changes queue emails in the outbox; a worker sends them through the
+ * mail transport with Kilo Code's exponential backoff, so a slow or
+ * flaky mail server only delays an email and never fails the client's
+ * request. An email that still fails stays in the outbox for a later
+ * dispatch, until the server refuses it for good or `maxAttempts` is
+ * reached. Each occurrence of an event has its own outbox key, which makes
+ * every trigger safe to run more than once.
+ */
+
+import { ExponentialBackoffRetry, RetryError } from '../../lib/kilo-code/retry';
+import type { RetryAttempt, RetryConfig } from '../../lib/kilo-code/retry';
+import { kiloCodeLogger } from '../../lib/kilo-code/logger';
+import { defaultErrorClassifiers } from '../../lib/kilo-code/error-classifier';
+import { PLATFORMS } from '../../constants';
+import { translate } from '../../i18n';
+import type { Language, MessageParams } from '../../i18n';
+import type { ClientData } from '../../types';
+import type { ClientStore } from '../stores/client-store';
+import type { OutboxDraft, OutboxMessage, OutboxStore } from '../stores/outbox-store';
+import type { TemplateStore } from '../stores/template-store';
+import { RESOLVED_STATUSES } from '../onboarding/setup-state';
+import { NOTIFICATION_AUDIENCES, renderNotification } from './templates';
+import type { NotificationAudience, NotificationEvent } from './templates';
+import type { MailTransport } from './transport';
+import { smtpErrorClassifier } from './smtp';
+
+export interface NotificationOptions {
+  /** Sender address of every email */
+  from: string;
+  language: Language;
+  /** Public address of the portal, for the links in the emails */
+  portalUrl: string;
+  /** Days without a setup change before an incomplete onboarding counts as stalled */
+  stalledAfterDays: number;
+  retry?: Partial<RetryConfig>;
+  /** Messages sent per dispatch */
+  batchSize?: number;
+  /** Shortest wait before a failed email is dispatched again */
+  redeliveryDelayMs?: number;
+  /** Delivery attempts, over all dispatches, before an email is marked failed */
+  maxAttempts?: number;
+}
+
+export interface DispatchResult {
+  sent: number;
+  /** Kept in the outbox for a later dispatch */
+  deferred: number;
+  failed: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REDELIVERY_DELAY_MS = 60 * 60 * 1000;
+
+interface NotificationOccurrence {
+  event: NotificationEvent;
+  key: string;
+  params?: MessageParams;
+}
+
+export class NotificationService {
+  private retry: ExponentialBackoffRetry;
+
+  constructor(
+    private outbox: OutboxStore,
+    private clients: ClientStore,
+    private templates: TemplateStore,
+    private transport: MailTransport,
+    private options: NotificationOptions
+  ) {
+    this.retry = new ExponentialBackoffRetry({
+      ...options.retry,
+      classifiers: [smtpErrorClassifier, ...(options.retry?.classifiers ?? defaultErrorClassifiers)],
+    });
+  }
+
+  /** Queue the emails a setup change of `platformId` triggers */
+  async setupChanged(before: ClientData, after: ClientData, platformId: string): Promise<OutboxMessage[]> {
+    const occurrences: NotificationOccurrence[] = [];
+    const setup = after.setupState[platformId];
+
+    if (Object.keys(before.setupState).length === 0 && Object.keys(after.setupState).length > 0) {
+      occurrences.push({ event: 'started', key: `started:${after.domain}` });
+    }
+    if (setup?.status === 'granted' && before.setupState[platformId]?.status !== 'granted') {
+      occurrences.push({
+        event: 'granted',
+        key: `granted:${after.domain}:${platformId}:${setup.grantedAt}`,
+        params: { platform: translate(this.options.language, `platforms.${platformId}.title`) },
+      });
+    }
+    if (!before.onboardingComplete && after.onboardingComplete) {
+      occurrences.push({ event: 'completed', key: `completed:${after.domain}` });
+    }
+
+    const queued: OutboxMessage[] = [];
+    for (const occurrence of occurrences) {
+      queued.push(...await this.enqueue(after, occurrence));
+    }
+    return queued;
+  }
+
+  /**
+   * Queue a reminder for every incomplete onboarding without a setup change
+   * for `stalledAfterDays`. Each quiet period is reminded about once.
+   */
+  async checkStalled(now: Date = new Date()): Promise<OutboxMessage[]> {
+    const queued: OutboxMessage[] = [];
+
+    for (const client of await this.clients.list()) {
+      if (client.onboardingComplete) continue;
+
+      const updates = Object.values(client.setupState).map(setup => setup.updatedAt).sort();
+      const lastActivity = updates[updates.length - 1];
+      // Clients who never started are the agency's to chase, not a stall
+      if (!lastActivity) continue;
+
+      const days = Math.floor((now.getTime() - new Date(lastActivity).getTime()) / DAY_MS);
+      if (days < this.options.stalledAfterDays) continue;
+
+      const remaining = PLATFORMS
+        .filter(({ id }) => !RESOLVED_STATUSES.includes(client.setupState[id]?.status))
+        .map(({ id }) => translate(this.options.language, `platforms.${id}.title`));
+
+      queued.push(...await this.enqueue(client, {
+        event: 'stalled',
+        key: `stalled:${client.domain}:${lastActivity}`,
+        params: { days: String(days), platforms: remaining.join(', ') },
+      }));
+    }
+    return queued;
+  }
+
+  /**
+   * Send a batch of queued emails that are due at `now`. A failure keeps
+   * the email for a later dispatch, which waits as long again as the email
+   * has already waited (at least `redeliveryDelayMs`, at most an hour).
+   */
+  async dispatch(now: Date = new Date()): Promise<DispatchResult> {
+    const result: DispatchResult = { sent: 0, deferred: 0, failed: 0 };
+
+    for (const message of await this.outbox.claim(this.options.batchSize ?? 20, now)) {
+      const attempts: RetryAttempt[] = [];
+      const context = kiloCodeLogger.createContext({
+        model: `notifications:${this.transport.name}`,
+        requestId: message.id,
+      });
+
+      try {
+        await this.retry.execute(() => this.transport.send({
+          from: this.options.from,
+          to: message.recipient,
+          subject: message.subject,
+          text: message.body,
+        }), context, `notification:${message.event}`, undefined, attempts);
+
+        await this.outbox.complete(message.id, { attempts: attempts.length });
+        result.sent++;
+      } catch (error) {
+        const cause = error instanceof RetryError ? error.lastError : error as Error;
+        const retryAt = this.redeliveryTime(message, attempts.length, cause, now);
+        await this.outbox.complete(message.id, { attempts: attempts.length, error: cause.message, retryAt });
+        result[retryAt ? 'deferred' : 'failed']++;
+      }
+    }
+    return result;
+  }
+
+  private redeliveryTime(message: OutboxMessage, attempts: number, cause: Error, now: Date): Date | undefined {
+    if ((cause as { permanent?: boolean }).permanent) return undefined;
+    if (message.attempts + attempts >= (this.options.maxAttempts ?? 30)) return undefined;
+
+    const waited = now.getTime() - new Date(message.createdAt).getTime();
+    const delay = Math.min(Math.max(waited, this.options.redeliveryDelayMs ?? 60 * 1000), MAX_REDELIVERY_DELAY_MS);
+    return new Date(now.getTime() + delay);
+  }
+
+  private async enqueue(client: ClientData, occurrence: NotificationOccurrence): Promise<OutboxMessage[]> {
+    const { granteeEmail } = await this.templates.get();
+    const recipients: Record<NotificationAudience, string> = { agency: granteeEmail, client: client.email };
+    const drafts: OutboxDraft[] = [];
+
+    for (const audience of NOTIFICATION_AUDIENCES[occurrence.event]) {
+      if (!recipients[audience]) continue;
+
+      const email = renderNotification(occurrence.event, audience, this.options.language, {
+        clientName: client.name,
+        domain: client.domain,
+        url: this.linkFor(audience, occurrence.event, client),
+        ...occurrence.params,
+      });
+      drafts.push({
+        key: occurrence.key,
+        event: occurrence.event,
+        clientDomain: client.domain,
+        recipient: recipients[audience],
+        language: this.options.language,
+        subject: email.subject,
+        body: email.body,
+      });
+    }
+    return this.outbox.enqueue(drafts);
+  }
+
+  /** Paths of the portal's routes (routing.ts), which the server cannot import */
+  private linkFor(audience: NotificationAudience, event: NotificationEvent, client: ClientData): string {
+    const base = this.options.portalUrl.replace(/\/+$/, '');
+    if (audience === 'client') return `${base}/onboarding`;
+    if (event === 'granted') return `${base}/admin/verifications`;
+    return `${base}/admin/clients/${encodeURIComponent(client.domain)}`;
+  }
+}
+
+export interface NotificationWorkerOptions {
+  intervalMs: number;
+  /** How often stalled onboardings are looked for */
+  stalledCheckMs: number;
+}
+
+/** Dispatch the outbox on an interval; returns a function that stops the worker */
+export function startNotificationWorker(service: NotificationService, options: NotificationWorkerOptions): () => void {
+  let running = false;
+  let lastStalledCheck = 0;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (Date.now() - lastStalledCheck >= options.stalledCheckMs) {
+        lastStalledCheck = Date.now();
+        await service.checkStalled();
+      }
+      await service.dispatch();
+    } catch (error) {
+      console.error('❌ Notification worker failed', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, options.intervalMs);
+  timer.unref();
+  void tick();
+  return () => clearInterval(timer);
+}
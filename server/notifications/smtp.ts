@@ -0,0 +1,185 @@
+/**
+ * SMTP mail transport
+ *
+ * A small SMTP client on Node's net and tls modules: one connection per
+ * email, STARTTLS when the server offers it (or implicit TLS with
+ * `secure`), and AUTH PLAIN when credentials are configured. Network
+ * failures and timeouts are retried by the Kilo Code retry handler's
+ * message patterns, SMTP replies by `smtpErrorClassifier`.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import type { ErrorClassifier } from '../../lib/kilo-code/error-classifier';
+import { formatEmail } from './transport';
+import type { EmailMessage, MailTransport } from './transport';
+
+export interface SmtpConfig {
+  host: string;
+  port: number;
+  /** Implicit TLS (usually port 465); otherwise STARTTLS is used when offered */
+  secure: boolean;
+  user?: string;
+  password?: string;
+  timeoutMs?: number;
+}
+
+export class SmtpError extends Error {
+  /** Not `code`: the retry handler expects a string there */
+  public readonly replyCode: number;
+
+  constructor(replyCode: number, command: string, reply: string) {
+    super(`SMTP ${command} answered ${replyCode} ${reply}`);
+    this.name = 'SmtpError';
+    this.replyCode = replyCode;
+  }
+
+  /** 5xx: the server refused the message for good */
+  get permanent(): boolean {
+    return this.replyCode >= 500;
+  }
+}
+
+/** 4xx replies are retried, every other unexpected reply is final */
+export const smtpErrorClassifier: ErrorClassifier = error =>
+  error instanceof SmtpError ? { retry: error.replyCode >= 400 && error.replyCode < 500 } : undefined;
+
+interface SmtpReply {
+  code: number;
+  lines: string[];
+}
+
+/** Reads CRLF-terminated replies off a socket that can be upgraded to TLS */
+class SmtpConnection {
+  private socket: net.Socket;
+  private buffer = '';
+  private lines: string[] = [];
+  private failure?: Error;
+  private wake?: () => void;
+
+  constructor(socket: net.Socket, private timeoutMs: number) {
+    this.socket = socket;
+    this.attach(socket);
+  }
+
+  private attach(socket: net.Socket): void {
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${this.timeoutMs} ms`)));
+    socket.on('data', (chunk: string) => {
+      this.buffer += chunk;
+      let end: number;
+      while ((end = this.buffer.indexOf('\r\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, end));
+        this.buffer = this.buffer.slice(end + 2);
+      }
+      this.wake?.();
+    });
+    socket.on('error', (error: Error) => {
+      this.failure = error;
+      this.wake?.();
+    });
+    socket.on('close', () => {
+      this.failure ??= new Error('Network Error: SMTP server closed the connection');
+      this.wake?.();
+    });
+  }
+
+  private async nextLine(): Promise<string> {
+    while (this.lines.length === 0) {
+      if (this.failure) throw this.failure;
+      await new Promise<void>(resolve => { this.wake = resolve; });
+      this.wake = undefined;
+    }
+    return this.lines.shift() as string;
+  }
+
+  async reply(): Promise<SmtpReply> {
+    const lines: string[] = [];
+    for (;;) {
+      const line = await this.nextLine();
+      lines.push(line.slice(4));
+      // "250-" continues a multiline reply, "250 " ends it
+      if (line[3] !== '-') return { code: parseInt(line.slice(0, 3)), lines };
+    }
+  }
+
+  /** Send `line` (nothing for the greeting) and check the reply code */
+  async command(line: string | null, expected: number[], label: string = line?.split(' ')[0] ?? 'greeting'): Promise<string[]> {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.reply();
+    if (!expected.includes(reply.code)) throw new SmtpError(reply.code, label, reply.lines.join(' '));
+    return reply.lines;
+  }
+
+  async startTls(host: string): Promise<void> {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    const secured = tls.connect({ socket: this.socket, servername: host });
+    await new Promise<void>((resolve, reject) => {
+      secured.once('secureConnect', resolve);
+      secured.once('error', reject);
+    });
+    this.socket = secured;
+    this.attach(secured);
+  }
+
+  close(): void {
+    this.socket.destroy();
+  }
+}
+
+/** A host that never answers fails after `timeoutMs` like a silent connection */
+const connect = (config: SmtpConfig, timeoutMs: number) => new Promise<net.Socket>((resolve, reject) => {
+  const connected = () => {
+    socket.setTimeout(0);
+    socket.removeListener('timeout', timedOut);
+    resolve(socket);
+  };
+  const timedOut = () => socket.destroy(new Error(`SMTP connect timeout after ${timeoutMs} ms`));
+
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host }, connected)
+    : net.connect({ host: config.host, port: config.port }, connected);
+  socket.setTimeout(timeoutMs, timedOut);
+  socket.once('error', reject);
+});
+
+/** Lines starting with a dot would end the DATA section early */
+const dotStuff = (text: string) => text.replace(/^\./gm, '..');
+
+export class SmtpTransport implements MailTransport {
+  readonly name = 'smtp';
+
+  constructor(private config: SmtpConfig) {}
+
+  async send(message: EmailMessage): Promise<void> {
+    const { host, secure, user, password } = this.config;
+    const timeoutMs = this.config.timeoutMs ?? 30000;
+    const connection = new SmtpConnection(await connect(this.config, timeoutMs), timeoutMs);
+    const hostname = message.from.split('@')[1] || 'localhost';
+
+    try {
+      await connection.command(null, [220]);
+      let features = await connection.command(`EHLO ${hostname}`, [250]);
+
+      if (!secure && features.some(feature => feature.toUpperCase() === 'STARTTLS')) {
+        await connection.command('STARTTLS', [220]);
+        await connection.startTls(host);
+        features = await connection.command(`EHLO ${hostname}`, [250]);
+      }
+
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${password ?? ''}`, 'utf8').toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await connection.command(`MAIL FROM:<${message.from}>`, [250], 'MAIL');
+      await connection.command(`RCPT TO:<${message.to}>`, [250, 251], 'RCPT');
+      await connection.command('DATA', [354]);
+      await connection.command(`${dotStuff(formatEmail(message))}\r\n.`, [250], 'DATA');
+      await connection.command('QUIT', [221]).catch(() => undefined);
+    } finally {
+      connection.close();
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Notification emails
+ *
+ * Subjects and bodies live in the message catalogs under
+ * `notifications.<audience>.<event>`, so they are translated like the rest
+ * of the portal. Bodies are plain text and end with the audience's
+ * signature.
+ */
+
+import { translate } from '../../i18n';
+import type { Language, MessageParams } from '../../i18n';
+
+export type NotificationEvent = 'started' | 'granted' | 'stalled' | 'completed';
+
+export type NotificationAudience = 'agency' | 'client';
+
+export const NOTIFICATION_EVENTS: NotificationEvent[] = ['started', 'granted', 'stalled', 'completed'];
+
+/** Who hears about each event */
+export const NOTIFICATION_AUDIENCES: Record<NotificationEvent, NotificationAudience[]> = {
+  started: ['agency'],
+  granted: ['agency'],
+  stalled: ['client', 'agency'],
+  completed: ['agency', 'client'],
+};
+
+export interface RenderedEmail {
+  subject: string;
+  body: string;
+}
+
+export function renderNotification(
+  event: NotificationEvent,
+  audience: NotificationAudience,
+  language: Language,
+  params: MessageParams
+): RenderedEmail {
+  const key = `notifications.${audience}.${event}`;
+  return {
+    subject: translate(language, `${key}.subject`, params),
+    body: [
+      translate(language, `${key}.body`, params),
+      translate(language, `notifications.${audience}.signature`, params),
+    ].join('\n\n'),
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Mail transports
+ *
+ * The notification service hands finished emails to a transport: SMTP in
+ * production (./smtp), `.eml` files for local development and memory for
+ * tests.
+ */
+
+import { randomUUID } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+export interface EmailMessage {
+  from: string;
+  to: string;
+  subject: string;
+  /** Plain text */
+  text: string;
+}
+
+export interface MailTransport {
+  readonly name: string;
+  /** Rejects with `permanent: true` on the error when resending cannot help */
+  send(message: EmailMessage): Promise<void>;
+}
+
+/** RFC 2047 encoded-word for header values outside ASCII */
+const encodeHeader = (value: string) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+/** The message as RFC 5322 text with CRLF line endings; the body is base64 so any text survives */
+export function formatEmail(message: EmailMessage, date: Date = new Date()): string {
+  const domain = message.from.split('@')[1] || 'localhost';
+  const body = Buffer.from(message.text, 'utf8').toString('base64').match(/.{1,76}/g) ?? [];
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body,
+  ].join('\r\n');
+}
+
+/**
+ * Writes every email to `dir` as an `.eml` file that any mail client opens.
+ * Used when no SMTP server is configured.
+ */
+export class FileTransport implements MailTransport {
+  readonly name = 'file';
+
+  constructor(private dir: string) {}
+
+  async send(message: EmailMessage): Promise<void> {
+    await mkdir(this.dir, { recursive: true });
+    const recipient = message.to.replace(/[^\w.@-]/g, '_');
+    await writeFile(path.join(this.dir, `${Date.now()}-${randomUUID().slice(0, 8)}-${recipient}.eml`), formatEmail(message));
+  }
+}
+
+/** Keeps sent emails in memory; can be told to fail, for tests */
+export class MemoryTransport implements MailTransport {
+  readonly name = 'memory';
+  readonly sent: EmailMessage[] = [];
+  private failures: Error[] = [];
+
+  /** The next sends throw these errors, one per send */
+  failWith(...errors: Error[]): this {
+    this.failures.push(...errors);
+    return this;
+  }
+
+  async send(message: EmailMessage): Promise<void> {
+    const failure = this.failures.shift();
+    if (failure) throw failure;
+    this.sent.push({ ...message });
+  }
+}
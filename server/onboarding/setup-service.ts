@@ -0,0 +1,70 @@
+/**
+ * Setup state changes shared by the client and verification routes
+ */
+
+import type { ClientData } from '../../types';
+import type { ClientStore } from '../stores/client-store';
+import type { NotificationService } from '../notifications/service';
+import { applySetupChange, isOnboardingComplete } from './setup-state';
+import type { SetupChange } from './setup-state';
+import type { VerificationAdapterRegistry } from './verification';
+
+/**
+ * Apply a status change to one platform and return the updated client,
+ * or `undefined` when the client does not exist. The emails the change
+ * triggers are queued with `notifications`; if that fails, it is logged.
+ */
+export async function changeSetup(
+  clients: ClientStore,
+  domain: string,
+  platformId: string,
+  change: SetupChange,
+  notifications?: NotificationService
+): Promise<ClientData | undefined> {
+  const existing = await clients.get(domain);
+  if (!existing) return undefined;
+
+  const setup = applySetupChange(existing.setupState[platformId], change);
+  await clients.saveSetup(domain, platformId, setup);
+
+  // Completion only ever flips on; admins can still reopen it via PATCH
+  const setupState = { ...existing.setupState, [platformId]: setup };
+  if (!existing.onboardingComplete && isOnboardingComplete(setupState)) {
+    await clients.update(domain, { onboardingComplete: true });
+  }
+
+  const updated = await clients.get(domain);
+  if (notifications && updated) {
+    // The change is saved: failing to queue its emails must not fail it
+    try {
+      await notifications.setupChanged(existing, updated, platformId);
+    } catch (error) {
+      console.error(`❌ Failed to queue the notifications of '${platformId}' for ${updated.domain}`, error);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Run the platform's verification adapter against a pending grant and
+ * apply a conclusive result. Pending results leave the grant in the queue.
+ */
+export async function runVerification(
+  clients: ClientStore,
+  verifiers: VerificationAdapterRegistry,
+  client: ClientData,
+  platformId: string,
+  notifications?: NotificationService
+): Promise<ClientData> {
+  const setup = client.setupState[platformId];
+  if (setup?.status !== 'granted') return client;
+
+  const result = await verifiers.verify({ client, platformId, setup });
+  if (result.outcome === 'pending') return client;
+
+  const updated = await changeSetup(clients, client.domain, platformId, {
+    status: result.outcome,
+    reason: result.reason,
+  }, notifications);
+  return updated || client;
+}
@@ -0,0 +1,71 @@
+/**
+ * Onboarding setup progress
+ *
+ * Rules for the per-platform `setupState` a client builds up on the setup
+ * stage: which platforms exist, how a status change is stamped and when the
+ * onboarding as a whole counts as finished.
+ */
+
+import { PLATFORMS } from '../../constants';
+import type { PlatformSetup, SetupStatus } from '../../types';
+
+export const PLATFORM_IDS: string[] = PLATFORMS.map(platform => platform.id);
+
+/** Statuses after which the agency needs nothing more from the client */
+export const RESOLVED_STATUSES: SetupStatus[] = ['granted', 'verified'];
+
+export interface SetupChange {
+  status: SetupStatus;
+  note?: string;
+  /** Required when rejecting a grant */
+  reason?: string;
+}
+
+export function isKnownPlatform(platformId: string): boolean {
+  return PLATFORM_IDS.includes(platformId);
+}
+
+export function applySetupChange(
+  previous: PlatformSetup | undefined,
+  change: SetupChange,
+  now: Date = new Date()
+): PlatformSetup {
+  const timestamp = now.toISOString();
+  const next: PlatformSetup = {
+    ...previous,
+    status: change.status,
+    updatedAt: timestamp,
+  };
+
+  if (change.note !== undefined) {
+    next.note = change.note;
+  }
+  if (change.status === 'granted' && previous?.status !== 'granted') {
+    next.grantedAt = timestamp;
+  }
+  if (change.status === 'verified') {
+    next.grantedAt = next.grantedAt || timestamp;
+    if (previous?.status !== 'verified') next.verifiedAt = timestamp;
+  } else {
+    delete next.verifiedAt;
+  }
+  if (change.status === 'rejected') {
+    next.rejectedAt = timestamp;
+    next.rejectionReason = change.reason;
+  } else {
+    delete next.rejectedAt;
+    delete next.rejectionReason;
+  }
+  if (!RESOLVED_STATUSES.includes(change.status)) {
+    delete next.grantedAt;
+  }
+
+  return next;
+}
+
+export function isOnboardingComplete(setupState: Record<string, PlatformSetup>): boolean {
+  return PLATFORM_IDS.every(id => {
+    const setup = setupState[id];
+    return Boolean(setup && RESOLVED_STATUSES.includes(setup.status));
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Access-grant verification adapters
+ *
+ * When a client confirms a grant, the adapter registered for that platform
+ * gets a chance to check it automatically (e.g. by listing account users
+ * through the platform API). Anything the adapter cannot decide stays
+ * pending in the admin verification queue.
+ */
+
+import type { ClientData, PlatformSetup } from '../../types';
+
+export type VerificationOutcome = 'verified' | 'rejected' | 'pending';
+
+export interface VerificationResult {
+  outcome: VerificationOutcome;
+  /** Shown to the client when the grant is rejected */
+  reason?: string;
+}
+
+export interface VerificationContext {
+  client: ClientData;
+  platformId: string;
+  setup: PlatformSetup;
+}
+
+export interface PlatformVerificationAdapter {
+  readonly name: string;
+  verify(context: VerificationContext): Promise<VerificationResult>;
+}
+
+/**
+ * Leaves every grant to a human in the admin queue
+ */
+export class ManualVerificationAdapter implements PlatformVerificationAdapter {
+  readonly name = 'manual';
+
+  async verify(): Promise<VerificationResult> {
+    return { outcome: 'pending' };
+  }
+}
+
+/**
+ * Scripted adapter for tests: returns the configured result per platform
+ * and records every call.
+ */
+export class FakeVerificationAdapter implements PlatformVerificationAdapter {
+  readonly name = 'fake';
+  readonly calls: VerificationContext[] = [];
+  private results = new Map<string, VerificationResult>();
+
+  setResult(platformId: string, result: VerificationResult): this {
+    this.results.set(platformId, result);
+    return this;
+  }
+
+  async verify(context: VerificationContext): Promise<VerificationResult> {
+    this.calls.push(context);
+    return this.results.get(context.platformId) || { outcome: 'pending' };
+  }
+}
+
+export class VerificationAdapterRegistry {
+  private adapters = new Map<string, PlatformVerificationAdapter>();
+
+  constructor(private fallback: PlatformVerificationAdapter = new ManualVerificationAdapter()) {}
+
+  register(platformIds: string | string[], adapter: PlatformVerificationAdapter): this {
+    for (const platformId of ([] as string[]).concat(platformIds)) {
+      this.adapters.set(platformId, adapter);
+    }
+    return this;
+  }
+
+  get(platformId: string): PlatformVerificationAdapter {
+    return this.adapters.get(platformId) || this.fallback;
+  }
+
+  async verify(context: VerificationContext): Promise<VerificationResult> {
+    const adapter = this.get(context.platformId);
+    try {
+      return await adapter.verify(context);
+    } catch (error) {
+      // A broken automated check must not lose the client's confirmation
+      console.warn(`⚠️ Verification adapter '${adapter.name}' failed for ${context.platformId}`, error);
+      return { outcome: 'pending' };
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Guided setup wizard
+ *
+ * The wizard walks the client through the platforms one at a time. Its step
+ * checkboxes only live in the browser; what the agency learns when the
+ * client finishes is a summary in the client's message thread.
+ */
+
+import { PLATFORMS } from '../../constants';
+import { translate } from '../../i18n';
+import type { Language } from '../../i18n';
+import type { PlatformSetup, WizardSummary } from '../../types';
+import { RESOLVED_STATUSES } from './setup-state';
+
+/** `deferred` only counts while the platform is unresolved */
+export function summarizeWizard(setupState: Record<string, PlatformSetup>, deferred: string[]): WizardSummary {
+  const summary: WizardSummary = { resolved: [], deferred: [], open: [] };
+
+  for (const { id } of PLATFORMS) {
+    const status = setupState[id]?.status;
+    if (status && RESOLVED_STATUSES.includes(status)) summary.resolved.push(id);
+    else if (deferred.includes(id)) summary.deferred.push(id);
+    else summary.open.push(id);
+  }
+  return summary;
+}
+
+export function wizardCompletionMessage(summary: WizardSummary, language: Language): string {
+  const titles = (ids: string[]) => ids.map(id => translate(language, `platforms.${id}.title`)).join(', ');
+  const groups = ['resolved', 'deferred', 'open'] as const;
+
+  return [
+    translate(language, 'wizard.message.intro'),
+    ...groups
+      .filter(group => summary[group].length > 0)
+      .map(group => translate(language, `wizard.message.${group}`, { platforms: titles(summary[group]) })),
+  ].join('\n');
+}
@@ -0,0 +1,89 @@
+/**
+ * Agency ROI report
+ *
+ * Puts every client's results for a period next to what the agency
+ * charges for it: spend managed, revenue attributed, ROAS and its trend,
+ * and the retainer prorated to the period.
+ */
+
+import { change, previousPeriod, roas } from '../../metrics';
+import { daysBetween } from '../../channels';
+import { formatCsv } from '../imports/csv';
+import type { AgencyRoiReport, ClientData, ClientRoi, DateRange, MetricsSummary } from '../../types';
+
+/** Lower bounds of the ROAS buckets */
+export const ROAS_BUCKETS = [0, 1, 2, 4, 8];
+
+/** ROAS or revenue falling by this much against the previous period counts as trending down */
+export const TRENDING_DOWN = -0.1;
+
+const cents = (value: number) => Math.round(value * 100) / 100;
+
+/** The monthly fee for the days of `range`, with months averaged over a year */
+export function prorateRetainer(monthlyFee: number, range: DateRange): number {
+  return cents(monthlyFee * 12 * (daysBetween(range.from, range.to) + 1) / 365);
+}
+
+export function clientRoi(client: ClientData, summary: MetricsSummary): ClientRoi {
+  const { current, previous } = summary;
+  const retainer = prorateRetainer(client.retainerFee, summary.range);
+  const roasChange = change(roas(current), roas(previous));
+  const revenueChange = change(current.revenue, previous.revenue);
+
+  return {
+    domain: client.domain,
+    name: client.name,
+    currency: client.currency,
+    spend: current.spend,
+    revenue: current.revenue,
+    conversions: current.conversions,
+    roas: roas(current),
+    roasChange,
+    revenueChange,
+    retainer,
+    resultsPerFee: retainer > 0 ? (current.revenue - current.spend) / retainer : null,
+    trendingDown: [roasChange, revenueChange].some(delta => delta !== null && delta <= TRENDING_DOWN),
+  };
+}
+
+/** `summaries` by domain, as `summarizePortfolio` returns them */
+export function buildAgencyRoiReport(clients: ClientData[], summaries: Record<string, MetricsSummary>, range: DateRange): AgencyRoiReport {
+  const rows = clients.map(client => clientRoi(client, summaries[client.domain]));
+
+  const totals: AgencyRoiReport['totals'] = {};
+  for (const row of rows) {
+    const total = totals[row.currency] || (totals[row.currency] = { spend: 0, revenue: 0, retainer: 0 });
+    total.spend = cents(total.spend + row.spend);
+    total.revenue = cents(total.revenue + row.revenue);
+    total.retainer = cents(total.retainer + row.retainer);
+  }
+
+  const withSpend = rows.filter(row => row.roas !== null);
+  const roasDistribution = ROAS_BUCKETS.map((min, index) => {
+    const max = ROAS_BUCKETS[index + 1] ?? null;
+    return { min, max, clients: withSpend.filter(row => row.roas >= min && (max === null || row.roas < max)).length };
+  });
+
+  return {
+    range,
+    previousRange: previousPeriod(range),
+    clients: rows,
+    totals,
+    roasDistribution,
+    withoutSpend: rows.length - withSpend.length,
+  };
+}
+
+const CSV_COLUMNS: Array<keyof ClientRoi> = [
+  'domain', 'name', 'currency', 'spend', 'revenue', 'conversions', 'roas', 'roasChange',
+  'revenueChange', 'retainer', 'resultsPerFee', 'trendingDown',
+];
+
+/** One line per client with machine-readable numbers, for spreadsheets */
+export function agencyRoiCsv(report: AgencyRoiReport): string {
+  const rows = report.clients.map(row => CSV_COLUMNS.map(column => {
+    const value = row[column];
+    return typeof value === 'number' && !Number.isInteger(value) ? Number(value.toFixed(4)) : value;
+  }));
+  return formatCsv([['from', report.range.from, 'to', report.range.to], CSV_COLUMNS, ...rows]);
+}
@@ -0,0 +1,42 @@
+/**
+ * Period summaries of client metrics, shared by the metrics API and the
+ * portfolio reports
+ */
+
+import { z } from 'zod';
+import { isoDate as toIsoDate } from '../../channels';
+import { periodEnding, previousPeriod, summarizeMetrics } from '../../metrics';
+import type { ClientData, DateRange, MetricsSummary } from '../../types';
+import type { MetricsStore } from '../stores/metrics-store';
+import { parseExportDate } from '../imports/importer';
+
+/** A `YYYY-MM-DD` day of the calendar, so `2025-02-31` never reaches the stores */
+export const isoDateSchema = z.string().refine(value => parseExportDate(value) === value, 'Expected a YYYY-MM-DD date');
+
+const rangeQuerySchema = z.object({
+  from: isoDateSchema.optional(),
+  to: isoDateSchema.optional(),
+})
+  .refine(query => !query.from === !query.to, { message: 'Give both `from` and `to` or neither', path: ['from'] })
+  .refine(query => !query.from || query.from <= query.to, { message: '`from` must not be after `to`', path: ['from'] });
+
+/** `from`/`to` of a query string; without them the default period ending today */
+export function requestedRange(query: unknown): DateRange {
+  const { from, to } = rangeQuerySchema.parse(query);
+  return from ? { from, to } : periodEnding(toIsoDate(new Date()));
+}
+
+export async function summarizeClient(metrics: MetricsStore, client: ClientData, range: DateRange): Promise<MetricsSummary> {
+  const days = await metrics.daily(client.domain, { from: previousPeriod(range).from, to: range.to });
+  return summarizeMetrics(days, range, client.currency);
+}
+
+/** Summaries keyed by domain */
+export async function summarizePortfolio(
+  metrics: MetricsStore,
+  clients: ClientData[],
+  range: DateRange
+): Promise<Record<string, MetricsSummary>> {
+  const summaries = await Promise.all(clients.map(client => summarizeClient(metrics, client, range)));
+  return Object.fromEntries(clients.map((client, index) => [client.domain, summaries[index]]));
+}
@@ -0,0 +1,32 @@
+/**
+ * Audit log viewer (`/api/audit`)
+ *
+ * Read-only and for admins; entries are written by the routes themselves
+ * through `req.audit`.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { AUDIT_ACTIONS, AUDIT_ACTION_TYPES } from '../../constants';
+import { asyncHandler } from '../errors';
+import { requireRole } from '../auth/middleware';
+import type { AuditStore } from '../stores/audit-store';
+
+const auditQuerySchema = z.object({
+  client: z.string().trim().min(1).max(255).optional(),
+  actor: z.string().trim().min(1).max(255).optional(),
+  action: z.enum([...AUDIT_ACTION_TYPES, ...AUDIT_ACTIONS] as [string, ...string[]]).optional(),
+  before: z.string().regex(/^\d+$/).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+export function createAuditRouter(audit: AuditStore): Router {
+  const router = Router();
+
+  router.get('/', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    const { client, ...filter } = auditQuerySchema.parse(req.query);
+    res.json({ entries: await audit.list({ ...filter, clientDomain: client }) });
+  }));
+
+  return router;
+}
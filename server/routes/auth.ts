@@ -0,0 +1,71 @@
+/**
+ * Authentication routes: password login, logout and session lookup
+ */
+
+import { Router } from 'express';
+import type { CookieOptions } from 'express';
+import { z } from 'zod';
+import type { PortalConfig } from '../config';
+import { asyncHandler, HttpError } from '../errors';
+import { verifyPassword } from '../auth/passwords';
+import type { SessionStore } from '../auth/session-store';
+import type { UserStore } from '../auth/user-store';
+import { toSessionUser } from '../auth/user-store';
+
+const loginSchema = z.object({
+  email: z.string().email(),
+  password: z.string().min(1),
+});
+
+export function createAuthRouter(
+  sessionConfig: PortalConfig['session'],
+  users: UserStore,
+  sessions: SessionStore
+): Router {
+  const router = Router();
+
+  const cookieOptions: CookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: sessionConfig.secureCookie,
+    path: '/',
+  };
+
+  router.post('/login', asyncHandler(async (req, res) => {
+    const { email, password } = loginSchema.parse(req.body);
+
+    const user = await users.findByEmail(email);
+    // Same response for unknown email and wrong password
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      throw new HttpError(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    const session = await sessions.create(user.id, sessionConfig.ttlMs);
+    res.cookie(sessionConfig.cookieName, session.token, {
+      ...cookieOptions,
+      expires: new Date(session.expiresAt),
+    });
+    const sessionUser = toSessionUser(user);
+    // Signing in is how users switch between the client and agency roles
+    await req.audit('auth.login', { actor: sessionUser, clientDomain: sessionUser.clientDomain });
+    res.json({ user: sessionUser });
+  }));
+
+  router.post('/logout', asyncHandler(async (req, res) => {
+    if (req.sessionToken) {
+      await sessions.destroy(req.sessionToken);
+      await req.audit('auth.logout', { clientDomain: req.user?.clientDomain });
+    }
+    res.clearCookie(sessionConfig.cookieName, cookieOptions);
+    res.status(204).end();
+  }));
+
+  router.get('/me', (req, res) => {
+    if (!req.user) {
+      throw new HttpError(401, 'Authentication required', 'UNAUTHENTICATED');
+    }
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
@@ -0,0 +1,160 @@
+/**
+ * Client portfolio routes (`/api/clients`)
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireClientAccess, requireRole } from '../auth/middleware';
+import type { ClientTask } from '../../types';
+import type { ClientStore, NewClient } from '../stores/client-store';
+import { DuplicateClientError } from '../stores/client-store';
+import { isKnownPlatform } from '../onboarding/setup-state';
+import type { SetupChange } from '../onboarding/setup-state';
+import { changeSetup, runVerification } from '../onboarding/setup-service';
+import type { VerificationAdapterRegistry } from '../onboarding/verification';
+import type { NotificationService } from '../notifications/service';
+import { ACCOUNT_FIELDS } from '../../i18n/templates';
+import { CHANNELS } from '../../constants';
+import { DEFAULT_CURRENCY } from '../../metrics';
+
+const currencySchema = z.string().regex(/^[A-Z]{3}$/, 'Expected an ISO 4217 currency code such as CZK');
+
+const accountIdsSchema = z.record(z.string().max(255)).refine(
+  ids => Object.keys(ids).every(field => ACCOUNT_FIELDS.includes(field)),
+  { message: `Account IDs must be one of: ${ACCOUNT_FIELDS.join(', ')}` }
+);
+
+const taskSchema = z.object({
+  title: z.string().min(1).max(500),
+  status: z.enum(['todo', 'done']).default('todo'),
+  channel: z.enum(CHANNELS.map(channel => channel.id) as [string, ...string[]]).optional(),
+});
+
+const createClientSchema = z.object({
+  domain: z.string().min(3).max(255),
+  name: z.string().min(1).max(255),
+  email: z.string().email(),
+  onboardingComplete: z.boolean().default(false),
+  currency: currencySchema.default(DEFAULT_CURRENCY),
+  retainerFee: z.number().min(0).default(0),
+  tasks: z.array(taskSchema).default([]),
+  accountIds: accountIdsSchema.default({}),
+});
+
+const updateClientSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  email: z.string().email().optional(),
+  onboardingComplete: z.boolean().optional(),
+  currency: currencySchema.optional(),
+  retainerFee: z.number().min(0).optional(),
+  accountIds: accountIdsSchema.optional(),
+});
+
+export const setupChangeSchema = z.object({
+  status: z.enum(['have', 'need', 'granted', 'verified', 'rejected']),
+  note: z.string().max(2000).optional(),
+  reason: z.string().min(1).max(2000).optional(),
+}).refine(change => change.status !== 'rejected' || change.reason, {
+  message: 'A rejection needs a reason',
+  path: ['reason'],
+});
+
+export function createClientsRouter(
+  clients: ClientStore,
+  verifiers: VerificationAdapterRegistry,
+  notifications: NotificationService
+): Router {
+  const router = Router();
+  const adminOnly = requireRole('ADMIN');
+
+  const notFound = (domain: string) =>
+    new HttpError(404, `Client '${domain}' not found`, 'CLIENT_NOT_FOUND');
+
+  router.get('/', adminOnly, asyncHandler(async (_req, res) => {
+    res.json({ clients: await clients.list() });
+  }));
+
+  router.post('/', adminOnly, asyncHandler(async (req, res) => {
+    const input = parseInput<NewClient>(createClientSchema, req.body);
+    try {
+      const client = await clients.create(input);
+      await req.audit('client.create', { clientDomain: client.domain, details: { name: client.name } });
+      res.status(201).json({ client });
+    } catch (error) {
+      if (error instanceof DuplicateClientError) {
+        throw new HttpError(409, error.message, 'CLIENT_EXISTS');
+      }
+      throw error;
+    }
+  }));
+
+  router.get('/:domain', requireClientAccess(), asyncHandler(async (req, res) => {
+    const client = await clients.get(req.params.domain);
+    if (!client) throw notFound(req.params.domain);
+    res.json({ client });
+  }));
+
+  router.patch('/:domain', adminOnly, asyncHandler(async (req, res) => {
+    const update = updateClientSchema.parse(req.body);
+    const client = await clients.update(req.params.domain, update);
+    if (!client) throw notFound(req.params.domain);
+    await req.audit('client.update', { clientDomain: client.domain, details: update });
+    res.json({ client });
+  }));
+
+  router.delete('/:domain', adminOnly, asyncHandler(async (req, res) => {
+    if (!(await clients.delete(req.params.domain))) throw notFound(req.params.domain);
+    await req.audit('client.delete', { clientDomain: req.params.domain });
+    res.status(204).end();
+  }));
+
+  router.post('/:domain/tasks', adminOnly, asyncHandler(async (req, res) => {
+    const task = await clients.addTask(
+      req.params.domain,
+      parseInput<Omit<ClientTask, 'id'>>(taskSchema, req.body)
+    );
+    if (!task) throw notFound(req.params.domain);
+    await req.audit('task.create', { clientDomain: req.params.domain, target: task.id, details: { title: task.title } });
+    res.status(201).json({ task });
+  }));
+
+  router.patch('/:domain/tasks/:taskId', adminOnly, asyncHandler(async (req, res) => {
+    const update = taskSchema.partial().parse(req.body);
+    const task = await clients.updateTask(req.params.domain, req.params.taskId, update);
+    if (!task) throw new HttpError(404, 'Task not found', 'TASK_NOT_FOUND');
+    await req.audit('task.update', { clientDomain: req.params.domain, target: task.id, details: update });
+    res.json({ task });
+  }));
+
+  router.delete('/:domain/tasks/:taskId', adminOnly, asyncHandler(async (req, res) => {
+    if (!(await clients.deleteTask(req.params.domain, req.params.taskId))) {
+      throw new HttpError(404, 'Task not found', 'TASK_NOT_FOUND');
+    }
+    await req.audit('task.delete', { clientDomain: req.params.domain, target: req.params.taskId });
+    res.status(204).end();
+  }));
+
+  router.put('/:domain/setup/:platformId', requireClientAccess(), asyncHandler(async (req, res) => {
+    const { domain, platformId } = req.params;
+    if (!isKnownPlatform(platformId)) {
+      throw new HttpError(404, `Unknown platform '${platformId}'`, 'PLATFORM_NOT_FOUND');
+    }
+    const change = parseInput<SetupChange>(setupChangeSchema, req.body);
+    if ((change.status === 'verified' || change.status === 'rejected') && req.user?.role !== 'ADMIN') {
+      throw new HttpError(403, 'Only the agency can verify access', 'FORBIDDEN');
+    }
+
+    const client = await changeSetup(clients, domain, platformId, change, notifications);
+    if (!client) throw notFound(domain);
+    await req.audit('setup.change', { clientDomain: client.domain, target: platformId, details: { ...change } });
+
+    res.json({
+      client: change.status === 'granted'
+        ? await runVerification(clients, verifiers, client, platformId, notifications)
+        : client,
+    });
+  }));
+
+  return router;
+}
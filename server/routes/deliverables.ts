@@ -0,0 +1,70 @@
+/**
+ * Client deliverables (`/api/clients/:domain/deliverables`)
+ *
+ * Clients see their deliverables on the dashboard; only admins change them.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { CHANNELS } from '../../constants';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireClientAccess, requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { DeliverableInput, DeliverableStore } from '../stores/deliverable-store';
+import { isoDateSchema } from '../reports/summaries';
+
+const deliverableSchema = z.object({
+  title: z.string().trim().min(1).max(500),
+  description: z.string().trim().min(1).max(5000).optional(),
+  dueDate: isoDateSchema,
+  channel: z.enum(CHANNELS.map(channel => channel.id) as [string, ...string[]]).optional(),
+  status: z.enum(['planned', 'delivered']).default('planned'),
+});
+
+export function createDeliverablesRouter(clients: ClientStore, deliverables: DeliverableStore): Router {
+  const router = Router();
+
+  const deliverableNotFound = () => new HttpError(404, 'Deliverable not found', 'DELIVERABLE_NOT_FOUND');
+
+  const requireClient = asyncHandler(async (req, _res, next) => {
+    if (!(await clients.get(req.params.domain))) {
+      throw new HttpError(404, `Client '${req.params.domain}' not found`, 'CLIENT_NOT_FOUND');
+    }
+    next();
+  });
+
+  router.use('/:domain/deliverables', requireClientAccess(), requireClient);
+
+  router.get('/:domain/deliverables', asyncHandler(async (req, res) => {
+    res.json({ deliverables: await deliverables.list(req.params.domain) });
+  }));
+
+  router.post('/:domain/deliverables', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    const deliverable = await deliverables.create(req.params.domain, parseInput<DeliverableInput>(deliverableSchema, req.body));
+    await req.audit('deliverable.create', { clientDomain: req.params.domain, target: deliverable.id, details: { title: deliverable.title } });
+    res.status(201).json({ deliverable });
+  }));
+
+  router.put('/:domain/deliverables/:deliverableId', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    const deliverable = await deliverables.update(
+      req.params.domain,
+      req.params.deliverableId,
+      parseInput<DeliverableInput>(deliverableSchema, req.body)
+    );
+    if (!deliverable) throw deliverableNotFound();
+    await req.audit('deliverable.update', {
+      clientDomain: req.params.domain,
+      target: deliverable.id,
+      details: { title: deliverable.title, status: deliverable.status },
+    });
+    res.json({ deliverable });
+  }));
+
+  router.delete('/:domain/deliverables/:deliverableId', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    if (!(await deliverables.delete(req.params.domain, req.params.deliverableId))) throw deliverableNotFound();
+    await req.audit('deliverable.delete', { clientDomain: req.params.domain, target: req.params.deliverableId });
+    res.status(204).end();
+  }));
+
+  return router;
+}
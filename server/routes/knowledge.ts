@@ -0,0 +1,57 @@
+/**
+ * Knowledge base (`/api/knowledge`)
+ *
+ * Every signed-in user can search and read the articles written for
+ * clients; admins also get the ones written for the agency.
+ */
+
+import { Router } from 'express';
+import type { Request } from 'express';
+import { z } from 'zod';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../../i18n';
+import type { KnowledgeAudience } from '../../types';
+import { asyncHandler, HttpError } from '../errors';
+import { requireAuth } from '../auth/middleware';
+import type { TemplateStore } from '../stores/template-store';
+import { fillPlaceholders } from '../knowledge/knowledge-base';
+import type { KnowledgeBase } from '../knowledge/knowledge-base';
+
+const searchQuerySchema = z.object({
+  q: z.string().max(200).optional(),
+  lang: z.enum(SUPPORTED_LANGUAGES as [string, ...string[]]).default(DEFAULT_LANGUAGE),
+  tag: z.string().max(100).optional(),
+});
+
+const audiencesOf = (req: Request): KnowledgeAudience[] =>
+  req.user.role === 'ADMIN' ? ['client', 'admin'] : ['client'];
+
+export function createKnowledgeRouter(knowledge: KnowledgeBase, templates: TemplateStore): Router {
+  const router = Router();
+
+  router.use(requireAuth);
+
+  // Articles refer to the grantee email the agency set under Master Templates
+  const placeholderValues = async () => ({ email: (await templates.get()).granteeEmail });
+
+  router.get('/articles', asyncHandler(async (req, res) => {
+    const { q, lang, tag } = searchQuerySchema.parse(req.query);
+    const audiences = audiencesOf(req);
+    const values = await placeholderValues();
+
+    res.json({
+      articles: knowledge.search({ text: q, language: lang, tag, audiences }).map(hit => fillPlaceholders(hit, values)),
+      tags: knowledge.tags({ language: lang, audiences }),
+    });
+  }));
+
+  router.get('/articles/:language/:slug', asyncHandler(async (req, res) => {
+    const article = knowledge.get(req.params.language, req.params.slug);
+    // Articles for another audience are reported missing, not forbidden
+    if (!article || !audiencesOf(req).includes(article.audience)) {
+      throw new HttpError(404, 'Article not found', 'ARTICLE_NOT_FOUND');
+    }
+    res.json({ article: fillPlaceholders(article, await placeholderValues()) });
+  }));
+
+  return router;
+}
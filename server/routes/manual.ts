@@ -0,0 +1,57 @@
+/**
+ * Printable onboarding manual (`/api/clients/:domain/manual`)
+ *
+ * `?lang=cs|en` picks the language, `?format=pdf` returns a PDF instead of
+ * the print-optimized HTML.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../../i18n';
+import type { Language } from '../../i18n';
+import { asyncHandler, HttpError } from '../errors';
+import { requireClientAccess } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { TemplateStore } from '../stores/template-store';
+import { renderManualHtml } from '../manual/manual-document';
+import { PdfRendererUnavailableError } from '../manual/pdf';
+import type { PdfRenderer } from '../manual/pdf';
+
+const manualQuerySchema = z.object({
+  lang: z.enum(SUPPORTED_LANGUAGES as [string, ...string[]]).default(DEFAULT_LANGUAGE),
+  format: z.enum(['html', 'pdf']).default('html'),
+});
+
+export function createManualRouter(
+  clients: ClientStore,
+  templates: TemplateStore,
+  pdf: PdfRenderer
+): Router {
+  const router = Router();
+
+  router.get('/:domain/manual', requireClientAccess(), asyncHandler(async (req, res) => {
+    const { lang, format } = manualQuerySchema.parse(req.query);
+    const client = await clients.get(req.params.domain);
+    if (!client) {
+      throw new HttpError(404, `Client '${req.params.domain}' not found`, 'CLIENT_NOT_FOUND');
+    }
+
+    const html = renderManualHtml({ language: lang as Language, client, templates: await templates.get() });
+    if (format === 'html') {
+      res.type('html').send(html);
+      return;
+    }
+
+    try {
+      const filename = `manual-${client.domain}-${lang}.pdf`;
+      res.type('pdf').attachment(filename).send(await pdf(html));
+    } catch (error) {
+      if (error instanceof PdfRendererUnavailableError) {
+        throw new HttpError(503, error.message, 'PDF_UNAVAILABLE');
+      }
+      throw error;
+    }
+  }));
+
+  return router;
+}
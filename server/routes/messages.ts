@@ -0,0 +1,46 @@
+/**
+ * Client message thread (`/api/clients/:domain/messages`)
+ *
+ * The client and the agency admins write to the same thread.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireClientAccess } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { MessageStore } from '../stores/message-store';
+
+const messageSchema = z.object({
+  body: z.string().trim().min(1).max(5000),
+});
+
+export function createMessagesRouter(clients: ClientStore, messages: MessageStore): Router {
+  const router = Router();
+
+  const requireClient = asyncHandler(async (req, _res, next) => {
+    if (!(await clients.get(req.params.domain))) {
+      throw new HttpError(404, `Client '${req.params.domain}' not found`, 'CLIENT_NOT_FOUND');
+    }
+    next();
+  });
+
+  router.use('/:domain/messages', requireClientAccess(), requireClient);
+
+  router.get('/:domain/messages', asyncHandler(async (req, res) => {
+    res.json({ messages: await messages.list(req.params.domain) });
+  }));
+
+  router.post('/:domain/messages', asyncHandler(async (req, res) => {
+    const { body } = parseInput<{ body: string }>(messageSchema, req.body);
+    const message = await messages.create(req.params.domain, {
+      authorRole: req.user.role,
+      authorName: req.user.name,
+      body,
+    });
+    await req.audit('message.send', { clientDomain: req.params.domain, target: message.id });
+    res.status(201).json({ message });
+  }));
+
+  return router;
+}
@@ -0,0 +1,50 @@
+/**
+ * Client marketing metrics (`/api/clients/:domain/metrics`)
+ *
+ * Daily rows per channel, and period summaries that compare a date range
+ * with the equally long range before it.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { CHANNELS } from '../../constants';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireClientAccess, requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { MetricsQuery, MetricsStore } from '../stores/metrics-store';
+import { isoDateSchema, requestedRange, summarizeClient, summarizePortfolio } from '../reports/summaries';
+
+const dailyQuerySchema = z.object({
+  from: isoDateSchema,
+  to: isoDateSchema,
+  channel: z.enum(CHANNELS.map(channel => channel.id) as [string, ...string[]]).optional(),
+}).refine(query => query.from <= query.to, { message: '`from` must not be after `to`', path: ['from'] });
+
+export function createMetricsRouter(clients: ClientStore, metrics: MetricsStore): Router {
+  const router = Router();
+
+  const findClient = async (domain: string) => {
+    const client = await clients.get(domain);
+    if (!client) throw new HttpError(404, `Client '${domain}' not found`, 'CLIENT_NOT_FOUND');
+    return client;
+  };
+
+  // Whole portfolio for the admin client list, keyed by domain
+  router.get('/metrics/summary', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    const range = requestedRange(req.query);
+    res.json({ summaries: await summarizePortfolio(metrics, await clients.list(), range) });
+  }));
+
+  router.get('/:domain/metrics/summary', requireClientAccess(), asyncHandler(async (req, res) => {
+    const range = requestedRange(req.query);
+    res.json({ summary: await summarizeClient(metrics, await findClient(req.params.domain), range) });
+  }));
+
+  router.get('/:domain/metrics/daily', requireClientAccess(), asyncHandler(async (req, res) => {
+    const query = parseInput<MetricsQuery>(dailyQuerySchema, req.query);
+    await findClient(req.params.domain);
+    res.json({ metrics: await metrics.daily(req.params.domain, query) });
+  }));
+
+  return router;
+}
@@ -0,0 +1,79 @@
+/**
+ * Admin notes board (`/api/clients/:domain/notes`)
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { CHANNELS, NOTE_CATEGORIES } from '../../constants';
+import type { NoteCategory } from '../../types';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { NoteInput, NoteStore } from '../stores/note-store';
+import { isoDateSchema } from '../reports/summaries';
+
+const categorySchema = z.enum(NOTE_CATEGORIES as [NoteCategory, ...NoteCategory[]]);
+
+const noteSchema = z.object({
+  category: categorySchema,
+  title: z.string().trim().min(1).max(500),
+  body: z.string().max(5000).default(''),
+  assignee: z.string().trim().min(1).max(255).optional(),
+  dueDate: isoDateSchema.optional(),
+  channel: z.enum(CHANNELS.map(channel => channel.id) as [string, ...string[]]).optional(),
+});
+
+const orderSchema = z.object({
+  category: categorySchema,
+  noteIds: z.array(z.string()).max(500),
+});
+
+export function createNotesRouter(clients: ClientStore, notes: NoteStore): Router {
+  const router = Router();
+
+  const noteNotFound = () => new HttpError(404, 'Note not found', 'NOTE_NOT_FOUND');
+
+  const requireClient = asyncHandler(async (req, _res, next) => {
+    if (!(await clients.get(req.params.domain))) {
+      throw new HttpError(404, `Client '${req.params.domain}' not found`, 'CLIENT_NOT_FOUND');
+    }
+    next();
+  });
+
+  router.use('/:domain/notes', requireRole('ADMIN'), requireClient);
+
+  router.get('/:domain/notes', asyncHandler(async (req, res) => {
+    res.json({ notes: await notes.list(req.params.domain) });
+  }));
+
+  router.post('/:domain/notes', asyncHandler(async (req, res) => {
+    const note = await notes.create(req.params.domain, parseInput<NoteInput>(noteSchema, req.body));
+    await req.audit('note.create', { clientDomain: req.params.domain, target: note.id, details: { title: note.title, category: note.category } });
+    res.status(201).json({ note });
+  }));
+
+  router.put('/:domain/notes/order', asyncHandler(async (req, res) => {
+    const { category, noteIds } = parseInput<{ category: NoteCategory; noteIds: string[] }>(orderSchema, req.body);
+    const ordered = await notes.reorder(req.params.domain, category, noteIds);
+    if (!ordered) {
+      throw new HttpError(409, `The order must list every '${category}' note exactly once`, 'NOTE_ORDER_MISMATCH');
+    }
+    await req.audit('note.reorder', { clientDomain: req.params.domain, details: { category, noteIds } });
+    res.json({ notes: ordered });
+  }));
+
+  router.put('/:domain/notes/:noteId', asyncHandler(async (req, res) => {
+    const note = await notes.update(req.params.domain, req.params.noteId, parseInput<NoteInput>(noteSchema, req.body));
+    if (!note) throw noteNotFound();
+    await req.audit('note.update', { clientDomain: req.params.domain, target: note.id, details: { title: note.title, category: note.category } });
+    res.json({ note });
+  }));
+
+  router.delete('/:domain/notes/:noteId', asyncHandler(async (req, res) => {
+    if (!(await notes.delete(req.params.domain, req.params.noteId))) throw noteNotFound();
+    await req.audit('note.delete', { clientDomain: req.params.domain, target: req.params.noteId });
+    res.status(204).end();
+  }));
+
+  return router;
+}
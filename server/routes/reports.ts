@@ -0,0 +1,40 @@
+/**
+ * Portfolio reports for the agency (`/api/reports`)
+ *
+ * `?from=&to=` picks the period (the last 30 days by default),
+ * `?format=csv` returns a spreadsheet download instead of JSON.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { asyncHandler } from '../errors';
+import { requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { MetricsStore } from '../stores/metrics-store';
+import { agencyRoiCsv, buildAgencyRoiReport } from '../reports/agency-roi';
+import { requestedRange, summarizePortfolio } from '../reports/summaries';
+
+const formatSchema = z.object({
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
+export function createReportsRouter(clients: ClientStore, metrics: MetricsStore): Router {
+  const router = Router();
+
+  router.use(requireRole('ADMIN'));
+
+  router.get('/agency-roi', asyncHandler(async (req, res) => {
+    const range = requestedRange(req.query);
+    const { format } = formatSchema.parse(req.query);
+    const portfolio = await clients.list();
+    const report = buildAgencyRoiReport(portfolio, await summarizePortfolio(metrics, portfolio, range), range);
+
+    if (format === 'csv') {
+      res.type('csv').attachment(`agency-roi-${range.from}-${range.to}.csv`).send(agencyRoiCsv(report));
+      return;
+    }
+    res.json({ report });
+  }));
+
+  return router;
+}
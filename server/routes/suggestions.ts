@@ -0,0 +1,131 @@
+/**
+ * AI suggestions review (`/api/clients/:domain/suggestions`)
+ *
+ * Admins generate suggestions for a client and approve or reject them.
+ * Approving sends the suggestion to the client as a task or as a message
+ * in the client's thread.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../../i18n';
+import type { Language } from '../../i18n';
+import { daysBefore, isoDate } from '../../channels';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { MetricsStore } from '../stores/metrics-store';
+import type { MessageStore } from '../stores/message-store';
+import type { SuggestionStore } from '../stores/suggestion-store';
+import type { SuggestionEngine } from '../suggestions/engine';
+import { SUGGESTION_WINDOW_DAYS } from '../suggestions/providers';
+
+const generateSchema = z.object({
+  language: z.enum(SUPPORTED_LANGUAGES as [Language, ...Language[]]).default(DEFAULT_LANGUAGE),
+});
+
+const approveSchema = z.object({
+  deliverAs: z.enum(['task', 'message']).default('task'),
+});
+
+export function createSuggestionsRouter(
+  clients: ClientStore,
+  metrics: MetricsStore,
+  suggestions: SuggestionStore,
+  engine: SuggestionEngine,
+  messages: MessageStore
+): Router {
+  const router = Router();
+
+  const clientNotFound = (domain: string) => new HttpError(404, `Client '${domain}' not found`, 'CLIENT_NOT_FOUND');
+
+  const requireClient = asyncHandler(async (req, _res, next) => {
+    if (!(await clients.get(req.params.domain))) throw clientNotFound(req.params.domain);
+    next();
+  });
+
+  /** The suggestion if it is still open for a decision */
+  const findUndecided = async (domain: string, suggestionId: string) => {
+    const suggestion = await suggestions.get(domain, suggestionId);
+    if (!suggestion) throw new HttpError(404, 'Suggestion not found', 'SUGGESTION_NOT_FOUND');
+    // An approved suggestion that could not be delivered may be approved again
+    if (suggestion.status !== 'proposed' && suggestion.status !== 'approved') {
+      throw new HttpError(409, `Suggestion is already ${suggestion.status}`, 'SUGGESTION_DECIDED');
+    }
+    return suggestion;
+  };
+
+  router.use('/:domain/suggestions', requireRole('ADMIN'), requireClient);
+
+  router.get('/:domain/suggestions', asyncHandler(async (req, res) => {
+    res.json({ suggestions: await suggestions.list(req.params.domain) });
+  }));
+
+  router.post('/:domain/suggestions/generate', asyncHandler(async (req, res) => {
+    const { language } = parseInput<{ language: Language }>(generateSchema, req.body ?? {});
+    const client = await clients.get(req.params.domain);
+    if (!client) throw clientNotFound(req.params.domain);
+
+    const today = isoDate(new Date());
+    const { drafts, failures } = await engine.generate({
+      client,
+      metrics: await metrics.daily(client.domain, { from: daysBefore(today, SUGGESTION_WINDOW_DAYS - 1), to: today }),
+      today,
+      language,
+      correlationId: req.correlationId,
+    });
+    if (drafts.length === 0 && failures.length > 0) {
+      throw new HttpError(503, `No suggestion provider is available: ${failures.map(failure => failure.provider).join(', ')}`, 'SUGGESTIONS_UNAVAILABLE');
+    }
+
+    const added = await suggestions.add(client.domain, drafts);
+    await req.audit('suggestion.generate', {
+      clientDomain: client.domain,
+      details: { proposed: added.length, failedProviders: failures.map(failure => failure.provider) },
+    });
+    res.status(201).json({ suggestions: added, failures });
+  }));
+
+  router.post('/:domain/suggestions/:suggestionId/approve', asyncHandler(async (req, res) => {
+    const { domain, suggestionId } = req.params;
+    const { deliverAs } = parseInput<{ deliverAs: 'task' | 'message' }>(approveSchema, req.body ?? {});
+    const suggestion = await findUndecided(domain, suggestionId);
+
+    if (!(await suggestions.approve(domain, suggestionId, suggestion))) {
+      throw new HttpError(409, 'Suggestion is already being approved', 'SUGGESTION_DECIDED');
+    }
+    await req.audit('suggestion.approve', { clientDomain: domain, target: suggestionId, details: { title: suggestion.title, deliverAs } });
+
+    if (deliverAs === 'message') {
+      const message = await messages.create(domain, {
+        authorRole: req.user.role,
+        authorName: req.user.name,
+        body: [suggestion.title, suggestion.body].filter(Boolean).join('\n\n'),
+      });
+      res.json({ suggestion: await suggestions.decide(domain, suggestionId, { status: 'sent', messageId: message.id }), message });
+      return;
+    }
+
+    const task = await clients.addTask(domain, {
+      title: suggestion.title,
+      status: 'todo',
+      ...(suggestion.channel && { channel: suggestion.channel }),
+    });
+    if (!task) throw clientNotFound(domain);
+
+    res.json({ suggestion: await suggestions.decide(domain, suggestionId, { status: 'sent', taskId: task.id }), task });
+  }));
+
+  router.post('/:domain/suggestions/:suggestionId/reject', asyncHandler(async (req, res) => {
+    const { domain, suggestionId } = req.params;
+    const suggestion = await findUndecided(domain, suggestionId);
+
+    // Conditional like approve: a reject racing an approval must not undo it
+    const rejected = await suggestions.reject(domain, suggestionId);
+    if (!rejected) throw new HttpError(409, 'Suggestion is already being approved', 'SUGGESTION_DECIDED');
+    await req.audit('suggestion.reject', { clientDomain: domain, target: suggestionId, details: { title: suggestion.title } });
+    res.json({ suggestion: rejected });
+  }));
+
+  return router;
+}
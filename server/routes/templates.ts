@@ -0,0 +1,58 @@
+/**
+ * Agency instruction templates (`/api/templates`)
+ *
+ * Every signed-in user reads them to render the onboarding instructions;
+ * only admins edit them.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { PLATFORMS } from '../../constants';
+import type { AgencyTemplates } from '../../types';
+import { SUPPORTED_LANGUAGES } from '../../i18n';
+import { findUnknownPlaceholders } from '../../i18n/templates';
+import { asyncHandler, parseInput } from '../errors';
+import { requireAuth, requireRole } from '../auth/middleware';
+import type { TemplateStore } from '../stores/template-store';
+
+const templateText = z.string().max(2000).superRefine((text, ctx) => {
+  const unknown = findUnknownPlaceholders(text);
+  if (unknown.length > 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `Unknown placeholder(s): ${unknown.map(name => `{${name}}`).join(', ')}`,
+    });
+  }
+});
+
+const platformTemplateSchema = z.object({
+  directLink: templateText.optional(),
+  steps: z.record(z.enum(SUPPORTED_LANGUAGES as [string, ...string[]]), z.array(templateText).min(1).max(30)).optional(),
+});
+
+const templatesSchema = z.object({
+  granteeEmail: z.string().email(),
+  platforms: z.record(platformTemplateSchema).refine(
+    platforms => Object.keys(platforms).every(id => PLATFORMS.some(platform => platform.id === id)),
+    { message: 'Unknown platform' }
+  ),
+});
+
+export function createTemplatesRouter(templates: TemplateStore): Router {
+  const router = Router();
+
+  router.get('/', requireAuth, asyncHandler(async (_req, res) => {
+    res.json({ templates: await templates.get() });
+  }));
+
+  router.put('/', requireRole('ADMIN'), asyncHandler(async (req, res) => {
+    const input = parseInput<AgencyTemplates>(templatesSchema, req.body);
+    const saved = await templates.save(input);
+    await req.audit('templates.update', {
+      details: { granteeEmail: saved.granteeEmail, platforms: Object.keys(saved.platforms) },
+    });
+    res.json({ templates: saved });
+  }));
+
+  return router;
+}
@@ -0,0 +1,94 @@
+/**
+ * Admin verification queue (`/api/verifications`)
+ *
+ * Lists grants clients have confirmed and lets the agency verify or reject
+ * them, either by hand or by re-running the platform's adapter.
+ */
+
+import { Router } from 'express';
+import type { Request } from 'express';
+import { z } from 'zod';
+import type { ClientData, PlatformSetup } from '../../types';
+import { asyncHandler, HttpError } from '../errors';
+import { requireRole } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import { changeSetup, runVerification } from '../onboarding/setup-service';
+import type { VerificationAdapterRegistry } from '../onboarding/verification';
+import type { NotificationService } from '../notifications/service';
+
+export interface VerificationQueueItem {
+  domain: string;
+  clientName: string;
+  platformId: string;
+  adapter: string;
+  setup: PlatformSetup;
+}
+
+const rejectSchema = z.object({
+  reason: z.string().trim().min(1).max(2000),
+});
+
+export function createVerificationsRouter(
+  clients: ClientStore,
+  verifiers: VerificationAdapterRegistry,
+  notifications: NotificationService
+): Router {
+  const router = Router();
+  router.use(requireRole('ADMIN'));
+
+  const loadPending = async (req: Request): Promise<ClientData> => {
+    const { domain, platformId } = req.params;
+    const client = await clients.get(domain);
+    if (!client) throw new HttpError(404, `Client '${domain}' not found`, 'CLIENT_NOT_FOUND');
+    if (client.setupState[platformId]?.status !== 'granted') {
+      throw new HttpError(409, `No pending grant for '${platformId}'`, 'VERIFICATION_NOT_PENDING');
+    }
+    return client;
+  };
+
+  router.get('/', asyncHandler(async (_req, res) => {
+    const items: VerificationQueueItem[] = [];
+    for (const client of await clients.list()) {
+      for (const [platformId, setup] of Object.entries(client.setupState)) {
+        if (setup.status !== 'granted') continue;
+        items.push({
+          domain: client.domain,
+          clientName: client.name,
+          platformId,
+          adapter: verifiers.get(platformId).name,
+          setup,
+        });
+      }
+    }
+    items.sort((a, b) => (a.setup.grantedAt || '').localeCompare(b.setup.grantedAt || ''));
+    res.json({ items });
+  }));
+
+  router.post('/:domain/:platformId/verify', asyncHandler(async (req, res) => {
+    const client = await loadPending(req);
+    const updated = await changeSetup(clients, client.domain, req.params.platformId, { status: 'verified' }, notifications);
+    await req.audit('setup.verify', { clientDomain: client.domain, target: req.params.platformId });
+    res.json({ client: updated });
+  }));
+
+  router.post('/:domain/:platformId/reject', asyncHandler(async (req, res) => {
+    const { reason } = rejectSchema.parse(req.body);
+    const client = await loadPending(req);
+    const updated = await changeSetup(clients, client.domain, req.params.platformId, { status: 'rejected', reason }, notifications);
+    await req.audit('setup.reject', { clientDomain: client.domain, target: req.params.platformId, details: { reason } });
+    res.json({ client: updated });
+  }));
+
+  router.post('/:domain/:platformId/check', asyncHandler(async (req, res) => {
+    const client = await loadPending(req);
+    const updated = await runVerification(clients, verifiers, client, req.params.platformId, notifications);
+    await req.audit('setup.check', {
+      clientDomain: client.domain,
+      target: req.params.platformId,
+      details: { status: updated.setupState[req.params.platformId]?.status },
+    });
+    res.json({ client: updated });
+  }));
+
+  return router;
+}
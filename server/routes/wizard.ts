@@ -0,0 +1,46 @@
+/**
+ * Guided setup wizard (`/api/clients/:domain/wizard`)
+ *
+ * Finishing the wizard posts a summary of the setup to the client's
+ * message thread, which is how the agency learns about it.
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../../i18n';
+import type { Language } from '../../i18n';
+import { asyncHandler, HttpError, parseInput } from '../errors';
+import { requireClientAccess } from '../auth/middleware';
+import type { ClientStore } from '../stores/client-store';
+import type { MessageStore } from '../stores/message-store';
+import { isKnownPlatform } from '../onboarding/setup-state';
+import { summarizeWizard, wizardCompletionMessage } from '../onboarding/wizard';
+
+const completionSchema = z.object({
+  deferred: z.array(z.string()).default([]).refine(ids => ids.every(isKnownPlatform), {
+    message: 'Unknown platform',
+  }),
+  language: z.enum(SUPPORTED_LANGUAGES as [Language, ...Language[]]).default(DEFAULT_LANGUAGE),
+});
+
+export function createWizardRouter(clients: ClientStore, messages: MessageStore): Router {
+  const router = Router();
+
+  router.post('/:domain/wizard/complete', requireClientAccess(), asyncHandler(async (req, res) => {
+    const { deferred, language } = parseInput<{ deferred: string[], language: Language }>(completionSchema, req.body ?? {});
+    const client = await clients.get(req.params.domain);
+    if (!client) throw new HttpError(404, `Client '${req.params.domain}' not found`, 'CLIENT_NOT_FOUND');
+
+    const summary = summarizeWizard(client.setupState, deferred);
+    const message = await messages.create(client.domain, {
+      authorRole: req.user.role,
+      authorName: req.user.name,
+      body: wizardCompletionMessage(summary, language),
+    });
+    await req.audit('wizard.complete', { clientDomain: client.domain, details: { ...summary } });
+
+    res.status(201).json({ summary, message });
+  }));
+
+  return router;
+}
@@ -0,0 +1,62 @@
+/**
+ * Audit log
+ *
+ * Who did what in the portal. The log is append-only: the store has no way
+ * to change or remove an entry, and the PostgreSQL table rejects both.
+ */
+
+import type { AuditEntry } from '../../types';
+import { normalizeDomain } from './client-store';
+
+export type AuditDraft = Omit<AuditEntry, 'id' | 'createdAt'>;
+
+export interface AuditFilter {
+  clientDomain?: string;
+  /** Part of the actor's email or name, any case */
+  actor?: string;
+  /** An action such as `setup.verify`, or a whole area such as `setup` */
+  action?: string;
+  /** Only entries older than this entry id, for paging */
+  before?: string;
+  limit?: number;
+}
+
+export const DEFAULT_AUDIT_LIMIT = 100;
+
+export interface AuditStore {
+  append(entry: AuditDraft): Promise<AuditEntry>;
+  /** Newest first */
+  list(filter?: AuditFilter): Promise<AuditEntry[]>;
+}
+
+export const matchesAction = (action: string, filter: string) =>
+  action === filter || action.startsWith(`${filter}.`);
+
+export class MemoryAuditStore implements AuditStore {
+  private entries: AuditEntry[] = [];
+  private nextId = 1;
+
+  async append(entry: AuditDraft): Promise<AuditEntry> {
+    const record: AuditEntry = {
+      ...entry,
+      ...(entry.clientDomain && { clientDomain: normalizeDomain(entry.clientDomain) }),
+      id: String(this.nextId++),
+      createdAt: new Date().toISOString(),
+    };
+    this.entries.push(JSON.parse(JSON.stringify(record)));
+    return record;
+  }
+
+  async list(filter: AuditFilter = {}): Promise<AuditEntry[]> {
+    const actor = filter.actor?.toLowerCase();
+
+    return this.entries
+      .filter(entry => !filter.clientDomain || entry.clientDomain === normalizeDomain(filter.clientDomain))
+      .filter(entry => !actor || `${entry.actorEmail}\n${entry.actorName}`.toLowerCase().includes(actor))
+      .filter(entry => !filter.action || matchesAction(entry.action, filter.action))
+      .filter(entry => !filter.before || Number(entry.id) < Number(filter.before))
+      .reverse()
+      .slice(0, filter.limit ?? DEFAULT_AUDIT_LIMIT)
+      .map(entry => JSON.parse(JSON.stringify(entry)));
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Client portfolio storage
+ *
+ * Serves the `ClientData` shape from types.ts. The memory implementation
+ * backs development and tests; `PostgresClientStore` backs production.
+ */
+
+import type { ClientData, ClientTask, PlatformSetup } from '../../types';
+
+export type NewClient = Omit<ClientData, 'tasks' | 'setupState' | 'accountIds'> & {
+  tasks?: Array<Omit<ClientTask, 'id'>>;
+  accountIds?: ClientData['accountIds'];
+  setupState?: ClientData['setupState'];
+};
+export type ClientUpdate = Partial<Omit<ClientData, 'domain' | 'tasks' | 'setupState'>>;
+export type TaskUpdate = Partial<Omit<ClientTask, 'id'>>;
+
+export interface ClientStore {
+  list(): Promise<ClientData[]>;
+  get(domain: string): Promise<ClientData | undefined>;
+  create(client: NewClient): Promise<ClientData>;
+  update(domain: string, update: ClientUpdate): Promise<ClientData | undefined>;
+  delete(domain: string): Promise<boolean>;
+  addTask(domain: string, task: Omit<ClientTask, 'id'>): Promise<ClientTask | undefined>;
+  updateTask(domain: string, taskId: string, update: TaskUpdate): Promise<ClientTask | undefined>;
+  deleteTask(domain: string, taskId: string): Promise<boolean>;
+  saveSetup(domain: string, platformId: string, setup: PlatformSetup): Promise<PlatformSetup | undefined>;
+}
+
+export class DuplicateClientError extends Error {
+  public readonly domain: string;
+
+  constructor(domain: string) {
+    super(`Client '${domain}' already exists`);
+    this.name = 'DuplicateClientError';
+    this.domain = domain;
+  }
+}
+
+export function normalizeDomain(domain: string): string {
+  return domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+}
+
+function copySetupState(setupState: ClientData['setupState']): ClientData['setupState'] {
+  return Object.fromEntries(
+    Object.entries(setupState).map(([platformId, setup]) => [platformId, { ...setup }])
+  );
+}
+
+export class MemoryClientStore implements ClientStore {
+  private clients = new Map<string, ClientData>();
+  private nextTaskId = 1;
+
+  constructor(seed: NewClient[] = []) {
+    for (const client of seed) {
+      this.insert(client);
+    }
+  }
+
+  private insert(client: NewClient): ClientData {
+    const { tasks = [], setupState = {}, accountIds = {}, ...fields } = client;
+    const record: ClientData = {
+      ...fields,
+      domain: normalizeDomain(client.domain),
+      accountIds: { ...accountIds },
+      tasks: tasks.map(task => ({ ...task, id: String(this.nextTaskId++) })),
+      setupState: copySetupState(setupState),
+    };
+    this.clients.set(record.domain, record);
+    return record;
+  }
+
+  private copy(client: ClientData): ClientData {
+    return {
+      ...client,
+      accountIds: { ...client.accountIds },
+      tasks: client.tasks.map(task => ({ ...task })),
+      setupState: copySetupState(client.setupState),
+    };
+  }
+
+  async list(): Promise<ClientData[]> {
+    return [...this.clients.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(client => this.copy(client));
+  }
+
+  async get(domain: string): Promise<ClientData | undefined> {
+    const client = this.clients.get(normalizeDomain(domain));
+    return client && this.copy(client);
+  }
+
+  async create(client: NewClient): Promise<ClientData> {
+    if (this.clients.has(normalizeDomain(client.domain))) {
+      throw new DuplicateClientError(normalizeDomain(client.domain));
+    }
+    return this.copy(this.insert(client));
+  }
+
+  async update(domain: string, update: ClientUpdate): Promise<ClientData | undefined> {
+    const client = this.clients.get(normalizeDomain(domain));
+    if (!client) return undefined;
+
+    Object.assign(client, update, {
+      accountIds: { ...(update.accountIds || client.accountIds) },
+    });
+    return this.copy(client);
+  }
+
+  async delete(domain: string): Promise<boolean> {
+    return this.clients.delete(normalizeDomain(domain));
+  }
+
+  async addTask(domain: string, task: Omit<ClientTask, 'id'>): Promise<ClientTask | undefined> {
+    const client = this.clients.get(normalizeDomain(domain));
+    if (!client) return undefined;
+
+    const record: ClientTask = { ...task, id: String(this.nextTaskId++) };
+    client.tasks.push(record);
+    return { ...record };
+  }
+
+  async updateTask(domain: string, taskId: string, update: TaskUpdate): Promise<ClientTask | undefined> {
+    const task = this.clients.get(normalizeDomain(domain))?.tasks.find(t => t.id === taskId);
+    if (!task) return undefined;
+
+    Object.assign(task, update);
+    return { ...task };
+  }
+
+  async deleteTask(domain: string, taskId: string): Promise<boolean> {
+    const client = this.clients.get(normalizeDomain(domain));
+    if (!client) return false;
+
+    const before = client.tasks.length;
+    client.tasks = client.tasks.filter(task => task.id !== taskId);
+    return client.tasks.length !== before;
+  }
+
+  async saveSetup(domain: string, platformId: string, setup: PlatformSetup): Promise<PlatformSetup | undefined> {
+    const client = this.clients.get(normalizeDomain(domain));
+    if (!client) return undefined;
+
+    client.setupState[platformId] = { ...setup };
+    return { ...setup };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Client deliverables storage
+ *
+ * What the agency has promised a client and by when. Callers check that the
+ * client exists; the PostgreSQL table also enforces it.
+ */
+
+import type { Deliverable } from '../../types';
+import { normalizeDomain } from './client-store';
+
+/** Editable fields; optional ones left out are cleared on update */
+export type DeliverableInput = Omit<Deliverable, 'id' | 'createdAt' | 'updatedAt'>;
+
+export interface DeliverableStore {
+  /** Ordered by due date */
+  list(domain: string): Promise<Deliverable[]>;
+  create(domain: string, deliverable: DeliverableInput): Promise<Deliverable>;
+  update(domain: string, deliverableId: string, deliverable: DeliverableInput): Promise<Deliverable | undefined>;
+  delete(domain: string, deliverableId: string): Promise<boolean>;
+}
+
+export function compareDeliverables(a: Deliverable, b: Deliverable): number {
+  return a.dueDate.localeCompare(b.dueDate) || Number(a.id) - Number(b.id);
+}
+
+export class MemoryDeliverableStore implements DeliverableStore {
+  private deliverables = new Map<string, Deliverable[]>();
+  private nextId = 1;
+
+  constructor(seed: Record<string, DeliverableInput[]> = {}) {
+    for (const [domain, deliverables] of Object.entries(seed)) {
+      for (const deliverable of deliverables) this.insert(domain, deliverable);
+    }
+  }
+
+  private forClient(domain: string): Deliverable[] {
+    const key = normalizeDomain(domain);
+    if (!this.deliverables.has(key)) this.deliverables.set(key, []);
+    return this.deliverables.get(key) as Deliverable[];
+  }
+
+  private insert(domain: string, deliverable: DeliverableInput): Deliverable {
+    const now = new Date().toISOString();
+    const record: Deliverable = { ...deliverable, id: String(this.nextId++), createdAt: now, updatedAt: now };
+    this.forClient(domain).push(record);
+    return record;
+  }
+
+  async list(domain: string): Promise<Deliverable[]> {
+    return [...this.forClient(domain)].sort(compareDeliverables).map(deliverable => ({ ...deliverable }));
+  }
+
+  async create(domain: string, deliverable: DeliverableInput): Promise<Deliverable> {
+    return { ...this.insert(domain, deliverable) };
+  }
+
+  async update(domain: string, deliverableId: string, deliverable: DeliverableInput): Promise<Deliverable | undefined> {
+    const deliverables = this.forClient(domain);
+    const index = deliverables.findIndex(existing => existing.id === deliverableId);
+    if (index === -1) return undefined;
+
+    deliverables[index] = {
+      ...deliverable,
+      id: deliverableId,
+      createdAt: deliverables[index].createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    return { ...deliverables[index] };
+  }
+
+  async delete(domain: string, deliverableId: string): Promise<boolean> {
+    const deliverables = this.forClient(domain);
+    const remaining = deliverables.filter(existing => existing.id !== deliverableId);
+    this.deliverables.set(normalizeDomain(domain), remaining);
+    return remaining.length < deliverables.length;
+  }
+}
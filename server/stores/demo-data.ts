@@ -0,0 +1,181 @@
+/**
+ * Demo portfolio used by the in-memory stores in development
+ */
+
+import { PLATFORM_IDS } from '../onboarding/setup-state';
+import type { NewClient } from './client-store';
+import type { NoteInput } from './note-store';
+import type { DeliverableInput } from './deliverable-store';
+import type { MessageInput } from './message-store';
+import type { DailyMetric } from '../../types';
+
+const DEMO_TIMESTAMP = '2025-01-15T09:00:00.000Z';
+
+export const demoClients: NewClient[] = [
+  {
+    domain: 'mojefirma.cz',
+    name: 'MojeFirma.cz',
+    email: 'zakaznik@email.cz',
+    onboardingComplete: false,
+    currency: 'CZK',
+    retainerFee: 25000,
+    accountIds: { ga4AccountId: '87262364', ga4PropertyId: '254354354' },
+    tasks: [
+      { title: 'Analýza klíčových slov', status: 'done', channel: 'seo' },
+      { title: 'Nastavení GTM kontejneru', status: 'done', channel: 'analytics' },
+      { title: 'Spuštění Performance Max kampaní', status: 'todo', channel: 'google-ads' },
+    ],
+    setupState: {
+      'google-ads': { status: 'granted', updatedAt: DEMO_TIMESTAMP, grantedAt: DEMO_TIMESTAMP },
+      gtm: { status: 'need', note: 'Kontejner založíme společně na call.', updatedAt: DEMO_TIMESTAMP },
+    },
+  },
+  {
+    domain: 'kavarna-u-mostu.cz',
+    name: 'Kavárna U Mostu',
+    email: 'majitel@kavarna-u-mostu.cz',
+    onboardingComplete: true,
+    currency: 'CZK',
+    retainerFee: 8000,
+    tasks: [
+      { title: 'Lokální SEO – Google Business Profile', status: 'done', channel: 'seo' },
+      { title: 'Meta kampaň na sezónní menu', status: 'todo', channel: 'social' },
+    ],
+    setupState: Object.fromEntries(PLATFORM_IDS.map(id => [id, {
+      status: 'verified' as const,
+      updatedAt: DEMO_TIMESTAMP,
+      grantedAt: DEMO_TIMESTAMP,
+      verifiedAt: DEMO_TIMESTAMP,
+    }])),
+  },
+  {
+    domain: 'eshop-sportovni.cz',
+    name: 'Eshop Sportovní',
+    email: 'marketing@eshop-sportovni.cz',
+    onboardingComplete: false,
+    currency: 'CZK',
+    retainerFee: 40000,
+    tasks: [
+      { title: 'Audit produktového feedu', status: 'todo', channel: 'google-ads' },
+    ],
+  },
+];
+
+export const demoNotes: Record<string, NoteInput[]> = {
+  'mojefirma.cz': [
+    {
+      category: 'priorities',
+      title: 'Optimalizace PMax kampaní',
+      body: 'Aktuální struktura skupin podkladů vykazuje nízké CTR u video složky. Navrhuji revizi kreativy.',
+      assignee: 'Pavel K.',
+      dueDate: '2025-01-20',
+      channel: 'google-ads',
+    },
+    {
+      category: 'priorities',
+      title: 'Revize SEO metadat',
+      body: 'Doplnit chybějící meta popisky u kategoriových stránek.',
+      channel: 'seo',
+    },
+  ],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Demo deliverables around `today`, so the dashboard always has some coming up
+ */
+export function demoDeliverables(today: Date = new Date()): Record<string, DeliverableInput[]> {
+  const inDays = (days: number) => new Date(today.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+  return {
+    'mojefirma.cz': [
+      { title: 'Měsíční report výkonu kampaní', dueDate: inDays(-3), channel: 'analytics', status: 'delivered' },
+      {
+        title: 'Nové kreativy pro Performance Max',
+        description: 'Sada bannerů a krátké video pro jarní kampaň.',
+        dueDate: inDays(5),
+        channel: 'google-ads',
+        status: 'planned',
+      },
+      { title: 'SEO audit kategoriových stránek', dueDate: inDays(12), channel: 'seo', status: 'planned' },
+    ],
+  };
+}
+
+export const demoMessages: Record<string, MessageInput[]> = {
+  'mojefirma.cz': [
+    {
+      authorRole: 'ADMIN',
+      authorName: 'Agency Admin',
+      body: 'Dobrý den, v tomto vlákně s námi můžete řešit cokoliv ohledně kampaní. Odpovídáme obvykle do jednoho pracovního dne.',
+    },
+  ],
+};
+
+interface DemoChannelProfile {
+  /** Average per day at the start of the period */
+  spend: number;
+  revenue: number;
+  clicks: number;
+  averageOrder: number;
+  /** Relative change over the whole period, e.g. 0.2 = +20 % */
+  trend: number;
+}
+
+/** Daily averages per demo client and channel */
+const DEMO_CHANNEL_PROFILES: Record<string, Record<string, DemoChannelProfile>> = {
+  'mojefirma.cz': {
+    'google-ads': { spend: 1100, revenue: 9500, clicks: 140, averageOrder: 2700, trend: 0.15 },
+    social: { spend: 400, revenue: 2600, clicks: 90, averageOrder: 2400, trend: -0.1 },
+    seo: { spend: 0, revenue: 1200, clicks: 60, averageOrder: 2700, trend: 0.05 },
+  },
+  'kavarna-u-mostu.cz': {
+    social: { spend: 300, revenue: 1500, clicks: 45, averageOrder: 1000, trend: 0.1 },
+    'google-ads': { spend: 130, revenue: 700, clicks: 20, averageOrder: 1000, trend: 0 },
+  },
+  'eshop-sportovni.cz': {
+    'google-ads': { spend: 2300, revenue: 7800, clicks: 420, averageOrder: 1000, trend: -0.2 },
+    youtube: { spend: 600, revenue: 1000, clicks: 110, averageOrder: 1000, trend: 0.1 },
+    social: { spend: 400, revenue: 1700, clicks: 150, averageOrder: 1000, trend: -0.05 },
+  },
+};
+
+/** Deterministic pseudo-random numbers so the demo charts stay stable */
+function seededRandom(seed: string): () => number {
+  let state = [...seed].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+/**
+ * Daily demo metrics for the `days` days up to and including `today`
+ */
+export function demoDailyMetrics(today: Date = new Date(), days = 90): Record<string, DailyMetric[]> {
+  const round = (value: number) => Math.round(value * 100) / 100;
+
+  return Object.fromEntries(Object.entries(DEMO_CHANNEL_PROFILES).map(([domain, channels]) => [
+    domain,
+    Object.entries(channels).flatMap(([channel, profile]) => {
+      const random = seededRandom(`${domain}/${channel}`);
+      return Array.from({ length: days }, (_, index) => {
+        const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1 - index)));
+        const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6 ? 0.8 : 1;
+        const factor = (1 + profile.trend * (index / days)) * weekend * (0.85 + random() * 0.3);
+        const revenue = round(profile.revenue * factor);
+        const clicks = Math.round(profile.clicks * factor);
+        return {
+          date: date.toISOString().slice(0, 10),
+          channel,
+          spend: round(profile.spend * factor),
+          revenue,
+          conversions: Math.round(revenue / profile.averageOrder),
+          clicks,
+          impressions: clicks * 28,
+        };
+      });
+    }),
+  ]));
+}
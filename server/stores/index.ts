@@ -0,0 +1,82 @@
+/**
+ * Store wiring: picks the memory or PostgreSQL implementations
+ * according to `config.storage`.
+ */
+
+import type { PortalConfig } from '../config';
+import { applySchema, createPool } from '../db/pool';
+import type { ClientStore } from './client-store';
+import { MemoryClientStore } from './client-store';
+import { demoClients, demoDailyMetrics, demoDeliverables, demoMessages, demoNotes } from './demo-data';
+import { PostgresClientStore } from './postgres-client-store';
+import type { TemplateStore } from './template-store';
+import { MemoryTemplateStore } from './template-store';
+import { PostgresTemplateStore } from './postgres-template-store';
+import type { NoteStore } from './note-store';
+import { MemoryNoteStore } from './note-store';
+import { PostgresNoteStore } from './postgres-note-store';
+import type { MetricsStore } from './metrics-store';
+import { MemoryMetricsStore } from './metrics-store';
+import { PostgresMetricsStore } from './postgres-metrics-store';
+import type { SuggestionStore } from './suggestion-store';
+import { MemorySuggestionStore } from './suggestion-store';
+import { PostgresSuggestionStore } from './postgres-suggestion-store';
+import type { DeliverableStore } from './deliverable-store';
+import { MemoryDeliverableStore } from './deliverable-store';
+import { PostgresDeliverableStore } from './postgres-deliverable-store';
+import type { MessageStore } from './message-store';
+import { MemoryMessageStore } from './message-store';
+import { PostgresMessageStore } from './postgres-message-store';
+import type { OutboxStore } from './outbox-store';
+import { MemoryOutboxStore } from './outbox-store';
+import { PostgresOutboxStore } from './postgres-outbox-store';
+import type { AuditStore } from './audit-store';
+import { MemoryAuditStore } from './audit-store';
+import { PostgresAuditStore } from './postgres-audit-store';
+
+export interface PortalStores {
+  clients: ClientStore;
+  templates: TemplateStore;
+  notes: NoteStore;
+  metrics: MetricsStore;
+  suggestions: SuggestionStore;
+  deliverables: DeliverableStore;
+  messages: MessageStore;
+  outbox: OutboxStore;
+  audit: AuditStore;
+  close(): Promise<void>;
+}
+
+export async function createStores(config: PortalConfig): Promise<PortalStores> {
+  const defaultTemplates = { granteeEmail: config.defaultGranteeEmail, platforms: {} };
+
+  if (config.storage === 'postgres') {
+    const pool = createPool(config.database);
+    await applySchema(pool);
+    return {
+      clients: new PostgresClientStore(pool),
+      templates: new PostgresTemplateStore(pool, defaultTemplates),
+      notes: new PostgresNoteStore(pool),
+      metrics: new PostgresMetricsStore(pool),
+      suggestions: new PostgresSuggestionStore(pool),
+      deliverables: new PostgresDeliverableStore(pool),
+      messages: new PostgresMessageStore(pool),
+      outbox: new PostgresOutboxStore(pool),
+      audit: new PostgresAuditStore(pool),
+      close: () => pool.end(),
+    };
+  }
+
+  return {
+    clients: new MemoryClientStore(demoClients),
+    templates: new MemoryTemplateStore(defaultTemplates),
+    notes: new MemoryNoteStore(demoNotes),
+    metrics: new MemoryMetricsStore(demoDailyMetrics()),
+    suggestions: new MemorySuggestionStore(),
+    deliverables: new MemoryDeliverableStore(demoDeliverables()),
+    messages: new MemoryMessageStore(demoMessages),
+    outbox: new MemoryOutboxStore(),
+    audit: new MemoryAuditStore(),
+    close: async () => undefined,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Client message threads
+ *
+ * One thread per client between the client and the agency. Messages are
+ * never edited or deleted.
+ */
+
+import type { ClientMessage } from '../../types';
+import { normalizeDomain } from './client-store';
+
+export type MessageInput = Pick<ClientMessage, 'authorRole' | 'authorName' | 'body'>;
+
+export interface MessageStore {
+  /** Oldest first */
+  list(domain: string): Promise<ClientMessage[]>;
+  create(domain: string, message: MessageInput): Promise<ClientMessage>;
+}
+
+export class MemoryMessageStore implements MessageStore {
+  private messages = new Map<string, ClientMessage[]>();
+  private nextId = 1;
+
+  constructor(seed: Record<string, MessageInput[]> = {}) {
+    for (const [domain, messages] of Object.entries(seed)) {
+      for (const message of messages) this.insert(domain, message);
+    }
+  }
+
+  private forClient(domain: string): ClientMessage[] {
+    const key = normalizeDomain(domain);
+    if (!this.messages.has(key)) this.messages.set(key, []);
+    return this.messages.get(key) as ClientMessage[];
+  }
+
+  private insert(domain: string, message: MessageInput): ClientMessage {
+    const record: ClientMessage = { ...message, id: String(this.nextId++), createdAt: new Date().toISOString() };
+    this.forClient(domain).push(record);
+    return record;
+  }
+
+  async list(domain: string): Promise<ClientMessage[]> {
+    return this.forClient(domain).map(message => ({ ...message }));
+  }
+
+  async create(domain: string, message: MessageInput): Promise<ClientMessage> {
+    return { ...this.insert(domain, message) };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Daily per-channel marketing metrics
+ *
+ * One row per client, channel and day. Feeds the channel trends on the
+ * dashboard; filled by the importer in server/imports.
+ */
+
+import type { DailyMetric, MetricTotals } from '../../types';
+import { normalizeDomain } from './client-store';
+
+export interface MetricsQuery {
+  /** Inclusive `YYYY-MM-DD` bounds */
+  from: string;
+  to: string;
+  channel?: string;
+}
+
+/** New values for one channel day; metrics left out keep their stored value */
+export type MetricUpdate = Pick<DailyMetric, 'date' | 'channel'> & Partial<MetricTotals>;
+
+export interface UpsertResult {
+  inserted: number;
+  updated: number;
+  /** Days that already had exactly these values, e.g. on a re-import */
+  unchanged: number;
+}
+
+export interface MetricsStore {
+  /** Days within the range, ordered by date, then channel */
+  daily(domain: string, query: MetricsQuery): Promise<DailyMetric[]>;
+  /** Merge the updates into the stored days; one update per channel day */
+  upsert(domain: string, updates: MetricUpdate[]): Promise<UpsertResult>;
+}
+
+const METRIC_FIELDS: Array<keyof MetricTotals> = ['spend', 'revenue', 'conversions', 'clicks', 'impressions'];
+
+export function compareMetrics(a: DailyMetric, b: DailyMetric): number {
+  return a.date.localeCompare(b.date) || a.channel.localeCompare(b.channel);
+}
+
+export class MemoryMetricsStore implements MetricsStore {
+  private metrics = new Map<string, DailyMetric[]>();
+
+  constructor(seed: Record<string, DailyMetric[]> = {}) {
+    for (const [domain, days] of Object.entries(seed)) {
+      this.metrics.set(normalizeDomain(domain), days.map(day => ({ ...day })));
+    }
+  }
+
+  async daily(domain: string, { from, to, channel }: MetricsQuery): Promise<DailyMetric[]> {
+    return (this.metrics.get(normalizeDomain(domain)) || [])
+      .filter(day => day.date >= from && day.date <= to && (!channel || day.channel === channel))
+      .sort(compareMetrics)
+      .map(day => ({ ...day }));
+  }
+
+  async upsert(domain: string, updates: MetricUpdate[]): Promise<UpsertResult> {
+    const key = normalizeDomain(domain);
+    const days = this.metrics.get(key) || [];
+    this.metrics.set(key, days);
+
+    const result: UpsertResult = { inserted: 0, updated: 0, unchanged: 0 };
+    for (const update of updates) {
+      const existing = days.find(day => day.date === update.date && day.channel === update.channel);
+      if (!existing) {
+        days.push({ spend: 0, revenue: 0, conversions: 0, clicks: 0, impressions: 0, ...update });
+        result.inserted++;
+      } else if (METRIC_FIELDS.some(field => field in update && update[field] !== existing[field])) {
+        Object.assign(existing, update);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    }
+    return result;
+  }
+}
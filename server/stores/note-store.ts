@@ -0,0 +1,123 @@
+/**
+ * Admin notes board storage
+ *
+ * Notes belong to a client and are ordered per category. Callers check that
+ * the client exists; the PostgreSQL table also enforces it.
+ */
+
+import type { ClientNote, NoteCategory } from '../../types';
+import { NOTE_CATEGORIES } from '../../constants';
+import { normalizeDomain } from './client-store';
+
+/** Editable fields; optional ones left out are cleared on update */
+export type NoteInput = Omit<ClientNote, 'id' | 'position' | 'createdAt' | 'updatedAt'>;
+
+export interface NoteStore {
+  list(domain: string): Promise<ClientNote[]>;
+  create(domain: string, note: NoteInput): Promise<ClientNote>;
+  update(domain: string, noteId: string, note: NoteInput): Promise<ClientNote | undefined>;
+  delete(domain: string, noteId: string): Promise<boolean>;
+  /**
+   * Reorder one category. `noteIds` must list exactly the notes of that
+   * category; otherwise nothing changes and `undefined` is returned.
+   */
+  reorder(domain: string, category: NoteCategory, noteIds: string[]): Promise<ClientNote[] | undefined>;
+}
+
+/** Board order: grouped by category, then by position */
+export function sortNotes(notes: ClientNote[]): ClientNote[] {
+  return [...notes].sort((a, b) =>
+    NOTE_CATEGORIES.indexOf(a.category) - NOTE_CATEGORIES.indexOf(b.category) || a.position - b.position
+  );
+}
+
+export function sameNoteIds(notes: ClientNote[], noteIds: string[]): boolean {
+  return notes.length === noteIds.length && notes.every(note => noteIds.includes(note.id));
+}
+
+export class MemoryNoteStore implements NoteStore {
+  private notes = new Map<string, ClientNote[]>();
+  private nextId = 1;
+
+  constructor(seed: Record<string, NoteInput[]> = {}) {
+    for (const [domain, notes] of Object.entries(seed)) {
+      for (const note of notes) this.insert(domain, note, new Date().toISOString());
+    }
+  }
+
+  private forClient(domain: string): ClientNote[] {
+    const key = normalizeDomain(domain);
+    if (!this.notes.has(key)) this.notes.set(key, []);
+    return this.notes.get(key) as ClientNote[];
+  }
+
+  private nextPosition(notes: ClientNote[], category: NoteCategory): number {
+    return notes.filter(note => note.category === category).length;
+  }
+
+  private insert(domain: string, note: NoteInput, now: string): ClientNote {
+    const notes = this.forClient(domain);
+    const record: ClientNote = {
+      ...note,
+      id: String(this.nextId++),
+      position: this.nextPosition(notes, note.category),
+      createdAt: now,
+      updatedAt: now,
+    };
+    notes.push(record);
+    return record;
+  }
+
+  /** Close the gap a note leaves behind in its category */
+  private compact(notes: ClientNote[], category: NoteCategory): void {
+    notes
+      .filter(note => note.category === category)
+      .sort((a, b) => a.position - b.position)
+      .forEach((note, position) => { note.position = position; });
+  }
+
+  async list(domain: string): Promise<ClientNote[]> {
+    return sortNotes(this.forClient(domain)).map(note => ({ ...note }));
+  }
+
+  async create(domain: string, note: NoteInput): Promise<ClientNote> {
+    return { ...this.insert(domain, note, new Date().toISOString()) };
+  }
+
+  async update(domain: string, noteId: string, note: NoteInput): Promise<ClientNote | undefined> {
+    const notes = this.forClient(domain);
+    const index = notes.findIndex(existing => existing.id === noteId);
+    if (index === -1) return undefined;
+
+    const previous = notes[index];
+    const moved = previous.category !== note.category;
+    notes[index] = {
+      ...note,
+      id: previous.id,
+      // A note moved to another category goes to the end of it
+      position: moved ? this.nextPosition(notes, note.category) : previous.position,
+      createdAt: previous.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    if (moved) this.compact(notes, previous.category);
+    return { ...notes[index] };
+  }
+
+  async delete(domain: string, noteId: string): Promise<boolean> {
+    const notes = this.forClient(domain);
+    const note = notes.find(existing => existing.id === noteId);
+    if (!note) return false;
+
+    this.notes.set(normalizeDomain(domain), notes.filter(existing => existing !== note));
+    this.compact(this.forClient(domain), note.category);
+    return true;
+  }
+
+  async reorder(domain: string, category: NoteCategory, noteIds: string[]): Promise<ClientNote[] | undefined> {
+    const notes = this.forClient(domain).filter(note => note.category === category);
+    if (!sameNoteIds(notes, noteIds)) return undefined;
+
+    for (const note of notes) note.position = noteIds.indexOf(note.id);
+    return sortNotes(notes).map(note => ({ ...note }));
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Notification outbox
+ *
+ * Emails are queued here by the change that triggers them and sent by the
+ * notification worker afterwards, so an unreachable mail server never fails
+ * a client's request. A `key` is only ever queued once per recipient, which
+ * keeps repeated triggers from sending the same email twice.
+ */
+
+import type { Language } from '../../i18n';
+import type { NotificationEvent } from '../notifications/templates';
+import { normalizeDomain } from './client-store';
+
+export type OutboxStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+export interface OutboxDraft {
+  /** Identifies the occurrence of the event, e.g. `granted:mojefirma.cz:ga4:<grantedAt>` */
+  key: string;
+  event: NotificationEvent;
+  clientDomain: string;
+  recipient: string;
+  language: Language;
+  subject: string;
+  body: string;
+}
+
+export interface OutboxMessage extends OutboxDraft {
+  id: string;
+  status: OutboxStatus;
+  /** Delivery attempts, including the retries of the last dispatch */
+  attempts: number;
+  lastError?: string;
+  /** A pending message that failed is not claimed again before this */
+  nextAttemptAt?: string;
+  createdAt: string;
+  sentAt?: string;
+}
+
+export interface DeliveryOutcome {
+  attempts: number;
+  error?: string;
+  /** With an `error`, keeps the message pending until then instead of marking it failed */
+  retryAt?: Date;
+}
+
+export interface OutboxFilter {
+  clientDomain?: string;
+  status?: OutboxStatus;
+}
+
+/** Messages a crashed worker left `sending` are claimed again after this long */
+export const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+export interface OutboxStore {
+  /** Queue drafts whose key is new for their recipient; returns the queued ones */
+  enqueue(drafts: OutboxDraft[]): Promise<OutboxMessage[]>;
+  /** Mark up to `limit` pending messages due at `now` `sending` and return them, oldest first */
+  claim(limit: number, now?: Date): Promise<OutboxMessage[]>;
+  /** Record how the delivery of a claimed message ended */
+  complete(id: string, outcome: DeliveryOutcome): Promise<void>;
+  /** Newest first */
+  list(filter?: OutboxFilter): Promise<OutboxMessage[]>;
+}
+
+export class MemoryOutboxStore implements OutboxStore {
+  private messages: OutboxMessage[] = [];
+  /** When each message was last claimed, by id */
+  private claimedAt = new Map<string, number>();
+  private nextId = 1;
+
+  async enqueue(drafts: OutboxDraft[]): Promise<OutboxMessage[]> {
+    const queued: OutboxMessage[] = [];
+    for (const draft of drafts) {
+      if (this.messages.some(existing => existing.key === draft.key && existing.recipient === draft.recipient)) continue;
+
+      const message: OutboxMessage = {
+        ...draft,
+        clientDomain: normalizeDomain(draft.clientDomain),
+        id: String(this.nextId++),
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+      };
+      this.messages.push(message);
+      queued.push({ ...message });
+    }
+    return queued;
+  }
+
+  async claim(limit: number, at: Date = new Date()): Promise<OutboxMessage[]> {
+    const now = at.getTime();
+    const claimable = this.messages.filter(message =>
+      (message.status === 'pending' && (!message.nextAttemptAt || new Date(message.nextAttemptAt).getTime() <= now))
+      || (message.status === 'sending' && now - (this.claimedAt.get(message.id) ?? 0) > STALE_CLAIM_MS)
+    ).slice(0, limit);
+
+    return claimable.map(message => {
+      message.status = 'sending';
+      this.claimedAt.set(message.id, now);
+      return { ...message };
+    });
+  }
+
+  async complete(id: string, outcome: DeliveryOutcome): Promise<void> {
+    const message = this.messages.find(existing => existing.id === id);
+    if (!message) return;
+
+    message.attempts += outcome.attempts;
+    delete message.nextAttemptAt;
+    if (outcome.error) {
+      message.status = outcome.retryAt ? 'pending' : 'failed';
+      message.lastError = outcome.error;
+      if (outcome.retryAt) message.nextAttemptAt = outcome.retryAt.toISOString();
+    } else {
+      message.status = 'sent';
+      message.sentAt = new Date().toISOString();
+      delete message.lastError;
+    }
+  }
+
+  async list(filter: OutboxFilter = {}): Promise<OutboxMessage[]> {
+    return this.messages
+      .filter(message => !filter.clientDomain || message.clientDomain === normalizeDomain(filter.clientDomain))
+      .filter(message => !filter.status || message.status === filter.status)
+      .reverse()
+      .map(message => ({ ...message }));
+  }
+}
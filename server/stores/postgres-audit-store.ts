@@ -0,0 +1,85 @@
+/**
+ * PostgreSQL-backed audit log (table `audit_log`)
+ */
+
+import type { Pool } from 'pg';
+import type { AuditAction, AuditEntry, UserRole } from '../../types';
+import type { AuditDraft, AuditFilter, AuditStore } from './audit-store';
+import { DEFAULT_AUDIT_LIMIT } from './audit-store';
+import { normalizeDomain } from './client-store';
+
+interface AuditRow {
+  id: string;
+  correlation_id: string;
+  action: AuditAction;
+  actor_id: string;
+  actor_email: string;
+  actor_name: string;
+  actor_role: UserRole;
+  client_domain: string | null;
+  target: string | null;
+  details: Record<string, unknown> | null;
+  created_at: Date;
+}
+
+const AUDIT_COLUMNS = 'id, correlation_id, action, actor_id, actor_email, actor_name, actor_role, client_domain, target, details, created_at';
+
+function toEntry(row: AuditRow): AuditEntry {
+  return {
+    id: String(row.id),
+    correlationId: row.correlation_id,
+    action: row.action,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    actorName: row.actor_name,
+    actorRole: row.actor_role,
+    ...(row.client_domain !== null && { clientDomain: row.client_domain }),
+    ...(row.target !== null && { target: row.target }),
+    ...(row.details !== null && { details: row.details }),
+    createdAt: row.created_at.toISOString(),
+  };
+}
+
+export class PostgresAuditStore implements AuditStore {
+  constructor(private pool: Pool) {}
+
+  async append(entry: AuditDraft): Promise<AuditEntry> {
+    const { rows } = await this.pool.query<AuditRow>(
+      `INSERT INTO audit_log (correlation_id, action, actor_id, actor_email, actor_name, actor_role, client_domain, target, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${AUDIT_COLUMNS}`,
+      [
+        entry.correlationId,
+        entry.action,
+        entry.actorId,
+        entry.actorEmail,
+        entry.actorName,
+        entry.actorRole,
+        entry.clientDomain ? normalizeDomain(entry.clientDomain) : null,
+        entry.target ?? null,
+        entry.details ? JSON.stringify(entry.details) : null,
+      ]
+    );
+    return toEntry(rows[0]);
+  }
+
+  async list(filter: AuditFilter = {}): Promise<AuditEntry[]> {
+    const { rows } = await this.pool.query<AuditRow>(
+      `SELECT ${AUDIT_COLUMNS} FROM audit_log
+       WHERE ($1::text IS NULL OR client_domain = $1)
+         AND ($2::text IS NULL OR POSITION(LOWER($2) IN LOWER(actor_email || ' ' || actor_name)) > 0)
+         AND ($3::text IS NULL OR action = $3 OR LEFT(action, LENGTH($3) + 1) = $3 || '.')
+         AND ($4::bigint IS NULL OR id < $4)
+       ORDER BY id DESC
+       LIMIT $5`,
+      [
+        filter.clientDomain ? normalizeDomain(filter.clientDomain) : null,
+        filter.actor || null,
+        filter.action || null,
+        filter.before ? Number(filter.before) : null,
+        filter.limit ?? DEFAULT_AUDIT_LIMIT,
+      ]
+    );
+    return rows.map(toEntry);
+  }
+}
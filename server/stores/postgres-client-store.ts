@@ -0,0 +1,286 @@
+/**
+ * PostgreSQL-backed client portfolio (tables from server/db/schema.sql)
+ */
+
+import type { Pool } from 'pg';
+import type { ClientData, ClientTask, PlatformSetup } from '../../types';
+import type { ClientStore, ClientUpdate, NewClient, TaskUpdate } from './client-store';
+import { DuplicateClientError, normalizeDomain } from './client-store';
+import { serialId } from '../db/pool';
+
+interface ClientRow {
+  domain: string;
+  name: string;
+  email: string;
+  onboarding_complete: boolean;
+  currency: string;
+  // NUMERIC arrives as a string
+  retainer_fee: string;
+  account_ids: ClientData['accountIds'];
+}
+
+interface TaskRow {
+  id: number;
+  client_domain: string;
+  title: string;
+  status: ClientTask['status'];
+  channel: string | null;
+}
+
+interface SetupRow {
+  client_domain: string;
+  platform_id: string;
+  status: PlatformSetup['status'];
+  note: string | null;
+  updated_at: Date;
+  granted_at: Date | null;
+  verified_at: Date | null;
+  rejected_at: Date | null;
+  rejection_reason: string | null;
+}
+
+const SETUP_COLUMNS =
+  'client_domain, platform_id, status, note, updated_at, granted_at, verified_at, rejected_at, rejection_reason';
+
+const UNIQUE_VIOLATION = '23505';
+
+function toTask(row: TaskRow): ClientTask {
+  return {
+    id: String(row.id),
+    title: row.title,
+    status: row.status,
+    ...(row.channel !== null && { channel: row.channel }),
+  };
+}
+
+function toSetup(row: SetupRow): PlatformSetup {
+  return {
+    status: row.status,
+    ...(row.note !== null && { note: row.note }),
+    updatedAt: row.updated_at.toISOString(),
+    ...(row.granted_at && { grantedAt: row.granted_at.toISOString() }),
+    ...(row.verified_at && { verifiedAt: row.verified_at.toISOString() }),
+    ...(row.rejected_at && { rejectedAt: row.rejected_at.toISOString() }),
+    ...(row.rejection_reason !== null && { rejectionReason: row.rejection_reason }),
+  };
+}
+
+export class PostgresClientStore implements ClientStore {
+  constructor(private pool: Pool) {}
+
+  private async loadTasks(domains: string[]): Promise<Map<string, ClientTask[]>> {
+    const tasks = new Map<string, ClientTask[]>(domains.map(domain => [domain, []]));
+    if (domains.length === 0) return tasks;
+
+    const { rows } = await this.pool.query<TaskRow>(
+      `SELECT id, client_domain, title, status, channel FROM client_tasks
+       WHERE client_domain = ANY($1) ORDER BY position, id`,
+      [domains]
+    );
+    for (const row of rows) {
+      tasks.get(row.client_domain)?.push(toTask(row));
+    }
+    return tasks;
+  }
+
+  private async loadSetupState(domains: string[]): Promise<Map<string, ClientData['setupState']>> {
+    const setupState = new Map<string, ClientData['setupState']>(domains.map(domain => [domain, {}]));
+    if (domains.length === 0) return setupState;
+
+    const { rows } = await this.pool.query<SetupRow>(
+      `SELECT ${SETUP_COLUMNS} FROM client_setup_state WHERE client_domain = ANY($1)`,
+      [domains]
+    );
+    for (const row of rows) {
+      const state = setupState.get(row.client_domain);
+      if (state) state[row.platform_id] = toSetup(row);
+    }
+    return setupState;
+  }
+
+  private toClient(row: ClientRow, tasks: ClientTask[], setupState: ClientData['setupState']): ClientData {
+    return {
+      domain: row.domain,
+      name: row.name,
+      email: row.email,
+      onboardingComplete: row.onboarding_complete,
+      currency: row.currency,
+      retainerFee: Number(row.retainer_fee),
+      accountIds: row.account_ids,
+      tasks,
+      setupState,
+    };
+  }
+
+  async list(): Promise<ClientData[]> {
+    const { rows } = await this.pool.query<ClientRow>(
+      'SELECT domain, name, email, onboarding_complete, currency, retainer_fee, account_ids FROM clients ORDER BY name'
+    );
+    const domains = rows.map(row => row.domain);
+    const tasks = await this.loadTasks(domains);
+    const setupState = await this.loadSetupState(domains);
+    return rows.map(row => this.toClient(row, tasks.get(row.domain) || [], setupState.get(row.domain) || {}));
+  }
+
+  async get(domain: string): Promise<ClientData | undefined> {
+    const { rows } = await this.pool.query<ClientRow>(
+      'SELECT domain, name, email, onboarding_complete, currency, retainer_fee, account_ids FROM clients WHERE domain = $1',
+      [normalizeDomain(domain)]
+    );
+    if (rows.length === 0) return undefined;
+
+    const [row] = rows;
+    const tasks = await this.loadTasks([row.domain]);
+    const setupState = await this.loadSetupState([row.domain]);
+    return this.toClient(row, tasks.get(row.domain) || [], setupState.get(row.domain) || {});
+  }
+
+  async create(client: NewClient): Promise<ClientData> {
+    const domain = normalizeDomain(client.domain);
+    const db = await this.pool.connect();
+    try {
+      await db.query('BEGIN');
+      await db.query(
+        `INSERT INTO clients (domain, name, email, onboarding_complete, currency, retainer_fee, account_ids)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          domain,
+          client.name,
+          client.email,
+          client.onboardingComplete,
+          client.currency,
+          client.retainerFee,
+          JSON.stringify(client.accountIds || {}),
+        ]
+      );
+      for (const [position, task] of (client.tasks || []).entries()) {
+        await db.query(
+          'INSERT INTO client_tasks (client_domain, title, status, channel, position) VALUES ($1, $2, $3, $4, $5)',
+          [domain, task.title, task.status, task.channel ?? null, position]
+        );
+      }
+      for (const [platformId, setup] of Object.entries(client.setupState || {})) {
+        await this.upsertSetup(db, domain, platformId, setup);
+      }
+      await db.query('COMMIT');
+    } catch (error) {
+      await db.query('ROLLBACK');
+      if ((error as { code?: string }).code === UNIQUE_VIOLATION) {
+        throw new DuplicateClientError(domain);
+      }
+      throw error;
+    } finally {
+      db.release();
+    }
+
+    return (await this.get(domain)) as ClientData;
+  }
+
+  async update(domain: string, update: ClientUpdate): Promise<ClientData | undefined> {
+    const { rowCount } = await this.pool.query(
+      `UPDATE clients SET
+         name = COALESCE($2, name),
+         email = COALESCE($3, email),
+         onboarding_complete = COALESCE($4, onboarding_complete),
+         currency = COALESCE($5, currency),
+         retainer_fee = COALESCE($6, retainer_fee),
+         account_ids = COALESCE($7::jsonb, account_ids),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE domain = $1`,
+      [
+        normalizeDomain(domain),
+        update.name ?? null,
+        update.email ?? null,
+        update.onboardingComplete ?? null,
+        update.currency ?? null,
+        update.retainerFee ?? null,
+        update.accountIds ? JSON.stringify(update.accountIds) : null,
+      ]
+    );
+    return rowCount ? this.get(domain) : undefined;
+  }
+
+  async delete(domain: string): Promise<boolean> {
+    const { rowCount } = await this.pool.query('DELETE FROM clients WHERE domain = $1', [
+      normalizeDomain(domain),
+    ]);
+    return Boolean(rowCount);
+  }
+
+  async addTask(domain: string, task: Omit<ClientTask, 'id'>): Promise<ClientTask | undefined> {
+    const { rows } = await this.pool.query<TaskRow>(
+      `INSERT INTO client_tasks (client_domain, title, status, channel, position)
+       SELECT domain, $2, $3, $4,
+              (SELECT COALESCE(MAX(position) + 1, 0) FROM client_tasks WHERE client_domain = $1)
+       FROM clients WHERE domain = $1
+       RETURNING id, client_domain, title, status, channel`,
+      [normalizeDomain(domain), task.title, task.status, task.channel ?? null]
+    );
+    return rows[0] && toTask(rows[0]);
+  }
+
+  async updateTask(domain: string, taskId: string, update: TaskUpdate): Promise<ClientTask | undefined> {
+    const id = serialId(taskId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<TaskRow>(
+      `UPDATE client_tasks SET
+         title = COALESCE($3, title),
+         status = COALESCE($4, status),
+         channel = CASE WHEN $6::boolean THEN $5 ELSE channel END
+       WHERE client_domain = $1 AND id = $2
+       RETURNING id, client_domain, title, status, channel`,
+      // Like the memory store, a `channel` key without a value clears the channel
+      [normalizeDomain(domain), id, update.title ?? null, update.status ?? null, update.channel ?? null, 'channel' in update]
+    );
+    return rows[0] && toTask(rows[0]);
+  }
+
+  async deleteTask(domain: string, taskId: string): Promise<boolean> {
+    const id = serialId(taskId);
+    if (id === undefined) return false;
+
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM client_tasks WHERE client_domain = $1 AND id = $2',
+      [normalizeDomain(domain), id]
+    );
+    return Boolean(rowCount);
+  }
+  private async upsertSetup(
+    db: Pick<Pool, 'query'>,
+    domain: string,
+    platformId: string,
+    setup: PlatformSetup
+  ): Promise<SetupRow | undefined> {
+    const { rows } = await db.query<SetupRow>(
+      `INSERT INTO client_setup_state (${SETUP_COLUMNS})
+       SELECT domain, $2, $3, $4, $5, $6, $7, $8, $9 FROM clients WHERE domain = $1
+       ON CONFLICT (client_domain, platform_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         note = EXCLUDED.note,
+         updated_at = EXCLUDED.updated_at,
+         granted_at = EXCLUDED.granted_at,
+         verified_at = EXCLUDED.verified_at,
+         rejected_at = EXCLUDED.rejected_at,
+         rejection_reason = EXCLUDED.rejection_reason
+       RETURNING ${SETUP_COLUMNS}`,
+      [
+        domain,
+        platformId,
+        setup.status,
+        setup.note ?? null,
+        setup.updatedAt,
+        setup.grantedAt ?? null,
+        setup.verifiedAt ?? null,
+        setup.rejectedAt ?? null,
+        setup.rejectionReason ?? null,
+      ]
+    );
+    return rows[0];
+  }
+
+  async saveSetup(domain: string, platformId: string, setup: PlatformSetup): Promise<PlatformSetup | undefined> {
+    const row = await this.upsertSetup(this.pool, normalizeDomain(domain), platformId, setup);
+    return row && toSetup(row);
+  }
+}
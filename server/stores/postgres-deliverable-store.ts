@@ -0,0 +1,97 @@
+/**
+ * PostgreSQL-backed client deliverables (table `client_deliverables`)
+ */
+
+import type { Pool } from 'pg';
+import type { Deliverable, DeliverableStatus } from '../../types';
+import type { DeliverableInput, DeliverableStore } from './deliverable-store';
+import { normalizeDomain } from './client-store';
+import { serialId } from '../db/pool';
+
+interface DeliverableRow {
+  id: number;
+  title: string;
+  description: string | null;
+  due_date: string;
+  channel: string | null;
+  status: DeliverableStatus;
+  created_at: Date;
+  updated_at: Date;
+}
+
+// DATE columns would come back as local-midnight Date objects, so read them as text
+const DELIVERABLE_COLUMNS =
+  "id, title, description, to_char(due_date, 'YYYY-MM-DD') AS due_date, channel, status, created_at, updated_at";
+
+function toDeliverable(row: DeliverableRow): Deliverable {
+  return {
+    id: String(row.id),
+    title: row.title,
+    ...(row.description !== null && { description: row.description }),
+    dueDate: row.due_date,
+    ...(row.channel !== null && { channel: row.channel }),
+    status: row.status,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString(),
+  };
+}
+
+const values = (deliverable: DeliverableInput) => [
+  deliverable.title,
+  deliverable.description ?? null,
+  deliverable.dueDate,
+  deliverable.channel ?? null,
+  deliverable.status,
+];
+
+export class PostgresDeliverableStore implements DeliverableStore {
+  constructor(private pool: Pool) {}
+
+  async list(domain: string): Promise<Deliverable[]> {
+    const { rows } = await this.pool.query<DeliverableRow>(
+      `SELECT ${DELIVERABLE_COLUMNS} FROM client_deliverables WHERE client_domain = $1 ORDER BY due_date, id`,
+      [normalizeDomain(domain)]
+    );
+    return rows.map(toDeliverable);
+  }
+
+  async create(domain: string, deliverable: DeliverableInput): Promise<Deliverable> {
+    const { rows } = await this.pool.query<DeliverableRow>(
+      `INSERT INTO client_deliverables (client_domain, title, description, due_date, channel, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${DELIVERABLE_COLUMNS}`,
+      [normalizeDomain(domain), ...values(deliverable)]
+    );
+    return toDeliverable(rows[0]);
+  }
+
+  async update(domain: string, deliverableId: string, deliverable: DeliverableInput): Promise<Deliverable | undefined> {
+    const id = serialId(deliverableId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<DeliverableRow>(
+      `UPDATE client_deliverables SET
+         title = $3,
+         description = $4,
+         due_date = $5,
+         channel = $6,
+         status = $7,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE client_domain = $1 AND id = $2
+       RETURNING ${DELIVERABLE_COLUMNS}`,
+      [normalizeDomain(domain), id, ...values(deliverable)]
+    );
+    return rows[0] && toDeliverable(rows[0]);
+  }
+
+  async delete(domain: string, deliverableId: string): Promise<boolean> {
+    const id = serialId(deliverableId);
+    if (id === undefined) return false;
+
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM client_deliverables WHERE client_domain = $1 AND id = $2',
+      [normalizeDomain(domain), id]
+    );
+    return Boolean(rowCount);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * PostgreSQL-backed client message threads (table `client_messages`)
+ */
+
+import type { Pool } from 'pg';
+import type { ClientMessage, UserRole } from '../../types';
+import type { MessageInput, MessageStore } from './message-store';
+import { normalizeDomain } from './client-store';
+
+interface MessageRow {
+  id: number;
+  author_role: UserRole;
+  author_name: string;
+  body: string;
+  created_at: Date;
+}
+
+const MESSAGE_COLUMNS = 'id, author_role, author_name, body, created_at';
+
+function toMessage(row: MessageRow): ClientMessage {
+  return {
+    id: String(row.id),
+    authorRole: row.author_role,
+    authorName: row.author_name,
+    body: row.body,
+    createdAt: row.created_at.toISOString(),
+  };
+}
+
+export class PostgresMessageStore implements MessageStore {
+  constructor(private pool: Pool) {}
+
+  async list(domain: string): Promise<ClientMessage[]> {
+    const { rows } = await this.pool.query<MessageRow>(
+      `SELECT ${MESSAGE_COLUMNS} FROM client_messages WHERE client_domain = $1 ORDER BY created_at, id`,
+      [normalizeDomain(domain)]
+    );
+    return rows.map(toMessage);
+  }
+
+  async create(domain: string, message: MessageInput): Promise<ClientMessage> {
+    const { rows } = await this.pool.query<MessageRow>(
+      `INSERT INTO client_messages (client_domain, author_role, author_name, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${MESSAGE_COLUMNS}`,
+      [normalizeDomain(domain), message.authorRole, message.authorName, message.body]
+    );
+    return toMessage(rows[0]);
+  }
+}
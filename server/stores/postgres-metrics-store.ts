@@ -0,0 +1,86 @@
+/**
+ * PostgreSQL-backed daily metrics (table `channel_daily_metrics`)
+ */
+
+import type { Pool } from 'pg';
+import type { DailyMetric } from '../../types';
+import type { MetricsQuery, MetricsStore, MetricUpdate, UpsertResult } from './metrics-store';
+import { normalizeDomain } from './client-store';
+
+interface MetricRow {
+  date: string;
+  channel: string;
+  // NUMERIC columns arrive as strings
+  spend: string;
+  revenue: string;
+  conversions: string;
+  clicks: number;
+  impressions: number;
+}
+
+function toMetric(row: MetricRow): DailyMetric {
+  return {
+    date: row.date,
+    channel: row.channel,
+    spend: Number(row.spend),
+    revenue: Number(row.revenue),
+    conversions: Number(row.conversions),
+    clicks: row.clicks,
+    impressions: row.impressions,
+  };
+}
+
+export class PostgresMetricsStore implements MetricsStore {
+  constructor(private pool: Pool) {}
+
+  async daily(domain: string, { from, to, channel }: MetricsQuery): Promise<DailyMetric[]> {
+    const { rows } = await this.pool.query<MetricRow>(
+      `SELECT to_char(date, 'YYYY-MM-DD') AS date, channel, spend, revenue, conversions, clicks, impressions
+       FROM channel_daily_metrics
+       WHERE client_domain = $1 AND date BETWEEN $2 AND $3 AND ($4::text IS NULL OR channel = $4)
+       ORDER BY date, channel`,
+      [normalizeDomain(domain), from, to, channel ?? null]
+    );
+    return rows.map(toMetric);
+  }
+
+  async upsert(domain: string, updates: MetricUpdate[]): Promise<UpsertResult> {
+    if (updates.length === 0) return { inserted: 0, updated: 0, unchanged: 0 };
+
+    // One statement: existing days take the given metrics, missing days are
+    // inserted with zeros for the rest. Days whose values would not change
+    // are left alone, which is what makes re-imports report as unchanged.
+    const { rows } = await this.pool.query<{ inserted: string; updated: string }>(
+      `WITH input AS (
+         SELECT * FROM jsonb_to_recordset($2::jsonb) AS given(
+           date date, channel text, spend numeric, revenue numeric, conversions numeric, clicks integer, impressions integer
+         )
+       ), updated AS (
+         UPDATE channel_daily_metrics AS stored SET
+           spend = COALESCE(input.spend, stored.spend),
+           revenue = COALESCE(input.revenue, stored.revenue),
+           conversions = COALESCE(input.conversions, stored.conversions),
+           clicks = COALESCE(input.clicks, stored.clicks),
+           impressions = COALESCE(input.impressions, stored.impressions)
+         FROM input
+         WHERE stored.client_domain = $1 AND stored.channel = input.channel AND stored.date = input.date
+           AND (COALESCE(input.spend, stored.spend), COALESCE(input.revenue, stored.revenue), COALESCE(input.conversions, stored.conversions),
+                COALESCE(input.clicks, stored.clicks), COALESCE(input.impressions, stored.impressions))
+               IS DISTINCT FROM (stored.spend, stored.revenue, stored.conversions, stored.clicks, stored.impressions)
+         RETURNING 1
+       ), inserted AS (
+         INSERT INTO channel_daily_metrics (client_domain, channel, date, spend, revenue, conversions, clicks, impressions)
+         SELECT $1, input.channel, input.date, COALESCE(input.spend, 0), COALESCE(input.revenue, 0),
+                COALESCE(input.conversions, 0), COALESCE(input.clicks, 0), COALESCE(input.impressions, 0)
+         FROM input
+         ON CONFLICT (client_domain, channel, date) DO NOTHING
+         RETURNING 1
+       )
+       SELECT (SELECT count(*) FROM inserted) AS inserted, (SELECT count(*) FROM updated) AS updated`,
+      [normalizeDomain(domain), JSON.stringify(updates)]
+    );
+    const inserted = Number(rows[0].inserted);
+    const updated = Number(rows[0].updated);
+    return { inserted, updated, unchanged: updates.length - inserted - updated };
+  }
+}
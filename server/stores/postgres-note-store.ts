@@ -0,0 +1,140 @@
+/**
+ * PostgreSQL-backed admin notes board (table `client_notes`)
+ */
+
+import type { Pool } from 'pg';
+import type { ClientNote, NoteCategory } from '../../types';
+import type { NoteInput, NoteStore } from './note-store';
+import { sameNoteIds, sortNotes } from './note-store';
+import { normalizeDomain } from './client-store';
+import { serialId } from '../db/pool';
+
+interface NoteRow {
+  id: number;
+  category: NoteCategory;
+  title: string;
+  body: string;
+  assignee: string | null;
+  due_date: string | null;
+  channel: string | null;
+  position: number;
+  created_at: Date;
+  updated_at: Date;
+}
+
+// DATE columns would come back as local-midnight Date objects, so read them as text
+const NOTE_COLUMNS =
+  "id, category, title, body, assignee, to_char(due_date, 'YYYY-MM-DD') AS due_date, channel, position, created_at, updated_at";
+
+function toNote(row: NoteRow): ClientNote {
+  return {
+    id: String(row.id),
+    category: row.category,
+    title: row.title,
+    body: row.body,
+    ...(row.assignee !== null && { assignee: row.assignee }),
+    ...(row.due_date !== null && { dueDate: row.due_date }),
+    ...(row.channel !== null && { channel: row.channel }),
+    position: row.position,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString(),
+  };
+}
+
+// The casts give $1 and $2 the column types they are also written with: comparing
+// them untyped would deduce text and PostgreSQL rejects the two uses
+const NEXT_POSITION =
+  '(SELECT COALESCE(MAX(position) + 1, 0) FROM client_notes WHERE client_domain = $1::varchar AND category = $2::varchar)';
+
+export class PostgresNoteStore implements NoteStore {
+  constructor(private pool: Pool) {}
+
+  async list(domain: string): Promise<ClientNote[]> {
+    const { rows } = await this.pool.query<NoteRow>(
+      `SELECT ${NOTE_COLUMNS} FROM client_notes WHERE client_domain = $1`,
+      [normalizeDomain(domain)]
+    );
+    return sortNotes(rows.map(toNote));
+  }
+
+  async create(domain: string, note: NoteInput): Promise<ClientNote> {
+    const { rows } = await this.pool.query<NoteRow>(
+      `INSERT INTO client_notes (client_domain, category, title, body, assignee, due_date, channel, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, ${NEXT_POSITION})
+       RETURNING ${NOTE_COLUMNS}`,
+      [normalizeDomain(domain), note.category, note.title, note.body, note.assignee ?? null, note.dueDate ?? null, note.channel ?? null]
+    );
+    return toNote(rows[0]);
+  }
+
+  async update(domain: string, noteId: string, note: NoteInput): Promise<ClientNote | undefined> {
+    const id = serialId(noteId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<NoteRow>(
+      `UPDATE client_notes SET
+         position = CASE WHEN category = $2::varchar THEN position ELSE ${NEXT_POSITION} END,
+         category = $2,
+         title = $4,
+         body = $5,
+         assignee = $6,
+         due_date = $7,
+         channel = $8,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE client_domain = $1 AND id = $3
+       RETURNING ${NOTE_COLUMNS}`,
+      [
+        normalizeDomain(domain),
+        note.category,
+        id,
+        note.title,
+        note.body,
+        note.assignee ?? null,
+        note.dueDate ?? null,
+        note.channel ?? null,
+      ]
+    );
+    return rows[0] && toNote(rows[0]);
+  }
+
+  async delete(domain: string, noteId: string): Promise<boolean> {
+    const id = serialId(noteId);
+    if (id === undefined) return false;
+
+    const { rowCount } = await this.pool.query(
+      'DELETE FROM client_notes WHERE client_domain = $1 AND id = $2',
+      [normalizeDomain(domain), id]
+    );
+    return Boolean(rowCount);
+  }
+
+  async reorder(domain: string, category: NoteCategory, noteIds: string[]): Promise<ClientNote[] | undefined> {
+    const db = await this.pool.connect();
+    try {
+      await db.query('BEGIN');
+      const { rows } = await db.query<NoteRow>(
+        `SELECT ${NOTE_COLUMNS} FROM client_notes WHERE client_domain = $1 AND category = $2 FOR UPDATE`,
+        [normalizeDomain(domain), category]
+      );
+      if (!sameNoteIds(rows.map(toNote), noteIds)) {
+        await db.query('ROLLBACK');
+        return undefined;
+      }
+
+      const { rows: updated } = await db.query<NoteRow>(
+        `UPDATE client_notes SET position = ordered.ordinality - 1
+         FROM unnest($2::int[]) WITH ORDINALITY AS ordered(note_id, ordinality)
+         WHERE client_domain = $1 AND id = ordered.note_id
+         RETURNING ${NOTE_COLUMNS}`,
+        [normalizeDomain(domain), noteIds.map(Number)]
+      );
+      await db.query('COMMIT');
+      return sortNotes(updated.map(toNote));
+    } catch (error) {
+      await db.query('ROLLBACK');
+      throw error;
+    } finally {
+      db.release();
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * PostgreSQL-backed notification outbox (table `notification_outbox`)
+ */
+
+import type { Pool } from 'pg';
+import type { Language } from '../../i18n';
+import type { NotificationEvent } from '../notifications/templates';
+import type { DeliveryOutcome, OutboxDraft, OutboxFilter, OutboxMessage, OutboxStatus, OutboxStore } from './outbox-store';
+import { STALE_CLAIM_MS } from './outbox-store';
+import { normalizeDomain } from './client-store';
+
+interface OutboxRow {
+  id: number;
+  key: string;
+  event: NotificationEvent;
+  client_domain: string;
+  recipient: string;
+  language: Language;
+  subject: string;
+  body: string;
+  status: OutboxStatus;
+  attempts: number;
+  last_error: string | null;
+  next_attempt_at: Date | null;
+  created_at: Date;
+  sent_at: Date | null;
+}
+
+const OUTBOX_COLUMNS = 'id, key, event, client_domain, recipient, language, subject, body, status, attempts, last_error, next_attempt_at, created_at, sent_at';
+
+function toMessage(row: OutboxRow): OutboxMessage {
+  return {
+    id: String(row.id),
+    key: row.key,
+    event: row.event,
+    clientDomain: row.client_domain,
+    recipient: row.recipient,
+    language: row.language,
+    subject: row.subject,
+    body: row.body,
+    status: row.status,
+    attempts: row.attempts,
+    ...(row.last_error !== null && { lastError: row.last_error }),
+    ...(row.next_attempt_at !== null && { nextAttemptAt: row.next_attempt_at.toISOString() }),
+    createdAt: row.created_at.toISOString(),
+    ...(row.sent_at !== null && { sentAt: row.sent_at.toISOString() }),
+  };
+}
+
+export class PostgresOutboxStore implements OutboxStore {
+  constructor(private pool: Pool) {}
+
+  async enqueue(drafts: OutboxDraft[]): Promise<OutboxMessage[]> {
+    const queued: OutboxMessage[] = [];
+    for (const draft of drafts) {
+      const { rows } = await this.pool.query<OutboxRow>(
+        `INSERT INTO notification_outbox (key, event, client_domain, recipient, language, subject, body)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (key, recipient) DO NOTHING
+         RETURNING ${OUTBOX_COLUMNS}`,
+        [draft.key, draft.event, normalizeDomain(draft.clientDomain), draft.recipient, draft.language, draft.subject, draft.body]
+      );
+      if (rows[0]) queued.push(toMessage(rows[0]));
+    }
+    return queued;
+  }
+
+  async claim(limit: number, now: Date = new Date()): Promise<OutboxMessage[]> {
+    // SKIP LOCKED lets several API instances dispatch without sending twice
+    const { rows } = await this.pool.query<OutboxRow>(
+      `UPDATE notification_outbox SET status = 'sending', claimed_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM notification_outbox
+         WHERE (status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= $3::timestamptz))
+            OR (status = 'sending' AND claimed_at < $3::timestamptz - $2 * INTERVAL '1 millisecond')
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING ${OUTBOX_COLUMNS}`,
+      [limit, STALE_CLAIM_MS, now]
+    );
+    return rows.map(toMessage).sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  async complete(id: string, outcome: DeliveryOutcome): Promise<void> {
+    await this.pool.query(
+      outcome.error
+        ? `UPDATE notification_outbox
+           SET status = CASE WHEN $4::timestamptz IS NULL THEN 'failed' ELSE 'pending' END,
+               attempts = attempts + $2, last_error = $3, next_attempt_at = $4
+           WHERE id = $1`
+        : `UPDATE notification_outbox
+           SET status = 'sent', attempts = attempts + $2, last_error = NULL, next_attempt_at = NULL, sent_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+      outcome.error
+        ? [Number(id), outcome.attempts, outcome.error, outcome.retryAt ?? null]
+        : [Number(id), outcome.attempts]
+    );
+  }
+
+  async list(filter: OutboxFilter = {}): Promise<OutboxMessage[]> {
+    const { rows } = await this.pool.query<OutboxRow>(
+      `SELECT ${OUTBOX_COLUMNS} FROM notification_outbox
+       WHERE ($1::text IS NULL OR client_domain = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY id DESC`,
+      [filter.clientDomain ? normalizeDomain(filter.clientDomain) : null, filter.status ?? null]
+    );
+    return rows.map(toMessage);
+  }
+}
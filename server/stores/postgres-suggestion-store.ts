@@ -0,0 +1,125 @@
+/**
+ * PostgreSQL-backed AI suggestions (table `client_suggestions`)
+ */
+
+import type { Pool } from 'pg';
+import type { Suggestion, SuggestionStatus } from '../../types';
+import type { SuggestionDecision, SuggestionDraft, SuggestionStore } from './suggestion-store';
+import { sortSuggestions } from './suggestion-store';
+import { normalizeDomain } from './client-store';
+import { serialId } from '../db/pool';
+
+interface SuggestionRow {
+  id: number;
+  key: string;
+  title: string;
+  body: string;
+  channel: string | null;
+  status: SuggestionStatus;
+  source: string;
+  task_id: number | null;
+  message_id: number | null;
+  created_at: Date;
+  decided_at: Date | null;
+}
+
+const SUGGESTION_COLUMNS = 'id, key, title, body, channel, status, source, task_id, message_id, created_at, decided_at';
+
+function toSuggestion(row: SuggestionRow): Suggestion {
+  return {
+    id: String(row.id),
+    key: row.key,
+    title: row.title,
+    body: row.body,
+    ...(row.channel !== null && { channel: row.channel }),
+    status: row.status,
+    source: row.source,
+    createdAt: row.created_at.toISOString(),
+    ...(row.decided_at !== null && { decidedAt: row.decided_at.toISOString() }),
+    ...(row.task_id !== null && { taskId: String(row.task_id) }),
+    ...(row.message_id !== null && { messageId: String(row.message_id) }),
+  };
+}
+
+export class PostgresSuggestionStore implements SuggestionStore {
+  constructor(private pool: Pool) {}
+
+  async list(domain: string): Promise<Suggestion[]> {
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `SELECT ${SUGGESTION_COLUMNS} FROM client_suggestions WHERE client_domain = $1`,
+      [normalizeDomain(domain)]
+    );
+    return sortSuggestions(rows.map(toSuggestion));
+  }
+
+  async get(domain: string, suggestionId: string): Promise<Suggestion | undefined> {
+    const id = serialId(suggestionId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `SELECT ${SUGGESTION_COLUMNS} FROM client_suggestions WHERE client_domain = $1 AND id = $2`,
+      [normalizeDomain(domain), id]
+    );
+    return rows[0] && toSuggestion(rows[0]);
+  }
+
+  async add(domain: string, drafts: SuggestionDraft[]): Promise<Suggestion[]> {
+    if (drafts.length === 0) return [];
+
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `INSERT INTO client_suggestions (client_domain, key, title, body, channel, source)
+       SELECT $1, draft.key, draft.title, draft.body, draft.channel, draft.source
+       FROM jsonb_to_recordset($2::jsonb) AS draft(key text, title text, body text, channel text, source text)
+       ON CONFLICT (client_domain, key) DO NOTHING
+       RETURNING ${SUGGESTION_COLUMNS}`,
+      [normalizeDomain(domain), JSON.stringify(drafts)]
+    );
+    return sortSuggestions(rows.map(toSuggestion));
+  }
+
+  async approve(domain: string, suggestionId: string, seen: Pick<Suggestion, 'status' | 'decidedAt'>): Promise<Suggestion | undefined> {
+    const id = serialId(suggestionId);
+    if (id === undefined) return undefined;
+
+    // `decidedAt` is read back in milliseconds, the column keeps microseconds
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `UPDATE client_suggestions SET status = 'approved', decided_at = CURRENT_TIMESTAMP
+       WHERE client_domain = $1 AND id = $2
+         AND status IN ('proposed', 'approved') AND task_id IS NULL AND message_id IS NULL
+         AND status = $3 AND date_trunc('milliseconds', decided_at) IS NOT DISTINCT FROM $4::timestamptz
+       RETURNING ${SUGGESTION_COLUMNS}`,
+      [normalizeDomain(domain), id, seen.status, seen.decidedAt ?? null]
+    );
+    return rows[0] && toSuggestion(rows[0]);
+  }
+
+  async reject(domain: string, suggestionId: string): Promise<Suggestion | undefined> {
+    const id = serialId(suggestionId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `UPDATE client_suggestions SET status = 'rejected', decided_at = CURRENT_TIMESTAMP
+       WHERE client_domain = $1 AND id = $2 AND status = 'proposed'
+       RETURNING ${SUGGESTION_COLUMNS}`,
+      [normalizeDomain(domain), id]
+    );
+    return rows[0] && toSuggestion(rows[0]);
+  }
+
+  async decide(domain: string, suggestionId: string, decision: SuggestionDecision): Promise<Suggestion | undefined> {
+    const id = serialId(suggestionId);
+    if (id === undefined) return undefined;
+
+    const { rows } = await this.pool.query<SuggestionRow>(
+      `UPDATE client_suggestions SET
+         status = $3,
+         task_id = COALESCE($4, task_id),
+         message_id = COALESCE($5, message_id),
+         decided_at = CURRENT_TIMESTAMP
+       WHERE client_domain = $1 AND id = $2
+       RETURNING ${SUGGESTION_COLUMNS}`,
+      [normalizeDomain(domain), id, decision.status, decision.taskId ? Number(decision.taskId) : null, decision.messageId ? Number(decision.messageId) : null]
+    );
+    return rows[0] && toSuggestion(rows[0]);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * PostgreSQL-backed agency templates (table `agency_templates`)
+ */
+
+import type { Pool } from 'pg';
+import type { AgencyTemplates } from '../../types';
+import type { TemplateStore } from './template-store';
+import { copyTemplates } from './template-store';
+
+interface TemplateRow {
+  grantee_email: string;
+  platforms: AgencyTemplates['platforms'];
+  updated_at: Date;
+}
+
+const AGENCY_ID = 'default';
+
+export class PostgresTemplateStore implements TemplateStore {
+  constructor(private pool: Pool, private defaults: AgencyTemplates) {}
+
+  private toTemplates(row: TemplateRow): AgencyTemplates {
+    return {
+      granteeEmail: row.grantee_email,
+      platforms: row.platforms,
+      updatedAt: row.updated_at.toISOString(),
+    };
+  }
+
+  async get(): Promise<AgencyTemplates> {
+    const { rows } = await this.pool.query<TemplateRow>(
+      'SELECT grantee_email, platforms, updated_at FROM agency_templates WHERE id = $1',
+      [AGENCY_ID]
+    );
+    return rows[0] ? this.toTemplates(rows[0]) : copyTemplates(this.defaults);
+  }
+
+  async save(templates: AgencyTemplates): Promise<AgencyTemplates> {
+    const { rows } = await this.pool.query<TemplateRow>(
+      `INSERT INTO agency_templates (id, grantee_email, platforms, updated_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (id) DO UPDATE SET
+         grantee_email = EXCLUDED.grantee_email,
+         platforms = EXCLUDED.platforms,
+         updated_at = EXCLUDED.updated_at
+       RETURNING grantee_email, platforms, updated_at`,
+      [AGENCY_ID, templates.granteeEmail, JSON.stringify(templates.platforms)]
+    );
+    return this.toTemplates(rows[0]);
+  }
+}
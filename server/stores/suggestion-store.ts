@@ -0,0 +1,115 @@
+/**
+ * AI suggestions storage
+ *
+ * Generated suggestions are kept per client with their review status. A
+ * suggestion `key` is only ever stored once per client, so generating again
+ * neither repeats pending suggestions nor brings back rejected ones.
+ */
+
+import type { Suggestion, SuggestionStatus } from '../../types';
+import { normalizeDomain } from './client-store';
+
+/** What a provider generates; the store adds id, status and timestamps */
+export type SuggestionDraft = Pick<Suggestion, 'key' | 'title' | 'body' | 'channel' | 'source'>;
+
+export interface SuggestionDecision {
+  status: SuggestionStatus;
+  taskId?: string;
+  messageId?: string;
+}
+
+export interface SuggestionStore {
+  /** Newest generation first */
+  list(domain: string): Promise<Suggestion[]>;
+  get(domain: string, suggestionId: string): Promise<Suggestion | undefined>;
+  /** Store drafts with unseen keys as `proposed`; returns the stored ones */
+  add(domain: string, drafts: SuggestionDraft[]): Promise<Suggestion[]>;
+  /**
+   * Move a suggestion that is `proposed`, or `approved` but not delivered yet,
+   * to `approved`, provided no other decision changed it since `seen` was
+   * read. Returns undefined when one did, so only one approval delivers it.
+   */
+  approve(domain: string, suggestionId: string, seen: Pick<Suggestion, 'status' | 'decidedAt'>): Promise<Suggestion | undefined>;
+  /**
+   * Move a suggestion that is still `proposed` to `rejected`. Returns undefined
+   * when it is not, so a reject never overwrites a concurrent approval.
+   */
+  reject(domain: string, suggestionId: string): Promise<Suggestion | undefined>;
+  decide(domain: string, suggestionId: string, decision: SuggestionDecision): Promise<Suggestion | undefined>;
+}
+
+/** Newest generation first, each in the order its drafts were added */
+export function sortSuggestions(suggestions: Suggestion[]): Suggestion[] {
+  return [...suggestions].sort((a, b) =>
+    b.createdAt.localeCompare(a.createdAt) || Number(a.id) - Number(b.id)
+  );
+}
+
+export class MemorySuggestionStore implements SuggestionStore {
+  private suggestions = new Map<string, Suggestion[]>();
+  private nextId = 1;
+
+  private forClient(domain: string): Suggestion[] {
+    const key = normalizeDomain(domain);
+    if (!this.suggestions.has(key)) this.suggestions.set(key, []);
+    return this.suggestions.get(key) as Suggestion[];
+  }
+
+  async list(domain: string): Promise<Suggestion[]> {
+    return sortSuggestions(this.forClient(domain)).map(suggestion => ({ ...suggestion }));
+  }
+
+  async get(domain: string, suggestionId: string): Promise<Suggestion | undefined> {
+    const suggestion = this.forClient(domain).find(existing => existing.id === suggestionId);
+    return suggestion && { ...suggestion };
+  }
+
+  async add(domain: string, drafts: SuggestionDraft[]): Promise<Suggestion[]> {
+    const suggestions = this.forClient(domain);
+    const createdAt = new Date().toISOString();
+    const added: Suggestion[] = [];
+    for (const draft of drafts) {
+      if (suggestions.some(existing => existing.key === draft.key)) continue;
+
+      const record: Suggestion = {
+        ...draft,
+        id: String(this.nextId++),
+        status: 'proposed',
+        createdAt,
+      };
+      suggestions.push(record);
+      added.push({ ...record });
+    }
+    return added;
+  }
+
+  async approve(domain: string, suggestionId: string, seen: Pick<Suggestion, 'status' | 'decidedAt'>): Promise<Suggestion | undefined> {
+    const suggestion = this.forClient(domain).find(existing => existing.id === suggestionId);
+    if (!suggestion || suggestion.status !== seen.status || suggestion.decidedAt !== seen.decidedAt) return undefined;
+    if (!['proposed', 'approved'].includes(suggestion.status) || suggestion.taskId || suggestion.messageId) return undefined;
+
+    suggestion.status = 'approved';
+    suggestion.decidedAt = new Date().toISOString();
+    return { ...suggestion };
+  }
+
+  async reject(domain: string, suggestionId: string): Promise<Suggestion | undefined> {
+    const suggestion = this.forClient(domain).find(existing => existing.id === suggestionId);
+    if (!suggestion || suggestion.status !== 'proposed') return undefined;
+
+    suggestion.status = 'rejected';
+    suggestion.decidedAt = new Date().toISOString();
+    return { ...suggestion };
+  }
+
+  async decide(domain: string, suggestionId: string, decision: SuggestionDecision): Promise<Suggestion | undefined> {
+    const suggestion = this.forClient(domain).find(existing => existing.id === suggestionId);
+    if (!suggestion) return undefined;
+
+    suggestion.status = decision.status;
+    suggestion.decidedAt = new Date().toISOString();
+    if (decision.taskId) suggestion.taskId = decision.taskId;
+    if (decision.messageId) suggestion.messageId = decision.messageId;
+    return { ...suggestion };
+  }
+}
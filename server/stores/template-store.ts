@@ -0,0 +1,34 @@
+/**
+ * Agency instruction templates (Master Templates)
+ *
+ * A single record per portal: the grantee email plus any per-platform
+ * overrides of the catalog in i18n/messages.
+ */
+
+import type { AgencyTemplates } from '../../types';
+
+export interface TemplateStore {
+  get(): Promise<AgencyTemplates>;
+  save(templates: AgencyTemplates): Promise<AgencyTemplates>;
+}
+
+export function copyTemplates(templates: AgencyTemplates): AgencyTemplates {
+  return JSON.parse(JSON.stringify(templates));
+}
+
+export class MemoryTemplateStore implements TemplateStore {
+  private templates: AgencyTemplates;
+
+  constructor(defaults: AgencyTemplates) {
+    this.templates = copyTemplates(defaults);
+  }
+
+  async get(): Promise<AgencyTemplates> {
+    return copyTemplates(this.templates);
+  }
+
+  async save(templates: AgencyTemplates): Promise<AgencyTemplates> {
+    this.templates = { ...copyTemplates(templates), updatedAt: new Date().toISOString() };
+    return copyTemplates(this.templates);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * AI suggestions engine
+ *
+ * Runs every provider through a Kilo Code error handler, so slow or failing
+ * providers are retried, timed out and eventually cut off by their own
+ * circuit breaker. One failing provider never costs the others' suggestions.
+ */
+
+import { z } from 'zod';
+import { KiloCodeErrorHandler } from '../../lib/kilo-code';
+import type { KiloCodeErrorHandlingConfig } from '../../lib/kilo-code';
+// Imported from their modules: the package index only re-exports them, which
+// Node cannot see through when it loads the CommonJS sources from ESM
+import { responseValidators } from '../../lib/kilo-code/response-validator';
+import { retryConfigs } from '../../lib/kilo-code/retry';
+import { CHANNELS } from '../../constants';
+import type { SuggestionDraft } from '../stores/suggestion-store';
+import { parseInput } from '../errors';
+import type { ProviderSuggestion, SuggestionContext, SuggestionProvider } from './providers';
+
+export const SUGGESTION_ERROR_HANDLING: KiloCodeErrorHandlingConfig = {
+  retry: retryConfigs.fast,
+  circuitBreaker: { failureThreshold: 3, recoveryTimeout: 60000 },
+  timeout: { defaultTimeout: 20000 },
+  validator: responseValidators.generic,
+  // Provider output is checked against the schema below instead of patched up
+  enableFallbacks: false,
+};
+
+const suggestionsSchema = z.array(z.object({
+  key: z.string().trim().min(1).max(255),
+  title: z.string().trim().min(1).max(500),
+  body: z.string().max(5000),
+  channel: z.enum(CHANNELS.map(channel => channel.id) as [string, ...string[]]).optional(),
+}));
+
+export interface ProviderFailure {
+  provider: string;
+  message: string;
+}
+
+export interface GenerationResult {
+  drafts: SuggestionDraft[];
+  failures: ProviderFailure[];
+}
+
+export class SuggestionEngine {
+  private handlers = new Map<string, KiloCodeErrorHandler>();
+
+  constructor(
+    private providers: SuggestionProvider[],
+    private errorHandling: KiloCodeErrorHandlingConfig = SUGGESTION_ERROR_HANDLING
+  ) {}
+
+  private handlerFor(provider: SuggestionProvider): KiloCodeErrorHandler {
+    if (!this.handlers.has(provider.name)) {
+      this.handlers.set(provider.name, new KiloCodeErrorHandler({
+        ...this.errorHandling,
+        circuitBreaker: { ...this.errorHandling.circuitBreaker, name: `suggestions:${provider.name}` },
+      }));
+    }
+    return this.handlers.get(provider.name) as KiloCodeErrorHandler;
+  }
+
+  async generate(context: SuggestionContext): Promise<GenerationResult> {
+    const result: GenerationResult = { drafts: [], failures: [] };
+
+    for (const provider of this.providers) {
+      const response = await this.handlerFor(provider).executeAPIRequest(
+        // The generic validator expects an object, not a bare array
+        async signal => ({
+          suggestions: parseInput<ProviderSuggestion[]>(suggestionsSchema, await provider.suggest(context, signal)),
+        }),
+        {
+          request: { method: 'POST', url: `suggestions://${provider.name}/${context.client.domain}` },
+          model: provider.name,
+          correlationId: context.correlationId,
+        }
+      );
+
+      if (response.success) {
+        result.drafts.push(...response.data.suggestions.map(suggestion => ({ ...suggestion, source: provider.name })));
+      } else {
+        result.failures.push({ provider: provider.name, message: response.error?.message || 'Unknown error' });
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Optional language-model suggestion provider
+ *
+ * Talks to any OpenAI-compatible chat completions endpoint. Only enabled
+ * when `SUGGESTIONS_LLM_API_KEY` is set; the rule-based provider covers
+ * everything the portal needs without it.
+ */
+
+import { HTTPStatusError } from '../../lib/kilo-code/error-classifier';
+import { CHANNELS } from '../../constants';
+import { channelCompleteness, weeklyTrend } from '../../channels';
+import type { ProviderSuggestion, SuggestionContext, SuggestionProvider } from './providers';
+
+export interface LlmProviderConfig {
+  url: string;
+  apiKey: string;
+  model: string;
+}
+
+const SYSTEM_PROMPT = [
+  'You are a performance marketing consultant at a digital agency.',
+  'From the client summary, propose at most 3 concrete, actionable recommendations.',
+  'Reply with JSON only: {"suggestions": [{"key": string, "title": string, "body": string, "channel"?: string}]}.',
+  '`key` is a short stable slug for the topic, `channel` one of the channel ids in the summary.',
+].join(' ');
+
+const LANGUAGE_NAMES = { cs: 'Czech', en: 'English' };
+
+/** What the model sees: setup progress and the last two weeks per channel */
+function summarize({ client, metrics, today }: SuggestionContext) {
+  return {
+    client: { name: client.name, domain: client.domain },
+    channels: CHANNELS.map(channel => ({
+      id: channel.id,
+      label: channel.label,
+      setupPercent: channelCompleteness(client.setupState, channel.id),
+      weeks: weeklyTrend(metrics.filter(day => day.channel === channel.id), today, 2),
+    })),
+  };
+}
+
+export class LlmSuggestionProvider implements SuggestionProvider {
+  readonly name = 'llm';
+
+  constructor(private config: LlmProviderConfig) {}
+
+  async suggest(context: SuggestionContext, signal?: AbortSignal): Promise<ProviderSuggestion[]> {
+    const response = await fetch(this.config.url, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.config.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: `${SYSTEM_PROMPT} Write titles and bodies in ${LANGUAGE_NAMES[context.language]}.` },
+          { role: 'user', content: JSON.stringify(summarize(context)) },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      // Carries the status and rate-limit headers, from which the Kilo Code
+      // retry handler decides whether and when to try again
+      throw HTTPStatusError.fromResponse(response, `Suggestions model responded with HTTP ${response.status}`);
+    }
+
+    const completion = await response.json();
+    const content = completion.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') throw new Error('Suggestions model returned no message content');
+
+    const { suggestions } = JSON.parse(content);
+    if (!Array.isArray(suggestions)) throw new Error('Suggestions model returned no suggestions array');
+    // Model keys are namespaced so they never collide with the rules
+    return suggestions.map(suggestion => ({ ...suggestion, key: `llm:${suggestion.key}` }));
+  }
+}
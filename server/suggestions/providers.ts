@@ -0,0 +1,129 @@
+/**
+ * AI suggestion providers
+ *
+ * A provider looks at a client's channel setup and recent metrics and
+ * proposes recommendations. The rule-based provider needs no network and
+ * always runs; model-backed providers are optional extras. Providers are
+ * called through the `SuggestionEngine`, never directly.
+ */
+
+import type { ClientData, DailyMetric } from '../../types';
+import { CHANNELS } from '../../constants';
+import { channelCompleteness, weeklyTrend } from '../../channels';
+import { formatMoney, formatRoas, roas } from '../../metrics';
+import { translate } from '../../i18n';
+import type { Language } from '../../i18n';
+import type { SuggestionDraft } from '../stores/suggestion-store';
+
+export interface SuggestionContext {
+  client: ClientData;
+  /** Daily metrics of the last `SUGGESTION_WINDOW_DAYS` days, all channels */
+  metrics: DailyMetric[];
+  /** `YYYY-MM-DD` of the last day the metrics cover */
+  today: string;
+  /** Language the suggestions are written in; approved ones reach the client verbatim */
+  language: Language;
+  /** Correlation ID of the request that asked for the suggestions, for the Kilo Code logs */
+  correlationId?: string;
+}
+
+/** Days of metrics a provider gets: the last week and the one before */
+export const SUGGESTION_WINDOW_DAYS = 14;
+
+/** The engine records which provider a suggestion came from */
+export type ProviderSuggestion = Omit<SuggestionDraft, 'source'>;
+
+export interface SuggestionProvider {
+  readonly name: string;
+  /** `signal` is aborted once the engine stops waiting (timeout, open circuit) */
+  suggest(context: SuggestionContext, signal?: AbortSignal): Promise<ProviderSuggestion[]>;
+}
+
+/** Week-over-week ROAS change that is worth a suggestion */
+const ROAS_CHANGE = 0.2;
+/** Growth alone is not enough to scale a channel that barely pays off */
+const SCALE_MIN_ROAS = 4;
+
+/** Only these statuses mean the client has nothing left to do for a platform */
+const GRANTED_STATUSES = ['granted', 'verified'];
+
+/**
+ * Recommendations from fixed rules: unfinished channel setup, ROAS drops,
+ * spend without conversions and channels ready for more budget. Metric
+ * suggestions are keyed by week, so the same problem can come up again a
+ * week later.
+ */
+export class RuleBasedSuggestionProvider implements SuggestionProvider {
+  readonly name = 'rules';
+
+  async suggest({ client, metrics, today, language }: SuggestionContext): Promise<ProviderSuggestion[]> {
+    const suggestions: ProviderSuggestion[] = [];
+    const text = (rule: string, params: Record<string, string | number>) => ({
+      title: translate(language, `suggestions.rules.${rule}.title`, params),
+      body: translate(language, `suggestions.rules.${rule}.body`, params),
+    });
+
+    for (const channel of CHANNELS) {
+      const percentage = channelCompleteness(client.setupState, channel.id);
+      const missing = channel.platformIds.filter(id => !GRANTED_STATUSES.includes(client.setupState[id]?.status));
+      if (percentage !== null && missing.length > 0) {
+        suggestions.push({
+          key: `setup:${channel.id}`,
+          channel: channel.id,
+          ...text('setup', {
+            channel: channel.label,
+            percentage,
+            platforms: missing.map(id => translate(language, `platforms.${id}.title`)).join(', '),
+          }),
+        });
+      }
+
+      const [previous, current] = weeklyTrend(metrics.filter(day => day.channel === channel.id), today, 2);
+      const params = { channel: channel.label, previous: formatRoas(roas(previous), language), current: formatRoas(roas(current), language) };
+
+      if (current.spend > 0 && current.conversions === 0) {
+        suggestions.push({
+          key: `no-conversions:${channel.id}:${current.from}`,
+          channel: channel.id,
+          ...text('noConversions', { channel: channel.label, spend: formatMoney(current.spend, client.currency, language) }),
+        });
+      } else if (previous.spend > 0 && current.spend > 0) {
+        if (roas(current) < roas(previous) * (1 - ROAS_CHANGE)) {
+          suggestions.push({ key: `roas-drop:${channel.id}:${current.from}`, channel: channel.id, ...text('roasDrop', params) });
+        } else if (roas(current) > roas(previous) * (1 + ROAS_CHANGE) && roas(current) >= SCALE_MIN_ROAS) {
+          suggestions.push({ key: `scale:${channel.id}:${current.from}`, channel: channel.id, ...text('scale', params) });
+        }
+      }
+    }
+
+    return suggestions;
+  }
+}
+
+/**
+ * Scripted provider for tests: returns the configured suggestions or fails
+ * with the configured error, and records every call.
+ */
+export class FakeSuggestionProvider implements SuggestionProvider {
+  readonly calls: SuggestionContext[] = [];
+  private suggestions: ProviderSuggestion[] = [];
+  private error?: Error;
+
+  constructor(readonly name = 'fake') {}
+
+  setSuggestions(suggestions: ProviderSuggestion[]): this {
+    this.suggestions = suggestions;
+    return this;
+  }
+
+  failWith(error: Error | undefined): this {
+    this.error = error;
+    return this;
+  }
+
+  async suggest(context: SuggestionContext): Promise<ProviderSuggestion[]> {
+    this.calls.push(context);
+    if (this.error) throw this.error;
+    return this.suggestions.map(suggestion => ({ ...suggestion }));
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Thin fetch wrapper for the portal API.
+ *
+ * Requests go to `/api`, which Vite proxies to the portal API in
+ * development. Session cookies are always sent along.
+ */
+
+export class ApiError extends Error {
+  public readonly status: number;
+  public readonly code?: string;
+  /** Per-field messages of a `VALIDATION_ERROR` */
+  public readonly details: string[];
+
+  constructor(message: string, status: number, code?: string, details: string[] = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export async function apiRequest<T>(
+  path: string,
+  options: { method?: string; body?: unknown } = {}
+): Promise<T> {
+  const response = await fetch(`/api${path}`, {
+    method: options.method || 'GET',
+    credentials: 'include',
+    headers: options.body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+  });
+
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    throw new ApiError(payload.error || response.statusText, response.status, payload.code, payload.details);
+  }
+
+  if (response.status === 204) {
+    return undefined as T;
+  }
+  return response.json() as Promise<T>;
+}
@@ -0,0 +1,22 @@
+import { AuditEntry } from '../types';
+import { apiRequest } from './api';
+
+export interface AuditQuery {
+  client?: string;
+  actor?: string;
+  /** An action or an action type, e.g. `setup` */
+  action?: string;
+  /** Entry id to continue below, for loading older entries */
+  before?: string;
+}
+
+export const AUDIT_PAGE_SIZE = 50;
+
+export async function listAuditEntries(query: AuditQuery): Promise<AuditEntry[]> {
+  const params = new URLSearchParams({ limit: String(AUDIT_PAGE_SIZE) });
+  for (const [key, value] of Object.entries(query) as Array<[string, string | undefined]>) {
+    if (value) params.set(key, value);
+  }
+  const { entries } = await apiRequest<{ entries: AuditEntry[] }>(`/audit?${params}`);
+  return entries;
+}
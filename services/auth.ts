@@ -0,0 +1,29 @@
+import { SessionUser } from '../types';
+import { ApiError, apiRequest } from './api';
+
+export async function login(email: string, password: string): Promise<SessionUser> {
+  const { user } = await apiRequest<{ user: SessionUser }>('/auth/login', {
+    method: 'POST',
+    body: { email, password },
+  });
+  return user;
+}
+
+export async function logout(): Promise<void> {
+  await apiRequest<void>('/auth/logout', { method: 'POST' });
+}
+
+/**
+ * Resolve the current session, or `null` when nobody is signed in
+ */
+export async function fetchCurrentUser(): Promise<SessionUser | null> {
+  try {
+    const { user } = await apiRequest<{ user: SessionUser }>('/auth/me');
+    return user;
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 401) {
+      return null;
+    }
+    throw error;
+  }
+}
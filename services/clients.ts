@@ -0,0 +1,58 @@
+import { ClientData, ClientTask, SetupStatus } from '../types';
+import { apiRequest } from './api';
+
+export type NewClientInput = Pick<ClientData, 'domain' | 'name' | 'email'>;
+
+export async function listClients(): Promise<ClientData[]> {
+  const { clients } = await apiRequest<{ clients: ClientData[] }>('/clients');
+  return clients;
+}
+
+export async function getClient(domain: string): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>(`/clients/${encodeURIComponent(domain)}`);
+  return client;
+}
+
+export async function createClient(input: NewClientInput): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>('/clients', { method: 'POST', body: input });
+  return client;
+}
+
+export async function updateClient(
+  domain: string,
+  update: Partial<Omit<ClientData, 'domain' | 'tasks'>>
+): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>(`/clients/${encodeURIComponent(domain)}`, {
+    method: 'PATCH',
+    body: update,
+  });
+  return client;
+}
+
+export async function deleteClient(domain: string): Promise<void> {
+  await apiRequest<void>(`/clients/${encodeURIComponent(domain)}`, { method: 'DELETE' });
+}
+
+export async function updateTask(
+  domain: string,
+  taskId: string,
+  update: Partial<Omit<ClientTask, 'id'>>
+): Promise<ClientTask> {
+  const { task } = await apiRequest<{ task: ClientTask }>(
+    `/clients/${encodeURIComponent(domain)}/tasks/${encodeURIComponent(taskId)}`,
+    { method: 'PATCH', body: update }
+  );
+  return task;
+}
+
+export async function saveSetupStatus(
+  domain: string,
+  platformId: string,
+  change: { status: SetupStatus; note?: string }
+): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>(
+    `/clients/${encodeURIComponent(domain)}/setup/${encodeURIComponent(platformId)}`,
+    { method: 'PUT', body: change }
+  );
+  return client;
+}
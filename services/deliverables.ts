@@ -0,0 +1,28 @@
+import { Deliverable } from '../types';
+import { apiRequest } from './api';
+
+export type DeliverableInput = Omit<Deliverable, 'id' | 'createdAt' | 'updatedAt'>;
+
+const deliverablesPath = (domain: string) => `/clients/${encodeURIComponent(domain)}/deliverables`;
+
+export async function listDeliverables(domain: string): Promise<Deliverable[]> {
+  const { deliverables } = await apiRequest<{ deliverables: Deliverable[] }>(deliverablesPath(domain));
+  return deliverables;
+}
+
+export async function createDeliverable(domain: string, input: DeliverableInput): Promise<Deliverable> {
+  const { deliverable } = await apiRequest<{ deliverable: Deliverable }>(deliverablesPath(domain), { method: 'POST', body: input });
+  return deliverable;
+}
+
+export async function updateDeliverable(domain: string, deliverableId: string, input: DeliverableInput): Promise<Deliverable> {
+  const { deliverable } = await apiRequest<{ deliverable: Deliverable }>(
+    `${deliverablesPath(domain)}/${encodeURIComponent(deliverableId)}`,
+    { method: 'PUT', body: input }
+  );
+  return deliverable;
+}
+
+export async function deleteDeliverable(domain: string, deliverableId: string): Promise<void> {
+  await apiRequest<void>(`${deliverablesPath(domain)}/${encodeURIComponent(deliverableId)}`, { method: 'DELETE' });
+}
@@ -0,0 +1,24 @@
+import { KnowledgeArticle, KnowledgeSearchHit } from '../types';
+import { Language } from '../i18n';
+import { apiRequest } from './api';
+
+export interface ArticleSearch {
+  query?: string;
+  language: Language;
+  tag?: string;
+}
+
+/** Matching articles for the signed-in user's audience, and the tags to filter by */
+export async function searchArticles(search: ArticleSearch): Promise<{ articles: KnowledgeSearchHit[], tags: string[] }> {
+  const params = new URLSearchParams({ lang: search.language });
+  if (search.query) params.set('q', search.query);
+  if (search.tag) params.set('tag', search.tag);
+  return apiRequest(`/knowledge/articles?${params}`);
+}
+
+export async function getArticle(language: Language, slug: string): Promise<KnowledgeArticle> {
+  const { article } = await apiRequest<{ article: KnowledgeArticle }>(
+    `/knowledge/articles/${encodeURIComponent(language)}/${encodeURIComponent(slug)}`
+  );
+  return article;
+}
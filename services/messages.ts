@@ -0,0 +1,14 @@
+import { ClientMessage } from '../types';
+import { apiRequest } from './api';
+
+const messagesPath = (domain: string) => `/clients/${encodeURIComponent(domain)}/messages`;
+
+export async function listMessages(domain: string): Promise<ClientMessage[]> {
+  const { messages } = await apiRequest<{ messages: ClientMessage[] }>(messagesPath(domain));
+  return messages;
+}
+
+export async function sendMessage(domain: string, body: string): Promise<ClientMessage> {
+  const { message } = await apiRequest<{ message: ClientMessage }>(messagesPath(domain), { method: 'POST', body: { body } });
+  return message;
+}
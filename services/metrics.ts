@@ -0,0 +1,36 @@
+import { DailyMetric, DateRange, MetricsSummary } from '../types';
+import { apiRequest } from './api';
+
+export interface DailyMetricsQuery {
+  from: string;
+  to: string;
+  channel?: string;
+}
+
+export async function fetchDailyMetrics(domain: string, query: DailyMetricsQuery): Promise<DailyMetric[]> {
+  const params = new URLSearchParams({ from: query.from, to: query.to });
+  if (query.channel) params.set('channel', query.channel);
+
+  const { metrics } = await apiRequest<{ metrics: DailyMetric[] }>(
+    `/clients/${encodeURIComponent(domain)}/metrics/daily?${params}`
+  );
+  return metrics;
+}
+
+const rangeQuery = (range?: DateRange) => (range ? `?${new URLSearchParams({ from: range.from, to: range.to })}` : '');
+
+/** `range` against the period before it; the last 30 days by default */
+export async function fetchMetricsSummary(domain: string, range?: DateRange): Promise<MetricsSummary> {
+  const { summary } = await apiRequest<{ summary: MetricsSummary }>(
+    `/clients/${encodeURIComponent(domain)}/metrics/summary${rangeQuery(range)}`
+  );
+  return summary;
+}
+
+/** Summaries of every client, keyed by domain (admins only) */
+export async function fetchPortfolioSummaries(range?: DateRange): Promise<Record<string, MetricsSummary>> {
+  const { summaries } = await apiRequest<{ summaries: Record<string, MetricsSummary> }>(
+    `/clients/metrics/summary${rangeQuery(range)}`
+  );
+  return summaries;
+}
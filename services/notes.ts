@@ -0,0 +1,36 @@
+import { ClientNote, NoteCategory } from '../types';
+import { apiRequest } from './api';
+
+export type NoteInput = Omit<ClientNote, 'id' | 'position' | 'createdAt' | 'updatedAt'>;
+
+const notesPath = (domain: string) => `/clients/${encodeURIComponent(domain)}/notes`;
+
+export async function listNotes(domain: string): Promise<ClientNote[]> {
+  const { notes } = await apiRequest<{ notes: ClientNote[] }>(notesPath(domain));
+  return notes;
+}
+
+export async function createNote(domain: string, input: NoteInput): Promise<ClientNote> {
+  const { note } = await apiRequest<{ note: ClientNote }>(notesPath(domain), { method: 'POST', body: input });
+  return note;
+}
+
+export async function updateNote(domain: string, noteId: string, input: NoteInput): Promise<ClientNote> {
+  const { note } = await apiRequest<{ note: ClientNote }>(`${notesPath(domain)}/${encodeURIComponent(noteId)}`, {
+    method: 'PUT',
+    body: input,
+  });
+  return note;
+}
+
+export async function deleteNote(domain: string, noteId: string): Promise<void> {
+  await apiRequest<void>(`${notesPath(domain)}/${encodeURIComponent(noteId)}`, { method: 'DELETE' });
+}
+
+export async function reorderNotes(domain: string, category: NoteCategory, noteIds: string[]): Promise<ClientNote[]> {
+  const { notes } = await apiRequest<{ notes: ClientNote[] }>(`${notesPath(domain)}/order`, {
+    method: 'PUT',
+    body: { category, noteIds },
+  });
+  return notes;
+}
@@ -0,0 +1,12 @@
+import { AgencyRoiReport, DateRange } from '../types';
+import { apiRequest } from './api';
+
+const rangeParams = (range: DateRange) => new URLSearchParams({ from: range.from, to: range.to });
+
+export async function fetchAgencyRoi(range: DateRange): Promise<AgencyRoiReport> {
+  const { report } = await apiRequest<{ report: AgencyRoiReport }>(`/reports/agency-roi?${rangeParams(range)}`);
+  return report;
+}
+
+/** Download link for the same report as a CSV file */
+export const agencyRoiCsvUrl = (range: DateRange) => `/api/reports/agency-roi?${rangeParams(range)}&format=csv`;
@@ -0,0 +1,42 @@
+import { ClientMessage, ClientTask, Suggestion } from '../types';
+import { apiRequest } from './api';
+
+export interface ProviderFailure {
+  provider: string;
+  message: string;
+}
+
+const suggestionsPath = (domain: string) => `/clients/${encodeURIComponent(domain)}/suggestions`;
+
+export async function listSuggestions(domain: string): Promise<Suggestion[]> {
+  const { suggestions } = await apiRequest<{ suggestions: Suggestion[] }>(suggestionsPath(domain));
+  return suggestions;
+}
+
+/** Returns only the newly proposed suggestions and the providers that failed */
+export async function generateSuggestions(
+  domain: string,
+  language: string
+): Promise<{ suggestions: Suggestion[]; failures: ProviderFailure[] }> {
+  return apiRequest(`${suggestionsPath(domain)}/generate`, { method: 'POST', body: { language } });
+}
+
+/** Sends the suggestion to the client; `task` or `message` is set according to `deliverAs` */
+export async function approveSuggestion(
+  domain: string,
+  suggestionId: string,
+  deliverAs: 'task' | 'message' = 'task'
+): Promise<{ suggestion: Suggestion; task?: ClientTask; message?: ClientMessage }> {
+  return apiRequest(`${suggestionsPath(domain)}/${encodeURIComponent(suggestionId)}/approve`, {
+    method: 'POST',
+    body: { deliverAs },
+  });
+}
+
+export async function rejectSuggestion(domain: string, suggestionId: string): Promise<Suggestion> {
+  const { suggestion } = await apiRequest<{ suggestion: Suggestion }>(
+    `${suggestionsPath(domain)}/${encodeURIComponent(suggestionId)}/reject`,
+    { method: 'POST' }
+  );
+  return suggestion;
+}
@@ -0,0 +1,15 @@
+import { AgencyTemplates } from '../types';
+import { apiRequest } from './api';
+
+export async function fetchTemplates(): Promise<AgencyTemplates> {
+  const { templates } = await apiRequest<{ templates: AgencyTemplates }>('/templates');
+  return templates;
+}
+
+export async function saveTemplates(templates: AgencyTemplates): Promise<AgencyTemplates> {
+  const { templates: saved } = await apiRequest<{ templates: AgencyTemplates }>('/templates', {
+    method: 'PUT',
+    body: templates,
+  });
+  return saved;
+}
@@ -0,0 +1,33 @@
+import { ClientData, PlatformSetup } from '../types';
+import { apiRequest } from './api';
+
+export interface VerificationQueueItem {
+  domain: string;
+  clientName: string;
+  platformId: string;
+  adapter: string;
+  setup: PlatformSetup;
+}
+
+const grantPath = (domain: string, platformId: string) =>
+  `/verifications/${encodeURIComponent(domain)}/${encodeURIComponent(platformId)}`;
+
+export async function listPendingVerifications(): Promise<VerificationQueueItem[]> {
+  const { items } = await apiRequest<{ items: VerificationQueueItem[] }>('/verifications');
+  return items;
+}
+
+export async function verifyGrant(domain: string, platformId: string): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>(`${grantPath(domain, platformId)}/verify`, {
+    method: 'POST',
+  });
+  return client;
+}
+
+export async function rejectGrant(domain: string, platformId: string, reason: string): Promise<ClientData> {
+  const { client } = await apiRequest<{ client: ClientData }>(`${grantPath(domain, platformId)}/reject`, {
+    method: 'POST',
+    body: { reason },
+  });
+  return client;
+}
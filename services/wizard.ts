@@ -0,0 +1,14 @@
+import { ClientMessage, WizardSummary } from '../types';
+import type { Language } from '../i18n';
+import { apiRequest } from './api';
+
+/** Tells the agency the client went through the guided setup */
+export async function completeWizard(
+  domain: string,
+  completion: { deferred: string[]; language: Language }
+): Promise<{ summary: WizardSummary; message: ClientMessage }> {
+  return apiRequest<{ summary: WizardSummary; message: ClientMessage }>(
+    `/clients/${encodeURIComponent(domain)}/wizard/complete`,
+    { method: 'POST', body: completion }
+  );
+}
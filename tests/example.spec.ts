@@ -10,8 +10,11 @@ test('has title', async ({ page }) => {
 test('login as customer', async ({ page }) => {
   await page.goto('/');
 
-  // Click the "Klientská Sekce" button
+  // Open the login dialog and sign in with the stand-in client account
   await page.getByRole('button', { name: 'Klientská Sekce' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
 
   // Expect to be on setup stage
   await expect(page.locator('text=Konfigurace Ekosystému')).toBeVisible();
@@ -20,13 +23,258 @@ test('login as customer', async ({ page }) => {
 test('login as admin', async ({ page }) => {
   await page.goto('/');
 
-  // Click the "Admin" button
+  // Open the login dialog and sign in with the stand-in admin account
   await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
 
   // Expect to be on dashboard
   await expect(page.locator('text=MojeFirma.cz')).toBeVisible();
 });
 
+test('customer account cannot reach the admin dashboard', async ({ page }) => {
+  await page.goto('/');
+
+  // The role comes from the account, not from the button that opened the dialog
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await expect(page.locator('text=Konfigurace Ekosystému')).toBeVisible();
+  await expect(page.locator('text=Command')).toHaveCount(0);
+});
+
+test('session survives a reload', async ({ page }) => {
+  await page.goto('/');
+
+  await page.getByRole('button', { name: 'Klientská Sekce' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+  await expect(page.locator('text=Konfigurace Ekosystému')).toBeVisible();
+
+  await page.reload();
+  await expect(page.locator('text=Konfigurace Ekosystému')).toBeVisible();
+});
+
+test('setup progress is restored after logging in again', async ({ page }) => {
+  const signIn = async () => {
+    await page.getByRole('button', { name: 'Klientská Sekce' }).click();
+    await page.getByLabel('Email').fill('zakaznik@email.cz');
+    await page.getByLabel('Heslo').fill('klient123');
+    await page.getByRole('button', { name: 'Přihlásit se' }).click();
+  };
+
+  await page.goto('/');
+  await signIn();
+  await page.getByText('Meta (Facebook / Instagram Ads)').click();
+  await expect(page.locator('text=Vyřešeno 1 z 6 platforem')).toBeVisible();
+  await page.getByRole('button', { name: 'Hotovo, přístup jsem udělil(a)' }).click();
+  await expect(page.locator('text=Vyřešeno 2 z 6 platforem')).toBeVisible();
+
+  await page.getByRole('button', { name: 'Odhlásit' }).click();
+  await signIn();
+  await expect(page.locator('text=Vyřešeno 2 z 6 platforem')).toBeVisible();
+});
+
+test('language switcher applies to the whole app and is remembered', async ({ page }) => {
+  await page.goto('/');
+
+  await page.getByRole('button', { name: 'en', exact: true }).click();
+  await expect(page.getByRole('button', { name: 'Client Area' })).toBeVisible();
+
+  await page.getByRole('button', { name: 'Client Area' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Password').fill('klient123');
+  await page.getByRole('button', { name: 'Sign in' }).click();
+  await expect(page.locator('text=Connect your channels')).toBeVisible();
+  await expect(page.locator('text=Detailed Manual for Connecting Marketing Channels')).toBeVisible();
+
+  await page.reload();
+  await expect(page.locator('text=Connect your channels')).toBeVisible();
+});
+
+test('print version of the manual lists the domain and grantee email', async ({ page, context }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Klientská Sekce' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+  await expect(page.getByRole('link', { name: 'Stáhnout PDF' })).toBeVisible();
+
+  const [printPage] = await Promise.all([
+    context.waitForEvent('page'),
+    page.getByRole('link', { name: 'Verze pro tisk' }).click(),
+  ]);
+  await expect(printPage.locator('text=Připraveno pro: mojefirma.cz')).toBeVisible();
+  await expect(printPage.locator('text=Přístup udělte na email:')).toBeVisible();
+});
+
+test('admin adds a note to the client board', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Otevřít přehled' }).first().click();
+
+  await page.getByRole('button', { name: 'Nápady' }).click();
+  await page.getByRole('button', { name: 'Přidat poznámku' }).click();
+  await page.getByLabel('Název').fill('Lookalike publikum z mailingu');
+  await page.getByRole('button', { name: 'Uložit' }).click();
+  await expect(page.locator('text=Lookalike publikum z mailingu')).toBeVisible();
+});
+
+test('clicking a channel node opens its drill-down panel', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Otevřít přehled' }).first().click();
+  await page.getByRole('button', { name: 'Google Ads', exact: true }).click();
+  await expect(page.locator('text=Vývoj za posledních 4 týdnů')).toBeVisible();
+  await expect(page.locator('text=Audit produktového feedu').last()).toBeVisible();
+
+  await page.getByRole('button', { name: 'Zavřít detail kanálu' }).click();
+  await expect(page.locator('text=Vývoj za posledních 4 týdnů')).toHaveCount(0);
+});
+
+test('admin generates AI suggestions and sends one to the client', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Otevřít přehled' }).first().click();
+  await page.getByRole('button', { name: 'Vygenerovat návrhy' }).click();
+  await page.getByRole('button', { name: 'Schválit a odeslat' }).first().click();
+  await expect(page.locator('text=Odesláno klientovi')).toBeVisible();
+});
+
+test('admin plans a deliverable and writes to the client thread', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Otevřít přehled' }).first().click();
+  await page.getByLabel('Nový výstup').fill('Měsíční report');
+  await page.getByLabel('Termín').fill('2030-01-31');
+  await page.getByRole('button', { name: 'Přidat' }).click();
+  await expect(page.locator('text=Měsíční report')).toBeVisible();
+
+  await page.getByLabel('Napište zprávu…').fill('Report pošleme do konce měsíce.');
+  await page.getByRole('button', { name: 'Odeslat zprávu' }).click();
+  await expect(page.locator('text=Report pošleme do konce měsíce.')).toBeVisible();
+});
+
+test('admin opens the agency ROI report', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Agency ROI' }).click();
+  await expect(page.locator('text=Rozložení ROAS')).toBeVisible();
+  await page.getByRole('button', { name: 'Paušál' }).click();
+  await expect(page.getByRole('columnheader', { name: 'Paušál' })).toHaveAttribute('aria-sort', 'descending');
+  await expect(page.getByRole('link', { name: 'Export CSV' })).toHaveAttribute('href', /format=csv/);
+});
+
+test('client searches the help from the setup page', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Klientská Sekce' }).click();
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('button', { name: 'Nápověda' }).click();
+  await page.getByLabel('Hledat v článcích').fill('tag manager');
+  await page.getByRole('button', { name: /Google Tag Manager/ }).click();
+  await expect(page.getByRole('dialog').locator('text=Otevřete GTM')).toBeVisible();
+  await page.getByRole('button', { name: 'Zavřít nápovědu' }).click();
+  await expect(page.getByRole('dialog')).toHaveCount(0);
+});
+
+test('a deep link opens the setup card after signing in and survives a reload', async ({ page }) => {
+  await page.goto('/onboarding/ga4');
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await expect(page).toHaveURL(/\/onboarding\/ga4$/);
+  await expect(page.locator('#platform-ga4').getByRole('button', { name: 'Hotovo, přístup jsem udělil(a)' })).toBeVisible();
+
+  await page.reload();
+  await expect(page.locator('#platform-ga4').getByRole('button', { name: 'Hotovo, přístup jsem udělil(a)' })).toBeVisible();
+});
+
+test('client switches the instructions to another operating system', async ({ page }) => {
+  await page.goto('/onboarding/ga4');
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await page.getByRole('group', { name: 'Návod pro systém' }).getByRole('button', { name: 'macOS' }).click();
+  await expect(page.locator('#platform-ga4').locator('kbd', { hasText: '⌘ + V' })).toBeVisible();
+
+  await page.reload();
+  await expect(page.getByRole('button', { name: 'macOS' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('client goes through the guided setup and sends the summary', async ({ page }) => {
+  await page.goto('/wizard/gtm');
+  await page.getByLabel('Email').fill('zakaznik@email.cz');
+  await page.getByLabel('Heslo').fill('klient123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await expect(page.getByText('Platforma 3 z 6')).toBeVisible();
+  const confirm = page.getByRole('button', { name: 'Hotovo, přístup jsem udělil(a)' });
+  await expect(confirm).toBeDisabled();
+  await page.getByRole('button', { name: 'Přeskočit, udělám to později' }).click();
+  await expect(page).toHaveURL(/\/wizard\/looker$/);
+
+  await page.getByRole('button', { name: 'Shrnutí' }).click();
+  await page.getByRole('button', { name: 'Poslat shrnutí agentuře' }).click();
+  await expect(page.getByRole('status')).toHaveText('Agentura dostala shrnutí. Děkujeme!');
+});
+
+test('admin screens have their own URLs', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'Admin' }).click();
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+  await expect(page).toHaveURL(/\/admin\/clients$/);
+
+  await page.getByRole('button', { name: 'Otevřít přehled' }).first().click();
+  await expect(page).toHaveURL(/\/admin\/clients\/[^/]+$/);
+  await page.reload();
+  await expect(page.getByRole('button', { name: 'Vygenerovat návrhy' })).toBeVisible();
+
+  await page.goBack();
+  await expect(page).toHaveURL(/\/admin\/clients$/);
+});
+
+test('admin filters the audit log by action type', async ({ page }) => {
+  await page.goto('/admin/audit');
+  await page.getByLabel('Email').fill('admin@marketingportal.local');
+  await page.getByLabel('Heslo').fill('admin123');
+  await page.getByRole('button', { name: 'Přihlásit se' }).click();
+
+  await expect(page.getByRole('heading', { name: 'Auditní záznam' })).toBeVisible();
+  await page.getByLabel('Typ akce').selectOption('auth');
+  await expect(page.getByRole('cell', { name: 'Přihlášení' }).first()).toBeVisible();
+});
+
 // Test for audit functionality
 test('audit kilo CLI setup', async ({ page }) => {
   await page.goto('/');
@@ -0,0 +1,130 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { MemoryAuditStore } from '../../server/stores/audit-store';
+import { SuggestionEngine } from '../../server/suggestions/engine';
+import type { SuggestionContext } from '../../server/suggestions/providers';
+import type { AuditEntry } from '../../types';
+
+const ACTOR = { actorId: '1', actorEmail: 'admin@agentura.cz', actorName: 'Pavel', actorRole: 'ADMIN' as const };
+
+describe('audit store', () => {
+  it('filters by client, actor and action type, newest first', async () => {
+    const store = new MemoryAuditStore();
+    await store.append({ ...ACTOR, correlationId: 'a', action: 'setup.change', clientDomain: 'MojeFirma.cz', target: 'ga4' });
+    await store.append({ ...ACTOR, correlationId: 'b', action: 'note.create', clientDomain: 'mojefirma.cz' });
+    await store.append({ ...ACTOR, correlationId: 'c', action: 'setup.verify', clientDomain: 'kavarna-u-mostu.cz', actorName: 'Jana' });
+
+    expect((await store.list()).map(entry => entry.correlationId)).toEqual(['c', 'b', 'a']);
+    expect((await store.list({ clientDomain: 'mojefirma.cz' })).map(entry => entry.correlationId)).toEqual(['b', 'a']);
+    expect((await store.list({ action: 'setup' })).map(entry => entry.correlationId)).toEqual(['c', 'a']);
+    expect((await store.list({ action: 'setup.change' })).map(entry => entry.correlationId)).toEqual(['a']);
+    expect((await store.list({ actor: 'JANA' })).map(entry => entry.correlationId)).toEqual(['c']);
+    expect((await store.list({ before: '3', limit: 1 })).map(entry => entry.correlationId)).toEqual(['b']);
+  });
+
+  it('hands out copies, so listed entries cannot be changed', async () => {
+    const store = new MemoryAuditStore();
+    await store.append({ ...ACTOR, correlationId: 'a', action: 'client.update', details: { name: 'Old' } });
+
+    const [entry] = await store.list();
+    (entry.details as Record<string, unknown>).name = 'Tampered';
+    expect((await store.list())[0].details).toEqual({ name: 'Old' });
+  });
+});
+
+describe('audit log API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const auditEntries = async (query: string, cookie: string): Promise<AuditEntry[]> =>
+    (await (await server.request(`/audit${query}`, { cookie })).json()).entries;
+
+  it('records who changed what under the request correlation ID', async () => {
+    const customer = await server.login(CUSTOMER);
+    const response = await server.request('/clients/mojefirma.cz/setup/ga4', {
+      method: 'PUT',
+      body: { status: 'granted', note: 'Hotovo' },
+      cookie: customer,
+    });
+    const correlationId = response.headers.get('x-correlation-id');
+
+    const admin = await server.login(ADMIN);
+    await server.request('/verifications/mojefirma.cz/ga4/verify', { method: 'POST', cookie: admin });
+
+    const [verified, change] = await auditEntries('?client=mojefirma.cz&action=setup', admin);
+    const [login] = await auditEntries('?actor=zakaznik&action=auth', admin);
+
+    expect(change).toMatchObject({
+      correlationId,
+      action: 'setup.change',
+      actorEmail: CUSTOMER.email,
+      actorRole: 'CUSTOMER',
+      clientDomain: 'mojefirma.cz',
+      target: 'ga4',
+      details: { status: 'granted', note: 'Hotovo' },
+    });
+    expect(verified).toMatchObject({ action: 'setup.verify', actorEmail: ADMIN.email, target: 'ga4' });
+    expect(login).toMatchObject({ action: 'auth.login', actorRole: 'CUSTOMER', clientDomain: 'mojefirma.cz' });
+  });
+
+  it('reuses the caller correlation ID when it is safe', async () => {
+    const admin = await server.login(ADMIN);
+
+    const reused = await server.request('/health', { headers: { 'X-Correlation-ID': 'batch-42.import' } });
+    expect(reused.headers.get('x-correlation-id')).toBe('batch-42.import');
+
+    const replaced = await server.request('/health', { headers: { 'X-Correlation-ID': 'bad id; "quoted"' } });
+    expect(replaced.headers.get('x-correlation-id')).toMatch(/^[0-9a-f-]{36}$/);
+
+    await server.request('/auth/logout', { method: 'POST', cookie: admin, headers: { 'X-Correlation-ID': 'logout-1' } });
+    expect((await server.deps.audit.list({ action: 'auth.logout' }))[0].correlationId).toBe('logout-1');
+  });
+
+  it('passes the correlation ID to the suggestion providers', async () => {
+    const seen: SuggestionContext[] = [];
+    await server.close();
+    server = await startTestServer({
+      suggestionEngine: new SuggestionEngine([{ name: 'spy', suggest: async context => { seen.push(context); return []; } }]),
+    });
+    const admin = await server.login(ADMIN);
+
+    const response = await server.request('/clients/mojefirma.cz/suggestions/generate', { method: 'POST', body: {}, cookie: admin });
+    const correlationId = response.headers.get('x-correlation-id');
+
+    expect(seen[0].correlationId).toBe(correlationId);
+    expect((await server.deps.audit.list({ action: 'suggestion.generate' }))[0]).toMatchObject({
+      correlationId,
+      details: { proposed: 0, failedProviders: [] },
+    });
+  });
+
+  it('keeps a committed change successful when the audit log fails', async () => {
+    const audit = new MemoryAuditStore();
+    jest.spyOn(audit, 'append').mockRejectedValue(new Error('audit log is down'));
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    await server.close();
+    server = await startTestServer({ audit });
+    const admin = await server.login(ADMIN);
+
+    const response = await server.request('/clients/mojefirma.cz/tasks', { method: 'POST', body: { title: 'Audit' }, cookie: admin });
+
+    expect(response.status).toBe(201);
+    expect(logged).toHaveBeenCalledWith(expect.stringContaining("'task.create'"), expect.any(Error));
+    logged.mockRestore();
+  });
+
+  it('is only readable by admins and rejects unknown actions', async () => {
+    const customer = await server.login(CUSTOMER);
+    expect((await server.request('/audit', { cookie: customer })).status).toBe(403);
+
+    const admin = await server.login(ADMIN);
+    expect((await server.request('/audit?action=hacking', { cookie: admin })).status).toBe(400);
+  });
+});
@@ -0,0 +1,81 @@
+import { loadConfig } from '../../server/config';
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+
+describe('portal authentication', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('resolves the role from the account on login', async () => {
+    const response = await server.request('/auth/login', { method: 'POST', body: CUSTOMER });
+
+    expect(response.status).toBe(200);
+    const { user } = await response.json();
+    expect(user.role).toBe('CUSTOMER');
+    expect(user.clientDomain).toBe('mojefirma.cz');
+    expect(user.passwordHash).toBeUndefined();
+    expect(response.headers.get('set-cookie')).toMatch(/mp_session=.+; .*HttpOnly/);
+  });
+
+  it('rejects wrong passwords and unknown accounts alike', async () => {
+    const wrongPassword = await server.request('/auth/login', {
+      method: 'POST',
+      body: { email: ADMIN.email, password: 'nope' },
+    });
+    const unknownUser = await server.request('/auth/login', {
+      method: 'POST',
+      body: { email: 'nobody@example.com', password: 'nope' },
+    });
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownUser.status).toBe(401);
+    expect(await wrongPassword.json()).toEqual(await unknownUser.json());
+  });
+
+  it('restores the session from the cookie until logout', async () => {
+    const cookie = await server.login(ADMIN);
+
+    const me = await server.request('/auth/me', { cookie });
+    expect(me.status).toBe(200);
+    expect((await me.json()).user.role).toBe('ADMIN');
+
+    const logout = await server.request('/auth/logout', { method: 'POST', cookie });
+    expect(logout.status).toBe(204);
+
+    const afterLogout = await server.request('/auth/me', { cookie });
+    expect(afterLogout.status).toBe(401);
+  });
+
+  it('ignores malformed cookies of other apps', async () => {
+    const cookie = await server.login(ADMIN);
+
+    const me = await server.request('/auth/me', { cookie: `foo=%E0%A4%A; ${cookie}` });
+    expect(me.status).toBe(200);
+  });
+
+  it('validates the login payload', async () => {
+    const response = await server.request('/auth/login', {
+      method: 'POST',
+      body: { email: 'not-an-email' },
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe('VALIDATION_ERROR');
+  });
+
+  it('refuses the demo passwords in production', () => {
+    expect(() => loadConfig({ NODE_ENV: 'production' })).toThrow('PORTAL_ADMIN_PASSWORD must be set in production');
+    expect(() => loadConfig({ NODE_ENV: 'production', PORTAL_ADMIN_PASSWORD: 'a-secret' }))
+      .toThrow('PORTAL_CLIENT_PASSWORD must be set in production');
+
+    const config = loadConfig({ NODE_ENV: 'production', PORTAL_ADMIN_PASSWORD: 'a-secret', PORTAL_CLIENT_PASSWORD: 'b-secret' });
+    expect(config.seedUsers.map(user => user.password)).toEqual(['a-secret', 'b-secret']);
+  });
+});
@@ -0,0 +1,64 @@
+import { ADMIN, CUSTOMER, day, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { channelCompleteness, daysBefore, isoDate, weeklyTrend } from '../../channels';
+import type { DailyMetric } from '../../types';
+
+const setup = (status: 'have' | 'need' | 'granted' | 'verified') => ({ status, updatedAt: '2025-01-15T09:00:00.000Z' });
+
+describe('channel helpers', () => {
+  it('derives setup completeness from the channel platforms', () => {
+    const setupState = { ga4: setup('verified'), gtm: setup('granted'), looker: setup('need'), meta: setup('have') };
+
+    expect(channelCompleteness(setupState, 'analytics')).toBe(50);
+    expect(channelCompleteness(setupState, 'social')).toBe(0);
+    expect(channelCompleteness({}, 'mailing')).toBeNull();
+  });
+
+  it('sums days into weekly buckets ending on the given day', () => {
+    const trend = weeklyTrend([
+      day('2025-01-01', 'google-ads', 100, 500),
+      day('2025-01-07', 'google-ads', 50, 100),
+      day('2025-01-14', 'google-ads', 10, 20),
+      day('2025-01-15', 'google-ads', 999, 999),
+    ], '2025-01-14', 2);
+
+    expect(trend).toEqual([
+      { from: '2025-01-01', spend: 150, revenue: 600, conversions: 2, clicks: 20 },
+      { from: '2025-01-08', spend: 10, revenue: 20, conversions: 1, clicks: 10 },
+    ]);
+  });
+});
+
+describe('daily metrics API', () => {
+  let server: TestServer;
+  const to = isoDate(new Date());
+  const from = daysBefore(to, 6);
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('returns a client its own days, optionally for one channel', async () => {
+    const cookie = await server.login(CUSTOMER);
+
+    const all = await server.request(`/clients/mojefirma.cz/metrics/daily?from=${from}&to=${to}`, { cookie });
+    const { metrics } = await all.json();
+    expect(new Set(metrics.map((m: DailyMetric) => m.date)).size).toBe(7);
+
+    const social = await server.request(`/clients/mojefirma.cz/metrics/daily?from=${from}&to=${to}&channel=social`, { cookie });
+    expect((await social.json()).metrics.every((m: DailyMetric) => m.channel === 'social')).toBe(true);
+
+    const other = await server.request(`/clients/eshop-sportovni.cz/metrics/daily?from=${from}&to=${to}`, { cookie });
+    expect(other.status).toBe(403);
+  });
+
+  it('validates the date range', async () => {
+    const cookie = await server.login(ADMIN);
+    expect((await server.request(`/clients/mojefirma.cz/metrics/daily?from=${to}&to=${from}`, { cookie })).status).toBe(400);
+    expect((await server.request('/clients/mojefirma.cz/metrics/daily?from=yesterday&to=today', { cookie })).status).toBe(400);
+  });
+});
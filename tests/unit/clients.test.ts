@@ -0,0 +1,95 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { serialId } from '../../server/db/pool';
+
+describe('client portfolio API', () => {
+  let server: TestServer;
+  let adminCookie: string;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    adminCookie = await server.login(ADMIN);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('lists every client for admins', async () => {
+    const response = await server.request('/clients', { cookie: adminCookie });
+
+    expect(response.status).toBe(200);
+    const { clients } = await response.json();
+    expect(clients.map((client: { domain: string }) => client.domain)).toContain('mojefirma.cz');
+    expect(clients.length).toBeGreaterThan(1);
+  });
+
+  it('supports create, update and delete', async () => {
+    const created = await server.request('/clients', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { domain: 'https://Novy-Klient.cz/', name: 'Nový klient', email: 'info@novy-klient.cz' },
+    });
+    expect(created.status).toBe(201);
+    expect((await created.json()).client.domain).toBe('novy-klient.cz');
+
+    const duplicate = await server.request('/clients', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { domain: 'novy-klient.cz', name: 'Duplicate', email: 'info@novy-klient.cz' },
+    });
+    expect(duplicate.status).toBe(409);
+
+    const updated = await server.request('/clients/novy-klient.cz', {
+      method: 'PATCH',
+      cookie: adminCookie,
+      body: { currency: 'EUR' },
+    });
+    const { client } = await updated.json();
+    expect(client.currency).toBe('EUR');
+    expect(client.name).toBe('Nový klient');
+
+    const task = await server.request('/clients/novy-klient.cz/tasks', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { title: 'Kick-off call' },
+    });
+    expect((await task.json()).task.status).toBe('todo');
+
+    const deleted = await server.request('/clients/novy-klient.cz', { method: 'DELETE', cookie: adminCookie });
+    expect(deleted.status).toBe(204);
+    const missing = await server.request('/clients/novy-klient.cz', { cookie: adminCookie });
+    expect(missing.status).toBe(404);
+  });
+
+  it('limits customers to their own client record', async () => {
+    const customerCookie = await server.login(CUSTOMER);
+
+    const own = await server.request('/clients/mojefirma.cz', { cookie: customerCookie });
+    expect(own.status).toBe(200);
+
+    const other = await server.request('/clients/kavarna-u-mostu.cz', { cookie: customerCookie });
+    expect(other.status).toBe(403);
+
+    const list = await server.request('/clients', { cookie: customerCookie });
+    expect(list.status).toBe(403);
+  });
+
+  it('requires a session', async () => {
+    const response = await server.request('/clients');
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('row ids from route parameters', () => {
+  it('accepts only ids a SERIAL column can hold', () => {
+    expect(serialId('42')).toBe(42);
+    expect(serialId('2147483647')).toBe(2147483647);
+    expect(serialId('2147483648')).toBeUndefined();
+    expect(serialId('99999999999')).toBeUndefined();
+    expect(serialId('abc')).toBeUndefined();
+    expect(serialId('4.2')).toBeUndefined();
+    expect(serialId('-1')).toBeUndefined();
+    expect(serialId('')).toBeUndefined();
+  });
+});
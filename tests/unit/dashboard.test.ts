@@ -0,0 +1,79 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { SuggestionEngine } from '../../server/suggestions/engine';
+import { FakeSuggestionProvider } from '../../server/suggestions/providers';
+import type { ClientMessage, Deliverable } from '../../types';
+
+describe('client dashboard API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    const provider = new FakeSuggestionProvider().setSuggestions([{ key: 'budget', title: 'Navýšit rozpočet', body: 'PMax má prostor.' }]);
+    server = await startTestServer({ suggestionEngine: new SuggestionEngine([provider]) });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('shows deliverables to the client but lets only admins change them', async () => {
+    const customer = await server.login(CUSTOMER);
+    const admin = await server.login(ADMIN);
+    const body = { title: 'Report za Q1', dueDate: '2030-04-05', channel: 'analytics' };
+
+    expect((await server.request('/clients/mojefirma.cz/deliverables', { method: 'POST', body, cookie: customer })).status).toBe(403);
+
+    const created = await server.request('/clients/mojefirma.cz/deliverables', { method: 'POST', body, cookie: admin });
+    expect(created.status).toBe(201);
+    const { deliverable } = await created.json();
+    expect(deliverable.status).toBe('planned');
+
+    const updated = await server.request(`/clients/mojefirma.cz/deliverables/${deliverable.id}`, {
+      method: 'PUT',
+      body: { ...body, status: 'delivered' },
+      cookie: admin,
+    });
+    expect((await updated.json()).deliverable.status).toBe('delivered');
+
+    const { deliverables } = await (await server.request('/clients/mojefirma.cz/deliverables', { cookie: customer })).json();
+    const dates = deliverables.map((item: Deliverable) => item.dueDate);
+    expect(dates).toEqual([...dates].sort());
+    expect(deliverables.map((item: Deliverable) => item.title)).toContain('Report za Q1');
+
+    expect((await server.request('/clients/eshop-sportovni.cz/deliverables', { cookie: customer })).status).toBe(403);
+  });
+
+  it('keeps one message thread per client for the client and the agency', async () => {
+    const customer = await server.login(CUSTOMER);
+    const admin = await server.login(ADMIN);
+
+    await server.request('/clients/mojefirma.cz/messages', { method: 'POST', body: { body: 'Kdy spustíme jarní kampaň?' }, cookie: customer });
+    await server.request('/clients/mojefirma.cz/messages', { method: 'POST', body: { body: 'Příští pondělí.' }, cookie: admin });
+    const blank = await server.request('/clients/mojefirma.cz/messages', { method: 'POST', body: { body: '   ' }, cookie: customer });
+    expect(blank.status).toBe(400);
+
+    const { messages } = await (await server.request('/clients/mojefirma.cz/messages', { cookie: customer })).json();
+    expect(messages.slice(-2).map((message: ClientMessage) => [message.authorRole, message.body])).toEqual([
+      ['CUSTOMER', 'Kdy spustíme jarní kampaň?'],
+      ['ADMIN', 'Příští pondělí.'],
+    ]);
+  });
+
+  it('can send an approved suggestion as a message instead of a task', async () => {
+    const admin = await server.login(ADMIN);
+    const [suggestion] = (await (await server.request('/clients/mojefirma.cz/suggestions/generate', { method: 'POST', cookie: admin })).json()).suggestions;
+
+    const approved = await server.request(`/clients/mojefirma.cz/suggestions/${suggestion.id}/approve`, {
+      method: 'POST',
+      body: { deliverAs: 'message' },
+      cookie: admin,
+    });
+    const { suggestion: sent, message, task } = await approved.json();
+    expect(task).toBeUndefined();
+    expect(sent).toMatchObject({ status: 'sent', messageId: message.id });
+
+    const customer = await server.login(CUSTOMER);
+    const { messages } = await (await server.request('/clients/mojefirma.cz/messages', { cookie: customer })).json();
+    expect(messages[messages.length - 1].body).toBe('Navýšit rozpočet\n\nPMax má prostor.');
+  });
+});
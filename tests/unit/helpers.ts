@@ -0,0 +1,107 @@
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+import type { DailyMetric } from '../../types';
+import { loadConfig } from '../../server/config';
+import { createApp } from '../../server/app';
+import type { PortalDependencies } from '../../server/app';
+import { MemorySessionStore } from '../../server/auth/session-store';
+import { createSeededUserStore } from '../../server/auth/user-store';
+import { MemoryClientStore } from '../../server/stores/client-store';
+import { demoClients, demoDailyMetrics, demoDeliverables, demoMessages, demoNotes } from '../../server/stores/demo-data';
+import { MemoryTemplateStore } from '../../server/stores/template-store';
+import { MemoryNoteStore } from '../../server/stores/note-store';
+import { MemoryMetricsStore } from '../../server/stores/metrics-store';
+import { MemorySuggestionStore } from '../../server/stores/suggestion-store';
+import { MemoryDeliverableStore } from '../../server/stores/deliverable-store';
+import { MemoryMessageStore } from '../../server/stores/message-store';
+import { MemoryAuditStore } from '../../server/stores/audit-store';
+import { SuggestionEngine } from '../../server/suggestions/engine';
+import { RuleBasedSuggestionProvider } from '../../server/suggestions/providers';
+import { loadKnowledgeBase } from '../../server/knowledge/knowledge-base';
+import { VerificationAdapterRegistry } from '../../server/onboarding/verification';
+import { MemoryOutboxStore } from '../../server/stores/outbox-store';
+import { NotificationService } from '../../server/notifications/service';
+import { MemoryTransport } from '../../server/notifications/transport';
+
+export const ADMIN = { email: 'admin@marketingportal.local', password: 'admin123' };
+export const CUSTOMER = { email: 'zakaznik@email.cz', password: 'klient123' };
+
+/** A day of channel metrics; clicks and impressions matter to no test */
+export const day = (date: string, channel: string, spend: number, revenue: number, conversions = 1): DailyMetric => ({
+  date, channel, spend, revenue, conversions, clicks: 10, impressions: 100,
+});
+
+export interface TestServer {
+  deps: PortalDependencies;
+  /** Outbox and transport of the default notification service */
+  outbox: MemoryOutboxStore;
+  mail: MemoryTransport;
+  request(path: string, options?: { method?: string; body?: unknown; cookie?: string; headers?: Record<string, string> }): Promise<Response>;
+  login(credentials: { email: string; password: string }): Promise<string>;
+  close(): Promise<void>;
+}
+
+/**
+ * Start the portal API on an ephemeral port with in-memory stores
+ */
+export async function startTestServer(overrides: Partial<PortalDependencies> = {}): Promise<TestServer> {
+  const config = loadConfig({});
+  const clients = overrides.clients || new MemoryClientStore(demoClients);
+  const templates = overrides.templates || new MemoryTemplateStore({ granteeEmail: config.defaultGranteeEmail, platforms: {} });
+  const outbox = new MemoryOutboxStore();
+  const mail = new MemoryTransport();
+
+  const deps: PortalDependencies = {
+    config,
+    users: await createSeededUserStore(config.seedUsers),
+    sessions: new MemorySessionStore(),
+    clients,
+    verifiers: new VerificationAdapterRegistry(),
+    templates,
+    notes: new MemoryNoteStore(demoNotes),
+    metrics: new MemoryMetricsStore(demoDailyMetrics()),
+    suggestions: new MemorySuggestionStore(),
+    suggestionEngine: new SuggestionEngine([new RuleBasedSuggestionProvider()]),
+    deliverables: new MemoryDeliverableStore(demoDeliverables()),
+    messages: new MemoryMessageStore(demoMessages),
+    audit: new MemoryAuditStore(),
+    knowledge: await loadKnowledgeBase(config.knowledgeBaseDir),
+    // Tests never launch a browser
+    renderPdf: async html => Buffer.from(`%PDF-fake ${html.length}`),
+    notifications: new NotificationService(outbox, clients, templates, mail, {
+      ...config.notifications,
+      retry: { baseDelay: 1, jitter: false },
+    }),
+    ...overrides,
+  };
+
+  const server: Server = await new Promise(resolve => {
+    const listening = createApp(deps).listen(0, () => resolve(listening));
+  });
+  const { port } = server.address() as AddressInfo;
+
+  const request: TestServer['request'] = (path, options = {}) => {
+    const headers: Record<string, string> = { ...options.headers };
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.cookie) headers.Cookie = options.cookie;
+
+    return fetch(`http://127.0.0.1:${port}/api${path}`, {
+      method: options.method || 'GET',
+      headers,
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    });
+  };
+
+  return {
+    deps,
+    outbox,
+    mail,
+    request,
+    async login(credentials) {
+      const response = await request('/auth/login', { method: 'POST', body: credentials });
+      const setCookie = response.headers.get('set-cookie') || '';
+      return setCookie.split(';')[0];
+    },
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,44 @@
+import { PLATFORMS } from '../../constants';
+import { getInstructions, interpolate, SUPPORTED_LANGUAGES, translate } from '../../i18n';
+import cs from '../../i18n/messages/cs.json';
+import en from '../../i18n/messages/en.json';
+
+function keysOf(messages: object, prefix = ''): string[] {
+  return Object.entries(messages).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? keysOf(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+}
+
+describe('instruction catalog', () => {
+  it('translates every Czech key into English', () => {
+    expect(keysOf(en).sort()).toEqual(keysOf(cs).sort());
+  });
+
+  it.each(SUPPORTED_LANGUAGES)('describes every platform in %s', language => {
+    const instructions = getInstructions(language);
+
+    expect(instructions.map(item => item.id)).toEqual(PLATFORMS.map(platform => platform.id));
+    for (const item of instructions) {
+      expect(item.title).not.toContain('platforms.');
+      expect(item.tip).not.toContain('platforms.');
+      expect(item.steps.some(step => step.includes('{email}'))).toBe(true);
+    }
+  });
+
+  it('takes the direct links from the platform list', () => {
+    const [english, czech] = [getInstructions('en'), getInstructions('cs')];
+    expect(english.map(item => item.directLink)).toEqual(czech.map(item => item.directLink));
+  });
+
+  it('interpolates parameters and leaves unknown placeholders alone', () => {
+    expect(interpolate('{resolved} of {total}', { resolved: 2, total: 6 })).toBe('2 of 6');
+    expect(interpolate('Enter email: {email}')).toBe('Enter email: {email}');
+    expect(translate('en', 'setup.progress', { resolved: 1, total: 6 })).toBe('1 of 6 platforms resolved');
+  });
+
+  it('falls back to the key for unknown messages', () => {
+    expect(translate('en', 'missing.key')).toBe('missing.key');
+  });
+});
@@ -0,0 +1,149 @@
+import { ImportError, importExport, parseExport, parseExportNumber } from '../../server/imports/importer';
+import { findImportSource } from '../../server/imports/sources';
+import type { ImportSource } from '../../server/imports/sources';
+import { MemoryMetricsStore } from '../../server/stores/metrics-store';
+
+const source = (id: string) => findImportSource(id) as ImportSource;
+
+const GOOGLE_ADS_CSV = [
+  'Campaign report',
+  '"1 January 2025 - 2 January 2025"',
+  'Day,Campaign,Campaign type,Currency code,Cost,Impr.,Clicks,Conversions,Conv. value',
+  '2025-01-01,Brand,Search,CZK,"1,200.50",3000,120,4,"9,800.00"',
+  '2025-01-01,Generic,Search,CZK,99.5,1000,30,1,1200',
+  '2025-01-01,Spring video,Video,CZK,300,10000,50,0,0',
+  '2025-01-02,Brand,Search,EUR,10,1,1,0,0',
+  '2025-02-30,Brand,Search,CZK,1,1,1,0,0',
+  'Total: Account,--,--,CZK,1610,14001,201,5,11000',
+].join('\n');
+
+describe('export parsing', () => {
+  it('sums Google Ads campaign rows per channel day and reports bad rows', () => {
+    const parsed = parseExport(source('google-ads'), 'campaigns.csv', GOOGLE_ADS_CSV, 'CZK');
+
+    expect(parsed.updates).toEqual([
+      { date: '2025-01-01', channel: 'google-ads', spend: 1300, revenue: 11000, conversions: 5, clicks: 150, impressions: 4000 },
+      { date: '2025-01-01', channel: 'youtube', spend: 300, revenue: 0, conversions: 0, clicks: 50, impressions: 10000 },
+    ]);
+    expect(parsed).toMatchObject({ rows: 6, skipped: 1 });
+    expect(parsed.errors).toEqual([
+      { row: 7, message: "Currency EUR does not match the client's CZK" },
+      { row: 8, message: "'2025-02-30' is not a date" },
+    ]);
+  });
+
+  it('reads Czech semicolon exports from Meta with decimal commas', () => {
+    const csv = [
+      'Název kampaně;Day;Reporting ends;Amount spent (CZK);Impressions;Link clicks;Purchases;Purchases conversion value',
+      'Jaro;2025-01-01;2025-01-01;1 234,50;5 000;80;2;4 100,00',
+      'Jaro;2025-01-01;2025-01-07;100;1;1;0;0',
+    ].join('\r\n');
+
+    const parsed = parseExport(source('meta'), 'meta.csv', csv, 'CZK');
+
+    expect(parsed.updates).toEqual([
+      { date: '2025-01-01', channel: 'social', spend: 1234.5, revenue: 4100, conversions: 2, clicks: 80, impressions: 5000 },
+    ]);
+    expect(parsed.errors[0].message).toContain('more than one day');
+    expect(() => parseExport(source('meta'), 'meta.csv', csv, 'EUR')).toThrow(ImportError);
+  });
+
+  it('keeps only the GA4 channel groups no ad platform reports', () => {
+    const csv = [
+      '# ----------------------------------------',
+      '# Traffic acquisition',
+      '# 20250101-20250101',
+      '',
+      'Session default channel group,Date,Sessions,Key events,Total revenue',
+      'Organic Search,20250101,420,6,"15,000"',
+      'Email,20250101,80,2,3000',
+      'Paid Search,20250101,300,5,12000',
+      '',
+      'Session default channel group,Sessions',
+      'Organic Search,420',
+    ].join('\n');
+
+    const parsed = parseExport(source('ga4'), 'ga4.csv', csv, 'CZK');
+
+    expect(parsed.updates).toEqual([
+      { date: '2025-01-01', channel: 'seo', revenue: 15000, conversions: 6 },
+      { date: '2025-01-01', channel: 'mailing', revenue: 3000, conversions: 2, clicks: 80 },
+    ]);
+    expect(parsed).toMatchObject({ rows: 3, skipped: 1, errors: [] });
+    expect(() => parseExport(source('ga4'), 'ga4.csv', 'Date,Sessions\n20250101,5', 'CZK')).toThrow(/channel group/);
+  });
+
+  it('reads the JSON the platform APIs return', () => {
+    const searchConsole = JSON.stringify({ rows: [{ keys: ['2025-01-01'], clicks: 40, impressions: 900, ctr: 0.04, position: 8.1 }] });
+    expect(parseExport(source('gsc'), 'gsc.json', searchConsole, 'CZK').updates).toEqual([
+      { date: '2025-01-01', channel: 'seo', clicks: 40, impressions: 900 },
+    ]);
+
+    const googleAds = JSON.stringify({ results: [{
+      segments: { date: '2025-01-01' },
+      metrics: { costMicros: '2500000000', clicks: '10', impressions: '100', conversions: 1, conversionsValue: 900 },
+    }] });
+    expect(parseExport(source('google-ads'), 'ads.json', googleAds, 'CZK').updates[0]).toMatchObject({ spend: 2500, revenue: 900 });
+
+    const ga4 = JSON.stringify({
+      dimensionHeaders: [{ name: 'date' }, { name: 'sessionDefaultChannelGroup' }],
+      metricHeaders: [{ name: 'sessions' }, { name: 'keyEvents' }, { name: 'totalRevenue' }],
+      rows: [{ dimensionValues: [{ value: '20250101' }, { value: 'Email' }], metricValues: [{ value: '5' }, { value: '1' }, { value: '250.5' }] }],
+    });
+    expect(parseExport(source('ga4'), 'ga4.json', ga4, 'CZK').updates).toEqual([
+      { date: '2025-01-01', channel: 'mailing', clicks: 5, conversions: 1, revenue: 250.5 },
+    ]);
+
+    expect(() => parseExport(source('gsc'), 'gsc.json', '{"rows": ', 'CZK')).toThrow(ImportError);
+  });
+
+  it('parses amounts in both number styles', () => {
+    expect(parseExportNumber('1,234.56', false)).toBe(1234.56);
+    expect(parseExportNumber('1 234,56 Kč', true)).toBe(1234.56);
+    expect(parseExportNumber('--', false)).toBe(0);
+    expect(() => parseExportNumber('n/a', false)).toThrow("'n/a' is not a number");
+  });
+
+  it('rejects amounts written in the other number style instead of guessing', () => {
+    expect(() => parseExportNumber('1 234,56', false)).toThrow('ambiguous');
+    expect(() => parseExportNumber('12,5%', false)).toThrow('ambiguous');
+    expect(() => parseExportNumber('1.5', true)).toThrow('ambiguous');
+    expect(() => parseExportNumber('1,234,56', true)).toThrow('ambiguous');
+    expect(parseExportNumber('1.234.567,8', true)).toBe(1234567.8);
+    expect(parseExportNumber('-1,234', false)).toBe(-1234);
+
+    const csv = [
+      'Day,Campaign,Campaign type,Currency code,Cost,Impr.,Clicks,Conversions,Conv. value',
+      '2025-01-01,Brand,Search,CZK,"1 234,56",3000,120,4,9800',
+    ].join('\n');
+    expect(parseExport(source('google-ads'), 'campaigns.csv', csv, 'CZK')).toMatchObject({
+      updates: [],
+      errors: [{ row: 2, message: expect.stringContaining("'1 234,56' is ambiguous") }],
+    });
+  });
+});
+
+describe('metrics import', () => {
+  it('stores channel days once and merges metrics from different sources', async () => {
+    const store = new MemoryMetricsStore();
+    const file = { name: 'campaigns.csv', content: GOOGLE_ADS_CSV };
+
+    const first = await importExport(store, 'MojeFirma.cz', 'CZK', source('google-ads'), file);
+    expect(first).toMatchObject({ source: 'google-ads', inserted: 2, updated: 0, unchanged: 0 });
+    const again = await importExport(store, 'mojefirma.cz', 'CZK', source('google-ads'), file);
+    expect(again).toMatchObject({ inserted: 0, updated: 0, unchanged: 2 });
+
+    await importExport(store, 'mojefirma.cz', 'CZK', source('ga4'), {
+      name: 'ga4.csv',
+      content: 'Date,Session default channel group,Sessions,Key events,Total revenue\n20250101,Organic Search,420,6,15000',
+    });
+    const seo = await importExport(store, 'mojefirma.cz', 'CZK', source('gsc'), {
+      name: 'Dates.csv',
+      content: 'Date,Clicks,Impressions,CTR,Position\n2025-01-01,40,900,4.4%,8.1',
+    });
+    expect(seo).toMatchObject({ inserted: 0, updated: 1 });
+
+    const days = await store.daily('mojefirma.cz', { from: '2025-01-01', to: '2025-01-01', channel: 'seo' });
+    expect(days).toEqual([{ date: '2025-01-01', channel: 'seo', spend: 0, revenue: 15000, conversions: 6, clicks: 40, impressions: 900 }]);
+  });
+});
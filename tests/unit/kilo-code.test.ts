@@ -0,0 +1,497 @@
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm } from 'fs/promises';
+import { KiloCodeErrorHandler } from '../../lib/kilo-code';
+import { CancelledError } from '../../lib/kilo-code/cancellation';
+import { CircuitBreaker, CircuitBreakerError, circuitBreakerRegistry } from '../../lib/kilo-code/circuit-breaker';
+import {
+  FileCircuitStateStore,
+  MemoryCircuitStateStore,
+  RedisCircuitStateStore,
+  createCircuitStateStore,
+  redisConnectionOptions,
+} from '../../lib/kilo-code/circuit-state-store';
+import type { CircuitStateStore, RedisStoreClient } from '../../lib/kilo-code/circuit-state-store';
+import type { CircuitBreakerConfig } from '../../lib/kilo-code/circuit-breaker';
+import {
+  HTTPStatusError,
+  defaultErrorClassifiers,
+  parseRateLimitReset,
+  parseRetryAfter,
+} from '../../lib/kilo-code/error-classifier';
+import type { ErrorClassifier } from '../../lib/kilo-code/error-classifier';
+import { ExponentialBackoffRetry, RetryError, retryConfigs } from '../../lib/kilo-code/retry';
+import { RetryBudget, retryBudgetRegistry } from '../../lib/kilo-code/retry-budget';
+import { TimeoutError, TimeoutHandler } from '../../lib/kilo-code/timeout-handler';
+import { kiloCodeLogger } from '../../lib/kilo-code/logger';
+
+const context = () => kiloCodeLogger.createContext({ model: 'kilo-code-test' });
+const request = { method: 'POST', url: 'test://kilo-code' };
+
+/** Resolves when `signal` is aborted, with the reason it was aborted with */
+const aborted = (signal?: AbortSignal) =>
+  new Promise<unknown>(resolve => signal?.addEventListener('abort', () => resolve(signal.reason), { once: true }));
+
+let breakers = 0;
+const handler = (timeout: number, retry = { maxAttempts: 3, baseDelay: 1000, jitter: false }) =>
+  new KiloCodeErrorHandler({
+    retry,
+    timeout: { defaultTimeout: timeout, minTimeout: 1, timeoutMultiplier: 1, enableAdaptiveTimeout: false },
+    circuitBreaker: { name: `kilo-code-test-${++breakers}` },
+    enableLogging: false,
+    enableFallbacks: false,
+  });
+
+afterAll(() => {
+  circuitBreakerRegistry.destroyAll();
+});
+
+describe('kilo-code cancellation', () => {
+  it('aborts the operation with a TimeoutError when the time is up', async () => {
+    let reason: unknown;
+    const result = await new TimeoutHandler().execute(async signal => {
+      reason = await aborted(signal);
+      return 'late';
+    }, 20, context());
+
+    expect(result.timedOut).toBe(true);
+    expect(result.error).toBeInstanceOf(TimeoutError);
+    expect(reason).toBe(result.error);
+  });
+
+  it('ends a scheduled retry sleep on timeout and starts no further attempt', async () => {
+    let attempts = 0;
+    const started = Date.now();
+
+    const response = await handler(50).executeAPIRequest(async () => {
+      attempts++;
+      throw new Error('Temporary failure');
+    }, { request });
+
+    expect(response.error).toBeInstanceOf(TimeoutError);
+    expect(attempts).toBe(1);
+    expect(Date.now() - started).toBeLessThan(900);
+    // The backoff was cut short by the timeout
+    expect(response.metadata.totalBackoff).toBeLessThan(900);
+  });
+
+  it('rejects with a CancelledError when the caller aborts during a retry sleep', async () => {
+    const controller = new AbortController();
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 3, baseDelay: 5000, jitter: false });
+    let attempts = 0;
+
+    const pending = retry.execute(async () => {
+      attempts++;
+      setTimeout(() => controller.abort(), 10);
+      throw new Error('Temporary failure');
+    }, context(), 'cancel-test', controller.signal);
+
+    await expect(pending).rejects.toBeInstanceOf(CancelledError);
+    expect(attempts).toBe(1);
+  });
+
+  it('tells a caller cancellation apart from a timeout', async () => {
+    const controller = new AbortController();
+    let operationReason: unknown;
+
+    const response = await handler(5000).executeAPIRequest(async signal => {
+      setTimeout(() => controller.abort(), 10);
+      operationReason = await aborted(signal);
+      return { done: true };
+    }, { request, signal: controller.signal });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toBeInstanceOf(CancelledError);
+    expect(response.error).not.toBeInstanceOf(TimeoutError);
+    expect(operationReason).toBeInstanceOf(CancelledError);
+    expect(response.metadata.circuitBreakerState).toBe('closed');
+  });
+
+  it('aborts in-flight work when the circuit opens', async () => {
+    const breaker = new CircuitBreaker({ name: 'kilo-code-test-trip', failureThreshold: 1 });
+    let release: () => void = () => undefined;
+
+    const slow = breaker.execute(async signal => {
+      await aborted(signal);
+      return 'never used';
+    }, context());
+    const failing = breaker.execute(() => new Promise((_, reject) => {
+      release = () => reject(new Error('Internal server error'));
+    }), context());
+    release();
+
+    await expect(failing).rejects.toThrow('Internal server error');
+    await expect(slow).rejects.toBeInstanceOf(CircuitBreakerError);
+    expect(breaker.getStats()).toMatchObject({ state: 'open', failureCount: 1 });
+    breaker.destroy();
+  });
+});
+
+describe('kilo-code retry accounting', () => {
+  const flaky = (failures: number, error = () => new Error('Temporary failure')) => {
+    let calls = 0;
+    return async () => {
+      if (++calls <= failures) throw error();
+      return { calls };
+    };
+  };
+
+  it('reports every attempt, the retry count and the backoff time', async () => {
+    const response = await handler(5000, { maxAttempts: 3, baseDelay: 5, jitter: false })
+      .executeAPIRequest(flaky(2), { request });
+
+    expect(response.success).toBe(true);
+    expect(response.metadata.retryCount).toBe(2);
+    expect(response.metadata.attempts.map(attempt => [attempt.attemptNumber, attempt.error?.name])).toEqual([
+      [1, 'Error'],
+      [2, 'Error'],
+      [3, undefined],
+    ]);
+    expect(response.metadata.attempts[2].delay).toBe(0);
+    // 5ms after the first failure, 10ms after the second
+    expect(response.metadata.totalBackoff).toBeGreaterThanOrEqual(14);
+  });
+
+  it('keeps the error class of an attempt that is not retried', async () => {
+    const response = await handler(5000).executeAPIRequest(flaky(1, () => new TypeError('bad input')), { request });
+
+    expect(response.metadata.retryCount).toBe(0);
+    expect(response.metadata.attempts).toEqual([
+      expect.objectContaining({ attemptNumber: 1, delay: 0, error: expect.objectContaining({ name: 'TypeError', message: 'bad input' }) }),
+    ]);
+  });
+
+  it('returns the attempts from the retry handler itself', async () => {
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 2, baseDelay: 1, jitter: false });
+
+    const { result, attempts, totalDelay } = await retry.executeWithAttempts(flaky(1), context());
+    expect(result).toEqual({ calls: 2 });
+    expect(attempts).toHaveLength(2);
+    expect(totalDelay).toBe(attempts[0].delay);
+
+    const failure = await retry.execute(flaky(5), context()).catch(error => error);
+    expect(failure).toBeInstanceOf(RetryError);
+    expect(failure.attempts).toHaveLength(2);
+  });
+
+  it('aggregates retries and attempt errors in the metrics summary', async () => {
+    const before = kiloCodeLogger.getMetricsSummary();
+    const logged = new KiloCodeErrorHandler({
+      retry: { maxAttempts: 3, baseDelay: 1, jitter: false },
+      circuitBreaker: { name: 'kilo-code-test-metrics' },
+      enableFallbacks: false,
+    });
+
+    await logged.executeAPIRequest(flaky(2), { request });
+    await logged.executeAPIRequest(flaky(0), { request });
+
+    const after = kiloCodeLogger.getMetricsSummary();
+    expect(after.retriedRequests - before.retriedRequests).toBe(1);
+    expect(after.totalRetries - before.totalRetries).toBe(2);
+    expect(after.attemptErrors.Error - (before.attemptErrors.Error || 0)).toBe(2);
+    expect(after.totalBackoffTime).toBeGreaterThan(before.totalBackoffTime);
+  });
+});
+
+describe('kilo-code error classification', () => {
+  const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+  /** Fails with `error` the first `failures` times, then succeeds */
+  const failing = (failures: number, error: () => Error) => {
+    let calls = 0;
+    return async () => {
+      if (++calls <= failures) throw error();
+      return 'ok';
+    };
+  };
+
+  const attemptsOf = async (retry: ExponentialBackoffRetry, operation: () => Promise<string>) => {
+    try {
+      return (await retry.executeWithAttempts(operation, context())).attempts;
+    } catch (error) {
+      return (error as RetryError).attempts;
+    }
+  };
+
+  it('reads Retry-After and rate-limit reset headers', () => {
+    expect(parseRetryAfter('2', NOW)).toBe(2000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 10:00:30 GMT', NOW)).toBe(30000);
+    expect(parseRetryAfter('soon', NOW)).toBeUndefined();
+
+    expect(parseRateLimitReset(String(NOW / 1000 + 60), NOW)).toBe(60000);
+    expect(parseRateLimitReset('12', NOW)).toBe(12000);
+    expect(parseRateLimitReset('1m30s', NOW)).toBe(90000);
+    expect(parseRateLimitReset('250ms', NOW)).toBe(250);
+
+    const error = HTTPStatusError.fromResponse(new Response(null, { status: 429, headers: { 'Retry-After': '1' } }));
+    expect(error).toMatchObject({ status: 429, headers: { 'retry-after': '1' } });
+  });
+
+  it('waits as long as Retry-After asks instead of the backoff', async () => {
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 2, baseDelay: 5000, jitter: false });
+    const attempts = await attemptsOf(retry, failing(1, () => new HTTPStatusError('Too many', 429, { 'retry-after': '0.05' })));
+
+    expect(attempts).toHaveLength(2);
+    expect(attempts[0].error).toMatchObject({ name: 'HTTPStatusError', status: 429 });
+    expect(attempts[0].delay).toBeGreaterThanOrEqual(45);
+    expect(attempts[0].delay).toBeLessThan(1000);
+  });
+
+  it('retries 408 and 5xx but never other client errors', async () => {
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 2, baseDelay: 1, jitter: false });
+
+    expect(await attemptsOf(retry, failing(1, () => new HTTPStatusError('Request timeout', 408)))).toHaveLength(2);
+    expect(await attemptsOf(retry, failing(1, () => new HTTPStatusError('Bad gateway', 502)))).toHaveLength(2);
+    // The message would match the 'timeout' pattern, but the status is final
+    expect(await attemptsOf(retry, failing(1, () => new HTTPStatusError('Upstream timeout rejected', 400)))).toHaveLength(1);
+    expect(await attemptsOf(retry, failing(1, () => new HTTPStatusError('Forbidden', 403)))).toHaveLength(1);
+  });
+
+  it('retries an exhausted GitHub rate limit once it resets', async () => {
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 2, baseDelay: 5000, jitter: false });
+    // Shaped like Octokit's RequestError; the reset is already due
+    const rateLimited = () => Object.assign(new Error('API rate limit exceeded'), {
+      status: 403,
+      response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000)) } },
+    });
+
+    const attempts = await attemptsOf(retry, failing(1, rateLimited));
+    expect(attempts).toHaveLength(2);
+    expect(attempts[0].delay).toBeLessThan(1000);
+  });
+
+  it('gives up when the server asks for a longer wait than maxDelay', async () => {
+    const retry = new ExponentialBackoffRetry({ maxAttempts: 3, maxDelay: 1000 });
+    const attempts = await attemptsOf(retry, failing(1, () => new HTTPStatusError('Slow down', 503, { 'retry-after': '120' })));
+
+    expect(attempts).toHaveLength(1);
+  });
+
+  it('lets callers plug in their own classifiers', async () => {
+    class QuotaError extends Error {}
+    const quota: ErrorClassifier = error => (error instanceof QuotaError ? { retry: true, delay: 1 } : undefined);
+    const noRetryOn503: ErrorClassifier = error => ((error as HTTPStatusError).status === 503 ? { retry: false } : undefined);
+    const retry = new ExponentialBackoffRetry({
+      maxAttempts: 2,
+      baseDelay: 5000,
+      classifiers: [quota, noRetryOn503, ...defaultErrorClassifiers],
+    });
+
+    expect(await attemptsOf(retry, failing(1, () => new QuotaError('Quota used up')))).toHaveLength(2);
+    expect(await attemptsOf(retry, failing(1, () => new HTTPStatusError('Unavailable', 503)))).toHaveLength(1);
+  });
+});
+
+describe('kilo-code retry budgets', () => {
+  const failOnce = () => {
+    let calls = 0;
+    return async () => {
+      if (++calls === 1) throw new Error('Temporary failure');
+      return 'ok';
+    };
+  };
+
+  it('allows retries up to its share of the requests in the window', async () => {
+    const budget = new RetryBudget({ name: 'window', retryRatio: 0.5, minRetries: 1, windowMs: 50 });
+    budget.recordRequest();
+    budget.recordRequest();
+
+    expect([budget.tryAcquire(), budget.tryAcquire(), budget.tryAcquire()]).toEqual([true, true, false]);
+    expect(budget.getStats()).toMatchObject({ requests: 2, retries: 2, available: 0, exhausted: true, deniedRetries: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(budget.getStats()).toMatchObject({ requests: 0, retries: 0, available: 1, exhausted: false });
+  });
+
+  it('is shared by every handler that names it', async () => {
+    retryBudgetRegistry.createBudget('kilo-code-test-shared', { retryRatio: 0, minRetries: 1 });
+    const config = { maxAttempts: 3, baseDelay: 1, jitter: false, budget: 'kilo-code-test-shared' };
+    const deniedBefore = kiloCodeLogger.getMetricsSummary().retryBudgetDenials;
+
+    await expect(new ExponentialBackoffRetry(config).execute(failOnce(), context())).resolves.toBe('ok');
+    const failure = await new ExponentialBackoffRetry(config).execute(failOnce(), context()).catch(error => error);
+
+    expect(failure).toBeInstanceOf(RetryError);
+    expect(failure.message).toContain("retry budget 'kilo-code-test-shared' exhausted");
+    expect(failure.attempts).toHaveLength(1);
+    expect(retryBudgetRegistry.getStats()['kilo-code-test-shared']).toMatchObject({ requests: 2, retries: 1, deniedRetries: 1 });
+    expect(kiloCodeLogger.getMetricsSummary().retryBudgetDenials).toBe(deniedBefore + 1);
+  });
+
+  it('is referenced by name from the retry profiles', () => {
+    expect(new ExponentialBackoffRetry(retryConfigs.standard).getBudgetStats()?.name).toBe('api');
+    expect(new ExponentialBackoffRetry(retryConfigs.conservative).getBudgetStats()?.name).toBe('rate-limited');
+    expect(new ExponentialBackoffRetry().getBudgetStats()).toBeUndefined();
+  });
+});
+
+/** The Redis commands the store uses, on a Map, with the release script's compare-and-delete */
+class FakeRedis implements RedisStoreClient {
+  readonly keys = new Map<string, { value: string; expires?: number }>();
+  readonly scripts: string[] = [];
+
+  async get(key: string): Promise<string | null> {
+    const entry = this.keys.get(key);
+    if (entry?.expires !== undefined && entry.expires <= Date.now()) this.keys.delete(key);
+    return this.keys.get(key)?.value ?? null;
+  }
+
+  async set(key: string, value: string, ...args: Array<string | number>): Promise<'OK' | null> {
+    const options = args.map(String).map(arg => arg.toUpperCase());
+    if (options.includes('NX') && (await this.get(key)) !== null) return null;
+
+    const px = options.indexOf('PX');
+    this.keys.set(key, { value, expires: px === -1 ? undefined : Date.now() + Number(args[px + 1]) });
+    return 'OK';
+  }
+
+  async eval(script: string, numKeys: number, ...args: Array<string | number>): Promise<number> {
+    this.scripts.push(script);
+    const [key, owner] = args.map(String);
+    if (numKeys !== 1 || (await this.get(key)) !== owner) return 0;
+    this.keys.delete(key);
+    return 1;
+  }
+}
+
+describe('kilo-code shared circuit state', () => {
+  const breakers: CircuitBreaker[] = [];
+  /** A breaker as another process would have it: same name, own memory */
+  const processBreaker = (stateStore: CircuitStateStore, config: Partial<CircuitBreakerConfig> = {}) => {
+    const breaker = new CircuitBreaker({ name: 'shared-api', failureThreshold: 1, recoveryTimeout: 20, successThreshold: 1, stateStore, ...config });
+    breakers.push(breaker);
+    return breaker;
+  };
+  const fail = () => Promise.reject(new Error('Internal server error'));
+
+  afterEach(() => {
+    breakers.splice(0).forEach(breaker => breaker.destroy());
+  });
+
+  it('opens the circuit for every process once one of them trips it', async () => {
+    const store = new MemoryCircuitStateStore();
+    const first = processBreaker(store, { recoveryTimeout: 60000 });
+    const second = processBreaker(store, { recoveryTimeout: 60000 });
+    let called = false;
+
+    await expect(first.execute(fail, context())).rejects.toThrow('Internal server error');
+    await expect(second.execute(async () => { called = true; }, context())).rejects.toBeInstanceOf(CircuitBreakerError);
+
+    expect(called).toBe(false);
+    expect(second.getStats().state).toBe('open');
+    expect(await store.get('shared-api')).toMatchObject({ state: 'open', failureCount: 1 });
+  });
+
+  it.each([
+    ['memory', () => new MemoryCircuitStateStore()],
+    ['Redis', () => new RedisCircuitStateStore(new FakeRedis())],
+  ])('lets only one process probe a half-open circuit (%s store)', async (_kind, createStore: () => CircuitStateStore) => {
+    const store = createStore();
+    const first = processBreaker(store);
+    const second = processBreaker(store);
+    await first.execute(fail, context()).catch(() => undefined);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    let finishProbe: (value: string) => void = () => undefined;
+    const probe = first.execute(() => new Promise<string>(resolve => { finishProbe = resolve; }), context());
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await expect(second.execute(async () => 'second', context())).rejects.toThrow('already being probed');
+    finishProbe('recovered');
+    await expect(probe).resolves.toBe('recovered');
+
+    await expect(second.execute(async () => 'second', context())).resolves.toBe('second');
+    expect(second.getStats().state).toBe('closed');
+  });
+
+  it('reads the store while closed only every syncInterval and after failures', async () => {
+    const store = new MemoryCircuitStateStore();
+    const read = jest.spyOn(store, 'get');
+    const breaker = processBreaker(store, { failureThreshold: 3, syncInterval: 60000 });
+
+    for (let call = 0; call < 5; call++) {
+      await breaker.execute(async () => 'ok', context());
+    }
+    expect(read).toHaveBeenCalledTimes(1);
+
+    await breaker.execute(fail, context()).catch(() => undefined);
+    await breaker.execute(async () => 'ok', context());
+    expect(read).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the state in files across restarts and expires stale probe locks', async () => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'circuit-state-'));
+    try {
+      await processBreaker(new FileCircuitStateStore(directory), { recoveryTimeout: 60000 })
+        .execute(fail, context()).catch(() => undefined);
+
+      const restarted = processBreaker(new FileCircuitStateStore(directory));
+      await expect(restarted.execute(async () => 'ok', context())).rejects.toBeInstanceOf(CircuitBreakerError);
+
+      const store = new FileCircuitStateStore(directory);
+      expect(await store.acquireProbe('locks', 'a', 20)).toBe(true);
+      expect(await store.acquireProbe('locks', 'b', 20)).toBe(false);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(await store.acquireProbe('locks', 'b', 20)).toBe(true);
+      await store.releaseProbe('locks', 'a');
+      expect(await store.acquireProbe('locks', 'a', 20)).toBe(false);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the state in Redis and locks the probe with SET NX PX', async () => {
+    const redis = new FakeRedis();
+    const store = new RedisCircuitStateStore(redis, 'test:circuit:');
+
+    await store.set('shared-api', { state: 'open', failureCount: 2, nextAttemptTime: 10, updatedAt: 5 });
+    expect(JSON.parse((await redis.get('test:circuit:shared-api'))!)).toMatchObject({ state: 'open', failureCount: 2 });
+    expect(await store.get('shared-api')).toEqual({ state: 'open', failureCount: 2, nextAttemptTime: 10, updatedAt: 5 });
+    expect(await store.get('other-api')).toBeUndefined();
+
+    expect(await store.acquireProbe('shared-api', 'a', 20)).toBe(true);
+    expect(await store.acquireProbe('shared-api', 'b', 20)).toBe(false);
+    expect(await store.acquireProbe('shared-api', 'a', 20)).toBe(true);
+
+    // Only the owner's release frees the lock
+    await store.releaseProbe('shared-api', 'b');
+    expect(await redis.get('test:circuit:shared-api:probe')).toBe('a');
+    await store.releaseProbe('shared-api', 'a');
+    expect(await redis.get('test:circuit:shared-api:probe')).toBeNull();
+    expect(redis.scripts[0]).toMatch(/redis\.call\('get', KEYS\[1\]\) == ARGV\[1\].*redis\.call\('del', KEYS\[1\]\)/);
+
+    // A lease that ran out goes to the next caller
+    expect(await store.acquireProbe('shared-api', 'b', 20)).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(await store.acquireProbe('shared-api', 'c', 20)).toBe(true);
+  });
+
+  it('falls back to local state while the store is unavailable', async () => {
+    const down = new Error('ECONNREFUSED');
+    const broken: CircuitStateStore = {
+      get: () => Promise.reject(down),
+      set: () => Promise.reject(down),
+      acquireProbe: () => Promise.reject(down),
+      releaseProbe: () => Promise.reject(down),
+    };
+    const breaker = processBreaker(broken, { failureThreshold: 2 });
+
+    await expect(breaker.execute(async () => 'ok', context())).resolves.toBe('ok');
+    await breaker.execute(fail, context()).catch(() => undefined);
+    await breaker.execute(fail, context()).catch(() => undefined);
+    expect(breaker.getStats().state).toBe('open');
+  });
+
+  it('is chosen from the environment', () => {
+    expect(createCircuitStateStore({})).toBeUndefined();
+    expect(createCircuitStateStore({ CIRCUIT_STATE_STORE: 'memory' })).toBeInstanceOf(MemoryCircuitStateStore);
+    expect(createCircuitStateStore({ CIRCUIT_STATE_STORE: 'file', CIRCUIT_STATE_DIR: '/tmp/circuits' })).toBeInstanceOf(FileCircuitStateStore);
+    expect(() => createCircuitStateStore({ CIRCUIT_STATE_STORE: 'etcd' })).toThrow("Unknown CIRCUIT_STATE_STORE 'etcd'");
+
+    expect(() => createCircuitStateStore({ CIRCUIT_STATE_STORE: 'redis' })).toThrow('needs a Redis client');
+    const redis = createCircuitStateStore({ CIRCUIT_STATE_STORE: 'redis' }, { redis: () => new FakeRedis() });
+    expect(redis).toBeInstanceOf(RedisCircuitStateStore);
+    expect(redisConnectionOptions({ REDIS_HOST: 'cache', REDIS_PORT: '6380', REDIS_TLS: 'true' }))
+      .toMatchObject({ host: 'cache', port: 6380, db: 0, tls: {}, enableOfflineQueue: false });
+  });
+});
@@ -0,0 +1,93 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { renderMarkdown } from '../../server/knowledge/markdown';
+import { ArticleFormatError, KnowledgeBase, parseArticle } from '../../server/knowledge/knowledge-base';
+import type { KnowledgeSearchHit } from '../../types';
+
+const article = (slug: string, frontMatter: string, body = '') =>
+  parseArticle(`cs/${slug}.md`, 'cs', `---\n${frontMatter}\n---\n${body}`);
+
+describe('knowledge base markdown', () => {
+  it('renders the supported subset and escapes everything else', () => {
+    const html = renderMarkdown([
+      '## Postup',
+      '',
+      '1. Otevřete **Nastavení**.',
+      '2. Vložte `{email}`',
+      '',
+      '> Tip: <script>alert(1)</script>',
+      '',
+      '[Odkaz](https://ads.google.com) [zlý](javascript:alert(1))',
+    ].join('\n'));
+
+    expect(html).toBe([
+      '<h3>Postup</h3>',
+      '<ol><li>Otevřete <strong>Nastavení</strong>.</li><li>Vložte <code>{email}</code></li></ol>',
+      '<blockquote>Tip: &#60;script&#62;alert(1)&#60;/script&#62;</blockquote>',
+      '<p><a href="https://ads.google.com" target="_blank" rel="noopener noreferrer">Odkaz</a> [zlý](javascript:alert(1))</p>',
+    ].join('\n'));
+  });
+
+  it('rejects articles without a title or with an unknown audience', () => {
+    expect(() => article('broken', 'audience: client')).toThrow(ArticleFormatError);
+    expect(() => article('broken', 'title: Test\naudience: everyone')).toThrow('cs/broken.md');
+  });
+});
+
+describe('knowledge base search', () => {
+  const knowledge = new KnowledgeBase([
+    article('access-ga4', 'title: Google Analytics 4\ntags: ga4, access', 'Udělte přístup k účtu v sekci Správce.'),
+    article('access-meta', 'title: Meta\ntags: meta, access', 'Otevřete Business Settings a přidejte uživatele.'),
+    article('templates', 'title: Šablony návodů\ntags: templates\naudience: admin', 'Přístup k šablonám mají jen admini.'),
+  ]);
+
+  const slugs = (hits: KnowledgeSearchHit[]) => hits.map(hit => hit.slug);
+
+  it('matches word prefixes regardless of case and diacritics', () => {
+    expect(slugs(knowledge.search({ text: 'PRISTUP', audiences: ['client'] }))).toEqual(['access-ga4']);
+    expect(slugs(knowledge.search({ text: 'sprav pristup', audiences: ['client'] }))).toEqual(['access-ga4']);
+    expect(knowledge.search({ text: 'uzivatel', audiences: ['client'] })[0].excerpt).toContain('přidejte uživatele');
+  });
+
+  it('ranks title matches first and respects the audience and tag', () => {
+    expect(slugs(knowledge.search({ text: 'meta', audiences: ['client'] }))).toEqual(['access-meta']);
+    expect(slugs(knowledge.search({ text: 'pristup', audiences: ['client', 'admin'] }))).toEqual(['access-ga4', 'templates']);
+    expect(slugs(knowledge.search({ tag: 'access', audiences: ['client'] }))).toEqual(['access-ga4', 'access-meta']);
+    expect(knowledge.tags({ audiences: ['client'] })).toEqual(['access', 'ga4', 'meta']);
+  });
+});
+
+describe('knowledge base API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('serves the migrated manual with the agency grantee email filled in', async () => {
+    const cookie = await server.login(CUSTOMER);
+    const { articles, tags } = await (await server.request('/knowledge/articles?lang=en&q=tag+manager', { cookie })).json();
+    expect(articles[0].slug).toBe('access-gtm');
+    expect(tags).toContain('onboarding');
+
+    const response = await server.request('/knowledge/articles/en/access-gtm', { cookie });
+    const { article } = await response.json();
+    expect(article.html).toContain(`Enter email: ${server.deps.config.defaultGranteeEmail}`);
+    expect(article.html).not.toContain('{email}');
+  });
+
+  it('keeps agency articles from clients', async () => {
+    const customer = await server.login(CUSTOMER);
+    const { articles } = await (await server.request('/knowledge/articles?lang=cs', { cookie: customer })).json();
+    expect(articles.every((hit: KnowledgeSearchHit) => hit.audience === 'client')).toBe(true);
+    expect((await server.request('/knowledge/articles/cs/preparing-onboarding', { cookie: customer })).status).toBe(404);
+
+    const admin = await server.login(ADMIN);
+    expect((await server.request('/knowledge/articles/cs/preparing-onboarding', { cookie: admin })).status).toBe(200);
+    expect((await server.request('/knowledge/articles')).status).toBe(401);
+  });
+});
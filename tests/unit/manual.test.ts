@@ -0,0 +1,71 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { manualInstructions, renderManualHtml } from '../../server/manual/manual-document';
+import { MemoryClientStore } from '../../server/stores/client-store';
+import { demoClients } from '../../server/stores/demo-data';
+import type { AgencyTemplates, ClientData } from '../../types';
+
+const templates: AgencyTemplates = { granteeEmail: 'team@agency.test', platforms: {} };
+
+describe('printable manual', () => {
+  let client: ClientData;
+
+  beforeAll(async () => {
+    client = (await new MemoryClientStore(demoClients).get('mojefirma.cz'))!;
+  });
+
+  it('covers only the platforms the client still has to set up', () => {
+    const ids = manualInstructions({ language: 'cs', client, templates }).map(item => item.id);
+
+    expect(ids).toContain('gtm');
+    expect(ids).toContain('meta');
+    expect(ids).not.toContain('google-ads');
+  });
+
+  it('includes the domain and the grantee email and escapes the texts', () => {
+    const html = renderManualHtml({
+      language: 'en',
+      client,
+      templates: { ...templates, platforms: { meta: { steps: { en: ['Invite {email} as <Admin>'] } } } },
+    });
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('Prepared for: mojefirma.cz');
+    expect(html).toContain('Grant access to: <code>team@agency.test</code>');
+    expect(html).toContain('Invite <strong>team@agency.test</strong> as &#60;Admin&#62;');
+    expect(html).toContain('@page');
+  });
+});
+
+describe('manual export API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('serves HTML and PDF to the client', async () => {
+    const cookie = await server.login(CUSTOMER);
+
+    const html = await server.request('/clients/mojefirma.cz/manual?lang=en', { cookie });
+    expect(html.headers.get('content-type')).toContain('text/html');
+    expect(await html.text()).toContain('Detailed Manual for Connecting Marketing Channels');
+
+    const pdf = await server.request('/clients/mojefirma.cz/manual?format=pdf', { cookie });
+    expect(pdf.headers.get('content-type')).toBe('application/pdf');
+    expect(pdf.headers.get('content-disposition')).toContain('manual-mojefirma.cz-cs.pdf');
+  });
+
+  it('keeps other clients and unknown languages out', async () => {
+    const customer = await server.login(CUSTOMER);
+    expect((await server.request('/clients/kavarna-u-mostu.cz/manual', { cookie: customer })).status).toBe(403);
+
+    const admin = await server.login(ADMIN);
+    expect((await server.request('/clients/mojefirma.cz/manual?lang=de', { cookie: admin })).status).toBe(400);
+    expect((await server.request('/clients/unknown.cz/manual', { cookie: admin })).status).toBe(404);
+  });
+});
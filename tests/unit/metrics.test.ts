@@ -0,0 +1,76 @@
+import { ADMIN, CUSTOMER, day, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { daysBefore } from '../../channels';
+import { change, formatChange, formatMoney, formatRoas, periodEnding, previousPeriod, roas, summarizeMetrics } from '../../metrics';
+import type { MetricsSummary } from '../../types';
+
+describe('metrics model', () => {
+  it('compares a period with the equally long period before it', () => {
+    const range = periodEnding('2025-01-14', 7);
+    expect(range).toEqual({ from: '2025-01-08', to: '2025-01-14' });
+    expect(previousPeriod(range)).toEqual({ from: '2025-01-01', to: '2025-01-07' });
+
+    const summary = summarizeMetrics([
+      day('2024-12-31', 'social', 999, 999),
+      day('2025-01-02', 'google-ads', 100, 400),
+      day('2025-01-09', 'google-ads', 100.1, 500.2),
+      day('2025-01-10', 'google-ads', 100.2, 300.1),
+      day('2025-01-12', 'social', 50, 0),
+    ], range, 'CZK');
+
+    expect(summary.current).toEqual({ spend: 250.3, revenue: 800.3, conversions: 3, clicks: 30, impressions: 300 });
+    expect(summary.previous.spend).toBe(100);
+    expect(Object.keys(summary.channels)).toEqual(['google-ads', 'social']);
+    expect(summary.channels.social.previous.spend).toBe(0);
+    expect(change(roas(summary.channels['google-ads'].current), roas(summary.channels['google-ads'].previous))).toBeCloseTo(0);
+  });
+
+  it('formats values for the display language', () => {
+    expect(formatMoney(45200, 'CZK', 'cs').replace(/\s/g, ' ')).toBe('45 200 Kč');
+    expect(formatMoney(45200, 'EUR', 'en')).toBe('€45,200');
+    expect(formatRoas(8.44, 'cs')).toBe('8,4x');
+    expect(formatRoas(roas({ spend: 0, revenue: 10 }), 'en')).toBe('–');
+    expect(formatChange(0.125, 'en')).toBe('+13%');
+    expect(formatChange(change(50, 100), 'en')).toBe('-50%');
+    expect(formatChange(change(10, 0), 'en')).toBe('–');
+  });
+});
+
+describe('metrics summary API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('summarizes the requested range for the client', async () => {
+    const cookie = await server.login(CUSTOMER);
+    const response = await server.request('/clients/mojefirma.cz/metrics/summary', { cookie });
+    const { summary } = await response.json() as { summary: MetricsSummary };
+
+    expect(summary.currency).toBe('CZK');
+    expect(summary.current.spend).toBeGreaterThan(0);
+    expect(summary.previousRange.to < summary.range.from).toBe(true);
+    expect(Object.keys(summary.channels)).toEqual(['google-ads', 'seo', 'social']);
+
+    const { to } = summary.range;
+    const single = await server.request(`/clients/mojefirma.cz/metrics/summary?from=${to}&to=${to}`, { cookie });
+    expect((await single.json()).summary.previousRange).toEqual({ from: daysBefore(to, 1), to: daysBefore(to, 1) });
+
+    expect((await server.request(`/clients/mojefirma.cz/metrics/summary?from=${to}`, { cookie })).status).toBe(400);
+    expect((await server.request('/clients/eshop-sportovni.cz/metrics/summary', { cookie })).status).toBe(403);
+    expect((await server.request('/clients/metrics/summary', { cookie })).status).toBe(403);
+  });
+
+  it('summarizes the whole portfolio for admins', async () => {
+    const cookie = await server.login(ADMIN);
+    const { summaries } = await (await server.request('/clients/metrics/summary', { cookie })).json();
+
+    expect(Object.keys(summaries).sort()).toEqual(['eshop-sportovni.cz', 'kavarna-u-mostu.cz', 'mojefirma.cz']);
+    expect(summaries['kavarna-u-mostu.cz'].range).toEqual(summaries['mojefirma.cz'].range);
+  });
+});
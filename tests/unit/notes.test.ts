@@ -0,0 +1,104 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { MemoryNoteStore } from '../../server/stores/note-store';
+
+describe('MemoryNoteStore', () => {
+  it('keeps positions contiguous per category', async () => {
+    const store = new MemoryNoteStore();
+    const first = await store.create('a.cz', { category: 'plans', title: 'First', body: '' });
+    const second = await store.create('a.cz', { category: 'plans', title: 'Second', body: '' });
+    const idea = await store.create('a.cz', { category: 'ideas', title: 'Idea', body: '' });
+    expect([first.position, second.position, idea.position]).toEqual([0, 1, 0]);
+
+    await store.update('a.cz', first.id, { category: 'ideas', title: 'First', body: '' });
+    const notes = await store.list('a.cz');
+    expect(notes.map(note => [note.title, note.category, note.position])).toEqual([
+      ['Second', 'plans', 0],
+      ['Idea', 'ideas', 0],
+      ['First', 'ideas', 1],
+    ]);
+  });
+});
+
+describe('notes board API', () => {
+  let server: TestServer;
+  let adminCookie: string;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    adminCookie = await server.login(ADMIN);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const notesPath = '/clients/mojefirma.cz/notes';
+  const list = async () => (await (await server.request(notesPath, { cookie: adminCookie })).json()).notes;
+
+  it('creates, edits and deletes notes', async () => {
+    const created = await server.request(notesPath, {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { category: 'research', title: 'Konkurence', assignee: 'Jana', dueDate: '2025-02-01', channel: 'seo' },
+    });
+    expect(created.status).toBe(201);
+    const { note } = await created.json();
+    expect(note).toMatchObject({ category: 'research', body: '', position: 0, channel: 'seo' });
+
+    const edited = await server.request(`${notesPath}/${note.id}`, {
+      method: 'PUT',
+      cookie: adminCookie,
+      body: { category: 'research', title: 'Analýza konkurence', body: 'Top 5 e-shopů' },
+    });
+    const { note: saved } = await edited.json();
+    expect(saved.title).toBe('Analýza konkurence');
+    expect(saved.assignee).toBeUndefined();
+
+    expect((await server.request(`${notesPath}/${note.id}`, { method: 'DELETE', cookie: adminCookie })).status).toBe(204);
+    expect((await list()).map((n: { id: string }) => n.id)).not.toContain(note.id);
+  });
+
+  it('reorders a category only with its complete list of notes', async () => {
+    const priorities = (await list()).filter((n: { category: string }) => n.category === 'priorities');
+    const reversed = priorities.map((n: { id: string }) => n.id).reverse();
+
+    const partial = await server.request(`${notesPath}/order`, {
+      method: 'PUT',
+      cookie: adminCookie,
+      body: { category: 'priorities', noteIds: reversed.slice(1) },
+    });
+    expect(partial.status).toBe(409);
+
+    const reordered = await server.request(`${notesPath}/order`, {
+      method: 'PUT',
+      cookie: adminCookie,
+      body: { category: 'priorities', noteIds: reversed },
+    });
+    expect((await reordered.json()).notes.map((n: { id: string }) => n.id)).toEqual(reversed);
+    expect((await list()).map((n: { id: string }) => n.id)).toEqual(reversed);
+  });
+
+  it('validates notes and is limited to admins', async () => {
+    const invalid = await server.request(notesPath, {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { category: 'todo', title: '', channel: 'tiktok', dueDate: 'next week' },
+    });
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).details).toHaveLength(4);
+
+    const impossibleDate = await server.request(notesPath, {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { category: 'ideas', title: 'Únorová kampaň', dueDate: '2025-02-31' },
+    });
+    expect(impossibleDate.status).toBe(400);
+    expect((await impossibleDate.json()).details).toEqual(['dueDate: Expected a YYYY-MM-DD date']);
+
+    expect((await server.request('/clients/unknown.cz/notes', { cookie: adminCookie })).status).toBe(404);
+
+    const customerCookie = await server.login(CUSTOMER);
+    expect((await server.request(notesPath, { cookie: customerCookie })).status).toBe(403);
+  });
+});
@@ -0,0 +1,310 @@
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { formatEmail, FileTransport, MemoryTransport } from '../../server/notifications/transport';
+import { SmtpError, smtpErrorClassifier, SmtpTransport } from '../../server/notifications/smtp';
+import { NotificationService } from '../../server/notifications/service';
+import { renderNotification } from '../../server/notifications/templates';
+import { MemoryOutboxStore } from '../../server/stores/outbox-store';
+import { MemoryClientStore } from '../../server/stores/client-store';
+import { MemoryTemplateStore } from '../../server/stores/template-store';
+import { demoClients } from '../../server/stores/demo-data';
+
+const EMAIL = { from: 'portal@agentura.cz', to: 'klient@example.cz', subject: 'Přístupy', text: 'Dobrý den,\n.tečka' };
+
+describe('notification templates', () => {
+  it('renders subject and body with the signature in the chosen language', () => {
+    const email = renderNotification('granted', 'agency', 'en', {
+      clientName: 'MojeFirma.cz',
+      domain: 'mojefirma.cz',
+      platform: 'GA4',
+      url: 'http://portal/admin/verifications',
+    });
+
+    expect(email.subject).toBe('MojeFirma.cz granted access to GA4');
+    expect(email.body).toContain('Verify it: http://portal/admin/verifications');
+    expect(email.body.endsWith('— Marketing Portal')).toBe(true);
+  });
+});
+
+describe('notification service', () => {
+  const options = {
+    from: 'portal@agentura.cz',
+    language: 'en' as const,
+    portalUrl: 'http://portal.test/',
+    stalledAfterDays: 3,
+    retry: { baseDelay: 1, jitter: false },
+  };
+
+  let outbox: MemoryOutboxStore;
+  let mail: MemoryTransport;
+  let service: NotificationService;
+
+  beforeEach(() => {
+    outbox = new MemoryOutboxStore();
+    mail = new MemoryTransport();
+    service = new NotificationService(
+      outbox,
+      new MemoryClientStore(demoClients),
+      new MemoryTemplateStore({ granteeEmail: 'agentura@example.cz', platforms: {} }),
+      mail,
+      options
+    );
+  });
+
+  it('queues a stalled reminder for client and agency once per quiet period', async () => {
+    const now = new Date('2025-01-20T09:00:00.000Z');
+
+    const queued = await service.checkStalled(now);
+    expect(queued.map(message => [message.clientDomain, message.recipient])).toEqual([
+      ['mojefirma.cz', 'zakaznik@email.cz'],
+      ['mojefirma.cz', 'agentura@example.cz'],
+    ]);
+    expect(queued[0].body).toContain('5 days ago');
+    expect(queued[0].body).toContain('http://portal.test/onboarding');
+    expect(queued[1].body).toContain('Google Analytics 4 (Measurement)');
+
+    expect(await service.checkStalled(now)).toEqual([]);
+  });
+
+  it('leaves recent activity alone', async () => {
+    expect(await service.checkStalled(new Date('2025-01-16T09:00:00.000Z'))).toEqual([]);
+  });
+
+  it('retries transient failures and records the attempts', async () => {
+    await service.checkStalled(new Date('2025-01-20T09:00:00.000Z'));
+    mail.failWith(new SmtpError(451, 'RCPT', 'Try again later'));
+
+    expect(await service.dispatch()).toEqual({ sent: 2, deferred: 0, failed: 0 });
+    expect(mail.sent.map(email => email.to)).toEqual(['zakaznik@email.cz', 'agentura@example.cz']);
+
+    const [agency, client] = await outbox.list();
+    expect(client).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(agency).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  it('gives up on permanent failures without retrying', async () => {
+    await service.checkStalled(new Date('2025-01-20T09:00:00.000Z'));
+    mail.failWith(new SmtpError(550, 'RCPT', 'No such user'));
+
+    expect(await service.dispatch()).toEqual({ sent: 1, deferred: 0, failed: 1 });
+    const failed = await outbox.list({ status: 'failed' });
+    expect(failed).toHaveLength(1);
+    expect(failed[0]).toMatchObject({ recipient: 'zakaznik@email.cz', attempts: 1 });
+    expect(failed[0].lastError).toContain('550 No such user');
+
+    expect(await service.dispatch()).toEqual({ sent: 0, deferred: 0, failed: 0 });
+  });
+
+  const outage = (sends: number) =>
+    Array.from({ length: sends }, () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+  it('keeps emails through a mail server outage and redelivers them later', async () => {
+    await service.checkStalled(new Date('2025-01-20T09:00:00.000Z'));
+    mail.failWith(...outage(6));
+    const now = new Date();
+
+    expect(await service.dispatch(now)).toEqual({ sent: 0, deferred: 2, failed: 0 });
+    const deferred = await outbox.list({ status: 'pending' });
+    expect(deferred).toHaveLength(2);
+    expect(deferred[0]).toMatchObject({ attempts: 3, lastError: 'connect ECONNREFUSED' });
+    expect(new Date(deferred[0].nextAttemptAt!).getTime()).toBeGreaterThanOrEqual(now.getTime() + 60 * 1000);
+
+    expect(await service.dispatch(now)).toEqual({ sent: 0, deferred: 0, failed: 0 });
+
+    const later = new Date(now.getTime() + 61 * 1000);
+    expect(await service.dispatch(later)).toEqual({ sent: 2, deferred: 0, failed: 0 });
+    expect(mail.sent).toHaveLength(2);
+    expect(await outbox.list({ status: 'sent' })).toEqual([
+      expect.objectContaining({ attempts: 4 }),
+      expect.objectContaining({ attempts: 4 }),
+    ]);
+    expect((await outbox.list())[0].lastError).toBeUndefined();
+  });
+
+  it('marks emails failed once they reach maxAttempts', async () => {
+    service = new NotificationService(
+      outbox,
+      new MemoryClientStore(demoClients),
+      new MemoryTemplateStore({ granteeEmail: 'agentura@example.cz', platforms: {} }),
+      mail,
+      { ...options, maxAttempts: 3 }
+    );
+    await service.checkStalled(new Date('2025-01-20T09:00:00.000Z'));
+    mail.failWith(...outage(6));
+
+    expect(await service.dispatch()).toEqual({ sent: 0, deferred: 0, failed: 2 });
+    expect(await outbox.list({ status: 'failed' })).toHaveLength(2);
+  });
+});
+
+describe('notification triggers', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const setSetup = async (domain: string, platformId: string, status: string, cookie: string) =>
+    server.request(`/clients/${domain}/setup/${platformId}`, { method: 'PUT', body: { status }, cookie });
+
+  it('tells the agency about a new grant', async () => {
+    const customer = await server.login(CUSTOMER);
+
+    expect((await setSetup('mojefirma.cz', 'ga4', 'granted', customer)).status).toBe(200);
+
+    const queued = await server.outbox.list();
+    expect(queued).toHaveLength(1);
+    expect(queued[0]).toMatchObject({ event: 'granted', recipient: server.deps.config.defaultGranteeEmail, language: 'cs' });
+    expect(queued[0].subject).toBe('MojeFirma.cz udělil(a) přístup – Google Analytics 4 (Měření)');
+  });
+
+  it('keeps a saved setup change successful when the outbox fails', async () => {
+    jest.spyOn(server.outbox, 'enqueue').mockRejectedValue(new Error('outbox is down'));
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const customer = await server.login(CUSTOMER);
+
+    const response = await setSetup('mojefirma.cz', 'ga4', 'granted', customer);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).client.setupState.ga4.status).toBe('granted');
+    expect(logged).toHaveBeenCalledWith(expect.stringContaining("'ga4'"), expect.any(Error));
+    logged.mockRestore();
+  });
+
+  it('announces the start of onboarding once', async () => {
+    const admin = await server.login(ADMIN);
+
+    await setSetup('eshop-sportovni.cz', 'gtm', 'need', admin);
+    await setSetup('eshop-sportovni.cz', 'ga4', 'have', admin);
+
+    expect((await server.outbox.list()).map(message => message.event)).toEqual(['started']);
+  });
+
+  it('emails both sides when the last platform is granted', async () => {
+    const admin = await server.login(ADMIN);
+
+    for (const platformId of ['gtm', 'ga4', 'gsc', 'meta', 'looker']) {
+      await setSetup('mojefirma.cz', platformId, 'granted', admin);
+    }
+
+    const completed = await server.outbox.list({ clientDomain: 'mojefirma.cz' });
+    expect(completed.filter(message => message.event === 'completed').map(message => message.recipient).sort())
+      .toEqual([server.deps.config.defaultGranteeEmail, 'zakaznik@email.cz'].sort());
+
+    await server.deps.notifications.dispatch();
+    expect(server.mail.sent).toHaveLength(completed.length);
+  });
+});
+
+describe('mail transports', () => {
+  it('formats an RFC 5322 message with encoded subject and body', () => {
+    const text = formatEmail(EMAIL, new Date('2025-01-15T09:00:00.000Z'));
+    const [headers, body] = text.split('\r\n\r\n');
+
+    expect(headers).toContain('To: klient@example.cz');
+    expect(headers).toContain(`Subject: =?UTF-8?B?${Buffer.from('Přístupy').toString('base64')}?=`);
+    expect(headers).toContain('Date: Wed, 15 Jan 2025 09:00:00 GMT');
+    expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')).toBe(EMAIL.text);
+  });
+
+  it('writes .eml files', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    try {
+      await new FileTransport(dir).send(EMAIL);
+      const [file] = await readdir(dir);
+      expect(file).toMatch(/klient@example\.cz\.eml$/);
+      expect(await readFile(path.join(dir, file), 'utf8')).toContain('From: portal@agentura.cz');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe('SMTP', () => {
+    let smtp: net.Server;
+    let port: number;
+    let transcript: string[];
+    let rcptReply: string;
+
+    beforeEach(async () => {
+      transcript = [];
+      rcptReply = '250 OK';
+      smtp = net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 fake ESMTP\r\n');
+        socket.on('data', chunk => {
+          buffer += chunk.toString('utf8');
+          let end: number;
+          while ((end = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            transcript.push(line);
+
+            if (inData) {
+              if (line === '.') {
+                inData = false;
+                socket.write('250 Queued\r\n');
+              }
+            } else if (line.startsWith('EHLO')) socket.write('250-fake\r\n250 AUTH PLAIN\r\n');
+            else if (line.startsWith('AUTH')) socket.write('235 Authenticated\r\n');
+            else if (line.startsWith('RCPT')) socket.write(`${rcptReply}\r\n`);
+            else if (line === 'DATA') {
+              inData = true;
+              socket.write('354 Go ahead\r\n');
+            } else if (line === 'QUIT') socket.end('221 Bye\r\n');
+            else socket.write('250 OK\r\n');
+          }
+        });
+      });
+      await new Promise<void>(resolve => smtp.listen(0, '127.0.0.1', resolve));
+      port = (smtp.address() as net.AddressInfo).port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => smtp.close(resolve));
+    });
+
+    const transport = () => new SmtpTransport({ host: '127.0.0.1', port, secure: false, user: 'portal', password: 'secret' });
+
+    it('authenticates and delivers the message', async () => {
+      await transport().send(EMAIL);
+
+      expect(transcript).toContain('EHLO agentura.cz');
+      expect(transcript).toContain(`AUTH PLAIN ${Buffer.from('\0portal\0secret').toString('base64')}`);
+      expect(transcript).toContain('MAIL FROM:<portal@agentura.cz>');
+      expect(transcript).toContain('RCPT TO:<klient@example.cz>');
+      expect(transcript[transcript.length - 1]).toBe('QUIT');
+    });
+
+    it('classifies 4xx replies as retryable and 5xx replies as final', async () => {
+      rcptReply = '450 Mailbox busy';
+      const busy = await transport().send(EMAIL).catch(error => error);
+      expect(busy).toBeInstanceOf(SmtpError);
+      expect(busy.message).toBe('SMTP RCPT answered 450 Mailbox busy');
+      expect(smtpErrorClassifier(busy)).toEqual({ retry: true });
+
+      rcptReply = '550 No such user';
+      expect(smtpErrorClassifier(await transport().send(EMAIL).catch(error => error))).toEqual({ retry: false });
+      expect(smtpErrorClassifier(new Error('connect ECONNREFUSED'))).toBeUndefined();
+    });
+
+    it('gives up on a host that never answers the connect', async () => {
+      const connect = jest.spyOn(net, 'connect').mockImplementation(() => new net.Socket());
+
+      try {
+        const silent = new SmtpTransport({ host: '192.0.2.1', port: 25, secure: false, timeoutMs: 50 });
+        await expect(silent.send(EMAIL)).rejects.toThrow('SMTP connect timeout after 50 ms');
+      } finally {
+        connect.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { detectOs } from '../../os';
+import { instructionsForOs, resolveInstructions } from '../../i18n/templates';
+import type { AgencyTemplates, InstructionItem, OperatingSystem } from '../../types';
+
+const templates: AgencyTemplates = { granteeEmail: 'team@agency.test', platforms: {} };
+
+describe('operating system detection', () => {
+  it('tells Windows and macOS apart and counts phones as other', () => {
+    expect(detectOs('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0 Safari/537.36')).toBe('win');
+    expect(detectOs('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 Version/17.5 Safari/605.1.15')).toBe('mac');
+    expect(detectOs('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148')).toBe('other');
+    expect(detectOs('Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/127.0')).toBe('other');
+  });
+});
+
+describe('instructionsForOs', () => {
+  const item: InstructionItem = {
+    id: 'meta',
+    title: 'Meta',
+    steps: ['Open Business Settings.', 'Enter email: {email}'],
+    variants: {
+      mac: { shortcuts: { 1: '⌘ + V' }, screenshots: { 0: { src: '/screenshots/meta-mac.png', alt: 'Business Settings' } } },
+      other: { steps: ['Open business.facebook.com in a browser.'] },
+    },
+  };
+
+  it('adds the shortcuts and screenshots of the matching variant', () => {
+    const [mac] = instructionsForOs([item], 'mac');
+    expect(mac.steps).toEqual(item.steps);
+    expect(mac.shortcuts).toEqual({ 1: '⌘ + V' });
+    expect(mac.screenshots?.[0].src).toBe('/screenshots/meta-mac.png');
+    expect(mac).not.toHaveProperty('variants');
+  });
+
+  it('replaces the steps with the variant steps and falls back to the defaults', () => {
+    expect(instructionsForOs([item], 'other')[0].steps).toEqual(['Open business.facebook.com in a browser.']);
+    expect(instructionsForOs([item], 'win')[0].steps).toEqual(item.steps);
+  });
+
+  it('hints the paste shortcut of each system at the email step', () => {
+    const ga4 = (os: 'win' | 'mac') =>
+      instructionsForOs(resolveInstructions('en', templates), os).find(instruction => instruction.id === 'ga4')!;
+
+    expect(ga4('mac').shortcuts?.[3]).toBe('⌘ + V');
+    expect(ga4('win').shortcuts?.[3]).toBe('Ctrl + V');
+    expect(ga4('win').steps[3]).toContain('{email}');
+  });
+
+  it('shows the catalog screenshots and phone steps of each system', () => {
+    const instruction = (os: OperatingSystem, id: string) =>
+      instructionsForOs(resolveInstructions('cs', templates), os).find(item => item.id === id)!;
+
+    expect(instruction('win', 'google-ads').screenshots?.[0].src).toBe('/screenshots/split-screen-win.svg');
+    expect(instruction('mac', 'google-ads').screenshots?.[0].src).toBe('/screenshots/split-screen-mac.svg');
+    expect(instruction('other', 'google-ads').screenshots?.[0]).toBeUndefined();
+    expect(instruction('other', 'gsc').steps[0]).toContain('☰');
+    expect(instruction('other', 'gsc').shortcuts).toBeUndefined();
+    expect(instruction('win', 'gsc').steps).toEqual(instruction('mac', 'gsc').steps);
+  });
+
+  it('drops the catalog variants when the agency overrides the steps', () => {
+    const overridden: AgencyTemplates = { ...templates, platforms: { ga4: { steps: { en: ['Add {email}'] } } } };
+    const [ga4] = instructionsForOs(resolveInstructions('en', overridden), 'mac').filter(instruction => instruction.id === 'ga4');
+
+    expect(ga4.steps).toEqual(['Add {email}']);
+    expect(ga4.shortcuts).toBeUndefined();
+  });
+});
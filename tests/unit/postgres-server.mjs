@@ -0,0 +1,50 @@
+/**
+ * Throwaway PostgreSQL server for the store tests.
+ *
+ * embedded-postgres is an ES module, which Jest cannot load in this CommonJS
+ * setup, so the tests start this script as a child process. It prints the
+ * connection settings as one JSON line once the server accepts connections
+ * and stops the server, deleting its data, when stdin closes.
+ */
+import { rmSync } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import EmbeddedPostgres from 'embedded-postgres';
+
+const freePort = () => new Promise(resolve => {
+  const server = net.createServer().listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const port = await freePort();
+const settings = { host: 'localhost', port, user: 'postgres', password: 'test', database: 'postgres' };
+const databaseDir = path.join(os.tmpdir(), `portal-test-db-${process.pid}`);
+const database = new EmbeddedPostgres({
+  databaseDir,
+  port,
+  user: settings.user,
+  password: settings.password,
+  persistent: false,
+  // PostgreSQL refuses to run as root
+  createPostgresUser: process.getuid?.() === 0,
+  onLog: () => undefined,
+});
+
+let stopping;
+const stop = () => {
+  stopping ??= database.stop().finally(() => process.exit(0));
+  return stopping;
+};
+process.stdin.on('end', stop);
+process.stdin.resume();
+process.on('SIGTERM', stop);
+
+// Also when initdb or the server fail to start
+process.on('exit', () => rmSync(databaseDir, { recursive: true, force: true }));
+
+await database.initialise();
+await database.start();
+process.stdout.write(`${JSON.stringify(settings)}\n`);
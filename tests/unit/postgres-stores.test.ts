@@ -0,0 +1,303 @@
+import { spawn } from 'child_process';
+import type { ChildProcess } from 'child_process';
+import path from 'path';
+import { Pool } from 'pg';
+import { applySchema } from '../../server/db/pool';
+import { PostgresAuditStore } from '../../server/stores/postgres-audit-store';
+import { PostgresClientStore } from '../../server/stores/postgres-client-store';
+import { PostgresDeliverableStore } from '../../server/stores/postgres-deliverable-store';
+import { PostgresMessageStore } from '../../server/stores/postgres-message-store';
+import { PostgresMetricsStore } from '../../server/stores/postgres-metrics-store';
+import { PostgresNoteStore } from '../../server/stores/postgres-note-store';
+import { PostgresOutboxStore } from '../../server/stores/postgres-outbox-store';
+import { PostgresSuggestionStore } from '../../server/stores/postgres-suggestion-store';
+import { PostgresTemplateStore } from '../../server/stores/postgres-template-store';
+import { DuplicateClientError } from '../../server/stores/client-store';
+import { STALE_CLAIM_MS } from '../../server/stores/outbox-store';
+import { day } from './helpers';
+
+/** Starts tests/unit/postgres-server.mjs and resolves with its connection settings */
+const startPostgres = (server: ChildProcess) => new Promise<Record<string, unknown>>((resolve, reject) => {
+  let output = '';
+  server.stdout!.on('data', chunk => {
+    output += chunk;
+    if (output.includes('\n')) resolve(JSON.parse(output));
+  });
+  server.stderr!.on('data', chunk => { output += chunk; });
+  server.on('exit', code => reject(new Error(`PostgreSQL test server exited with ${code}: ${output}`)));
+});
+
+const CLIENT = {
+  domain: 'https://MojeFirma.cz/',
+  name: 'MojeFirma.cz',
+  email: 'zakaznik@email.cz',
+  onboardingComplete: false,
+  currency: 'CZK',
+  retainerFee: 25000,
+};
+
+/** The stores against a throwaway PostgreSQL server with server/db/schema.sql applied */
+describe('PostgreSQL stores', () => {
+  let server: ChildProcess;
+  let pool: Pool;
+
+  beforeAll(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, 'postgres-server.mjs')], { stdio: ['pipe', 'pipe', 'pipe'] });
+    pool = new Pool(await startPostgres(server));
+    await applySchema(pool);
+    // Re-applying on every startup must work
+    await applySchema(pool);
+  }, 120000);
+
+  afterAll(async () => {
+    await pool?.end();
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.stdin!.end();
+    await exited;
+  }, 30000);
+
+  beforeEach(async () => {
+    await pool.query(`TRUNCATE clients, agency_templates, notification_outbox, audit_log RESTART IDENTITY CASCADE`);
+    await new PostgresClientStore(pool).create(CLIENT);
+  });
+
+  describe('clients', () => {
+    it('creates a client with tasks and setup state and refuses a duplicate domain', async () => {
+      const clients = new PostgresClientStore(pool);
+      await clients.create({
+        ...CLIENT,
+        domain: 'kavarna.cz',
+        name: 'Kavárna u mostu',
+        accountIds: { ga4AccountId: '123' },
+        tasks: [{ title: 'Logo', status: 'todo', channel: 'seo' }, { title: 'Brief', status: 'done' }],
+        setupState: { ga4: { status: 'granted', updatedAt: '2025-01-02T10:00:00.000Z', grantedAt: '2025-01-02T10:00:00.000Z' } },
+      });
+
+      const client = (await clients.get('KAVARNA.cz'))!;
+      expect(client).toMatchObject({ domain: 'kavarna.cz', retainerFee: 25000, accountIds: { ga4AccountId: '123' } });
+      expect(client.tasks.map(task => [task.title, task.channel])).toEqual([['Logo', 'seo'], ['Brief', undefined]]);
+      expect(client.setupState.ga4).toEqual({
+        status: 'granted',
+        updatedAt: '2025-01-02T10:00:00.000Z',
+        grantedAt: '2025-01-02T10:00:00.000Z',
+      });
+      await expect(clients.create(CLIENT)).rejects.toBeInstanceOf(DuplicateClientError);
+      expect((await clients.list()).map(existing => existing.domain)).toEqual(['kavarna.cz', 'mojefirma.cz']);
+    });
+
+    it('updates only the given fields', async () => {
+      const clients = new PostgresClientStore(pool);
+
+      const updated = await clients.update('mojefirma.cz', { retainerFee: 30000, accountIds: { gscProperty: 'sc-domain:mojefirma.cz' } });
+
+      expect(updated).toMatchObject({ name: 'MojeFirma.cz', retainerFee: 30000, accountIds: { gscProperty: 'sc-domain:mojefirma.cz' } });
+      expect(await clients.update('unknown.cz', { name: 'Nobody' })).toBeUndefined();
+    });
+
+    it('updates tasks like the memory store, including clearing the channel', async () => {
+      const clients = new PostgresClientStore(pool);
+      const task = (await clients.addTask('mojefirma.cz', { title: 'Audit', status: 'todo', channel: 'seo' }))!;
+
+      expect(await clients.updateTask('mojefirma.cz', task.id, { status: 'done' })).toEqual({ ...task, status: 'done' });
+      expect(await clients.updateTask('mojefirma.cz', task.id, { channel: undefined })).toEqual({ id: task.id, title: 'Audit', status: 'done' });
+      expect(await clients.updateTask('mojefirma.cz', task.id, { channel: 'ppc' })).toMatchObject({ channel: 'ppc' });
+      expect(await clients.addTask('unknown.cz', { title: 'Audit', status: 'todo' })).toBeUndefined();
+    });
+
+    it('answers ids no row can have as not found', async () => {
+      const clients = new PostgresClientStore(pool);
+
+      expect(await clients.updateTask('mojefirma.cz', 'abc', { status: 'done' })).toBeUndefined();
+      expect(await clients.updateTask('mojefirma.cz', '99999999999', { status: 'done' })).toBeUndefined();
+      expect(await clients.deleteTask('mojefirma.cz', '-1')).toBe(false);
+    });
+
+    it('saves setup state and deletes the client with it', async () => {
+      const clients = new PostgresClientStore(pool);
+
+      const saved = await clients.saveSetup('mojefirma.cz', 'meta', {
+        status: 'rejected',
+        updatedAt: '2025-01-03T08:00:00.000Z',
+        rejectedAt: '2025-01-03T08:00:00.000Z',
+        rejectionReason: 'Wrong account',
+      });
+
+      expect(saved).toMatchObject({ status: 'rejected', rejectionReason: 'Wrong account' });
+      expect(await clients.saveSetup('unknown.cz', 'meta', { status: 'have', updatedAt: '2025-01-03T08:00:00.000Z' })).toBeUndefined();
+      expect(await clients.delete('mojefirma.cz')).toBe(true);
+      expect(await clients.get('mojefirma.cz')).toBeUndefined();
+    });
+  });
+
+  describe('notes', () => {
+    const note = (title: string, category: 'plans' | 'ideas' = 'plans') => ({ category, title, body: '' });
+
+    it('keeps positions per category when notes move and are reordered', async () => {
+      const notes = new PostgresNoteStore(pool);
+      const first = await notes.create('mojefirma.cz', note('First'));
+      const second = await notes.create('mojefirma.cz', { ...note('Second'), dueDate: '2025-03-01', channel: 'seo' });
+      const idea = await notes.create('mojefirma.cz', note('Idea', 'ideas'));
+
+      expect([first.position, second.position, idea.position]).toEqual([0, 1, 0]);
+      expect(second).toMatchObject({ dueDate: '2025-03-01', channel: 'seo' });
+
+      const moved = (await notes.update('mojefirma.cz', first.id, note('First', 'ideas')))!;
+      expect(moved).toMatchObject({ category: 'ideas', position: 1 });
+
+      const reordered = (await notes.reorder('mojefirma.cz', 'ideas', [moved.id, idea.id]))!;
+      expect(reordered.map(existing => [existing.title, existing.position])).toEqual([['First', 0], ['Idea', 1]]);
+      expect(await notes.reorder('mojefirma.cz', 'ideas', [idea.id])).toBeUndefined();
+
+      expect(await notes.delete('mojefirma.cz', second.id)).toBe(true);
+      expect(await notes.update('mojefirma.cz', 'abc', note('Nothing'))).toBeUndefined();
+      expect((await notes.list('mojefirma.cz')).map(existing => existing.title).sort()).toEqual(['First', 'Idea']);
+    });
+  });
+
+  describe('deliverables and messages', () => {
+    it('keeps deliverables ordered by due date', async () => {
+      const deliverables = new PostgresDeliverableStore(pool);
+      const later = await deliverables.create('mojefirma.cz', { title: 'Report', dueDate: '2025-04-30', status: 'planned' });
+      await deliverables.create('mojefirma.cz', { title: 'Audit', dueDate: '2025-04-01', status: 'planned', channel: 'seo' });
+
+      const delivered = await deliverables.update('mojefirma.cz', later.id, { ...later, status: 'delivered' });
+
+      expect(delivered).toMatchObject({ title: 'Report', dueDate: '2025-04-30', status: 'delivered' });
+      expect((await deliverables.list('mojefirma.cz')).map(existing => existing.title)).toEqual(['Audit', 'Report']);
+      expect(await deliverables.delete('mojefirma.cz', '2147483648')).toBe(false);
+      expect(await deliverables.delete('mojefirma.cz', later.id)).toBe(true);
+    });
+
+    it('lists the thread oldest first', async () => {
+      const messages = new PostgresMessageStore(pool);
+      await messages.create('MojeFirma.cz', { authorRole: 'CUSTOMER', authorName: 'Jan', body: 'Ahoj' });
+      await messages.create('mojefirma.cz', { authorRole: 'ADMIN', authorName: 'Pavel', body: 'Dobrý den' });
+
+      expect((await messages.list('mojefirma.cz')).map(message => message.body)).toEqual(['Ahoj', 'Dobrý den']);
+    });
+  });
+
+  describe('metrics', () => {
+    it('counts inserted, updated and unchanged days and keeps metrics left out', async () => {
+      const metrics = new PostgresMetricsStore(pool);
+      const first = [day('2025-01-01', 'ppc', 100, 400), day('2025-01-02', 'ppc', 120, 300)];
+
+      expect(await metrics.upsert('mojefirma.cz', first)).toEqual({ inserted: 2, updated: 0, unchanged: 0 });
+      expect(await metrics.upsert('mojefirma.cz', [
+        first[0],
+        { date: '2025-01-02', channel: 'ppc', revenue: 500 },
+        day('2025-01-02', 'seo', 0, 50),
+      ])).toEqual({ inserted: 1, updated: 1, unchanged: 1 });
+
+      expect(await metrics.daily('mojefirma.cz', { from: '2025-01-02', to: '2025-01-31', channel: 'ppc' })).toEqual([
+        { ...first[1], revenue: 500 },
+      ]);
+      expect(await metrics.daily('mojefirma.cz', { from: '2025-01-01', to: '2025-01-31' })).toHaveLength(3);
+    });
+  });
+
+  describe('outbox', () => {
+    const draft = (recipient: string) => ({
+      key: 'granted:mojefirma.cz:ga4',
+      event: 'granted' as const,
+      clientDomain: 'mojefirma.cz',
+      recipient,
+      language: 'cs' as const,
+      subject: 'Přístup',
+      body: 'Hotovo',
+    });
+
+    it('queues a key once per recipient and keeps failed deliveries pending until their retry time', async () => {
+      const outbox = new PostgresOutboxStore(pool);
+      expect(await outbox.enqueue([draft('a@example.cz'), draft('b@example.cz')])).toHaveLength(2);
+      expect(await outbox.enqueue([draft('a@example.cz')])).toEqual([]);
+
+      const now = new Date('2025-01-20T09:00:00.000Z');
+      const [first, second] = await outbox.claim(10, now);
+      expect(await outbox.claim(10, now)).toEqual([]);
+
+      await outbox.complete(first.id, { attempts: 1 });
+      await outbox.complete(second.id, { attempts: 3, error: 'ECONNREFUSED', retryAt: new Date(now.getTime() + 60000) });
+
+      expect(await outbox.list({ status: 'sent' })).toEqual([expect.objectContaining({ id: first.id, attempts: 1 })]);
+      expect((await outbox.list({ status: 'pending' }))[0]).toMatchObject({
+        attempts: 3,
+        lastError: 'ECONNREFUSED',
+        nextAttemptAt: '2025-01-20T09:01:00.000Z',
+      });
+      expect(await outbox.claim(10, now)).toEqual([]);
+      expect((await outbox.claim(10, new Date(now.getTime() + 60000))).map(message => message.id)).toEqual([second.id]);
+
+      await outbox.complete(second.id, { attempts: 1, error: '550 No such user' });
+      expect(await outbox.list({ status: 'failed' })).toHaveLength(1);
+    });
+
+    it('claims messages a crashed worker left sending once the claim is stale', async () => {
+      const outbox = new PostgresOutboxStore(pool);
+      await outbox.enqueue([draft('a@example.cz')]);
+      const now = new Date();
+
+      expect(await outbox.claim(10, now)).toHaveLength(1);
+      expect(await outbox.claim(10, new Date(now.getTime() + STALE_CLAIM_MS + 1000))).toHaveLength(1);
+    });
+  });
+
+  describe('suggestions', () => {
+    it('approves only from the state it was read in and never after delivery', async () => {
+      const suggestions = new PostgresSuggestionStore(pool);
+      const [suggestion] = await suggestions.add('mojefirma.cz', [{ key: 'seo', title: 'SEO', body: '', source: 'rules' }]);
+      expect(await suggestions.add('mojefirma.cz', [{ key: 'seo', title: 'SEO', body: '', source: 'rules' }])).toEqual([]);
+
+      expect(await suggestions.approve('mojefirma.cz', suggestion.id, suggestion)).toMatchObject({ status: 'approved' });
+      expect(await suggestions.approve('mojefirma.cz', suggestion.id, suggestion)).toBeUndefined();
+
+      const approved = (await suggestions.get('mojefirma.cz', suggestion.id))!;
+      expect(await suggestions.approve('mojefirma.cz', suggestion.id, approved)).toMatchObject({ status: 'approved' });
+
+      const task = (await new PostgresClientStore(pool).addTask('mojefirma.cz', { title: 'SEO', status: 'todo' }))!;
+      const sent = await suggestions.decide('mojefirma.cz', suggestion.id, { status: 'sent', taskId: task.id });
+      expect(sent).toMatchObject({ status: 'sent', taskId: task.id });
+      expect(await suggestions.approve('mojefirma.cz', suggestion.id, sent!)).toBeUndefined();
+      expect(await suggestions.reject('mojefirma.cz', suggestion.id)).toBeUndefined();
+      expect(await suggestions.get('mojefirma.cz', 'abc')).toBeUndefined();
+    });
+
+    it('rejects only a suggestion that is still proposed', async () => {
+      const suggestions = new PostgresSuggestionStore(pool);
+      const [first, second] = await suggestions.add('mojefirma.cz', [
+        { key: 'seo', title: 'SEO', body: '', source: 'rules' },
+        { key: 'ppc', title: 'PPC', body: '', source: 'rules' },
+      ]);
+      await suggestions.approve('mojefirma.cz', first.id, first);
+
+      expect(await suggestions.reject('mojefirma.cz', first.id)).toBeUndefined();
+      expect(await suggestions.reject('mojefirma.cz', second.id)).toMatchObject({ status: 'rejected' });
+      expect(await suggestions.reject('mojefirma.cz', second.id)).toBeUndefined();
+    });
+  });
+
+  describe('audit log and templates', () => {
+    const ACTOR = { actorId: '1', actorEmail: 'admin@agentura.cz', actorName: 'Pavel', actorRole: 'ADMIN' as const };
+
+    it('filters the audit log like the memory store', async () => {
+      const audit = new PostgresAuditStore(pool);
+      await audit.append({ ...ACTOR, correlationId: 'a', action: 'setup.change', clientDomain: 'mojefirma.cz', target: 'ga4' });
+      await audit.append({ ...ACTOR, correlationId: 'b', action: 'note.create', clientDomain: 'mojefirma.cz', details: { title: 'Plán' } });
+      await audit.append({ ...ACTOR, correlationId: 'c', action: 'setup.verify', actorName: 'Jana' });
+
+      expect((await audit.list()).map(entry => entry.correlationId)).toEqual(['c', 'b', 'a']);
+      expect((await audit.list({ action: 'setup' })).map(entry => entry.correlationId)).toEqual(['c', 'a']);
+      expect((await audit.list({ actor: 'JANA' })).map(entry => entry.correlationId)).toEqual(['c']);
+      expect((await audit.list({ clientDomain: 'mojefirma.cz', limit: 1 }))[0]).toMatchObject({ correlationId: 'b', details: { title: 'Plán' } });
+      await expect(pool.query(`UPDATE audit_log SET actor_name = 'Nobody'`)).rejects.toThrow();
+    });
+
+    it('falls back to the defaults until templates are saved', async () => {
+      const templates = new PostgresTemplateStore(pool, { granteeEmail: 'team@agentura.cz', platforms: {} });
+      expect(await templates.get()).toMatchObject({ granteeEmail: 'team@agentura.cz', platforms: {} });
+
+      await templates.save({ granteeEmail: 'ppc@agentura.cz', platforms: { ga4: { steps: { cs: ['Přidejte {email}'] } } } });
+      expect(await templates.get()).toMatchObject({ granteeEmail: 'ppc@agentura.cz', platforms: { ga4: { steps: { cs: ['Přidejte {email}'] } } } });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { ADMIN, CUSTOMER, day, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { MemoryClientStore } from '../../server/stores/client-store';
+import { demoClients } from '../../server/stores/demo-data';
+import { agencyRoiCsv, buildAgencyRoiReport, clientRoi, prorateRetainer } from '../../server/reports/agency-roi';
+import { summarizeMetrics } from '../../metrics';
+import type { AgencyRoiReport, ClientData } from '../../types';
+
+const range = { from: '2025-01-08', to: '2025-01-14' };
+
+describe('agency ROI report', () => {
+  let clients: ClientData[];
+
+  beforeAll(async () => {
+    clients = await new MemoryClientStore(demoClients).list();
+  });
+
+  const client = (domain: string) => clients.find(existing => existing.domain === domain) as ClientData;
+
+  it('prorates the monthly retainer to the period', () => {
+    expect(prorateRetainer(36500, range)).toBe(8400);
+    expect(prorateRetainer(0, range)).toBe(0);
+  });
+
+  it('compares results with the retainer and flags slipping clients', () => {
+    const roi = clientRoi(client('mojefirma.cz'), summarizeMetrics([
+      day('2025-01-02', 'google-ads', 1000, 8000),
+      day('2025-01-10', 'google-ads', 1000, 6000),
+    ], range, 'CZK'));
+
+    expect(roi).toMatchObject({ spend: 1000, revenue: 6000, roas: 6, retainer: 5753.42, trendingDown: true });
+    expect(roi.roasChange).toBeCloseTo(-0.25);
+    expect(roi.resultsPerFee).toBeCloseTo(5000 / 5753.42);
+  });
+
+  it('buckets clients by ROAS and totals them per currency', () => {
+    const summaries = {
+      'mojefirma.cz': summarizeMetrics([day('2025-01-10', 'google-ads', 100, 500)], range, 'CZK'),
+      'kavarna-u-mostu.cz': summarizeMetrics([], range, 'CZK'),
+      'eshop-sportovni.cz': summarizeMetrics([day('2025-01-10', 'social', 100, 900)], range, 'EUR'),
+    };
+    const report = buildAgencyRoiReport(
+      clients.map(existing => (existing.domain === 'eshop-sportovni.cz' ? { ...existing, currency: 'EUR' } : existing)),
+      summaries,
+      range
+    );
+
+    expect(report.roasDistribution.map(bucket => bucket.clients)).toEqual([0, 0, 0, 1, 1]);
+    expect(report.roasDistribution[4].max).toBeNull();
+    expect(report.withoutSpend).toBe(1);
+    expect(Object.keys(report.totals).sort()).toEqual(['CZK', 'EUR']);
+    expect(report.totals.CZK).toMatchObject({ spend: 100, revenue: 500 });
+
+    const [period, header, ...rows] = agencyRoiCsv(report).trim().split(/\r?\n/);
+    expect(period).toBe('from,2025-01-08,to,2025-01-14');
+    expect(header.split(',')[0]).toBe('domain');
+    expect(rows).toHaveLength(3);
+  });
+});
+
+describe('agency ROI API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('reports the portfolio to admins as JSON or CSV', async () => {
+    const cookie = await server.login(ADMIN);
+    const response = await server.request('/reports/agency-roi?from=2025-01-01&to=2025-01-31', { cookie });
+    const { report } = await response.json() as { report: AgencyRoiReport };
+
+    expect(report.range).toEqual({ from: '2025-01-01', to: '2025-01-31' });
+    expect(report.clients.map(row => row.domain).sort()).toEqual(['eshop-sportovni.cz', 'kavarna-u-mostu.cz', 'mojefirma.cz']);
+    expect(report.clients.find(row => row.domain === 'mojefirma.cz').retainer).toBe(25479.45);
+
+    const csv = await server.request('/reports/agency-roi?format=csv', { cookie });
+    expect(csv.headers.get('content-type')).toContain('text/csv');
+    expect(csv.headers.get('content-disposition')).toMatch(/attachment; filename="agency-roi-.*\.csv"/);
+    expect((await csv.text()).split(/\r?\n/)[1]).toContain('resultsPerFee');
+
+    expect((await server.request('/reports/agency-roi?from=2025-02-01&to=2025-01-01', { cookie })).status).toBe(400);
+  });
+
+  it('is not available to customers', async () => {
+    const cookie = await server.login(CUSTOMER);
+    expect((await server.request('/reports/agency-roi', { cookie })).status).toBe(403);
+  });
+});
@@ -0,0 +1,33 @@
+import { parseRoute, routePath } from '../../routing';
+import type { Route } from '../../routing';
+
+describe('client-side routes', () => {
+  it('round-trips every screen through its URL', () => {
+    const routes: Route[] = [
+      { name: 'home' },
+      { name: 'onboarding' },
+      { name: 'onboarding', platformId: 'ga4' },
+      { name: 'wizard' },
+      { name: 'wizard', step: 'summary' },
+      { name: 'dashboard' },
+      { name: 'manual', language: 'en' },
+      { name: 'admin', view: 'clients' },
+      { name: 'admin', view: 'clients', domain: 'kavarna-u-mostu.cz' },
+      { name: 'admin', view: 'roi' },
+    ];
+
+    for (const route of routes) {
+      const [pathname, search] = routePath(route).split('?');
+      expect(parseRoute(pathname, search && `?${search}`)).toEqual(route);
+    }
+  });
+
+  it('falls back for unknown or malformed URLs', () => {
+    expect(parseRoute('/nowhere')).toEqual({ name: 'home' });
+    expect(parseRoute('/admin')).toEqual({ name: 'admin', view: 'clients' });
+    expect(parseRoute('/admin/unknown/x')).toEqual({ name: 'admin', view: 'clients' });
+    expect(parseRoute('/admin/roi/extra')).toEqual({ name: 'admin', view: 'roi' });
+    expect(parseRoute('/manual', '?lang=de')).toEqual({ name: 'manual' });
+    expect(parseRoute('/onboarding/%E0%A4%A')).toEqual({ name: 'onboarding', platformId: '%E0%A4%A' });
+  });
+});
@@ -0,0 +1,75 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { applySetupChange, PLATFORM_IDS } from '../../server/onboarding/setup-state';
+
+describe('applySetupChange', () => {
+  const monday = new Date('2025-03-03T10:00:00.000Z');
+  const tuesday = new Date('2025-03-04T10:00:00.000Z');
+
+  it('stamps grant and verification times once', () => {
+    const granted = applySetupChange(undefined, { status: 'granted' }, monday);
+    expect(granted.grantedAt).toBe(monday.toISOString());
+
+    const verified = applySetupChange(granted, { status: 'verified' }, tuesday);
+    expect(verified.grantedAt).toBe(monday.toISOString());
+    expect(verified.verifiedAt).toBe(tuesday.toISOString());
+    expect(verified.updatedAt).toBe(tuesday.toISOString());
+  });
+
+  it('keeps the note unless a new one is given and clears stale timestamps', () => {
+    const granted = applySetupChange(undefined, { status: 'granted', note: 'Pozvánka odeslána' }, monday);
+    const reverted = applySetupChange(granted, { status: 'need' }, tuesday);
+
+    expect(reverted.note).toBe('Pozvánka odeslána');
+    expect(reverted.grantedAt).toBeUndefined();
+  });
+});
+
+describe('setup state API', () => {
+  let server: TestServer;
+  let customerCookie: string;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    customerCookie = await server.login(CUSTOMER);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const save = (platformId: string, body: object, cookie = customerCookie) =>
+    server.request(`/clients/mojefirma.cz/setup/${platformId}`, { method: 'PUT', cookie, body });
+
+  it('persists progress so a later session can resume it', async () => {
+    const response = await save('meta', { status: 'need', note: 'Nemáme Business Manager' });
+    expect(response.status).toBe(200);
+
+    const nextSession = await server.login(CUSTOMER);
+    const { client } = await (await server.request('/clients/mojefirma.cz', { cookie: nextSession })).json();
+    expect(client.setupState.meta).toMatchObject({ status: 'need', note: 'Nemáme Business Manager' });
+    expect(client.setupState['google-ads'].status).toBe('granted');
+  });
+
+  it('completes onboarding once every platform is resolved', async () => {
+    let client;
+    for (const platformId of PLATFORM_IDS) {
+      expect(client?.onboardingComplete).not.toBe(true);
+      client = (await (await save(platformId, { status: 'granted' })).json()).client;
+    }
+    expect(client.onboardingComplete).toBe(true);
+  });
+
+  it('leaves verification to the agency', async () => {
+    expect((await save('gtm', { status: 'verified' })).status).toBe(403);
+
+    const adminCookie = await server.login(ADMIN);
+    expect((await save('gtm', { status: 'verified' }, adminCookie)).status).toBe(200);
+  });
+
+  it('rejects unknown platforms', async () => {
+    const response = await save('myspace', { status: 'have' });
+    expect(response.status).toBe(404);
+    expect((await response.json()).code).toBe('PLATFORM_NOT_FOUND');
+  });
+});
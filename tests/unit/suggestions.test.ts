@@ -0,0 +1,194 @@
+import { ADMIN, CUSTOMER, day, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { MemoryClientStore } from '../../server/stores/client-store';
+import { demoClients } from '../../server/stores/demo-data';
+import { MemorySuggestionStore } from '../../server/stores/suggestion-store';
+import { SuggestionEngine } from '../../server/suggestions/engine';
+import { FakeSuggestionProvider, RuleBasedSuggestionProvider } from '../../server/suggestions/providers';
+import type { SuggestionContext } from '../../server/suggestions/providers';
+import type { ClientData, Suggestion } from '../../types';
+
+describe('rule-based suggestions', () => {
+  let client: ClientData;
+
+  beforeAll(async () => {
+    client = await new MemoryClientStore(demoClients).get('kavarna-u-mostu.cz') as ClientData;
+  });
+
+  const suggest = (overrides: Partial<SuggestionContext>) =>
+    new RuleBasedSuggestionProvider().suggest({ client, metrics: [], today: '2025-01-14', language: 'en', ...overrides });
+
+  it('asks to finish the setup of channels with missing access', async () => {
+    const suggestions = await suggest({
+      client: { ...client, setupState: { ...client.setupState, meta: { status: 'need', updatedAt: '2025-01-01T00:00:00.000Z' } } },
+    });
+
+    expect(suggestions).toEqual([expect.objectContaining({ key: 'setup:social', channel: 'social' })]);
+    expect(suggestions[0].body).toContain('Meta');
+  });
+
+  it('reacts to week-over-week ROAS changes and spend without conversions', async () => {
+    const suggestions = await suggest({
+      metrics: [
+        day('2025-01-05', 'google-ads', 100, 800), day('2025-01-12', 'google-ads', 100, 300),
+        day('2025-01-05', 'social', 100, 300), day('2025-01-12', 'social', 100, 600),
+        day('2025-01-12', 'youtube', 50, 0, 0),
+      ],
+    });
+
+    expect(suggestions.map(suggestion => suggestion.key)).toEqual([
+      'roas-drop:google-ads:2025-01-08',
+      'no-conversions:youtube:2025-01-08',
+      'scale:social:2025-01-08',
+    ]);
+    expect(suggestions[0].body).toContain('from 8.0x to 3.0x');
+  });
+});
+
+describe('suggestion engine', () => {
+  const context = { metrics: [], today: '2025-01-14', language: 'cs' } as unknown as SuggestionContext;
+
+  beforeAll(async () => {
+    context.client = await new MemoryClientStore(demoClients).get('mojefirma.cz') as ClientData;
+  });
+
+  it('keeps the suggestions of working providers when another one fails', async () => {
+    const working = new FakeSuggestionProvider('working').setSuggestions([{ key: 'idea', title: 'Idea', body: '' }]);
+    const broken = new FakeSuggestionProvider('broken').failWith(new Error('Invalid API key'));
+
+    const result = await new SuggestionEngine([broken, working]).generate(context);
+
+    expect(result.drafts).toEqual([{ key: 'idea', title: 'Idea', body: '', source: 'working' }]);
+    expect(result.failures).toEqual([{ provider: 'broken', message: expect.stringContaining('Invalid API key') }]);
+  });
+
+  it('rejects provider output that does not match the schema', async () => {
+    const provider = new FakeSuggestionProvider('sloppy').setSuggestions([{ key: 'x', title: '', body: 'No title' }]);
+
+    const result = await new SuggestionEngine([provider]).generate(context);
+
+    expect(result.drafts).toEqual([]);
+    expect(result.failures.map(failure => failure.provider)).toEqual(['sloppy']);
+  });
+});
+
+describe('suggestion store', () => {
+  it('lets only one of two approvals that read the same state move it to approved', async () => {
+    const store = new MemorySuggestionStore();
+    const [suggestion] = await store.add('mojefirma.cz', [{ key: 'seo', title: 'SEO', body: '', source: 'rules' }]);
+
+    expect(await store.approve('mojefirma.cz', suggestion.id, suggestion)).toMatchObject({ status: 'approved' });
+    expect(await store.approve('mojefirma.cz', suggestion.id, suggestion)).toBeUndefined();
+
+    const approved = (await store.get('mojefirma.cz', suggestion.id))!;
+    expect(await store.approve('mojefirma.cz', suggestion.id, approved)).toMatchObject({ status: 'approved' });
+    await store.decide('mojefirma.cz', suggestion.id, { status: 'sent', taskId: '1' });
+    expect(await store.approve('mojefirma.cz', suggestion.id, approved)).toBeUndefined();
+  });
+
+  it('rejects only a suggestion that is still proposed', async () => {
+    const store = new MemorySuggestionStore();
+    const [first, second] = await store.add('mojefirma.cz', [
+      { key: 'seo', title: 'SEO', body: '', source: 'rules' },
+      { key: 'ppc', title: 'PPC', body: '', source: 'rules' },
+    ]);
+    await store.approve('mojefirma.cz', first.id, first);
+
+    expect(await store.reject('mojefirma.cz', first.id)).toBeUndefined();
+    expect((await store.get('mojefirma.cz', first.id))?.status).toBe('approved');
+    expect(await store.reject('mojefirma.cz', second.id)).toMatchObject({ status: 'rejected' });
+    expect(await store.reject('mojefirma.cz', second.id)).toBeUndefined();
+  });
+});
+
+describe('suggestions API', () => {
+  let server: TestServer;
+  let provider: FakeSuggestionProvider;
+
+  beforeEach(async () => {
+    provider = new FakeSuggestionProvider().setSuggestions([
+      { key: 'lookalike', title: 'Spustit lookalike publikum', body: 'Z mailingové databáze.', channel: 'social' },
+      { key: 'seo-content', title: 'Posílit SEO obsah', body: '' },
+    ]);
+    server = await startTestServer({ suggestionEngine: new SuggestionEngine([provider]) });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const generate = (cookie: string) =>
+    server.request('/clients/mojefirma.cz/suggestions/generate', { method: 'POST', body: { language: 'en' }, cookie });
+
+  it('stores generated suggestions once and only for admins', async () => {
+    const customer = await server.login(CUSTOMER);
+    expect((await generate(customer)).status).toBe(403);
+
+    const cookie = await server.login(ADMIN);
+    const first = await generate(cookie);
+    expect(first.status).toBe(201);
+    expect((await first.json()).suggestions.map((s: Suggestion) => [s.key, s.status])).toEqual([
+      ['lookalike', 'proposed'],
+      ['seo-content', 'proposed'],
+    ]);
+    expect(provider.calls[0].language).toBe('en');
+
+    expect((await (await generate(cookie)).json()).suggestions).toEqual([]);
+    const { suggestions } = await (await server.request('/clients/mojefirma.cz/suggestions', { cookie })).json();
+    expect(suggestions).toHaveLength(2);
+  });
+
+  it('sends an approved suggestion to the client as a task', async () => {
+    const cookie = await server.login(ADMIN);
+    const [lookalike, seo] = (await (await generate(cookie)).json()).suggestions;
+
+    const approved = await server.request(`/clients/mojefirma.cz/suggestions/${lookalike.id}/approve`, { method: 'POST', cookie });
+    const { suggestion, task } = await approved.json();
+    expect(suggestion).toMatchObject({ status: 'sent', taskId: task.id });
+    expect(task).toMatchObject({ title: 'Spustit lookalike publikum', status: 'todo', channel: 'social' });
+
+    const customer = await server.login(CUSTOMER);
+    const { client } = await (await server.request('/clients/mojefirma.cz', { cookie: customer })).json();
+    expect(client.tasks.map((existing: { title: string }) => existing.title)).toContain('Spustit lookalike publikum');
+
+    const rejected = await server.request(`/clients/mojefirma.cz/suggestions/${seo.id}/reject`, { method: 'POST', cookie });
+    expect((await rejected.json()).suggestion.status).toBe('rejected');
+
+    const again = await server.request(`/clients/mojefirma.cz/suggestions/${seo.id}/approve`, { method: 'POST', cookie });
+    expect(again.status).toBe(409);
+  });
+
+  it('delivers a suggestion approved twice at once only once', async () => {
+    const cookie = await server.login(ADMIN);
+    const [lookalike] = (await (await generate(cookie)).json()).suggestions;
+    const approve = () => server.request(`/clients/mojefirma.cz/suggestions/${lookalike.id}/approve`, { method: 'POST', cookie });
+
+    const responses = await Promise.all([approve(), approve()]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    const { client } = await (await server.request('/clients/mojefirma.cz', { cookie })).json();
+    expect(client.tasks.filter((task: { title: string }) => task.title === lookalike.title)).toHaveLength(1);
+  });
+
+  it('never lets a reject racing an approval undo it', async () => {
+    const cookie = await server.login(ADMIN);
+    const [lookalike] = (await (await generate(cookie)).json()).suggestions;
+    const decide = (decision: string) =>
+      server.request(`/clients/mojefirma.cz/suggestions/${lookalike.id}/${decision}`, { method: 'POST', cookie });
+
+    const [approved, rejected] = await Promise.all([decide('approve'), decide('reject')]);
+
+    expect([approved.status, rejected.status].sort()).toEqual([200, 409]);
+    const { suggestions } = await (await server.request('/clients/mojefirma.cz/suggestions', { cookie })).json();
+    const { status } = suggestions.find((suggestion: Suggestion) => suggestion.id === lookalike.id);
+    expect(status).toBe(approved.status === 200 ? 'sent' : 'rejected');
+  });
+
+  it('reports unavailable providers', async () => {
+    provider.failWith(new Error('Invalid API key'));
+    const response = await generate(await server.login(ADMIN));
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).code).toBe('SUGGESTIONS_UNAVAILABLE');
+  });
+});
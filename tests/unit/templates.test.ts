@@ -0,0 +1,87 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { resolveInstructions } from '../../i18n/templates';
+import type { AgencyTemplates } from '../../types';
+
+const defaults: AgencyTemplates = { granteeEmail: 'team@agency.test', platforms: {} };
+
+const client = {
+  domain: 'mojefirma.cz',
+  name: 'MojeFirma.cz',
+  accountIds: { ga4AccountId: '87262364', ga4PropertyId: '254354354' },
+};
+
+const find = (items: ReturnType<typeof resolveInstructions>, id: string) => items.find(item => item.id === id)!;
+
+describe('resolveInstructions', () => {
+  it('fills client account IDs into direct links', () => {
+    const ga4 = find(resolveInstructions('cs', defaults, client), 'ga4');
+    expect(ga4.directLink).toContain('#/a87262364p254354354/admin');
+  });
+
+  it('falls back to the generic link while account IDs are missing', () => {
+    const gtm = find(resolveInstructions('cs', defaults, client), 'gtm');
+    expect(gtm.directLink).toBe('https://tagmanager.google.com/#/admin/');
+  });
+
+  it('applies agency overrides per language and keeps {email} for the UI', () => {
+    const templates: AgencyTemplates = {
+      ...defaults,
+      platforms: { meta: { steps: { en: ['Add {email} to {clientName}'] } } },
+    };
+
+    expect(find(resolveInstructions('en', templates, client), 'meta').steps).toEqual(['Add {email} to MojeFirma.cz']);
+    expect(find(resolveInstructions('cs', templates, client), 'meta').steps).not.toEqual(['Add {email} to MojeFirma.cz']);
+  });
+});
+
+describe('templates API', () => {
+  let server: TestServer;
+  let adminCookie: string;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    adminCookie = await server.login(ADMIN);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const save = (templates: unknown, cookie = adminCookie) =>
+    server.request('/templates', { method: 'PUT', cookie, body: templates });
+
+  it('lets clients read the templates but only admins edit them', async () => {
+    const customerCookie = await server.login(CUSTOMER);
+
+    const read = await server.request('/templates', { cookie: customerCookie });
+    expect((await read.json()).templates.granteeEmail).toBe(server.deps.config.defaultGranteeEmail);
+    expect((await save(defaults, customerCookie)).status).toBe(403);
+  });
+
+  it('rejects unknown placeholders and platforms', async () => {
+    const typo = await save({ ...defaults, platforms: { meta: { steps: { cs: ['Přidejte {emial}'] } } } });
+    expect(typo.status).toBe(400);
+    expect((await typo.json()).details.join()).toContain('{emial}');
+
+    expect((await save({ ...defaults, platforms: { tiktok: {} } })).status).toBe(400);
+  });
+
+  it('persists the grantee email and overrides', async () => {
+    const templates = { granteeEmail: 'access@agency.test', platforms: { gsc: { directLink: 'https://search.google.com/search-console/users?resource_id={gscProperty}&hl=cs' } } };
+    expect((await save(templates)).status).toBe(200);
+
+    const read = await server.request('/templates', { cookie: adminCookie });
+    expect((await read.json()).templates).toMatchObject(templates);
+  });
+
+  it('only accepts known client account fields', async () => {
+    const update = (accountIds: Record<string, string>) =>
+      server.request('/clients/mojefirma.cz', { method: 'PATCH', cookie: adminCookie, body: { accountIds } });
+
+    expect((await update({ unknownId: '1' })).status).toBe(400);
+
+    const saved = await update({ gtmAccountId: '6001', gtmContainerId: '1234' });
+    expect((await saved.json()).client.accountIds).toEqual({ gtmAccountId: '6001', gtmContainerId: '1234' });
+  });
+});
@@ -0,0 +1,102 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import {
+  FakeVerificationAdapter,
+  VerificationAdapterRegistry,
+} from '../../server/onboarding/verification';
+
+describe('access-grant verification', () => {
+  let server: TestServer;
+  let adapter: FakeVerificationAdapter;
+  let adminCookie: string;
+  let customerCookie: string;
+
+  beforeEach(async () => {
+    adapter = new FakeVerificationAdapter();
+    server = await startTestServer({
+      verifiers: new VerificationAdapterRegistry().register(['ga4', 'gsc'], adapter),
+    });
+    adminCookie = await server.login(ADMIN);
+    customerCookie = await server.login(CUSTOMER);
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const grant = async (platformId: string) => {
+    const response = await server.request(`/clients/mojefirma.cz/setup/${platformId}`, {
+      method: 'PUT',
+      cookie: customerCookie,
+      body: { status: 'granted' },
+    });
+    return (await response.json()).client;
+  };
+
+  const queue = async () => {
+    const response = await server.request('/verifications', { cookie: adminCookie });
+    return (await response.json()).items as Array<{ domain: string; platformId: string; adapter: string }>;
+  };
+
+  it('queues confirmed grants until the agency verifies them', async () => {
+    await grant('meta');
+    expect(await queue()).toContainEqual(
+      expect.objectContaining({ domain: 'mojefirma.cz', platformId: 'meta', adapter: 'manual' })
+    );
+
+    const verified = await server.request('/verifications/mojefirma.cz/meta/verify', {
+      method: 'POST',
+      cookie: adminCookie,
+    });
+    expect((await verified.json()).client.setupState.meta.status).toBe('verified');
+    expect((await queue()).map(item => item.platformId)).not.toContain('meta');
+  });
+
+  it('shows the rejection reason to the client', async () => {
+    await grant('looker');
+
+    const missingReason = await server.request('/verifications/mojefirma.cz/looker/reject', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: {},
+    });
+    expect(missingReason.status).toBe(400);
+
+    await server.request('/verifications/mojefirma.cz/looker/reject', {
+      method: 'POST',
+      cookie: adminCookie,
+      body: { reason: 'Pozvánka nedorazila' },
+    });
+    const { client } = await (await server.request('/clients/mojefirma.cz', { cookie: customerCookie })).json();
+    expect(client.setupState.looker).toMatchObject({ status: 'rejected', rejectionReason: 'Pozvánka nedorazila' });
+
+    const again = await server.request('/verifications/mojefirma.cz/looker/verify', {
+      method: 'POST',
+      cookie: adminCookie,
+    });
+    expect(again.status).toBe(409);
+  });
+
+  it('applies conclusive adapter results straight away', async () => {
+    adapter
+      .setResult('ga4', { outcome: 'verified' })
+      .setResult('gsc', { outcome: 'rejected', reason: 'Uživatel nemá oprávnění Vlastník' });
+
+    expect((await grant('ga4')).setupState.ga4.status).toBe('verified');
+    expect((await grant('gsc')).setupState.gsc.rejectionReason).toBe('Uživatel nemá oprávnění Vlastník');
+    expect(adapter.calls.map(call => call.platformId)).toEqual(['ga4', 'gsc']);
+    expect(await queue()).toHaveLength(1); // only the seeded Google Ads grant
+  });
+
+  it('keeps the queue and decisions admin-only', async () => {
+    const list = await server.request('/verifications', { cookie: customerCookie });
+    expect(list.status).toBe(403);
+
+    const selfVerify = await server.request('/clients/mojefirma.cz/setup/meta', {
+      method: 'PUT',
+      cookie: customerCookie,
+      body: { status: 'rejected', reason: 'x' },
+    });
+    expect(selfVerify.status).toBe(403);
+  });
+});
@@ -0,0 +1,68 @@
+import { ADMIN, CUSTOMER, startTestServer } from './helpers';
+import type { TestServer } from './helpers';
+import { summarizeWizard, wizardCompletionMessage } from '../../server/onboarding/wizard';
+import type { ClientMessage } from '../../types';
+
+describe('wizard summary', () => {
+  const setupState = {
+    'google-ads': { status: 'granted' as const, updatedAt: '2025-01-01T00:00:00.000Z' },
+    ga4: { status: 'verified' as const, updatedAt: '2025-01-01T00:00:00.000Z' },
+    meta: { status: 'granted' as const, updatedAt: '2025-01-01T00:00:00.000Z' },
+  };
+
+  it('sorts the platforms into resolved, deferred and open', () => {
+    expect(summarizeWizard(setupState, ['gtm', 'meta'])).toEqual({
+      resolved: ['google-ads', 'ga4', 'meta'],
+      deferred: ['gtm'],
+      open: ['looker', 'gsc'],
+    });
+  });
+
+  it('names the platforms of each group in the chosen language', () => {
+    const message = wizardCompletionMessage({ resolved: ['ga4'], deferred: ['meta'], open: [] }, 'en');
+
+    expect(message.split('\n')).toEqual([
+      'I went through the guided setup.',
+      'Access granted: Google Analytics 4 (Measurement).',
+      'Left for later: Meta (Facebook / Instagram Ads).',
+    ]);
+  });
+});
+
+describe('wizard completion API', () => {
+  let server: TestServer;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  const complete = (domain: string, body: object, cookie: string) =>
+    server.request(`/clients/${domain}/wizard/complete`, { method: 'POST', body, cookie });
+
+  it('posts the summary to the client thread for the agency', async () => {
+    const customer = await server.login(CUSTOMER);
+
+    const response = await complete('mojefirma.cz', { deferred: ['meta', 'google-ads'], language: 'cs' }, customer);
+    expect(response.status).toBe(201);
+    const { summary } = await response.json();
+    expect(summary.resolved).toEqual(['google-ads']);
+    expect(summary.deferred).toEqual(['meta']);
+
+    const { messages } = await (await server.request('/clients/mojefirma.cz/messages', { cookie: await server.login(ADMIN) })).json();
+    const last: ClientMessage = messages[messages.length - 1];
+    expect(last.authorRole).toBe('CUSTOMER');
+    expect(last.body).toContain('Prošel(a) jsem nastavení s průvodcem.');
+    expect(last.body).toContain('Na později: Meta');
+  });
+
+  it('rejects unknown platforms and other clients', async () => {
+    const customer = await server.login(CUSTOMER);
+
+    expect((await complete('mojefirma.cz', { deferred: ['myspace'] }, customer)).status).toBe(400);
+    expect((await complete('kavarna-u-mostu.cz', {}, customer)).status).toBe(403);
+  });
+});
@@ -2,23 +2,294 @@ import { ReactNode } from 'react';
 
 export type UserRole = 'CUSTOMER' | 'ADMIN';
 
-export interface InstructionItem {
+/** See os.ts */
+export type OperatingSystem = 'win' | 'mac' | 'other';
+
+/** What the client should see at a step */
+export interface InstructionScreenshot {
+  src: string;
+  alt: string;
+}
+
+/**
+ * What differs on one operating system. Screenshots and shortcuts are keyed
+ * by step index; with its own `steps` a variant replaces the default steps
+ * together with their screenshots and shortcuts.
+ */
+export interface InstructionVariant {
+  steps?: string[];
+  screenshots?: Record<number, InstructionScreenshot>;
+  /** Keys that help with a step, e.g. `⌘ + V` */
+  shortcuts?: Record<number, string>;
+}
+
+export interface InstructionItem extends InstructionVariant {
   id: string;
   title: string;
   icon?: ReactNode;
   steps: string[];
+  tip?: string;
   directLink?: string;
+  /** Applied by `instructionsForOs` in i18n/templates */
+  variants?: Partial<Record<OperatingSystem, InstructionVariant>>;
+}
+
+export type ClientTask = {
+  id: string;
+  title: string;
+  status: 'todo' | 'done';
+  /** Channel id from `CHANNELS` in constants.tsx */
+  channel?: string;
+};
+
+/** `granted` means the client confirmed the grant and it awaits agency verification */
+export type SetupStatus = 'have' | 'need' | 'granted' | 'verified' | 'rejected';
+
+export interface PlatformSetup {
+  status: SetupStatus;
+  note?: string;
+  updatedAt: string;
+  grantedAt?: string;
+  verifiedAt?: string;
+  rejectedAt?: string;
+  rejectionReason?: string;
+}
+
+/** Where the guided setup left each platform */
+export interface WizardSummary {
+  /** Platform ids with access granted or verified */
+  resolved: string[];
+  /** Skipped by the client for later */
+  deferred: string[];
+  /** Neither resolved nor skipped */
+  open: string[];
 }
 
 export interface ClientData {
   domain: string;
+  name: string;
   email: string;
   onboardingComplete: boolean;
-  metrics: {
-    roas: string;
-    spend: string;
-    conversions: string;
-    revenue: string;
-  };
-  tasks: Array<{ id: string; title: string; status: 'todo' | 'done' }>;
+  /** ISO 4217 code of the client's spend and revenue, e.g. `CZK` */
+  currency: string;
+  /** Monthly agency fee in `currency`; 0 when not agreed yet */
+  retainerFee: number;
+  tasks: ClientTask[];
+  /** Client account IDs used by instruction templates, e.g. `ga4PropertyId` */
+  accountIds: Record<string, string>;
+  /** Onboarding progress keyed by platform id (`PLATFORMS` in constants.tsx) */
+  setupState: Record<string, PlatformSetup>;
+}
+
+export interface SessionUser {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  clientDomain?: string;
+}
+
+export interface PlatformTemplate {
+  directLink?: string;
+  /** Step templates per language code; languages left out use the catalog */
+  steps?: Record<string, string[]>;
+}
+
+/** Agency-wide overrides of the instruction catalog, edited under Master Templates */
+export interface AgencyTemplates {
+  granteeEmail: string;
+  platforms: Record<string, PlatformTemplate>;
+  updatedAt?: string;
+}
+
+export type NoteCategory = 'priorities' | 'plans' | 'research' | 'ideas';
+
+/** A card on the admin notes board of a client */
+export interface ClientNote {
+  id: string;
+  category: NoteCategory;
+  title: string;
+  body: string;
+  assignee?: string;
+  /** `YYYY-MM-DD` */
+  dueDate?: string;
+  /** Channel id from `CHANNELS` in constants.tsx */
+  channel?: string;
+  /** Order within the category, 0 first */
+  position: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** One day of one marketing channel for a client */
+export interface DailyMetric {
+  /** `YYYY-MM-DD` */
+  date: string;
+  channel: string;
+  spend: number;
+  revenue: number;
+  conversions: number;
+  clicks: number;
+  impressions: number;
+}
+
+/** Inclusive `YYYY-MM-DD` bounds */
+export interface DateRange {
+  from: string;
+  to: string;
+}
+
+/** `DailyMetric` values summed over a period */
+export type MetricTotals = Omit<DailyMetric, 'date' | 'channel'>;
+
+export interface PeriodComparison {
+  current: MetricTotals;
+  previous: MetricTotals;
+}
+
+/**
+ * A client's totals for a period next to the equally long period before
+ * it, overall and per channel. Ratios such as ROAS are derived on display
+ * (see metrics.ts), so they stay correct when totals are combined.
+ */
+export interface MetricsSummary extends PeriodComparison {
+  currency: string;
+  range: DateRange;
+  previousRange: DateRange;
+  /** Keyed by channel id; only channels with data in either period */
+  channels: Record<string, PeriodComparison>;
+}
+
+/** One client's row of the Agency ROI report */
+export interface ClientRoi {
+  domain: string;
+  name: string;
+  currency: string;
+  spend: number;
+  revenue: number;
+  conversions: number;
+  roas: number | null;
+  /** Relative ROAS change against the previous period */
+  roasChange: number | null;
+  revenueChange: number | null;
+  /** The monthly retainer prorated to the period */
+  retainer: number;
+  /** Revenue after ad spend per unit of retainer; `null` without a retainer */
+  resultsPerFee: number | null;
+  trendingDown: boolean;
+}
+
+/** Portfolio report behind the admin "Agency ROI" view */
+export interface AgencyRoiReport {
+  range: DateRange;
+  previousRange: DateRange;
+  clients: ClientRoi[];
+  /** Keyed by currency, since amounts in different currencies do not add up */
+  totals: Record<string, { spend: number; revenue: number; retainer: number }>;
+  /** Clients per ROAS bucket, lowest first; `max` is exclusive and `null` for the last bucket */
+  roasDistribution: Array<{ min: number; max: number | null; clients: number }>;
+  /** Clients without spend in the period, left out of the distribution */
+  withoutSpend: number;
+}
+
+/** `approved` suggestions become `sent` once the client can see them */
+export type SuggestionStatus = 'proposed' | 'approved' | 'rejected' | 'sent';
+
+/** A recommendation for a client that an admin reviews before the client sees it */
+export interface Suggestion {
+  id: string;
+  /** Identifies what the suggestion is about, so regenerating does not repeat it */
+  key: string;
+  title: string;
+  body: string;
+  /** Channel id from `CHANNELS` in constants.tsx */
+  channel?: string;
+  status: SuggestionStatus;
+  /** Name of the provider that generated it, e.g. `rules` */
+  source: string;
+  createdAt: string;
+  decidedAt?: string;
+  /** Client task created when the suggestion was sent as a task */
+  taskId?: string;
+  /** Client message posted when the suggestion was sent as a message */
+  messageId?: string;
+}
+
+export type DeliverableStatus = 'planned' | 'delivered';
+
+/** Something the agency has promised to hand over to a client */
+export interface Deliverable {
+  id: string;
+  title: string;
+  description?: string;
+  /** `YYYY-MM-DD` */
+  dueDate: string;
+  /** Channel id from `CHANNELS` in constants.tsx */
+  channel?: string;
+  status: DeliverableStatus;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** One message in the thread between a client and the agency */
+export interface ClientMessage {
+  id: string;
+  /** `ADMIN` messages come from the agency */
+  authorRole: UserRole;
+  authorName: string;
+  body: string;
+  createdAt: string;
+}
+
+/** Who a knowledge base article is written for; admins can read both */
+export type KnowledgeAudience = 'client' | 'admin';
+
+export interface KnowledgeArticleSummary {
+  /** File name without `.md`; translations of an article share it */
+  slug: string;
+  /** Language code, e.g. `cs` */
+  language: string;
+  title: string;
+  summary: string;
+  tags: string[];
+  audience: KnowledgeAudience;
+}
+
+export interface KnowledgeArticle extends KnowledgeArticleSummary {
+  /** Rendered from the article's markdown, safe to insert as is */
+  html: string;
+}
+
+export interface KnowledgeSearchHit extends KnowledgeArticleSummary {
+  /** Plain-text snippet around the first match, or the start of the article */
+  excerpt: string;
+}
+
+/** `<area>.<verb>`; the area is what the audit viewer filters by as the action type */
+export type AuditAction =
+  | 'auth.login' | 'auth.logout'
+  | 'client.create' | 'client.update' | 'client.delete'
+  | 'task.create' | 'task.update' | 'task.delete'
+  | 'setup.change' | 'setup.verify' | 'setup.reject' | 'setup.check' | 'wizard.complete'
+  | 'note.create' | 'note.update' | 'note.delete' | 'note.reorder'
+  | 'suggestion.generate' | 'suggestion.approve' | 'suggestion.reject'
+  | 'deliverable.create' | 'deliverable.update' | 'deliverable.delete'
+  | 'message.send'
+  | 'templates.update';
+
+/** One entry of the append-only audit log */
+export interface AuditEntry {
+  id: string;
+  /** Shared with the Kilo Code log lines of the same request (`X-Correlation-ID`) */
+  correlationId: string;
+  action: AuditAction;
+  actorId: string;
+  actorEmail: string;
+  actorName: string;
+  actorRole: UserRole;
+  clientDomain?: string;
+  /** What the action was about within the client, e.g. a platform, note or task id */
+  target?: string;
+  details?: Record<string, unknown>;
+  createdAt: string;
 }
@@ -8,6 +8,9 @@ export default defineConfig(({ mode }) => {
       server: {
         port: 3002,
         host: '0.0.0.0',
+        proxy: {
+          '/api': `http://localhost:${env.PORTAL_API_PORT || 3003}`,
+        },
       },
       plugins: [react()],
       define: {